@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, startHeadlessGame } = require('./helpers/load-game');
+
+const game = loadGame();
+const engine = startHeadlessGame(game);
+
+const PROJECTILE_RADIUS = 15;
+const MARGIN = 0.5;
+const SIZES = [engine.centerShape.startingSize, engine.centerShape.maxSize];
+const ROTATIONS = [0, Math.PI / 5, Math.PI / 2, 2 * Math.PI / 3, Math.PI, 5 * Math.PI / 3];
+
+/**
+ * Boundary points in the shape's local (unrotated) space
+ * @returns {Array} [{ name, x, y, hit }]
+ */
+function localCases(type, size) {
+    const r = PROJECTILE_RADIUS;
+    switch (type) {
+        case 0: // Circle
+            return [
+                { name: 'touching the edge', x: size + r - MARGIN, y: 0, hit: true },
+                { name: 'just clear of the edge', x: 0, y: -(size + r + MARGIN), hit: false }
+            ];
+        case 1: { // Square
+            const half = size / 2;
+            return [
+                { name: 'touching a side', x: half + r - MARGIN, y: 0, hit: true },
+                { name: 'just clear of a side', x: 0, y: half + r + MARGIN, hit: false },
+                { name: 'on a corner', x: -half, y: half, hit: true }
+            ];
+        }
+        case 2: { // Triangle (apex up, centroid-ish origin)
+            const height = size * Math.sqrt(3) / 2;
+            return [
+                { name: 'touching the apex', x: 0, y: -height * 0.67 - r + MARGIN, hit: true },
+                { name: 'just clear of the apex', x: 0, y: -height * 0.67 - r - MARGIN, hit: false },
+                { name: 'touching the base', x: 0, y: height * 0.33 + r - MARGIN, hit: true },
+                { name: 'just clear of the base', x: 0, y: height * 0.33 + r + MARGIN, hit: false }
+            ];
+        }
+        case 3: { // Pentagon (first vertex up)
+            const apothem = size * Math.cos(Math.PI / 5);
+            const edgeAngle = -Math.PI / 2 + Math.PI / 5; // Midpoint of the first edge
+            return [
+                { name: 'touching a vertex', x: 0, y: -size - r + MARGIN, hit: true },
+                { name: 'just clear of a vertex', x: 0, y: -size - r - MARGIN, hit: false },
+                { name: 'touching an edge', x: Math.cos(edgeAngle) * (apothem + r - MARGIN), y: Math.sin(edgeAngle) * (apothem + r - MARGIN), hit: true },
+                { name: 'just clear of an edge', x: Math.cos(edgeAngle) * (apothem + r + MARGIN), y: Math.sin(edgeAngle) * (apothem + r + MARGIN), hit: false }
+            ];
+        }
+    }
+    return [];
+}
+
+/**
+ * Check a projectile at a local-space offset from the rotated shape
+ */
+function collidesAt(localX, localY) {
+    const shape = engine.centerShape;
+    const cos = Math.cos(shape.rotation);
+    const sin = Math.sin(shape.rotation);
+    const projectile = {
+        x: shape.x + localX * cos - localY * sin,
+        y: shape.y + localX * sin + localY * cos,
+        radius: PROJECTILE_RADIUS
+    };
+    return engine.checkCenterShapeCollision(projectile);
+}
+
+const SHAPE_NAMES = ['circle', 'square', 'triangle', 'pentagon'];
+
+describe('GameEngine.checkCenterShapeCollision', () => {
+    SHAPE_NAMES.forEach((shapeName, type) => {
+        for (const size of SIZES) {
+            for (const rotation of ROTATIONS) {
+                describe(`${shapeName}, size ${size.toFixed(1)}, rotation ${rotation.toFixed(3)}`, () => {
+                    const setShape = () => {
+                        engine.centerShape.type = type;
+                        engine.centerShape.size = size;
+                        engine.centerShape.rotation = rotation;
+                    };
+
+                    it('hits at the centre', () => {
+                        setShape();
+                        assert.strictEqual(collidesAt(0, 0), true);
+                    });
+
+                    it('misses all around at a distance', () => {
+                        setShape();
+                        const far = size * 2 + PROJECTILE_RADIUS + 1;
+                        for (let i = 0; i < 12; i++) {
+                            const angle = i * Math.PI / 6;
+                            assert.strictEqual(collidesAt(Math.cos(angle) * far, Math.sin(angle) * far), false, `direction ${i}`);
+                        }
+                    });
+
+                    for (const { name, x, y, hit } of localCases(type, size)) {
+                        it(`${hit ? 'hits' : 'misses'} ${name}`, () => {
+                            setShape();
+                            assert.strictEqual(collidesAt(x, y), hit);
+                        });
+                    }
+                });
+            }
+        }
+    });
+});
@@ -0,0 +1,232 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, replayRun, snapshotProjectiles } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, MemoryStorage, ChallengeCode, PatternLibrary, SpawnPattern, PatternType } = game;
+
+const TIERS = [
+    { name: 'easy', minDifficulty: 1.0 },
+    { name: 'medium', minDifficulty: 1.4 },
+    { name: 'hard', minDifficulty: 1.9 }
+];
+
+const PATTERNS = [
+    {
+        id: 'custom-1', type: PatternType.SEQUENCE, tier: 'easy', rest: 0.5, speed: 1,
+        events: [
+            { angle: 0, delay: 0, speed: 1, projectile: 'NORMAL' },
+            { angle: 135, delay: 0.4, speed: 1.5, projectile: 'CURVING' },
+            { angle: 270, delay: 1.2, speed: 0.8 }
+        ]
+    },
+    {
+        id: 'custom-2', type: PatternType.SEQUENCE, tier: 'hard', rest: 1.2, speed: 1.3,
+        events: [
+            { angle: 345, delay: 0, speed: 2, projectile: 'HOMING' },
+            { angle: 90, delay: 5, speed: 0.6, projectile: 'DELAYED' }
+        ]
+    }
+];
+
+function center(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Headless engine with a helper to tap a Game Over button
+ */
+function createEngine(storage = new MemoryStorage()) {
+    const engine = new game.GameEngine(null, null, { headless: true, storage });
+    engine.tap = (bounds) => {
+        const input = engine.inputManager;
+        const point = center(bounds);
+        input.wasJustPressed = true;
+        input.getPrimaryTouch = () => point;
+        engine.updateGameOver(0);
+        delete input.getPrimaryTouch;
+        input.wasJustPressed = false;
+    };
+    return engine;
+}
+
+function customLibrary() {
+    return PatternLibrary.fromJSON({ tiers: TIERS, patterns: PATTERNS });
+}
+
+describe('ChallengeCode', () => {
+    it('round-trips a mode and seed in a short code', () => {
+        const code = ChallengeCode.encode({ mode: 'RHYTHM', seed: 0xDEADBEEF });
+        assert.ok(code.length <= 20, code);
+        assert.match(code, /^[0-9A-Z]{4}(-[0-9A-Z]{1,4})*$/);
+
+        const decoded = ChallengeCode.decode(code);
+        assert.strictEqual(decoded.mode, 'RHYTHM');
+        assert.strictEqual(decoded.seed, 0xDEADBEEF);
+        assert.strictEqual(decoded.tiers.length, 0);
+        assert.strictEqual(decoded.patterns.length, 0);
+    });
+
+    it('round-trips tiers and editor patterns', () => {
+        const decoded = ChallengeCode.decode(ChallengeCode.encode({ mode: 'CLASSIC', seed: 7, tiers: TIERS, patterns: PATTERNS }));
+
+        assert.strictEqual(JSON.stringify(decoded.tiers.map(tier => tier.minDifficulty)), JSON.stringify([1.0, 1.4, 1.9]));
+        assert.strictEqual(decoded.patterns.length, 2);
+        decoded.patterns.forEach((pattern, i) => {
+            const original = PATTERNS[i];
+            assert.strictEqual(pattern.type, PatternType.SEQUENCE);
+            assert.strictEqual(pattern.tier, decoded.tiers[TIERS.findIndex(t => t.name === original.tier)].name);
+            assert.strictEqual(pattern.rest, original.rest);
+            assert.strictEqual(pattern.speed, original.speed);
+            assert.strictEqual(JSON.stringify(pattern.events), JSON.stringify(original.events));
+        });
+    });
+
+    it('decodes regardless of case, dashes, spaces and look-alike letters', () => {
+        const code = ChallengeCode.encode({ mode: 'CLASSIC', seed: 1010101, tiers: TIERS, patterns: PATTERNS });
+        const sloppy = ` ${code.toLowerCase().replace(/-/g, '').replace(/0/g, 'o').replace(/1/g, 'l')} `;
+
+        assert.strictEqual(JSON.stringify(ChallengeCode.decode(sloppy)), JSON.stringify(ChallengeCode.decode(code)));
+    });
+
+    it('rejects every single-character typo', () => {
+        const code = ChallengeCode.encode({ mode: 'CLASSIC', seed: 123456, tiers: TIERS, patterns: PATTERNS });
+        for (let i = 0; i < code.length; i++) {
+            if (code[i] === '-') continue;
+            const replacement = code[i] === 'X' ? 'Y' : 'X';
+            const typo = code.slice(0, i) + replacement + code.slice(i + 1);
+            assert.throws(() => ChallengeCode.decode(typo), /checksum/, `typo at ${i}`);
+        }
+    });
+
+    it('rejects malformed codes', () => {
+        assert.throws(() => ChallengeCode.decode(''), /too short/);
+        assert.throws(() => ChallengeCode.decode('HELLO-W0RLD!'), /Invalid character/);
+        assert.throws(() => ChallengeCode.decode('0000-0000-0000-0000'), /checksum/);
+    });
+
+    it('only encodes what a code can hold', () => {
+        assert.throws(() => ChallengeCode.encode({ mode: 'ARCADE', seed: 1 }), /Unknown mode/);
+        assert.throws(() => ChallengeCode.encode({
+            mode: 'CLASSIC', seed: 1, tiers: TIERS,
+            patterns: [{ id: 'ring', type: PatternType.RING, tier: 'easy', count: 6 }]
+        }), /Only editor patterns/);
+        assert.throws(() => ChallengeCode.encode({
+            mode: 'CLASSIC', seed: 1, tiers: TIERS,
+            patterns: [{ ...PATTERNS[0], tier: 'nightmare' }]
+        }), /unknown tier/);
+        assert.throws(() => ChallengeCode.encode({
+            mode: 'CLASSIC', seed: 1, tiers: TIERS,
+            patterns: [{ ...PATTERNS[0], wells: [{ x: 0, y: -300 }] }]
+        }), /gravity wells/);
+        assert.throws(() => ChallengeCode.encode({
+            mode: 'CLASSIC', seed: 1, tiers: TIERS,
+            patterns: [SpawnPattern.fromJSON({ ...PATTERNS[0], wells: [{ x: 0, y: -300 }] })]
+        }), /gravity wells/);
+    });
+
+    it('decodes into patterns the pattern loader accepts', () => {
+        const decoded = ChallengeCode.decode(ChallengeCode.encode({ mode: 'CLASSIC', seed: 1, tiers: TIERS, patterns: PATTERNS }));
+        const library = PatternLibrary.fromJSON({ tiers: decoded.tiers, patterns: decoded.patterns });
+
+        assert.strictEqual(library.patterns.length, 2);
+        assert.ok(library.patterns.every(pattern => pattern instanceof SpawnPattern));
+    });
+});
+
+describe('Challenge runs', () => {
+    it('starts exactly the run the code came from', () => {
+        const original = createEngine();
+        original.startGame(GameMode.CLASSIC, { seed: 99, patterns: customLibrary() });
+        const code = original.getChallengeCode();
+
+        const copy = createEngine();
+        assert.strictEqual(copy.enterChallengeCode(code), true);
+        assert.strictEqual(copy.currentState, GameState.PLAYING);
+        assert.strictEqual(copy.runSeed, 99);
+        assert.strictEqual(copy.runPatternLibrary.patterns.length, 2);
+
+        for (let i = 0; i < 6; i++) {
+            original.step(60);
+            copy.step(60);
+            assert.strictEqual(snapshotProjectiles(copy), snapshotProjectiles(original), `second ${i + 1}`);
+        }
+    });
+
+    it('codes plain runs without patterns', () => {
+        const engine = createEngine();
+        engine.startGame(GameMode.CLASSIC, { seed: 5 });
+
+        const decoded = ChallengeCode.decode(engine.getChallengeCode());
+        assert.strictEqual(decoded.seed, 5);
+        assert.strictEqual(decoded.patterns.length, 0);
+
+        engine.enterChallengeCode(engine.getChallengeCode());
+        assert.strictEqual(engine.runPatternLibrary, null);
+    });
+
+    it('plays shared daily runs as Classic on the same seed', () => {
+        const engine = createEngine();
+        engine.enterChallengeCode(ChallengeCode.encode({ mode: GameMode.DAILY, seed: 2024 }));
+
+        assert.strictEqual(engine.gameMode, GameMode.CLASSIC);
+        assert.strictEqual(engine.runSeed, 2024);
+    });
+
+    it('leaves the menu alone on an invalid code', () => {
+        const engine = createEngine();
+        assert.strictEqual(engine.enterChallengeCode('NOPE'), false);
+        assert.strictEqual(engine.currentState, GameState.MENU);
+    });
+
+    it('does not save scores from custom pattern runs', () => {
+        const storage = new MemoryStorage();
+        const engine = createEngine(storage);
+        engine.startChallenge(ChallengeCode.decode(ChallengeCode.encode({ mode: 'CLASSIC', seed: 3, tiers: TIERS, patterns: PATTERNS })));
+        engine.score = 500;
+        engine.gameOver();
+
+        assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+        assert.strictEqual(engine.dataManager.loadHighScores().length, 0);
+    });
+
+    it('retries the same challenge', () => {
+        const engine = createEngine();
+        engine.enterChallengeCode(ChallengeCode.encode({ mode: 'CLASSIC', seed: 77, tiers: TIERS, patterns: PATTERNS }));
+        engine.gameOver();
+
+        engine.tap(engine.getRetryButtonBounds());
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(engine.runSeed, 77);
+        assert.strictEqual(engine.runPatternLibrary.patterns.length, 2);
+    });
+
+    it('replays custom pattern runs with their patterns', () => {
+        const engine = createEngine();
+        engine.enterChallengeCode(ChallengeCode.encode({ mode: 'CLASSIC', seed: 8, tiers: TIERS, patterns: PATTERNS }));
+        engine.step(240);
+        const played = snapshotProjectiles(engine);
+
+        replayRun(engine);
+
+        assert.strictEqual(snapshotProjectiles(engine), played);
+        assert.ok(engine.activeChallenge, 'still the challenge after watching');
+    });
+
+    it('turns saved editor patterns into a code', () => {
+        const storage = new MemoryStorage();
+        const engine = createEngine(storage);
+        engine.openEditor();
+        assert.strictEqual(engine.shareEditorPatterns(), null, 'nothing saved yet');
+
+        engine.dataManager.saveCustomPattern(SpawnPattern.fromJSON(PATTERNS[0]).toJSON());
+        const code = engine.shareEditorPatterns();
+        assert.match(engine.editorMessage, /Challenge code/);
+
+        const decoded = ChallengeCode.decode(code);
+        assert.strictEqual(decoded.mode, GameMode.CLASSIC);
+        assert.strictEqual(decoded.tiers.length, engine.getEditorTiers().length);
+        assert.strictEqual(JSON.stringify(decoded.patterns[0].events), JSON.stringify(PATTERNS[0].events));
+    });
+});
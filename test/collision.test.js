@@ -0,0 +1,186 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { DOT_SPACING, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState } = game;
+
+const ROTATIONS = [0, Math.PI / 6, Math.PI / 2, 5 * Math.PI / 6, Math.PI, 4 * Math.PI / 3, 2 * Math.PI - 0.01];
+
+/**
+ * Put a single projectile at a polar position around the player
+ * @returns {Projectile} The projectile (past its spawn grace period)
+ */
+function placeProjectile(engine, angle, distance, options = {}) {
+    const { x, y } = engine.player;
+    const projectile = engine.projectilePool.acquire(
+        x + Math.cos(angle) * distance,
+        y + Math.sin(angle) * distance,
+        x, y, 200
+    );
+    projectile.age = options.age !== undefined ? options.age : 1;
+    if (options.radius !== undefined) {
+        projectile.radius = options.radius;
+    }
+    return projectile;
+}
+
+describe('GameEngine.checkCollisions', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = startRun(game);
+    });
+
+    for (const rotation of ROTATIONS) {
+        describe(`ring rotation ${rotation.toFixed(3)}`, () => {
+            for (let i = 0; i < 6; i++) {
+                it(`passes through gap ${i}`, () => {
+                    engine.player.angle = rotation;
+                    const projectile = placeProjectile(engine, rotation + (i + 0.5) * DOT_SPACING, engine.player.radius);
+
+                    engine.checkCollisions();
+
+                    assert.strictEqual(engine.currentState, GameState.PLAYING);
+                    assert.strictEqual(projectile.dodged, true);
+                    assert.strictEqual(projectile.active, true, 'keeps flying to the centre shape');
+                    assert.strictEqual(engine.combo, 1);
+                    assert.strictEqual(engine.projectilesDodgedThisGame, 1);
+                });
+
+                it(`collides with dot ${i}`, () => {
+                    engine.player.angle = rotation;
+                    const projectile = placeProjectile(engine, rotation + i * DOT_SPACING, engine.player.radius);
+
+                    engine.checkCollisions();
+
+                    assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+                    assert.strictEqual(projectile.dodged, false);
+                    assert.strictEqual(engine.combo, 0);
+                });
+
+                it(`blocks an oversized projectile in gap ${i} on its neighbouring dots`, () => {
+                    engine.player.angle = rotation;
+                    placeProjectile(engine, rotation + (i + 0.5) * DOT_SPACING, engine.player.radius, { radius: 30 });
+
+                    engine.checkCollisions();
+
+                    assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+                });
+            }
+        });
+    }
+
+    describe('fast projectiles (swept)', () => {
+        const STEP = 120; // Pixels covered in one tick, far more than a dot
+
+        /**
+         * Projectile that moved inward along an angle from outside the ring to `endDistance` in one tick
+         */
+        function placeMovedProjectile(angle, endDistance) {
+            const projectile = placeProjectile(engine, angle, endDistance + STEP);
+            projectile.x = engine.player.x + Math.cos(angle) * endDistance;
+            projectile.y = engine.player.y + Math.sin(angle) * endDistance;
+            return projectile;
+        }
+
+        for (const rotation of ROTATIONS) {
+            for (let i = 0; i < 6; i++) {
+                it(`can't skip dot ${i} at rotation ${rotation.toFixed(3)}`, () => {
+                    engine.player.angle = rotation;
+                    engine.centerShape.size = 1; // Keep the center out of the way
+                    placeMovedProjectile(rotation + i * DOT_SPACING, engine.player.radius - 40);
+
+                    engine.checkCollisions();
+
+                    assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+                });
+
+                it(`still counts a pass through gap ${i} at rotation ${rotation.toFixed(3)}`, () => {
+                    engine.player.angle = rotation;
+                    engine.centerShape.size = 1;
+                    const projectile = placeMovedProjectile(rotation + (i + 0.5) * DOT_SPACING, engine.player.radius - 40);
+
+                    engine.checkCollisions();
+
+                    assert.strictEqual(engine.currentState, GameState.PLAYING);
+                    assert.strictEqual(projectile.dodged, true);
+                    assert.strictEqual(engine.combo, 1);
+                });
+            }
+        }
+
+        it('is absorbed by the center shape it flew through', () => {
+            const projectile = placeProjectile(engine, DOT_SPACING / 2, 40);
+            projectile.dodged = true;
+            projectile.x = engine.player.x - 30; // Crossed the center within the tick
+            projectile.y = engine.player.y - 30;
+
+            engine.checkCollisions();
+
+            assert.strictEqual(projectile.active, false);
+            assert.ok(engine.score > 0);
+        });
+
+        it('passes the gap and reaches the center shape in the same tick', () => {
+            const projectile = placeMovedProjectile(DOT_SPACING / 2, 0);
+
+            engine.checkCollisions();
+
+            assert.strictEqual(engine.currentState, GameState.PLAYING);
+            assert.strictEqual(engine.combo, 1);
+            assert.strictEqual(projectile.active, false);
+        });
+
+        it('hits a dot rotating into its path', () => {
+            // The projectile sits in gap 0 while the ring turns dot 1 onto it during the tick
+            engine.player.prevAngle = 0;
+            engine.player.angle = -DOT_SPACING / 2;
+            const projectile = placeProjectile(engine, DOT_SPACING / 2, engine.player.radius);
+            projectile.dodged = true;
+
+            engine.checkCollisions();
+
+            assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+        });
+    });
+
+    it('ignores projectiles outside the ring', () => {
+        const threshold = engine.player.radius + 15;
+        const projectile = placeProjectile(engine, 0, threshold + 1);
+
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(projectile.dodged, false);
+    });
+
+    it('ignores projectiles still in their spawn grace period', () => {
+        placeProjectile(engine, 0, engine.player.radius, { age: 0.1 });
+
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+    });
+
+    it('counts a gap pass once', () => {
+        placeProjectile(engine, DOT_SPACING / 2, engine.player.radius);
+
+        engine.checkCollisions();
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.combo, 1);
+        assert.strictEqual(engine.projectilesDodgedThisGame, 1);
+    });
+
+    it('absorbs projectiles that reach the centre shape', () => {
+        const projectile = placeProjectile(engine, DOT_SPACING / 2, 0);
+        projectile.dodged = true;
+
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(projectile.active, false);
+        assert.ok(engine.score > 0);
+    });
+});
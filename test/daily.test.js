@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, DataManager, MemoryStorage, RandomService } = game;
+
+function center(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Headless engine with a helper to tap a Pause screen button
+ */
+function createEngine(storage = new MemoryStorage()) {
+    const engine = new game.GameEngine(null, null, { headless: true, storage });
+    engine.tap = (bounds) => {
+        const input = engine.inputManager;
+        const point = center(bounds);
+        input.wasJustPressed = true;
+        input.getPrimaryTouch = () => point;
+        engine.updatePaused(0);
+        delete input.getPrimaryTouch;
+        input.wasJustPressed = false;
+    };
+    return engine;
+}
+
+describe('Daily date keys', () => {
+    it('formats the local calendar date as YYYY-MM-DD', () => {
+        assert.strictEqual(DataManager.getDateKey(new Date(2024, 0, 5)), '2024-01-05');
+        assert.strictEqual(DataManager.getDateKey(new Date(2024, 11, 31, 23, 59)), '2024-12-31');
+        assert.strictEqual(DataManager.getDateKey(new Date(2025, 2, 1, 0, 0)), '2025-03-01');
+    });
+
+    it('steps back a day across month, year and leap-day boundaries', () => {
+        assert.strictEqual(DataManager.getPreviousDateKey('2024-01-05'), '2024-01-04');
+        assert.strictEqual(DataManager.getPreviousDateKey('2024-03-01'), '2024-02-29');
+        assert.strictEqual(DataManager.getPreviousDateKey('2023-03-01'), '2023-02-28');
+        assert.strictEqual(DataManager.getPreviousDateKey('2025-01-01'), '2024-12-31');
+    });
+});
+
+describe('Daily streak', () => {
+    it('continues on consecutive days', () => {
+        const data = new DataManager(new MemoryStorage());
+        data.updateDailyStreak('2024-02-28');
+        data.updateDailyStreak('2024-02-29');
+        data.updateDailyStreak('2024-03-01');
+
+        assert.strictEqual(data.getDailyStreak('2024-03-01'), 3);
+        assert.strictEqual(data.getDailyStreak('2024-03-02'), 3, 'still alive the next day');
+        assert.strictEqual(data.getPlayerStats().bestDailyStreak, 3);
+    });
+
+    it('counts a day once however often it is finished', () => {
+        const data = new DataManager(new MemoryStorage());
+        data.updateDailyStreak('2024-03-01');
+        data.updateDailyStreak('2024-03-01');
+
+        assert.strictEqual(data.getDailyStreak('2024-03-01'), 1);
+    });
+
+    it('resets after a missed day, keeping the best streak', () => {
+        const data = new DataManager(new MemoryStorage());
+        data.updateDailyStreak('2024-03-01');
+        data.updateDailyStreak('2024-03-02');
+
+        assert.strictEqual(data.getDailyStreak('2024-03-04'), 0, 'broken before playing');
+        data.updateDailyStreak('2024-03-04');
+        assert.strictEqual(data.getDailyStreak('2024-03-04'), 1);
+        assert.strictEqual(data.getPlayerStats().bestDailyStreak, 2);
+    });
+});
+
+describe('Daily challenge runs', () => {
+    it('plays the run seeded from today\'s date', () => {
+        const engine = createEngine();
+        engine.startDailyChallenge();
+
+        assert.strictEqual(engine.gameMode, GameMode.DAILY);
+        assert.strictEqual(engine.dailyDateKey, DataManager.getDateKey());
+        assert.strictEqual(engine.runSeed, RandomService.seedFromString(`daily-${engine.dailyDateKey}`));
+    });
+
+    it('scores the first launch of the day and makes the second a practice run', () => {
+        const engine = createEngine();
+        engine.startDailyChallenge();
+        const dateKey = engine.dailyDateKey;
+        assert.strictEqual(engine.dailyPractice, false);
+        assert.ok(engine.dataManager.getDailyEntry(dateKey), 'attempt used up at launch');
+        engine.score = 400;
+        engine.gameOver();
+        assert.strictEqual(engine.dataManager.getDailyEntry(dateKey).score, 400);
+        assert.strictEqual(engine.dataManager.getDailyStreak(dateKey), 1);
+
+        engine.startDailyChallenge();
+        assert.strictEqual(engine.dailyPractice, true);
+        assert.ok(engine.ghostReplayPlayer, 'races the scored attempt');
+        engine.score = 900;
+        engine.gameOver();
+
+        assert.strictEqual(engine.dataManager.getDailyEntry(dateKey).score, 400);
+        assert.strictEqual(engine.dataManager.loadDailyScores().length, 1);
+        assert.strictEqual(engine.dataManager.getDailyStreak(dateKey), 1);
+    });
+
+    it('keeps the score so far and the streak when the scored run is quit', () => {
+        const engine = createEngine();
+        engine.startDailyChallenge();
+        const dateKey = engine.dailyDateKey;
+        engine.step(60);
+        engine.score = 300;
+        engine.currentState = GameState.PAUSED;
+
+        engine.tap(engine.getQuitButtonBounds());
+
+        assert.strictEqual(engine.currentState, GameState.MENU);
+        assert.strictEqual(engine.dataManager.getDailyEntry(dateKey).score, 300);
+        assert.ok(engine.dataManager.loadDailyReplay(dateKey), 'replay kept');
+        assert.strictEqual(engine.dataManager.getDailyStreak(dateKey), 1);
+    });
+
+    it('saves nothing when a practice run is quit', () => {
+        const engine = createEngine();
+        engine.startDailyChallenge();
+        engine.gameOver();
+        engine.startDailyChallenge();
+        assert.strictEqual(engine.dailyPractice, true);
+        engine.score = 900;
+        engine.currentState = GameState.PAUSED;
+
+        engine.tap(engine.getQuitButtonBounds());
+
+        assert.strictEqual(engine.dataManager.getDailyEntry(engine.dailyDateKey).score, 0);
+    });
+});
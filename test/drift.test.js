@@ -0,0 +1,215 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameMode, ProjectileType, MemoryStorage, STAGE_RULES, DRIFT_PATHS, GAME_WIDTH, GAME_HEIGHT } = game;
+
+/**
+ * Run the drift alone (no shots, so a no-input run can't end)
+ */
+function drift(engine, seconds) {
+    for (let i = 0; i < Math.round(seconds / TICK); i++) {
+        engine.updateDrift(TICK);
+        engine.updateCenterShape(TICK);
+    }
+}
+
+function offset(engine) {
+    return { x: engine.player.x - GAME_WIDTH / 2, y: engine.player.y - GAME_HEIGHT / 2 };
+}
+
+/**
+ * Closest a straight shot comes to the drifting center, following both forward in time
+ */
+function closestApproach(engine, projectile) {
+    let closest = Infinity;
+    for (let t = 0; t < 10; t += TICK / 4) {
+        const center = engine.getDriftCenter(engine.drift.time + t);
+        const x = projectile.x + projectile.vx * t;
+        const y = projectile.y + projectile.vy * t;
+        closest = Math.min(closest, Math.hypot(x - center.x, y - center.y));
+    }
+    return closest;
+}
+
+describe('Drifting center', () => {
+    it('comes from stage rules naming a drift path', () => {
+        const drifting = STAGE_RULES.filter(rule => rule.drift);
+        assert.ok(drifting.length > 0);
+        assert.ok(drifting.every(rule => DRIFT_PATHS[rule.drift]));
+    });
+
+    it('blends smoothly onto its path from the middle', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'ORBIT' });
+        let previous = offset(engine);
+
+        for (let i = 0; i < Math.round(engine.driftBlendTime / TICK); i++) {
+            drift(engine, TICK);
+            const current = offset(engine);
+            assert.ok(Math.hypot(current.x - previous.x, current.y - previous.y) < 2, `tick ${i}`);
+            previous = current;
+        }
+
+        drift(engine, 5);
+        const { x, y } = offset(engine);
+        assert.ok(Math.abs(Math.hypot(x, y) - DRIFT_PATHS.ORBIT.amplitudeX) < 1e-6, 'on the orbit');
+    });
+
+    it('traces a Lissajous curve once blended in', () => {
+        const engine = startRun(game);
+        const path = DRIFT_PATHS.LISSAJOUS;
+        engine.applyStageRule({ drift: 'LISSAJOUS' });
+        drift(engine, engine.driftBlendTime + 1);
+
+        const cycle = Math.PI * 2 * engine.drift.time / path.period;
+        const { x, y } = offset(engine);
+        assert.ok(Math.abs(x - path.amplitudeX * Math.sin(cycle * path.frequencyX + path.phase * Math.PI / 180)) < 1e-6);
+        assert.ok(Math.abs(y - path.amplitudeY * Math.sin(cycle * path.frequencyY)) < 1e-6);
+    });
+
+    it('switches paths without a jump', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'ORBIT' });
+        drift(engine, 6);
+        const before = offset(engine);
+
+        engine.applyStageRule({ drift: 'LISSAJOUS' });
+        drift(engine, TICK);
+
+        const after = offset(engine);
+        assert.ok(Math.hypot(after.x - before.x, after.y - before.y) < 2);
+    });
+
+    it('carries the center shape, the inner ring and the ghost ring along', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        engine.ghostPlayer = new game.Player(GAME_WIDTH / 2, GAME_HEIGHT / 2);
+        engine.applyStageRule({ drift: 'LISSAJOUS' });
+
+        drift(engine, 4);
+
+        const { x, y } = engine.player;
+        assert.notStrictEqual(x, GAME_WIDTH / 2);
+        for (const follower of [engine.innerRing, engine.ghostPlayer, engine.centerShape]) {
+            assert.strictEqual(follower.x, x);
+            assert.strictEqual(follower.y, y);
+        }
+    });
+
+    it('keeps the previous tick\'s center for drawing between ticks', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        engine.applyStageRule({ drift: 'ORBIT' });
+        drift(engine, 4);
+        const before = { x: engine.player.x, y: engine.player.y };
+        drift(engine, TICK);
+
+        for (const follower of [engine.player, engine.innerRing, engine.centerShape]) {
+            assert.strictEqual(follower.prevX, before.x);
+            assert.strictEqual(follower.prevY, before.y);
+        }
+        const halfway = engine.player.getRenderPosition(0.5);
+        assert.strictEqual(halfway.x, (before.x + engine.player.x) / 2);
+        assert.strictEqual(halfway.y, (before.y + engine.player.y) / 2);
+
+        // The tracking camera follows the drawn ring, not the latest tick
+        engine.cameraTracking = true;
+        engine.renderAlpha = 0.5;
+        const camera = engine.getCameraOffset();
+        assert.strictEqual(halfway.x + camera.x, GAME_WIDTH / 2);
+        assert.strictEqual(halfway.y + camera.y, GAME_HEIGHT / 2);
+
+        engine.startGame(GameMode.CLASSIC, { seed: 2 });
+        assert.strictEqual(engine.centerShape.prevX, undefined, 'nothing to blend from in a new run');
+        assert.strictEqual(engine.centerShape.x, GAME_WIDTH / 2);
+    });
+
+    it('moves during play, but not behind the stage card', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'ORBIT' });
+        engine.step(30);
+        assert.notStrictEqual(engine.player.y, GAME_HEIGHT / 2);
+
+        engine.triggerDifficultyIncrease();
+        const { x, y } = engine.player;
+        engine.step(10);
+
+        assert.strictEqual(engine.player.x, x);
+        assert.strictEqual(engine.player.y, y);
+    });
+
+    it('leads straight shots to where the center will be', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'LISSAJOUS' });
+        drift(engine, engine.driftBlendTime + 2);
+        let led = 0;
+        let unled = 0;
+
+        for (let i = 0; i < 8; i++) {
+            const projectile = engine.spawnProjectile({ type: ProjectileType.NORMAL });
+            const approach = closestApproach(engine, projectile);
+            assert.ok(approach < engine.player.radius, `shot ${i} reaches the ring`);
+            led += approach;
+
+            // The same shot aimed where the center is at launch
+            const heading = Math.atan2(engine.player.y - projectile.y, engine.player.x - projectile.x);
+            projectile.vx = Math.cos(heading) * projectile.speed;
+            projectile.vy = Math.sin(heading) * projectile.speed;
+            unled += closestApproach(engine, projectile);
+            engine.projectilePool.release(projectile);
+        }
+
+        assert.ok(led < unled / 2, `led ${led.toFixed(0)}, unled ${unled.toFixed(0)}`);
+    });
+
+    it('keeps steering shots aimed at the moving center', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'ORBIT' });
+        drift(engine, 5);
+        const projectile = engine.spawnProjectile({ type: ProjectileType.CURVING });
+
+        engine.updateDrift(TICK);
+        engine.updateProjectiles(TICK);
+
+        assert.strictEqual(projectile.targetX, engine.player.x);
+        assert.strictEqual(projectile.targetY, engine.player.y);
+    });
+
+    it('only moves the camera when tracking is on', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ drift: 'ORBIT' });
+        drift(engine, 5);
+        assert.strictEqual(JSON.stringify(engine.getCameraOffset()), JSON.stringify({ x: 0, y: 0 }));
+
+        engine.cameraTracking = true;
+        const camera = engine.getCameraOffset();
+        assert.strictEqual(engine.player.x + camera.x, GAME_WIDTH / 2);
+        assert.strictEqual(engine.player.y + camera.y, GAME_HEIGHT / 2);
+    });
+
+    it('measures a second touch from where the tracking camera shows the rings', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        engine.applyStageRule({ drift: 'ORBIT' });
+        drift(engine, 5);
+        engine.cameraTracking = true;
+
+        // On screen the rings sit in the middle; the touch is straight below them
+        engine.inputManager.getAllTouches = () => [{ x: 0, y: 0 }, { x: GAME_WIDTH / 2, y: GAME_HEIGHT / 2 + 200 }];
+
+        assert.strictEqual(engine.getInnerRingInput(), game.Replay.quantizeAngle(Math.PI / 2));
+    });
+
+    it('saves the camera setting', () => {
+        const storage = new MemoryStorage();
+        const engine = new game.GameEngine(null, null, { headless: true, storage });
+        assert.strictEqual(engine.cameraTracking, false, 'off by default');
+        const button = engine.getCameraButtonBounds();
+        engine.inputManager.wasJustPressed = true;
+        engine.inputManager.getPrimaryTouch = () => ({ x: button.x + button.width / 2, y: button.y + button.height / 2 });
+
+        engine.updateSettings(0);
+
+        assert.strictEqual(engine.cameraTracking, true);
+        assert.strictEqual(new game.GameEngine(null, null, { headless: true, storage }).cameraTracking, true);
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startHeadlessGame, startRun, placeOnRing, replayRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, Replay, ChallengeCode, RING_LAYOUTS, MODE_RING, MODE_HEALTH, HEALTH_MODELS, DUAL_RINGS } = game;
+
+/**
+ * Put a projectile on a ring, in the middle of one of its gaps or on one of its dots
+ */
+function placeOnGapOrDot(engine, ring, { gap, dot }) {
+    return placeOnRing(engine, gap !== undefined ? (ring.gaps[gap][0] + ring.gaps[gap][1]) / 2 : ring.dots[dot].angle, ring);
+}
+
+/**
+ * Hold a second finger at a point (the first one stays off the joystick)
+ */
+function holdSecondTouch(engine, point) {
+    engine.inputManager.getAllTouches = () => point ? [{ x: 0, y: 0 }, point] : [];
+}
+
+describe('Dual rings', () => {
+    it('puts the joystick ring around an inner ring with its own gaps', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        const [outer, inner] = engine.getRings();
+
+        assert.strictEqual(outer, engine.player);
+        assert.strictEqual(inner, engine.innerRing);
+        assert.strictEqual(outer.radius, DUAL_RINGS.outerRadius);
+        assert.ok(inner.radius < outer.radius);
+        assert.strictEqual(outer.layout, RING_LAYOUTS[MODE_RING.DUAL]);
+        assert.strictEqual(inner.layout, RING_LAYOUTS[DUAL_RINGS.inner]);
+        assert.strictEqual(inner.dotColor, DUAL_RINGS.innerColor);
+        assert.strictEqual(engine.healthModel, HEALTH_MODELS[MODE_HEALTH.DUAL]);
+
+        const classic = startHeadlessGame(game);
+        assert.strictEqual(classic.innerRing, null);
+        assert.strictEqual(classic.getRings().length, 1);
+    });
+
+    it('only counts a dodge once a shot has threaded both rings', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+
+        const projectile = placeOnGapOrDot(engine, engine.player, { gap: 0 });
+        engine.checkCollisions();
+        assert.strictEqual(projectile.ringsPassed, 1);
+        assert.strictEqual(projectile.dodged, false);
+        assert.strictEqual(engine.combo, 0);
+        engine.projectilePool.release(projectile);
+
+        const threaded = placeOnGapOrDot(engine, engine.innerRing, { gap: 0 });
+        threaded.ringsPassed = 1;
+        engine.checkCollisions();
+        assert.strictEqual(threaded.ringsPassed, 2);
+        assert.strictEqual(threaded.dodged, true);
+        assert.strictEqual(engine.combo, 1);
+    });
+
+    it('does not let a shot skip the outer ring through an inner gap', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        const projectile = placeOnGapOrDot(engine, engine.innerRing, { gap: 0 });
+
+        engine.checkCollisions();
+
+        assert.strictEqual(projectile.ringsPassed, 0);
+        assert.strictEqual(projectile.dodged, false);
+    });
+
+    it('flashes whichever ring was hit', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        placeOnGapOrDot(engine, engine.player, { dot: 0 });
+        engine.checkCollisions();
+        assert.ok(engine.player.hitFlash > 0, 'outer');
+        assert.strictEqual(engine.innerRing.hitFlash, 0);
+        assert.strictEqual(engine.lives, HEALTH_MODELS.LIVES.lives - 1);
+
+        const other = startRun(game, { mode: GameMode.DUAL });
+        const projectile = placeOnGapOrDot(other, other.innerRing, { dot: 1 });
+        projectile.ringsPassed = 1;
+        other.checkCollisions();
+        assert.ok(other.innerRing.hitFlash > 0, 'inner');
+        assert.strictEqual(other.player.hitFlash, 0);
+        assert.strictEqual(projectile.active, false);
+    });
+
+    it('clears the stage when the center shape fills the inner ring', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        engine.centerShape.size = engine.centerShape.maxSize;
+
+        const projectile = placeOnGapOrDot(engine, engine.innerRing, { gap: 0 });
+        engine.handleShapeAbsorption(projectile);
+
+        assert.strictEqual(engine.stage, 2);
+    });
+
+    it('spins the inner ring against the way the outer ring last turned', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        const inner = engine.innerRing;
+
+        const turned = () => inner.getRenderAngle(1) - inner.getRenderAngle(0); // Last tick's turn, unwrapped
+        const spin = DUAL_RINGS.innerSpin * TICK;
+
+        engine.updateInnerRing(TICK);
+        assert.ok(Math.abs(turned() + spin) < 1e-9, 'idle: its own way');
+
+        engine.player.rotationSpeed = -2;
+        engine.updateInnerRing(TICK);
+        assert.ok(Math.abs(turned() - spin) < 1e-9, 'against the outer ring');
+
+        engine.player.rotationSpeed = 0;
+        engine.updateInnerRing(TICK);
+        assert.ok(Math.abs(turned() - spin) < 1e-9, 'keeps going when the outer ring stops');
+    });
+
+    it('turns the inner ring toward a second touch, and records it', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        const inner = engine.innerRing;
+        holdSecondTouch(engine, { x: inner.x, y: inner.y + 200 }); // Straight down
+
+        for (let i = 0; i < 60; i++) {
+            engine.updatePlaying(TICK);
+        }
+
+        assert.ok(Math.abs(inner.angle - Math.PI / 2) < 0.01, `angle ${inner.angle}`);
+        assert.strictEqual(engine.replayRecorder.events.filter(event => event[1] === 'inner').length, 1, 'recorded once');
+
+        holdSecondTouch(engine, null);
+        engine.updatePlaying(TICK);
+        assert.strictEqual(engine.innerRingInput, Replay.NO_INPUT);
+        assert.strictEqual(engine.replayRecorder.events.filter(event => event[1] === 'inner').length, 2, 'release recorded');
+    });
+
+    it('replays the inner ring tick for tick', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL, seed: 3 });
+        const inner = engine.innerRing;
+        const ticks = 150;
+        for (let i = 0; i < ticks && engine.currentState === GameState.PLAYING; i++) {
+            holdSecondTouch(engine, i >= 30 && i < 90 ? { x: inner.x - 200, y: inner.y } : null);
+            engine.updatePlaying(TICK);
+        }
+        const played = inner.angle;
+
+        replayRun(engine);
+
+        assert.strictEqual(engine.innerRing.angle, played);
+    });
+
+    it('is on the menu and in challenge codes', () => {
+        const engine = new game.GameEngine(null, null, { headless: true });
+        const button = engine.getDualButtonBounds();
+        const input = engine.inputManager;
+        input.wasJustPressed = true;
+        input.getPrimaryTouch = () => ({ x: button.x + button.width / 2, y: button.y + button.height / 2 });
+        engine.updateMenu(0);
+
+        assert.strictEqual(engine.gameMode, GameMode.DUAL);
+        assert.ok(engine.innerRing);
+
+        const decoded = ChallengeCode.decode(engine.getChallengeCode());
+        assert.strictEqual(decoded.mode, GameMode.DUAL);
+    });
+
+    it('keeps its own best score and ghost, leaving Classic\'s alone', () => {
+        const engine = new game.GameEngine(null, null, { headless: true });
+        engine.startGame(GameMode.CLASSIC, { seed: 1 });
+        engine.step(30);
+        engine.score = 300;
+        engine.gameOver();
+        engine.startGame(GameMode.DUAL, { seed: 2 });
+        engine.step(30);
+        engine.score = 900;
+        engine.gameOver();
+
+        assert.strictEqual(engine.getBestScore(), 900);
+        assert.strictEqual(engine.highScore, 300, 'the one-hit best is unchanged');
+
+        engine.startGame(GameMode.CLASSIC);
+        assert.ok(engine.ghostReplayPlayer, 'Classic still has its ghost');
+        assert.strictEqual(engine.ghostReplayPlayer.replay.seed, 1);
+        engine.startGame(GameMode.DUAL);
+        assert.strictEqual(engine.ghostReplayPlayer.replay.seed, 2);
+    });
+});
+
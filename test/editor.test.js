@@ -0,0 +1,158 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, MemoryStorage, SpawnPattern, PatternType } = game;
+
+function center(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+describe('Pattern editor', () => {
+    let storage;
+    let engine;
+
+    /**
+     * Tap a named editor button
+     */
+    function tapButton(name) {
+        const { x, y } = center(engine.getEditorButtons()[name]);
+        engine.handleEditorTap(x, y);
+    }
+
+    /**
+     * Tap the placement band at a direction (degrees) and delay (seconds)
+     */
+    function tapRing(angle, delay) {
+        const { x, y } = engine.getEditorEventPosition({ angle, delay });
+        engine.handleEditorTap(x, y);
+    }
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        engine = new game.GameEngine(null, null, { headless: true, storage });
+        engine.openEditor();
+    });
+
+    it('opens on an empty draft', () => {
+        assert.strictEqual(engine.currentState, GameState.EDITOR);
+        assert.strictEqual(engine.editorDraft.id, 'custom-1');
+        assert.strictEqual(engine.editorDraft.events.length, 0);
+    });
+
+    it('places events around the ring, snapped to the grid', () => {
+        tapRing(47, 1.23);
+
+        const [event] = engine.editorDraft.events;
+        assert.strictEqual(event.angle, 45);
+        assert.strictEqual(event.delay, 1.2);
+        assert.strictEqual(event.speed, 1);
+        assert.strictEqual(event.projectile, 'NORMAL');
+        assert.strictEqual(engine.editorSelected, 0);
+    });
+
+    it('selects an event instead of stacking a new one on it', () => {
+        tapRing(0, 1);
+        tapRing(180, 2);
+        tapRing(0, 1);
+
+        assert.strictEqual(engine.editorDraft.events.length, 2);
+        assert.strictEqual(engine.editorSelected, 0);
+    });
+
+    it('selects events from the timeline', () => {
+        tapRing(0, 1);
+        tapRing(90, 3);
+        const timeline = engine.getEditorTimelineBounds();
+        engine.handleEditorTap(timeline.x + timeline.width * (1 / engine.editorMaxDelay), timeline.y);
+
+        assert.strictEqual(engine.editorSelected, 0);
+    });
+
+    it('edits the selected event with the buttons', () => {
+        tapRing(90, 1);
+        tapButton('delayUp');
+        tapButton('delayUp');
+        tapButton('delayDown');
+        tapButton('speed');
+        tapButton('type');
+
+        const [event] = engine.editorDraft.events;
+        assert.strictEqual(event.delay, 1.1);
+        assert.strictEqual(event.speed, 1.2);
+        assert.strictEqual(event.projectile, 'HOMING');
+
+        tapButton('delete');
+        assert.strictEqual(engine.editorDraft.events.length, 0);
+        assert.strictEqual(engine.editorSelected, -1);
+    });
+
+    it('keeps delays on the timeline', () => {
+        tapRing(0, 0);
+        tapButton('delayDown');
+        assert.strictEqual(engine.editorDraft.events[0].delay, 0);
+    });
+
+    it('saves to storage and reopens the saved pattern', () => {
+        tapRing(0, 0);
+        tapRing(180, 0.5);
+        tapButton('tier');
+        tapButton('save');
+
+        const reopened = new game.GameEngine(null, null, { headless: true, storage });
+        reopened.openEditor();
+        assert.strictEqual(reopened.editorDraft.id, 'custom-1');
+        assert.strictEqual(reopened.editorDraft.tier, 'medium');
+        assert.strictEqual(reopened.editorDraft.events.length, 2);
+
+        tapButton('new');
+        assert.strictEqual(engine.editorDraft.id, 'custom-2', 'new drafts get a fresh id');
+    });
+
+    it('does not save or export an empty draft', () => {
+        assert.strictEqual(engine.saveEditorPattern(), false);
+        assert.strictEqual(engine.exportEditorPattern(), null);
+        assert.strictEqual(engine.dataManager.loadCustomPatterns().length, 0);
+    });
+
+    it('exports JSON the pattern loader accepts', () => {
+        tapRing(270, 0);
+        tapRing(90, 0.8);
+        tapButton('speed');
+
+        const data = JSON.parse(engine.exportEditorPattern());
+        const pattern = SpawnPattern.fromJSON(data);
+        assert.strictEqual(pattern.type, PatternType.SEQUENCE);
+        assert.strictEqual(pattern.events.length, 2);
+        assert.strictEqual(pattern.events[1].speed, 1.2);
+    });
+
+    it('previews the draft live and returns to the editor when the run ends', () => {
+        tapRing(0, 0);
+        tapRing(180, 1);
+        tapButton('preview');
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(engine.editorPreview, true);
+        const patterns = engine.patternScheduler.library.patterns;
+        assert.strictEqual(patterns.length, 1);
+        assert.strictEqual(patterns[0].id, 'custom-1');
+
+        engine.player.radius = 1; // Nothing to dodge: keep the preview running
+        const angles = new Set();
+        for (let tick = 0; tick < 60 * 3; tick++) {
+            engine.step(1);
+            for (const { plan } of engine.pendingSpawns) {
+                angles.add(Math.round(Math.atan2(plan.y - engine.player.y, plan.x - engine.player.x) * 180 / Math.PI));
+            }
+        }
+        engine.gameOver();
+
+        assert.strictEqual(engine.currentState, GameState.EDITOR);
+        assert.strictEqual(engine.editorPreview, false);
+        assert.strictEqual(engine.gameCount, 0, 'preview runs are not counted');
+        assert.strictEqual(engine.dataManager.loadHighScores().length, 0);
+        assert.deepStrictEqual([...angles].map(Math.abs).sort((a, b) => a - b), [0, 180], 'spawns at the placed angles');
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { ProjectileType, Physics, SpawnPattern, PatternLibrary, PatternScheduler, STAGE_RULES, GRAVITY_WELLS, GAME_WIDTH, GAME_HEIGHT } = game;
+
+/**
+ * Place wells and run them up to full strength
+ */
+function placeWells(engine, wells) {
+    engine.placeGravityWells('stage', wells);
+    for (let i = 0; i < Math.ceil(engine.wellFadeTime / TICK); i++) {
+        engine.updateGravityWells(TICK);
+    }
+}
+
+/**
+ * Library of a single one-shot pattern
+ */
+function makeLibrary(fields) {
+    return PatternLibrary.fromJSON({
+        tiers: [{ name: 'easy', minDifficulty: 1 }],
+        patterns: [{ id: 'shot', type: 'burst', tier: 'easy', count: 1, ...fields }]
+    });
+}
+
+function well(x, y, strength = 4000000, range = 320, softening = 70) {
+    return { x, y, strength, range, softening };
+}
+
+describe('Physics.applyGravity', () => {
+    it('pulls toward a well, harder up close', () => {
+        const physics = new Physics();
+        const near = { x: 100, y: 0, vx: 0, vy: 0 };
+        const far = { x: 300, y: 0, vx: 0, vy: 0 };
+
+        physics.applyGravity(near, TICK, [well(0, 0)]);
+        physics.applyGravity(far, TICK, [well(0, 0)]);
+
+        assert.ok(near.vx < far.vx && far.vx < 0, 'toward the well');
+        assert.strictEqual(near.vy, 0);
+        assert.ok(Math.abs(near.vx + 4000000 / (100 * 100 + 70 * 70) * TICK) < 1e-9);
+    });
+
+    it('has no pull beyond range, and adds wells together', () => {
+        const physics = new Physics();
+        const outside = { x: 400, y: 0, vx: 0, vy: 0 };
+        physics.applyGravity(outside, TICK, [well(0, 0)]);
+        assert.strictEqual(outside.vx, 0);
+
+        const between = { x: 0, y: 0, vx: 0, vy: 0 };
+        physics.applyGravity(between, TICK, [well(-100, 0), well(100, 0)]);
+        assert.ok(Math.abs(between.vx) < 1e-9, 'balanced');
+    });
+
+    it('keeps an object\'s own gravity', () => {
+        const physics = new Physics();
+        const falling = { x: 0, y: 0, vx: 0, gravity: 100 };
+
+        physics.applyGravity(falling, 0.5);
+
+        assert.strictEqual(falling.vy, 50);
+        const still = { x: 0, y: 0, vx: 0, vy: 0 };
+        physics.applyGravity(still, 0.5);
+        assert.strictEqual(still.vy, 0);
+    });
+});
+
+describe('Gravity wells', () => {
+    it('come from stage rules naming a preset', () => {
+        const placing = STAGE_RULES.filter(rule => rule.wells);
+        assert.ok(placing.length > 0);
+        assert.ok(placing.every(rule => GRAVITY_WELLS[rule.wells]));
+
+        const engine = startRun(game);
+        engine.applyStageRule({ wells: 'PAIR' });
+
+        assert.strictEqual(engine.gravityWells.length, GRAVITY_WELLS.PAIR.length);
+        const [first] = engine.gravityWells;
+        assert.strictEqual(first.x, GAME_WIDTH / 2 + GRAVITY_WELLS.PAIR[0].x);
+        assert.strictEqual(first.y, GAME_HEIGHT / 2 + GRAVITY_WELLS.PAIR[0].y);
+    });
+
+    it('fade in, and fade out when a later rule replaces them', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ wells: 'PAIR' });
+        assert.strictEqual(engine.gravityWells[0].strength, 0, 'no pull at first');
+
+        placeWells(engine, GRAVITY_WELLS.ORBIT);
+        assert.strictEqual(engine.gravityWells.length, GRAVITY_WELLS.ORBIT.length, 'the pair has faded away');
+        assert.strictEqual(engine.gravityWells[0].strength, GRAVITY_WELLS.ORBIT[0].strength);
+    });
+
+    it('move along their orbit', () => {
+        const engine = startRun(game);
+        const orbit = { x: 0, y: 0, orbit: 200, period: 8, phase: 0 };
+        placeWells(engine, [orbit]);
+        const [moving] = engine.gravityWells;
+
+        for (let i = 0; i < Math.round(2 / TICK) - Math.ceil(engine.wellFadeTime / TICK); i++) {
+            engine.updateGravityWells(TICK);
+        }
+
+        // A quarter of the way round after 2 of its 8 seconds
+        assert.ok(Math.abs(moving.x - GAME_WIDTH / 2) < 1e-6, `x ${moving.x}`);
+        assert.ok(Math.abs(moving.y - (GAME_HEIGHT / 2 + 200)) < 1e-6, `y ${moving.y}`);
+        assert.strictEqual(moving.baseStrength, engine.wellStrength, 'default strength');
+    });
+
+    it('bend shots that pass near them', () => {
+        const straight = startRun(game);
+        const bent = startRun(game);
+        placeWells(bent, [{ x: 100, y: -400 }]);
+        const shots = [straight, bent].map(engine => engine.projectilePool.acquire(GAME_WIDTH / 2, -20, GAME_WIDTH / 2, GAME_HEIGHT / 2, 250));
+
+        for (let i = 0; i < 60; i++) {
+            straight.updateProjectiles(TICK);
+            bent.updateProjectiles(TICK);
+        }
+
+        assert.strictEqual(shots[0].x, GAME_WIDTH / 2);
+        assert.ok(shots[1].x > GAME_WIDTH / 2 + 10, `pulled right to ${shots[1].x.toFixed(1)}`);
+    });
+
+    it('leave dodged and telegraphing shots alone', () => {
+        const engine = startRun(game);
+        placeWells(engine, [{ x: 100, y: 0 }]);
+        const { x, y } = engine.player;
+
+        const dodged = engine.projectilePool.acquire(x + 40, y, x, y, 200);
+        dodged.dodged = true;
+        const waiting = engine.spawnProjectile({ type: ProjectileType.DELAYED });
+        waiting.phase = 'telegraph';
+        waiting.x = x + 200;
+        waiting.y = y;
+        waiting.vx = 0;
+        waiting.vy = 0;
+
+        engine.updateProjectiles(TICK);
+
+        assert.strictEqual(dodged.vy, 0);
+        assert.strictEqual(dodged.vx, -200);
+        assert.strictEqual(waiting.vx, 0);
+    });
+
+    it('come and go with the patterns that bring them', () => {
+        const engine = startRun(game);
+        engine.patternScheduler = new PatternScheduler(makeLibrary({ wells: [{ x: 0, y: -300 }] }));
+
+        engine.updatePatternSpawning(TICK);
+        assert.strictEqual(engine.gravityWells.length, 1);
+        assert.strictEqual(engine.gravityWells[0].source, 'pattern');
+
+        engine.applyStageRule({ wells: 'PAIR' });
+        engine.patternScheduler = new PatternScheduler(makeLibrary({}));
+        engine.updatePatternSpawning(TICK);
+        for (let i = 0; i < Math.ceil(engine.wellFadeTime / TICK); i++) {
+            engine.updateGravityWells(TICK);
+        }
+
+        assert.ok(engine.gravityWells.every(placed => placed.source === 'stage'), 'the pattern\'s well faded out, the stage\'s stayed');
+        assert.strictEqual(engine.gravityWells.length, GRAVITY_WELLS.PAIR.length);
+    });
+
+    it('are validated and saved with their pattern', () => {
+        const data = { id: 'x', type: 'ring', tier: 'easy', count: 4, wells: [{ x: 0, y: 200, orbit: 100, period: 6 }] };
+        assert.strictEqual(JSON.stringify(SpawnPattern.fromJSON(data).toJSON().wells), JSON.stringify(data.wells));
+
+        assert.throws(() => SpawnPattern.fromJSON({ ...data, wells: { x: 0, y: 0 } }), /list/);
+        assert.throws(() => SpawnPattern.fromJSON({ ...data, wells: [{ x: 0 }] }), /x and a y/);
+        assert.throws(() => SpawnPattern.fromJSON({ ...data, wells: [{ x: 0, y: 0, strength: -1 }] }), /strength/);
+        assert.throws(() => SpawnPattern.fromJSON({ ...data, wells: [{ x: 0, y: 0, orbit: 50 }] }), /period/);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, DOT_SPACING, loadGame, startRun, placeOnRing } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, HEALTH_MODELS, MODE_HEALTH } = game;
+
+/**
+ * Put a projectile on dot 0 of the ring and run the collision check
+ */
+function hitDot(engine) {
+    const projectile = placeOnRing(engine, 0);
+    engine.checkCollisions();
+    return projectile;
+}
+
+describe('Health models', () => {
+    it('keeps one-hit death in Classic and Daily', () => {
+        assert.strictEqual(MODE_HEALTH[GameMode.CLASSIC], 'ONE_HIT');
+        assert.strictEqual(MODE_HEALTH[GameMode.DAILY], 'ONE_HIT');
+        assert.ok(HEALTH_MODELS[MODE_HEALTH[GameMode.RHYTHM]], 'Rhythm has a model');
+
+        const engine = startRun(game);
+        hitDot(engine);
+        assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+    });
+
+    describe('lives', () => {
+        it('costs a heart per hit and ends the run on the last one', () => {
+            const engine = startRun(game, { health: 'LIVES' });
+            const lives = HEALTH_MODELS.LIVES.lives;
+            assert.strictEqual(engine.lives, lives);
+
+            for (let i = 1; i < lives; i++) {
+                hitDot(engine);
+                assert.strictEqual(engine.currentState, GameState.PLAYING, `hit ${i}`);
+                assert.strictEqual(engine.lives, lives - i);
+                assert.strictEqual(engine.combo, 0, 'combo resets');
+                engine.invulnerableTimer = 0;
+            }
+
+            hitDot(engine);
+            assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+        });
+
+        it('lets shots through harmlessly while invulnerable', () => {
+            const engine = startRun(game, { health: 'LIVES' });
+            hitDot(engine);
+            assert.strictEqual(engine.invulnerableTimer, HEALTH_MODELS.LIVES.invulnerability);
+
+            const projectile = hitDot(engine);
+
+            assert.strictEqual(engine.lives, HEALTH_MODELS.LIVES.lives - 1);
+            assert.strictEqual(projectile.active, false, 'broken up');
+            assert.strictEqual(engine.currentState, GameState.PLAYING);
+        });
+
+        it('ends invulnerability after its time', () => {
+            const engine = startRun(game, { health: 'LIVES' });
+            hitDot(engine);
+
+            engine.step(Math.ceil(HEALTH_MODELS.LIVES.invulnerability / TICK) + 1);
+
+            assert.strictEqual(engine.invulnerableTimer, 0);
+        });
+    });
+
+    describe('shield', () => {
+        it('takes one hit, then a hit without it ends the run', () => {
+            const engine = startRun(game, { health: 'SHIELD' });
+            assert.strictEqual(engine.shieldCharged, true);
+
+            hitDot(engine);
+            assert.strictEqual(engine.currentState, GameState.PLAYING);
+            assert.strictEqual(engine.shieldCharged, false);
+
+            engine.invulnerableTimer = 0;
+            hitDot(engine);
+            assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+        });
+
+        it('recharges', () => {
+            const engine = startRun(game, { health: 'SHIELD' });
+            hitDot(engine);
+
+            engine.updateHealth(HEALTH_MODELS.SHIELD.recharge - 0.5);
+            assert.strictEqual(engine.shieldCharged, false);
+            engine.updateHealth(0.5);
+            assert.strictEqual(engine.shieldCharged, true);
+        });
+
+        it('protects pattern editor previews', () => {
+            const engine = new game.GameEngine(null, null, { headless: true });
+            engine.openEditor();
+            engine.addEditorEvent(0, 0);
+            engine.startEditorPreview();
+
+            assert.strictEqual(engine.healthModel, HEALTH_MODELS.SHIELD);
+        });
+    });
+
+    it('resets health for every run', () => {
+        const engine = startRun(game, { health: 'LIVES' });
+        hitDot(engine);
+
+        engine.startGame(GameMode.CLASSIC, { seed: 1, health: 'LIVES' });
+
+        assert.strictEqual(engine.lives, HEALTH_MODELS.LIVES.lives);
+        assert.strictEqual(engine.invulnerableTimer, 0);
+    });
+
+    it('gap passes are unaffected', () => {
+        const engine = startRun(game, { health: 'LIVES' });
+        const projectile = placeOnRing(engine, DOT_SPACING / 2);
+
+        engine.checkCollisions();
+
+        assert.strictEqual(projectile.dodged, true);
+        assert.strictEqual(engine.lives, HEALTH_MODELS.LIVES.lives);
+    });
+
+    it('keeps scores from runs with lives off the Classic leaderboard', () => {
+        const engine = startRun(game, { mode: GameMode.DUAL });
+        engine.score = 900;
+        engine.gameOver();
+        engine.startGame(GameMode.CLASSIC, { seed: 1 });
+        engine.score = 300;
+        engine.gameOver();
+
+        const classic = engine.dataManager.loadHighScores(GameMode.CLASSIC);
+        assert.strictEqual(JSON.stringify(classic.map(entry => entry.score)), JSON.stringify([300]));
+        assert.strictEqual(engine.dataManager.loadHighScores(GameMode.DUAL)[0].score, 900);
+        assert.strictEqual(engine.topScores[0].score, 300, 'Game Over lists the mode\'s scores');
+    });
+});
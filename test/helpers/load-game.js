@@ -0,0 +1,147 @@
+/**
+ * Loads the browser game scripts into a Node vm context, in the same order as
+ * www/index.html, so tests can create headless GameEngines and game classes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'www', 'js');
+
+const SCRIPTS = [
+    'theme-manager.js',
+    'asset-loader.js',
+    'animations.js',
+    'random.js',
+    'replay.js',
+    'synthesizer.js',
+    'rhythm.js',
+    'patterns.js',
+    'challenge.js',
+    'game.js'
+];
+
+// Game code logs every score change; keep warnings and errors only
+const quietConsole = {
+    log() {},
+    info() {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Evaluate the game scripts in a fresh context
+ * @returns {Object} Top-level game declarations (classes and constants)
+ */
+function loadGame() {
+    const context = vm.createContext({
+        console: quietConsole,
+        performance,
+        setTimeout,
+        clearTimeout
+    });
+
+    for (const script of SCRIPTS) {
+        const code = fs.readFileSync(path.join(SCRIPT_DIR, script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+
+    // Top-level class and const declarations are not properties of the context object
+    return vm.runInContext(`({
+        GAME_WIDTH, GAME_HEIGHT, GameState, GameMode, ProjectileType, PROJECTILE_ARCHETYPES, STAGE_RULES,
+        HEALTH_MODELS, MODE_HEALTH, POWER_UPS, RING_LAYOUTS, MODE_RING, DUAL_RINGS, DRIFT_PATHS, GRAVITY_WELLS, OBSTACLE_LAYOUTS,
+        GameEngine, Player, Projectile, ProjectilePool, Physics, DataManager, MemoryStorage,
+        RandomService, Replay, ReplayPlayer,
+        PatternType, SpawnPattern, PatternLibrary, PatternScheduler, ChallengeCode
+    })`, context);
+}
+
+// Fixed simulation step of a headless engine (60Hz)
+const TICK = 1 / 60;
+
+// Angle between neighboring dots of the six-dot ring every mode plays on
+const DOT_SPACING = Math.PI * 2 / 6;
+
+/**
+ * Ticks needed to run out a timer of `seconds`
+ * @param {number} seconds - Timer length
+ * @returns {number} Tick count
+ */
+function ticksFor(seconds) {
+    return Math.ceil(seconds / TICK) + 1;
+}
+
+/**
+ * Create a headless engine with a run already started
+ * @param {Object} game - Result of loadGame()
+ * @param {Object} options - { mode?, seed?, health?, engine? } engine options are passed to GameEngine
+ * @returns {GameEngine} Engine in the PLAYING state
+ */
+function startHeadlessGame(game, options = {}) {
+    const engine = new game.GameEngine(null, null, { headless: true, ...(options.engine || {}) });
+    engine.startGame(options.mode || game.GameMode.CLASSIC, {
+        seed: options.seed !== undefined ? options.seed : 1,
+        health: options.health
+    });
+    return engine;
+}
+
+/**
+ * Start a headless run with no projectiles in play, for tests that place their own
+ * @param {Object} game - Result of loadGame()
+ * @param {Object} options - Same as startHeadlessGame()
+ * @returns {GameEngine} Engine in the PLAYING state
+ */
+function startRun(game, options = {}) {
+    const engine = startHeadlessGame(game, options);
+    engine.projectilePool.clear();
+    return engine;
+}
+
+/**
+ * Put a projectile on a ring at an angle from the ring's rotation, flying at its center
+ * (on the six-dot ring, 0 is dot 0 and DOT_SPACING / 2 the gap after it)
+ * @param {GameEngine} engine - Engine
+ * @param {number} offset - Angle from the ring's rotation in radians
+ * @param {Player} ring - Ring to place it on (the joystick ring by default)
+ * @returns {Projectile} The projectile (past its spawn grace period)
+ */
+function placeOnRing(engine, offset, ring = engine.player) {
+    const at = ring.angle + offset;
+    const projectile = engine.projectilePool.acquire(ring.x + Math.cos(at) * ring.radius, ring.y + Math.sin(at) * ring.radius, ring.x, ring.y, 200);
+    projectile.age = 1;
+    return projectile;
+}
+
+/**
+ * End the run in progress and watch its replay up to the last recorded tick
+ * @param {GameEngine} engine - Engine with a run in progress
+ * @param {Function} setUp - Called with the engine once the replay starts, to repeat what the test did by hand before playing
+ * @returns {GameEngine} The engine, at the end of the replay
+ */
+function replayRun(engine, setUp = () => {}) {
+    const ticks = engine.replayRecorder.ticks;
+    engine.gameOver();
+
+    engine.startReplay(engine.lastReplay);
+    setUp(engine);
+    for (let i = 0; i < ticks; i++) {
+        engine.stepReplay();
+    }
+    return engine;
+}
+
+/**
+ * Where every projectile is, with its type and pickup (a run's visible state, for comparing with its replay)
+ * @param {GameEngine} engine - Engine
+ * @returns {string} Snapshot
+ */
+function snapshotProjectiles(engine) {
+    return JSON.stringify(engine.projectilePool.active.map(p => [p.type, p.powerUp, p.x.toFixed(3), p.y.toFixed(3)]));
+}
+
+module.exports = {
+    TICK, DOT_SPACING, ticksFor,
+    loadGame, startHeadlessGame, startRun, placeOnRing, replayRun, snapshotProjectiles
+};
@@ -0,0 +1,243 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { TICK, loadGame, startHeadlessGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, SpawnPattern, PatternLibrary, PatternScheduler, RandomService } = game;
+
+const PATTERN_FILE = path.join(__dirname, '..', 'www', 'data', 'patterns.json');
+const patternData = JSON.parse(fs.readFileSync(PATTERN_FILE, 'utf8'));
+
+const DEG = Math.PI / 180;
+
+function makeLibrary(patterns) {
+    return PatternLibrary.fromJSON({
+        tiers: [{ name: 'easy', minDifficulty: 1 }, { name: 'hard', minDifficulty: 2 }],
+        patterns
+    });
+}
+
+function gameplayRandom(seed = 1) {
+    return new RandomService(seed).gameplay;
+}
+
+describe('Spawn pattern data', () => {
+    it('loads every pattern in data/patterns.json', () => {
+        const library = PatternLibrary.fromJSON(patternData);
+        assert.strictEqual(library.patterns.length, patternData.patterns.length);
+    });
+
+    it('covers every pattern type', () => {
+        const types = new Set(patternData.patterns.map(p => p.type));
+        for (const type of Object.values(game.PatternType)) {
+            assert.ok(types.has(type), type);
+        }
+    });
+
+    const REJECTED = [
+        { name: 'an unknown type', data: { id: 'x', type: 'zigzag', tier: 'easy' } },
+        { name: 'a missing id', data: { type: 'ring', tier: 'easy' } },
+        { name: 'a fractional count', data: { id: 'x', type: 'ring', tier: 'easy', count: 2.5 } },
+        { name: 'an unknown edge', data: { id: 'x', type: 'burst', tier: 'easy', edge: 'middle' } },
+        { name: 'an unknown projectile', data: { id: 'x', type: 'burst', tier: 'easy', projectile: 'LASER' } },
+        { name: 'an inherited key as a projectile', data: { id: 'x', type: 'burst', tier: 'easy', projectile: 'toString' } },
+        { name: 'an inherited key as an event projectile', data: { id: 'x', type: 'sequence', tier: 'easy', events: [{ angle: 0, delay: 0, projectile: 'constructor' }] } },
+        { name: 'a wall without shots', data: { id: 'x', type: 'wall', tier: 'easy', count: 2, gap: 2 } }
+    ];
+
+    for (const { name, data } of REJECTED) {
+        it(`rejects ${name}`, () => {
+            assert.throws(() => SpawnPattern.fromJSON(data));
+        });
+    }
+
+    it('rejects patterns in unknown tiers', () => {
+        const library = makeLibrary([]);
+        assert.throws(() => library.add(SpawnPattern.fromJSON({ id: 'x', type: 'ring', tier: 'legendary' })));
+    });
+
+    it('round-trips through toJSON', () => {
+        for (const raw of patternData.patterns) {
+            const pattern = SpawnPattern.fromJSON(raw);
+            const copy = SpawnPattern.fromJSON(JSON.parse(JSON.stringify(pattern)));
+            assert.strictEqual(JSON.stringify(copy), JSON.stringify(pattern), raw.id);
+        }
+    });
+});
+
+describe('SpawnPattern.expand', () => {
+    it('burst: count shots from one edge, interval apart', () => {
+        const steps = SpawnPattern.fromJSON({ id: 'b', type: 'burst', tier: 'easy', count: 3, interval: 0.4, edge: 'left' }).expand(gameplayRandom());
+        assert.strictEqual(steps.length, 3);
+        steps.forEach((step, i) => {
+            assert.ok(Math.abs(step.time - i * 0.4) < 1e-9);
+            assert.strictEqual(step.spawns[0].edge, 3);
+        });
+    });
+
+    it('ring: count shots evenly around, all at once', () => {
+        const steps = SpawnPattern.fromJSON({ id: 'r', type: 'ring', tier: 'easy', count: 5, offset: 10 }).expand(gameplayRandom());
+        assert.strictEqual(steps.length, 1);
+        assert.strictEqual(steps[0].together, true);
+        assert.strictEqual(steps[0].spawns.length, 5);
+        steps[0].spawns.forEach((spawn, i) => {
+            assert.ok(Math.abs(spawn.angle - (10 * DEG + i * 72 * DEG)) < 1e-9);
+        });
+    });
+
+    it('spiral: each shot a step further round', () => {
+        const steps = SpawnPattern.fromJSON({ id: 's', type: 'spiral', tier: 'easy', count: 4, step: 30, interval: 0.2, direction: -1 }).expand(gameplayRandom());
+        for (let i = 1; i < steps.length; i++) {
+            assert.ok(Math.abs(steps[i].spawns[0].angle - steps[i - 1].spawns[0].angle + 30 * DEG) < 1e-9);
+            assert.ok(Math.abs(steps[i].time - steps[i - 1].time - 0.2) < 1e-9);
+        }
+    });
+
+    it('alternating: volleys switch between opposite edges', () => {
+        const steps = SpawnPattern.fromJSON({ id: 'a', type: 'alternating', tier: 'easy', volleys: 4, count: 2, edge: 'top' }).expand(gameplayRandom());
+        assert.strictEqual(steps.map(step => step.spawns[0].edge).join(','), '0,2,0,2');
+        assert.ok(steps.every(step => step.spawns.length === 2));
+    });
+
+    it('wall: leaves gap neighbouring slots open', () => {
+        const pattern = SpawnPattern.fromJSON({ id: 'w', type: 'wall', tier: 'easy', count: 7, arc: 120, gap: 2, edge: 'right' });
+        for (let seed = 1; seed <= 20; seed++) {
+            const spawns = pattern.expand(gameplayRandom(seed))[0].spawns;
+            assert.strictEqual(spawns.length, 5);
+            const slots = spawns.map(spawn => Math.round((spawn.angle + 60 * DEG) / (20 * DEG)));
+            const missing = [0, 1, 2, 3, 4, 5, 6].filter(slot => !slots.includes(slot));
+            assert.strictEqual(missing.length, 2);
+            assert.strictEqual(missing[1] - missing[0], 1, 'gap is contiguous');
+        }
+    });
+});
+
+describe('PatternLibrary tiers', () => {
+    const library = makeLibrary([
+        { id: 'e', type: 'burst', tier: 'easy', weight: 2 },
+        { id: 'h', type: 'ring', tier: 'hard', count: 3 }
+    ]);
+
+    it('only offers unlocked tiers', () => {
+        const ids = library.getCandidates(1.5).map(c => c.pattern.id);
+        assert.strictEqual(ids.join(','), 'e');
+    });
+
+    it('halves the weight of each tier below the current one', () => {
+        const weights = {};
+        for (const { pattern, weight } of library.getCandidates(2.5)) {
+            weights[pattern.id] = weight;
+        }
+        assert.strictEqual(weights.e, 1);
+        assert.strictEqual(weights.h, 1);
+    });
+});
+
+describe('PatternScheduler', () => {
+    it('releases steps on time, then rests before the next pattern', () => {
+        const library = makeLibrary([{ id: 'b', type: 'burst', tier: 'easy', count: 2, interval: 0.5, rest: 1 }]);
+        const scheduler = new PatternScheduler(library);
+        const random = gameplayRandom();
+        const releases = [];
+
+        for (let tick = 0; tick < 180; tick++) {
+            const due = scheduler.update(TICK, 1, 0.5, random);
+            for (let i = 0; i < due.length; i++) releases.push(tick);
+        }
+
+        // Shots at 0 and 0.5s, rest of 1s * pace 0.5, next pattern at 1.0s...
+        assert.strictEqual(releases[0], 0);
+        assert.strictEqual(releases[1], 30);
+        assert.ok(Math.abs(releases[2] - 60) <= 1, `next pattern at tick ${releases[2]}`);
+    });
+});
+
+describe('GameEngine pattern spawning', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new game.GameEngine(null, null, { headless: true });
+        engine.patternLibrary = PatternLibrary.fromJSON(patternData);
+        engine.startGame(game.GameMode.CLASSIC, { seed: 3 });
+        engine.projectilePool.clear();
+    });
+
+    it('uses the scheduler when a library is loaded', () => {
+        assert.ok(engine.patternScheduler);
+        engine.step(60 * 5);
+        assert.ok(engine.projectilePool.active.length + engine.pendingSpawns.length > 0);
+    });
+
+    it('falls back to the spawn timer without patterns', () => {
+        const plain = startHeadlessGame(game);
+        assert.strictEqual(plain.patternScheduler, null);
+    });
+
+    it('spawns the same waves for the same seed', () => {
+        const other = new game.GameEngine(null, null, { headless: true });
+        other.patternLibrary = engine.patternLibrary;
+        other.startGame(game.GameMode.CLASSIC, { seed: 3 });
+        engine.player.radius = other.player.radius = 1; // Nothing to dodge, keep both runs alive
+
+        for (let i = 0; i < 10; i++) {
+            engine.step(30);
+            other.step(30);
+            const positions = e => e.pendingSpawns.map(p => `${p.plan.x.toFixed(3)},${p.plan.y.toFixed(3)}`).join(' ');
+            assert.strictEqual(positions(engine), positions(other));
+        }
+    });
+
+    it('lands shots marked together at the same moment', () => {
+        const pattern = SpawnPattern.fromJSON({ id: 'r', type: 'ring', tier: 'easy', count: 6 });
+        engine.queuePatternStep({ pattern, together: true, spawns: pattern.expand(gameplayRandom())[0].spawns });
+        engine.updatePendingSpawns(engine.getSpawnLeadTime());
+
+        const projectiles = engine.projectilePool.active;
+        assert.strictEqual(projectiles.length, 6);
+        const reach = engine.player.radius + 15;
+        const times = projectiles.map(p => (Math.hypot(p.x - engine.player.x, p.y - engine.player.y) - reach) / p.speed);
+        for (const time of times) {
+            assert.ok(Math.abs(time - times[0]) < 1e-9);
+        }
+    });
+
+    it('spawns angle shots just off screen in that direction', () => {
+        for (let i = 0; i < 16; i++) {
+            const angle = i * Math.PI / 8;
+            const point = engine.getEdgePoint(angle);
+            const offX = point.x <= -20 + 1e-6 || point.x >= game.GAME_WIDTH + 20 - 1e-6;
+            const offY = point.y <= -20 + 1e-6 || point.y >= game.GAME_HEIGHT + 20 - 1e-6;
+            assert.ok(offX || offY, `angle ${i}`);
+            assert.ok(Math.abs(Math.atan2(point.y - engine.player.y, point.x - engine.player.x) - Math.atan2(Math.sin(angle), Math.cos(angle))) < 1e-9);
+        }
+    });
+
+    it('keeps every simultaneous pattern in the data file dodgeable', () => {
+        const { x, y } = engine.player;
+        for (const raw of patternData.patterns) {
+            const pattern = SpawnPattern.fromJSON(raw);
+            for (let seed = 1; seed <= 5; seed++) {
+                for (const step of pattern.expand(gameplayRandom(seed))) {
+                    if (!step.together) continue;
+
+                    // Some ring rotation lets every shot through at once
+                    let dodgeable = false;
+                    for (let degree = 0; degree < 60 && !dodgeable; degree++) {
+                        const probe = startRun(game);
+                        probe.player.angle = probe.player.prevAngle = degree * DEG;
+                        for (const spawn of step.spawns) {
+                            const distance = probe.player.radius;
+                            const shot = probe.projectilePool.acquire(x + Math.cos(spawn.angle) * distance, y + Math.sin(spawn.angle) * distance, x, y, 200);
+                            shot.age = 1;
+                        }
+                        probe.checkCollisions();
+                        dodgeable = probe.currentState === GameState.PLAYING;
+                    }
+                    assert.ok(dodgeable, `${raw.id} (seed ${seed})`);
+                }
+            }
+        }
+    });
+});
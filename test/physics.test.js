@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DOT_SPACING, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { Physics, GameState } = game;
+
+function circle(x, y, radius = 15) {
+    return { x, y, radius, active: true };
+}
+
+describe('Physics collision grid', () => {
+    it('finds objects in the cells a query overlaps', () => {
+        const physics = new Physics();
+        const near = circle(410, 650);
+        const far = circle(50, 50);
+        physics.buildCollisionGrid([near, far]);
+
+        const nearby = physics.getNearbyObjects(circle(400, 640, 66));
+
+        assert.ok(nearby.includes(near));
+        assert.ok(!nearby.includes(far));
+    });
+
+    it('widens the query to a bounding radius', () => {
+        const physics = new Physics();
+        const target = circle(610, 640, 5); // Next cell over
+        physics.buildCollisionGrid([target]);
+        const query = circle(390, 640, 5);
+
+        assert.strictEqual(physics.getNearbyObjects(query).length, 0);
+        assert.strictEqual(physics.getNearbyObjects(query, 220).length, 1);
+    });
+
+    it('lists an object once even when it spans several cells', () => {
+        const physics = new Physics();
+        const onCorner = circle(400, 400, 30);
+        physics.buildCollisionGrid([onCorner]);
+
+        assert.strictEqual(physics.getNearbyObjects(circle(400, 400, 100)).length, 1);
+    });
+
+    it('drops objects that moved or were released on rebuild', () => {
+        const physics = new Physics();
+        const moving = circle(100, 100);
+        const released = circle(120, 120);
+        physics.buildCollisionGrid([moving, released]);
+
+        moving.x = 700;
+        moving.y = 1200;
+        released.active = false;
+        physics.buildCollisionGrid([moving, released]);
+
+        assert.strictEqual(physics.getNearbyObjects(circle(100, 100)).length, 0);
+        const nearby = physics.getNearbyObjects(circle(700, 1200));
+        assert.strictEqual(nearby.length, 1);
+        assert.strictEqual(nearby[0], moving);
+    });
+});
+
+describe('Physics swept tests', () => {
+    const physics = new Physics();
+    const origin = { x: 0, y: 0 };
+    const square = [{ x: -10, y: -10 }, { x: 10, y: -10 }, { x: 10, y: 10 }, { x: -10, y: 10 }];
+
+    const CIRCLE_CASES = [
+        { name: 'passing straight through', start: { x: -100, y: 0 }, end: { x: 100, y: 0 }, time: (100 - 23) / 200 },
+        { name: 'already touching', start: { x: 20, y: 0 }, end: { x: 200, y: 0 }, time: 0 },
+        { name: 'missing to the side', start: { x: -100, y: 30 }, end: { x: 100, y: 30 }, time: null },
+        { name: 'stopping short', start: { x: -100, y: 0 }, end: { x: -40, y: 0 }, time: null },
+        { name: 'moving away', start: { x: 30, y: 0 }, end: { x: 100, y: 0 }, time: null }
+    ];
+
+    for (const { name, start, end, time } of CIRCLE_CASES) {
+        it(`circle vs circle: ${name}`, () => {
+            const t = physics.sweepCircleCircle(start, end, 15, origin, origin, 8);
+            if (time === null) {
+                assert.strictEqual(t, null);
+            } else {
+                assert.ok(Math.abs(t - time) < 1e-9, `expected ${time}, got ${t}`);
+            }
+        });
+    }
+
+    it('circle vs circle: uses relative motion when both move', () => {
+        // Crossing paths that never overlap at the start or end of the step
+        const t = physics.sweepCircleCircle({ x: -50, y: 0 }, { x: 50, y: 0 }, 5, { x: 50, y: 0 }, { x: -50, y: 0 }, 5);
+        assert.ok(Math.abs(t - 0.45) < 1e-9);
+    });
+
+    const POLYGON_CASES = [
+        { name: 'hitting a face', start: { x: -100, y: 0 }, end: { x: 100, y: 0 }, time: (100 - 25) / 200 },
+        { name: 'clipping a corner', start: { x: -100, y: 20 }, end: { x: 100, y: 20 }, hit: true },
+        { name: 'passing a corner', start: { x: -100, y: 26 }, end: { x: 100, y: 26 }, time: null },
+        { name: 'starting inside', start: { x: 0, y: 0 }, end: { x: 5, y: 5 }, time: 0 },
+        { name: 'stopping short', start: { x: -100, y: 0 }, end: { x: -30, y: 0 }, time: null }
+    ];
+
+    for (const { name, start, end, time, hit } of POLYGON_CASES) {
+        it(`circle vs polygon: ${name}`, () => {
+            const t = physics.sweepCirclePolygon(start, end, 15, square);
+            if (hit) {
+                assert.ok(t !== null && t > 0 && t < 1);
+            } else if (time === null) {
+                assert.strictEqual(t, null);
+            } else {
+                assert.ok(Math.abs(t - time) < 1e-9, `expected ${time}, got ${t}`);
+            }
+        });
+    }
+});
+
+describe('GameEngine broad phase', () => {
+    it('still detects ring collisions with many projectiles active', () => {
+        const engine = startRun(game);
+        const { x, y } = engine.player;
+
+        // Fill the arena edges so the grid path is used
+        for (let i = 0; i < 20; i++) {
+            const projectile = engine.projectilePool.acquire(i * 40, 20, x, y, 200);
+            projectile.age = 1;
+        }
+        const hit = engine.projectilePool.acquire(x + engine.player.radius, y, x, y, 200);
+        hit.age = 1;
+
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+    });
+
+    it('finds projectiles whose path crosses the ring this tick', () => {
+        const engine = startRun(game);
+        engine.physics.gridSize = 50;
+        const { x, y } = engine.player;
+        const projectile = engine.projectilePool.acquire(x + 300, y, x, y, 200);
+        projectile.age = 1;
+        projectile.x = x - 300; // Jumped across the whole ring in one tick
+
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+    });
+
+    it('checks projectiles touching the ring at full wobble', () => {
+        const engine = startRun(game);
+        engine.physics.gridSize = 50; // Small cells, so a too-small query would miss it
+        engine.player.wobbleScale = engine.player.maxWobbleScale;
+        const { x, y } = engine.player;
+        const angle = DOT_SPACING / 2;
+        const distance = engine.player.radius + 10;
+        const projectile = engine.projectilePool.acquire(x + Math.cos(angle) * distance, y + Math.sin(angle) * distance, x, y, 200);
+        projectile.age = 1;
+
+        engine.checkCollisions();
+
+        assert.strictEqual(projectile.dodged, true);
+    });
+});
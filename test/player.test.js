@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DOT_SPACING, loadGame } = require('./helpers/load-game');
+
+const { Player, GAME_WIDTH, GAME_HEIGHT } = loadGame();
+
+const TWO_PI = Math.PI * 2;
+const GAP_SIZE = Math.PI / 6;
+const EPSILON = 1e-6;
+
+// Ring rotations, including ones that put a gap across the ±π atan2 seam and
+// unnormalized values outside [0, 2π)
+const ROTATIONS = [
+    0,
+    Math.PI / 6,
+    Math.PI / 2,
+    5 * Math.PI / 6, // Gap 0 centred on π
+    Math.PI,
+    3 * Math.PI / 2,
+    TWO_PI - 0.01,
+    -Math.PI / 3,
+    4 * Math.PI + 0.2
+];
+
+/**
+ * Express an angle the way atan2 reports it, in (-π, π]
+ */
+function toAtan2Range(angle) {
+    let wrapped = angle % TWO_PI;
+    if (wrapped > Math.PI) wrapped -= TWO_PI;
+    if (wrapped <= -Math.PI) wrapped += TWO_PI;
+    return wrapped;
+}
+
+// Angles relative to the ring, and whether they are solid
+const CASES = [];
+for (let i = 0; i < 6; i++) {
+    const gapCenter = (i + 0.5) * DOT_SPACING;
+    CASES.push({ name: `dot ${i}`, angle: i * DOT_SPACING, solid: true });
+    CASES.push({ name: `gap ${i} centre`, angle: gapCenter, solid: false });
+    CASES.push({ name: `gap ${i} start`, angle: gapCenter - GAP_SIZE / 2 + EPSILON, solid: false });
+    CASES.push({ name: `gap ${i} end`, angle: gapCenter + GAP_SIZE / 2 - EPSILON, solid: false });
+    CASES.push({ name: `before gap ${i}`, angle: gapCenter - GAP_SIZE / 2 - EPSILON, solid: true });
+    CASES.push({ name: `after gap ${i}`, angle: gapCenter + GAP_SIZE / 2 + EPSILON, solid: true });
+}
+
+describe('Player gap layout', () => {
+    it('has six 30° gaps centred between the dots', () => {
+        const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2);
+        assert.strictEqual(player.gaps.length, 6);
+        player.gaps.forEach(([start, end], i) => {
+            assert.ok(Math.abs(end - start - GAP_SIZE) < EPSILON, `gap ${i} width`);
+            assert.ok(Math.abs((start + end) / 2 - (i + 0.5) * DOT_SPACING) < EPSILON, `gap ${i} centre`);
+        });
+    });
+});
+
+describe('Player.isSolidAtAngle', () => {
+    for (const rotation of ROTATIONS) {
+        describe(`ring rotation ${rotation.toFixed(3)}`, () => {
+            const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2);
+            player.angle = rotation;
+
+            for (const { name, angle, solid } of CASES) {
+                it(`${name} is ${solid ? 'solid' : 'open'}`, () => {
+                    const worldAngle = angle + rotation;
+                    assert.strictEqual(player.isSolidAtAngle(worldAngle), solid, 'raw angle');
+                    assert.strictEqual(player.isSolidAtAngle(toAtan2Range(worldAngle)), solid, 'atan2 range');
+                    assert.strictEqual(player.isSolidAtAngle(worldAngle + TWO_PI), solid, 'one turn ahead');
+                    assert.strictEqual(player.isSolidAtAngle(worldAngle - 2 * TWO_PI), solid, 'two turns behind');
+                });
+            }
+        });
+    }
+});
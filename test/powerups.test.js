@@ -0,0 +1,216 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, DOT_SPACING, ticksFor, loadGame, startRun, placeOnRing, replayRun, snapshotProjectiles } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, POWER_UPS } = game;
+
+/**
+ * Put a pickup on the ring at an angle from the ring's rotation
+ */
+function placePickup(engine, offset, powerUp) {
+    const projectile = placeOnRing(engine, offset);
+    projectile.powerUp = powerUp;
+    return projectile;
+}
+
+/**
+ * Projectile far out on the right, flying straight at the ring
+ */
+function incoming(engine, distance = 300) {
+    const { x, y } = engine.player;
+    return engine.projectilePool.acquire(x + distance, y, x, y, 200);
+}
+
+describe('Power-ups', () => {
+    it('flies a pickup in once the first delay is up', () => {
+        const engine = startRun(game);
+
+        engine.updatePowerUpSpawning(engine.powerUpFirstDelay - 0.5);
+        assert.ok(engine.pendingSpawns.every(pending => !pending.plan.powerUp), 'not yet');
+        engine.updatePowerUpSpawning(0.5);
+
+        const pending = engine.pendingSpawns.find(pending => pending.plan.powerUp);
+        assert.ok(pending, 'pickup queued');
+        assert.ok(POWER_UPS[pending.plan.powerUp]);
+        assert.ok(engine.powerUpTimer >= engine.powerUpMinInterval);
+
+        engine.step(ticksFor(pending.delay));
+        const pickup = engine.projectilePool.active.find(projectile => projectile.powerUp);
+        assert.ok(pickup, 'launched');
+        assert.strictEqual(pickup.color, POWER_UPS[pickup.powerUp].color);
+    });
+
+    it('leaves pickups out of editor previews', () => {
+        const engine = new game.GameEngine(null, null, { headless: true });
+        engine.openEditor();
+        engine.addEditorEvent(0, 0);
+        engine.startEditorPreview();
+
+        engine.step(ticksFor(engine.powerUpFirstDelay));
+
+        assert.strictEqual(engine.powerUpsEnabled, false);
+        assert.ok(engine.pendingSpawns.every(pending => !pending.plan.powerUp));
+    });
+
+    it('is collected through a gap, and lost harmlessly on a dot', () => {
+        const engine = startRun(game);
+        const collected = placePickup(engine, DOT_SPACING / 2, 'SLOW_MO');
+        engine.checkCollisions();
+
+        assert.strictEqual(collected.active, false);
+        assert.strictEqual(engine.activePowerUps.SLOW_MO, POWER_UPS.SLOW_MO.duration);
+        assert.strictEqual(engine.combo, 0, 'not a dodge');
+
+        const lost = placePickup(engine, 0, 'BOMB');
+        engine.checkCollisions();
+
+        assert.strictEqual(lost.active, false);
+        assert.strictEqual(engine.activePowerUps.BOMB, undefined);
+        assert.strictEqual(engine.currentState, GameState.PLAYING, 'no damage');
+    });
+
+    it('runs out after its duration, and restarts when collected again', () => {
+        const engine = startRun(game);
+        engine.activatePowerUp('MAGNET');
+        engine.updatePowerUps(1);
+        engine.activatePowerUp('MAGNET');
+        assert.strictEqual(engine.activePowerUps.MAGNET, POWER_UPS.MAGNET.duration);
+
+        engine.updatePowerUps(POWER_UPS.MAGNET.duration - 0.5);
+        assert.ok(engine.activePowerUps.MAGNET > 0);
+        engine.updatePowerUps(0.5);
+
+        assert.strictEqual(engine.activePowerUps.MAGNET, undefined);
+    });
+
+    it('slow-motion scales how far shots move', () => {
+        const normal = startRun(game);
+        const slowed = startRun(game);
+        slowed.activatePowerUp('SLOW_MO');
+        const a = incoming(normal);
+        const b = incoming(slowed);
+        const startX = a.x;
+
+        normal.step(30);
+        slowed.step(30);
+
+        const ratio = (startX - b.x) / (startX - a.x);
+        assert.ok(Math.abs(ratio - POWER_UPS.SLOW_MO.timeScale) < 1e-9, `ratio ${ratio}`);
+    });
+
+    it('widens the gaps while it runs, then puts the ring back', () => {
+        const engine = startRun(game);
+        const { gapSize, dotRadius } = engine.player;
+
+        engine.activatePowerUp('WIDE_GAPS');
+        engine.activatePowerUp('WIDE_GAPS');
+        assert.ok(engine.player.gapSize > gapSize);
+        assert.ok(Math.abs(engine.player.dotRadius - dotRadius * POWER_UPS.WIDE_GAPS.dotScale) < 1e-9, 'shrunk once');
+
+        engine.updatePowerUps(POWER_UPS.WIDE_GAPS.duration);
+
+        assert.ok(Math.abs(engine.player.gapSize - gapSize) < 1e-9);
+        assert.ok(Math.abs(engine.player.dotRadius - dotRadius) < 1e-9);
+    });
+
+    it('keeps stage dot growth when wide gaps run out', () => {
+        const engine = startRun(game);
+        const { gapSize, dotRadius } = engine.player;
+        const rule = { dotScale: 1.25 };
+
+        engine.activatePowerUp('WIDE_GAPS');
+        engine.applyStageRule(rule);
+        engine.endPowerUp('WIDE_GAPS');
+
+        const grown = startRun(game);
+        grown.applyStageRule(rule);
+        assert.ok(Math.abs(engine.player.dotRadius - grown.player.dotRadius) < 1e-9);
+        assert.ok(Math.abs(engine.player.gapSize - grown.player.gapSize) < 1e-9);
+        assert.ok(engine.player.gapSize < gapSize && engine.player.dotRadius > dotRadius);
+    });
+
+    it('shields one hit in a one-hit mode', () => {
+        const engine = startRun(game);
+        engine.activatePowerUp('SHIELD');
+
+        placeOnRing(engine, 0);
+        engine.checkCollisions();
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(engine.activePowerUps.SHIELD, undefined, 'used up');
+        assert.strictEqual(engine.invulnerableTimer, POWER_UPS.SHIELD.invulnerability);
+
+        engine.invulnerableTimer = 0;
+        placeOnRing(engine, 0);
+        engine.checkCollisions();
+        assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+    });
+
+    it('magnet bends shots in range toward a gap', () => {
+        const engine = startRun(game);
+        engine.player.angle = DOT_SPACING / 2; // A dot straight to the right, between two gaps
+        engine.activatePowerUp('MAGNET');
+        const near = incoming(engine, POWER_UPS.MAGNET.range - 20);
+        const far = incoming(engine, POWER_UPS.MAGNET.range + 100);
+
+        engine.updatePowerUps(TICK);
+
+        assert.notStrictEqual(near.vy, 0, 'steered');
+        assert.ok(Math.abs(Math.hypot(near.vx, near.vy) - 200) < 1e-9, 'same speed');
+        assert.strictEqual(far.vy, 0, 'out of range');
+    });
+
+    it('bomb clears every shot on screen, but not pickups', () => {
+        const engine = startRun(game);
+        for (let i = 0; i < 4; i++) {
+            engine.spawnProjectile();
+        }
+        const pickup = engine.spawnProjectile({ powerUp: 'SHIELD' });
+        engine.activatePowerUp('BOMB');
+
+        engine.step(ticksFor(POWER_UPS.BOMB.duration));
+
+        assert.strictEqual(engine.activePowerUps.BOMB, undefined);
+        assert.strictEqual(JSON.stringify(engine.projectilePool.active.map(projectile => projectile.powerUp)), JSON.stringify(['SHIELD']));
+        assert.strictEqual(pickup.active, true);
+    });
+
+    it('never offers slow-motion in Rhythm mode', () => {
+        const engine = startRun(game);
+        engine.gameMode = GameMode.RHYTHM;
+        for (let i = 0; i < 200; i++) {
+            assert.notStrictEqual(engine.pickPowerUp(), 'SLOW_MO');
+        }
+    });
+
+    it('starts every run without power-ups', () => {
+        const engine = startRun(game);
+        engine.activatePowerUp('WIDE_GAPS');
+        engine.activatePowerUp('SLOW_MO');
+
+        engine.startGame(GameMode.CLASSIC, { seed: 2 });
+
+        assert.strictEqual(Object.keys(engine.activePowerUps).length, 0);
+        assert.strictEqual(engine.powerUpTimer, engine.powerUpFirstDelay);
+        assert.strictEqual(engine.player.gapSize, Math.PI / 6);
+    });
+
+    it('replays pickups tick for tick', () => {
+        const engine = new game.GameEngine(null, null, { headless: true });
+        engine.powerUpFirstDelay = 1; // Before a no-input run gets hit
+        engine.startGame(GameMode.CLASSIC, { seed: 4 });
+        const ticks = ticksFor(engine.powerUpFirstDelay + 2);
+        let pickups = 0;
+        for (let i = 0; i < ticks && engine.currentState === GameState.PLAYING; i++) {
+            engine.step(1);
+            pickups = Math.max(pickups, engine.projectilePool.active.filter(projectile => projectile.powerUp).length);
+        }
+        assert.ok(pickups > 0, 'a pickup flew in');
+        const played = snapshotProjectiles(engine);
+
+        replayRun(engine);
+
+        assert.strictEqual(snapshotProjectiles(engine), played);
+    });
+});
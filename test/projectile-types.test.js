@@ -0,0 +1,160 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startHeadlessGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { Projectile, ProjectileType } = game;
+
+describe('Projectile archetype spawn weights', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = startHeadlessGame(game);
+    });
+
+    it('only spawns normal projectiles at the starting difficulty', () => {
+        engine.difficultyMultiplier = 1.0;
+        const weights = engine.getProjectileTypeWeights();
+
+        for (const type of Object.keys(ProjectileType)) {
+            if (type === ProjectileType.NORMAL) {
+                assert.ok(weights[type] > 0);
+            } else {
+                assert.strictEqual(weights[type], 0, type);
+            }
+        }
+    });
+
+    it('shifts weight from normal to the archetypes as difficulty rises', () => {
+        const at = (difficulty) => {
+            engine.difficultyMultiplier = difficulty;
+            return engine.getProjectileTypeWeights();
+        };
+        const low = at(1.5);
+        const high = at(3.0);
+
+        assert.ok(high.NORMAL < low.NORMAL);
+        for (const type of ['HOMING', 'CURVING', 'SPLITTING', 'DELAYED']) {
+            assert.ok(high[type] > low[type], type);
+        }
+    });
+
+    it('picks every archetype at maximum difficulty', () => {
+        engine.difficultyMultiplier = engine.maxDifficultyMultiplier;
+        const seen = new Set();
+        for (let i = 0; i < 500; i++) {
+            seen.add(engine.pickProjectileType());
+        }
+        assert.strictEqual(seen.size, Object.keys(ProjectileType).length);
+    });
+
+    it('keeps timed (rhythm) spawns straight', () => {
+        engine.difficultyMultiplier = engine.maxDifficultyMultiplier;
+        for (let i = 0; i < 50; i++) {
+            assert.strictEqual(engine.spawnProjectile({ arriveIn: 1 }).type, ProjectileType.NORMAL);
+        }
+    });
+});
+
+describe('Projectile archetype behaviour', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = startRun(game);
+    });
+
+    /**
+     * Launch a projectile of a type from a point toward the player
+     */
+    function launch(type, x, y, speed = 200, options = {}) {
+        const { x: cx, y: cy } = engine.player;
+        const projectile = engine.projectilePool.acquire(x, y, cx, cy, speed);
+        projectile.setType(type, options);
+        return projectile;
+    }
+
+    function heading(projectile) {
+        return Math.atan2(projectile.vy, projectile.vx);
+    }
+
+    it('homing: turns toward the nearest dot, then locks its course', () => {
+        const { x, y } = engine.player;
+        // Straight above the center, nearest dot is off to the right
+        engine.player.angle = -Math.PI / 2 + 0.5;
+        const projectile = launch(ProjectileType.HOMING, x, y - 600);
+        const before = heading(projectile);
+
+        engine.updateProjectiles(TICK);
+        assert.ok(heading(projectile) < before, 'turned toward the dot');
+        assert.ok(Math.abs(heading(projectile) - before) <= Projectile.HOMING_TURN_RATE * TICK + 1e-9, 'limited turn rate');
+
+        // Inside the lock distance the course no longer changes
+        projectile.x = x;
+        projectile.y = y - Projectile.HOMING_LOCK_DISTANCE + 10;
+        const locked = heading(projectile);
+        engine.updateProjectiles(TICK);
+        assert.strictEqual(heading(projectile), locked);
+    });
+
+    it('curving: flies at a fixed angle off the line to the center', () => {
+        const { x, y } = engine.player;
+        const projectile = launch(ProjectileType.CURVING, x - 500, y, 200, { curveDirection: -1 });
+
+        for (let i = 0; i < 30; i++) {
+            engine.updateProjectiles(TICK);
+            const toCenter = Math.atan2(y - projectile.y, x - projectile.x);
+            let offset = heading(projectile) - toCenter;
+            while (offset > Math.PI) offset -= Math.PI * 2;
+            while (offset < -Math.PI) offset += Math.PI * 2;
+            assert.ok(Math.abs(offset + Projectile.CURVE_ANGLE) < 0.02, `tick ${i}: ${offset}`);
+        }
+        assert.ok(Math.hypot(projectile.x - x, projectile.y - y) < 500, 'still closing in');
+    });
+
+    it('splitting: becomes two fragments at mid-distance', () => {
+        const { x, y } = engine.player;
+        const projectile = launch(ProjectileType.SPLITTING, x, y + 600, 400);
+
+        let ticks = 0;
+        while (projectile.active && ticks < 200) {
+            engine.updateProjectiles(TICK);
+            ticks++;
+        }
+
+        const fragments = engine.projectilePool.active;
+        assert.strictEqual(fragments.length, 2);
+        for (const fragment of fragments) {
+            const distance = Math.hypot(fragment.x - x, fragment.y - y);
+            assert.ok(Math.abs(distance - 300) < 400 * TICK + 1, `split near mid-distance (${distance})`);
+            assert.strictEqual(fragment.isFragment, true);
+            assert.strictEqual(fragment.radius, Projectile.FRAGMENT_RADIUS);
+        }
+        const angles = fragments.map(f => Math.atan2(f.y - y, f.x - x));
+        assert.ok(Math.abs(Math.abs(angles[0] - angles[1]) - 2 * Projectile.SPLIT_SPREAD) < 1e-6);
+    });
+
+    it('delayed: stops, telegraphs, then dashes at the center', () => {
+        const { x, y } = engine.player;
+        const projectile = launch(ProjectileType.DELAYED, x, y + 600);
+
+        let ticks = 0;
+        while (projectile.phase === 'approach' && ticks < 300) {
+            engine.updateProjectiles(TICK);
+            ticks++;
+        }
+        assert.strictEqual(projectile.phase, 'telegraph');
+        assert.ok(Math.abs(Math.hypot(projectile.x - x, projectile.y - y) - Projectile.DELAYED_STOP_DISTANCE) < 200 * TICK + 1);
+
+        const stopY = projectile.y;
+        engine.updateProjectiles(TICK);
+        assert.strictEqual(projectile.y, stopY, 'holds still while telegraphing');
+
+        for (let i = 0; i < Math.ceil(Projectile.DELAYED_TELEGRAPH_TIME / TICK) + 1; i++) {
+            engine.updateProjectiles(TICK);
+        }
+        assert.strictEqual(projectile.phase, 'dash');
+        assert.ok(projectile.speed >= Projectile.DELAYED_MIN_DASH_SPEED);
+        assert.ok(projectile.vy < 0, 'dashes toward the center');
+        assert.ok(Math.abs(projectile.vx) < 1e-9);
+    });
+});
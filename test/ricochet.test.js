@@ -0,0 +1,186 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+const { ProjectileType, Projectile, Physics, ChallengeCode, STAGE_RULES, OBSTACLE_LAYOUTS, GAME_WIDTH, GAME_HEIGHT } = game;
+
+/**
+ * Fly a projectile for up to `seconds` or until it reaches the ring, tracking how close it comes to the center
+ */
+function fly(engine, projectile, seconds) {
+    let closest = Infinity;
+    for (let i = 0; i < Math.round(seconds / TICK) && projectile.active && closest > engine.player.radius; i++) {
+        engine.updateProjectiles(TICK);
+        closest = Math.min(closest, Math.hypot(projectile.x - engine.player.x, projectile.y - engine.player.y));
+    }
+    return closest;
+}
+
+/**
+ * Ricochet shot flying freely from a point, with no bounces used yet
+ */
+function ricochetAt(engine, x, y, vx, vy) {
+    const projectile = engine.projectilePool.acquire(x, y, x + vx, y + vy, Math.hypot(vx, vy));
+    projectile.setType(ProjectileType.RICOCHET);
+    projectile.inArena = true;
+    return projectile;
+}
+
+describe('Physics bounces', () => {
+    it('damps keepInBounds bounces by bounceDamping', () => {
+        const physics = new Physics();
+        const ball = { x: 5, y: 50, radius: 10, vx: -100, vy: 0 };
+
+        physics.keepInBounds(ball, 0, 0, 100, 100, { bounce: true });
+
+        assert.strictEqual(ball.x, 10);
+        assert.strictEqual(ball.vx, 100 * physics.bounceDamping);
+    });
+
+    it('reflects a circle off a rectangle only when it moves into it', () => {
+        const physics = new Physics();
+        const block = { x: 0, y: 0, width: 100, height: 20 };
+        const into = { x: 50, y: 25, radius: 10, vx: 30, vy: -100 };
+        const away = { x: 50, y: 25, radius: 10, vx: 30, vy: 100 };
+
+        physics.resolveCircleRectangle(into, block, 1, true);
+        physics.resolveCircleRectangle(away, block, 1, true);
+
+        assert.strictEqual(into.y, 30, 'pushed out');
+        assert.strictEqual(JSON.stringify([into.vx, into.vy]), JSON.stringify([30, 100]));
+        assert.strictEqual(JSON.stringify([away.vx, away.vy]), JSON.stringify([30, 100]));
+    });
+});
+
+describe('Ricochet shots', () => {
+    it('are unlocked by a stage rule and can be shared in challenge codes', () => {
+        assert.ok(STAGE_RULES.some(rule => rule.projectile === ProjectileType.RICOCHET));
+        assert.ok(ChallengeCode.PROJECTILES.includes(ProjectileType.RICOCHET));
+
+        const engine = startRun(game);
+        engine.stageUnlocks = [ProjectileType.RICOCHET];
+        assert.ok(engine.getProjectileTypeWeights().RICOCHET > 0);
+    });
+
+    for (const edge of [0, 1, 2, 3]) {
+        it(`bank off a wall into the ring from edge ${edge}`, () => {
+            const engine = startRun(game, { seed: edge + 1 });
+            const projectile = engine.spawnProjectile({ edge, type: ProjectileType.RICOCHET });
+            const heading = Math.atan2(projectile.vy, projectile.vx);
+            const straight = Math.atan2(engine.player.y - projectile.y, engine.player.x - projectile.x);
+            assert.ok(Math.abs(Math.sin(heading - straight)) > 0.2, 'not aimed at the ring');
+
+            const closest = fly(engine, projectile, 10);
+
+            assert.ok(closest < engine.player.radius, `passes ${closest.toFixed(1)}px from the center`);
+            assert.strictEqual(projectile.bouncesLeft, Projectile.RICOCHET_BOUNCES - 1, 'one bank');
+        });
+    }
+
+    it('don\'t bounce until fully on screen', () => {
+        const engine = startRun(game);
+        const projectile = engine.spawnProjectile({ edge: 0, type: ProjectileType.RICOCHET });
+        assert.strictEqual(projectile.inArena, false);
+
+        engine.updateProjectiles(TICK);
+
+        assert.ok(projectile.y < projectile.radius, 'not pushed onto the screen');
+        assert.strictEqual(projectile.bouncesLeft, Projectile.RICOCHET_BOUNCES);
+    });
+
+    it('fly off the screen once their bounces are used up', () => {
+        const engine = startRun(game);
+        const projectile = ricochetAt(engine, 16, 300, -300, 0);
+
+        for (let bounce = 1; bounce <= Projectile.RICOCHET_BOUNCES; bounce++) {
+            engine.updateProjectiles(TICK);
+            assert.strictEqual(projectile.bouncesLeft, Projectile.RICOCHET_BOUNCES - bounce);
+            assert.ok(projectile.vx > 0, `bounce ${bounce}`);
+            projectile.vx = -300; // Straight back at the wall
+        }
+
+        for (let i = 0; i < 30 && projectile.active; i++) {
+            engine.updateProjectiles(TICK);
+        }
+        assert.strictEqual(projectile.active, false);
+    });
+
+    it('knock into each other once a stage rule turns it on', () => {
+        const run = (rule) => {
+            const engine = startRun(game);
+            if (rule) engine.applyStageRule(rule);
+            const a = ricochetAt(engine, 300, 400, 200, 0);
+            const b = ricochetAt(engine, 335, 400, -200, 0);
+            engine.updateProjectiles(TICK);
+            return [a, b];
+        };
+
+        const [passA, passB] = run(null);
+        assert.strictEqual(passA.vx, 200, 'pass through each other by default');
+        assert.strictEqual(passB.vx, -200);
+
+        const elasticity = STAGE_RULES.find(rule => rule.collide !== undefined).collide;
+        const [a, b] = run({ collide: elasticity });
+        assert.ok(Math.abs(a.vx + 200 * elasticity) < 1e-9, `a ${a.vx}`);
+        assert.ok(Math.abs(b.vx - 200 * elasticity) < 1e-9, `b ${b.vx}`);
+        assert.ok(Math.abs(a.vx + b.vx) < 1e-9, 'momentum kept');
+    });
+
+    it('leave other shots out of shot-to-shot knocks', () => {
+        const engine = startRun(game);
+        engine.applyStageRule({ collide: 1 });
+        const ricochet = ricochetAt(engine, 300, 400, 200, 0);
+        const normal = engine.projectilePool.acquire(335, 400, 0, 400, 200);
+
+        engine.updateProjectiles(TICK);
+
+        assert.strictEqual(ricochet.vx, 200);
+        assert.strictEqual(normal.vx, -200);
+    });
+});
+
+describe('Obstacle blocks', () => {
+    it('are placed by a stage rule, centered on their offsets', () => {
+        const rule = STAGE_RULES.find(entry => entry.obstacles);
+        assert.ok(OBSTACLE_LAYOUTS[rule.obstacles]);
+
+        const engine = startRun(game);
+        engine.applyStageRule(rule);
+
+        const layout = OBSTACLE_LAYOUTS[rule.obstacles];
+        assert.strictEqual(engine.obstacles.length, layout.length);
+        const box = engine.physics.getBoundingBox(engine.obstacles[0]);
+        assert.strictEqual((box.left + box.right) / 2, GAME_WIDTH / 2 + layout[0].x);
+        assert.strictEqual(box.bottom - box.top, layout[0].height);
+    });
+
+    it('stay clear of a drifting ring', () => {
+        const engine = startRun(game);
+        for (const [name, layout] of Object.entries(OBSTACLE_LAYOUTS)) {
+            engine.placeObstacles(layout);
+            for (const path of ['ORBIT', 'LISSAJOUS']) {
+                engine.startDrift(path);
+                engine.drift.from = { x: 0, y: 0 };
+                for (let t = 0; t < game.DRIFT_PATHS[path].period; t += 0.1) {
+                    const center = engine.getDriftCenter(t);
+                    const ring = { x: center.x, y: center.y, radius: engine.player.getBoundingRadius() + 15 };
+                    assert.ok(engine.obstacles.every(block => !engine.physics.checkCircleRectangle(ring, block)), `${name} on ${path} at ${t.toFixed(1)}s`);
+                }
+            }
+        }
+    });
+
+    it('bounce every shot that runs into them', () => {
+        const engine = startRun(game);
+        engine.placeObstacles([{ x: 0, y: -400, width: 200, height: 40 }]);
+        const projectile = engine.projectilePool.acquire(GAME_WIDTH / 2, 150, GAME_WIDTH / 2, GAME_HEIGHT / 2, 300);
+
+        for (let i = 0; i < 20; i++) {
+            engine.updateProjectiles(TICK);
+        }
+
+        assert.ok(projectile.vy < 0, 'turned back');
+        assert.ok(projectile.y < GAME_HEIGHT / 2 - 400 - 20, 'never inside the block');
+    });
+});
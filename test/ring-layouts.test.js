@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, startRun, placeOnRing } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, Player, RING_LAYOUTS, MODE_RING, STAGE_RULES, GAME_WIDTH, GAME_HEIGHT } = game;
+
+const TWO_PI = Math.PI * 2;
+const SHOT_RADIUS = 15;
+const EPSILON = 1e-9;
+
+const ROTATIONS = [0, Math.PI / 5, 2, 5.5];
+
+function degrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+/**
+ * Angle halfway around from `from` to `to`, going forward around the ring
+ */
+function midway(from, to) {
+    return (from + ((to - from + TWO_PI) % TWO_PI || TWO_PI) / 2) % TWO_PI;
+}
+
+/**
+ * Whether a ring-relative angle is inside a gap sector
+ */
+function inGap([start, end], angle) {
+    const relative = ((angle - start) % TWO_PI + TWO_PI) % TWO_PI;
+    return relative < end - start;
+}
+
+/**
+ * Headless run with the field cleared, switched to a ring layout the way a stage rule does it
+ */
+function startOnLayout(ring) {
+    const engine = startRun(game);
+    engine.applyStageRule({ ring });
+    return engine;
+}
+
+describe('Ring layouts', () => {
+    for (const [name, layout] of Object.entries(RING_LAYOUTS)) {
+        describe(name, () => {
+            const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, layout);
+
+            it('has a gap between every pair of neighboring dots, clear of both', () => {
+                assert.strictEqual(player.gaps.length, player.dots.length);
+                player.gaps.forEach((gap, i) => {
+                    const dot = player.dots[i];
+                    const next = player.dots[(i + 1) % player.dots.length];
+                    const [start, end] = gap;
+                    assert.ok(Math.abs(midway(start, end) - midway(dot.angle, next.angle)) < EPSILON, `gap ${i} is midway`);
+                    for (const { angle, radius } of player.dots) {
+                        const halfWidth = Math.asin(radius / player.radius);
+                        assert.ok(!inGap(gap, angle - halfWidth) && !inGap(gap, angle + halfWidth), `gap ${i} clear of the dot at ${degrees(angle)}°`);
+                    }
+                });
+            });
+
+            it('lets a standard shot through every gap, even after the dots grow', () => {
+                const grown = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, layout);
+                grown.scaleDots(STAGE_RULES.find(rule => rule.dotScale).dotScale);
+                for (const ring of [player, grown]) {
+                    for (const [start, end] of ring.gaps) {
+                        assert.ok(SHOT_RADIUS * 2 < ring.radius * (end - start) * 1.05, `${degrees(end - start).toFixed(1)}° gap`);
+                    }
+                }
+            });
+        });
+    }
+
+    it('spaces counted dots evenly with gaps midway between them', () => {
+        for (const layout of [RING_LAYOUTS.THREE, RING_LAYOUTS.EIGHT]) {
+            const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, layout);
+            const spacing = TWO_PI / layout.dotCount;
+            assert.strictEqual(player.dots.length, layout.dotCount);
+            player.dots.forEach((dot, i) => assert.ok(Math.abs(dot.angle - i * spacing) < EPSILON));
+            player.gaps.forEach(([start, end], i) => {
+                assert.ok(Math.abs((start + end) / 2 - (i + 0.5) * spacing) < EPSILON, `gap ${i} centre`);
+                assert.ok(Math.abs(degrees(end - start) - layout.gapWidth) < EPSILON, `gap ${i} width`);
+            });
+        }
+    });
+
+    it('sizes dots by their scale', () => {
+        const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, RING_LAYOUTS.LOPSIDED);
+        RING_LAYOUTS.LOPSIDED.dots.forEach((dot, i) => {
+            assert.ok(Math.abs(player.dots[i].radius - RING_LAYOUTS.LOPSIDED.dotRadius * (dot.scale || 1)) < EPSILON);
+        });
+        assert.ok(player.getBoundingRadius() >= player.radius + Math.max(...player.dots.map(dot => dot.radius)));
+    });
+
+    it('places gaps by hand, across 0° too', () => {
+        const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, {
+            dotRadius: 8, dots: [{ angle: 90 }, { angle: 270 }],
+            gaps: [{ angle: 0, width: 40 }, { angle: 180, width: 60 }]
+        });
+
+        assert.strictEqual(player.isSolidAtAngle(0), false);
+        assert.strictEqual(player.isSolidAtAngle(-Math.PI / 10), false, '-18°');
+        assert.strictEqual(player.isSolidAtAngle(-Math.PI / 8), true, '-22.5°');
+        assert.strictEqual(player.isSolidAtAngle(Math.PI * 0.85), false, '153°');
+        assert.strictEqual(player.isSolidAtAngle(Math.PI / 2), true);
+        assert.ok(Math.abs(degrees(player.gapSize) - 40) < EPSILON, 'gapSize is the narrowest gap');
+    });
+
+    it('narrows the gaps as the dots grow and restores them exactly', () => {
+        const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, RING_LAYOUTS.LOPSIDED);
+        const gaps = JSON.stringify(player.gaps);
+
+        player.scaleDots(1.25);
+        player.gaps.forEach(([start, end]) => {
+            const expected = RING_LAYOUTS.LOPSIDED.gapWidth * Math.PI / 180 - 2 * (player.dotRadius - RING_LAYOUTS.LOPSIDED.dotRadius) / player.radius;
+            assert.ok(Math.abs(end - start - expected) < EPSILON);
+        });
+        player.scaleDots(1 / 1.25);
+
+        assert.strictEqual(JSON.stringify(player.gaps), gaps);
+    });
+});
+
+describe('Ring layouts in play', () => {
+    for (const ring of ['THREE', 'EIGHT', 'LOPSIDED']) {
+        for (const rotation of ROTATIONS) {
+            it(`${ring} at rotation ${rotation.toFixed(2)}: gaps pass, dots hit`, () => {
+                const engine = startOnLayout(ring);
+                const player = engine.player;
+                player.angle = rotation;
+                player.prevAngle = rotation;
+
+                for (const [start, end] of player.gaps) {
+                    const projectile = placeOnRing(engine, (start + end) / 2);
+                    engine.checkCollisions();
+                    assert.strictEqual(projectile.dodged, true, `gap at ${degrees((start + end) / 2).toFixed(1)}°`);
+                    engine.projectilePool.release(projectile);
+                }
+                assert.strictEqual(engine.combo, player.gaps.length);
+
+                placeOnRing(engine, player.dots[player.dots.length - 1].angle);
+                engine.checkCollisions();
+                assert.strictEqual(engine.currentState, GameState.GAME_OVER);
+            });
+        }
+    }
+
+    it('draws one dot per layout dot at its size', () => {
+        const player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, RING_LAYOUTS.LOPSIDED);
+        const arcs = [];
+        const ctx = new Proxy({ arc: (x, y, radius) => arcs.push(radius) }, { get: (target, key) => target[key] || (() => {}) });
+
+        player.render(ctx);
+
+        assert.strictEqual(JSON.stringify(arcs), JSON.stringify(player.dots.map(dot => dot.radius)));
+    });
+
+    it('gives every mode a layout, and the ghost ring the run\'s', () => {
+        for (const mode of Object.values(GameMode)) {
+            assert.ok(RING_LAYOUTS[MODE_RING[mode]], mode);
+        }
+        const classic = MODE_RING.CLASSIC;
+        MODE_RING.CLASSIC = 'THREE';
+        try {
+            const engine = startRun(game);
+            assert.strictEqual(engine.player.layout, RING_LAYOUTS.THREE);
+            assert.strictEqual(engine.ringLayout, RING_LAYOUTS.THREE);
+        } finally {
+            MODE_RING.CLASSIC = classic;
+        }
+    });
+
+    it('switches layout on a stage rule, keeping earlier dot growth', () => {
+        const engine = startRun(game);
+        engine.applyStageRule(STAGE_RULES.find(rule => rule.dotScale));
+        const scale = engine.player.dotScale;
+
+        engine.applyStageRule(STAGE_RULES.find(rule => rule.ring));
+
+        const layout = RING_LAYOUTS[STAGE_RULES.find(rule => rule.ring).ring];
+        assert.strictEqual(engine.player.layout, layout);
+        assert.strictEqual(engine.player.dots.length, layout.dotCount);
+        assert.ok(Math.abs(engine.player.dotRadius - layout.dotRadius * scale) < EPSILON);
+    });
+
+    it('reaches the eight-gap and lopsided rings through stage rules, in Rhythm too', () => {
+        const engine = startRun(game);
+        engine.gameMode = GameMode.RHYTHM;
+        const layouts = [];
+        for (let stage = 2; engine.getStageRule(stage); stage++) {
+            const rule = engine.getStageRule(stage);
+            if (rule.ring) layouts.push(rule.ring);
+        }
+
+        assert.strictEqual(JSON.stringify(layouts), JSON.stringify(['EIGHT', 'LOPSIDED']));
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TICK, loadGame, startRun } = require('./helpers/load-game');
+
+const game = loadGame();
+
+describe('Spawn indicators', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = startRun(game);
+    });
+
+    it('shortens the warning as difficulty rises', () => {
+        engine.difficultyMultiplier = 1.0;
+        const easy = engine.getSpawnLeadTime();
+        engine.difficultyMultiplier = 2.0;
+        const hard = engine.getSpawnLeadTime();
+        engine.difficultyMultiplier = engine.maxDifficultyMultiplier * 10;
+        const extreme = engine.getSpawnLeadTime();
+
+        assert.strictEqual(easy, engine.baseSpawnLeadTime);
+        assert.ok(hard < easy);
+        assert.strictEqual(extreme, engine.minSpawnLeadTime);
+    });
+
+    it('shows a queued spawn until its lead time runs out', () => {
+        const pending = engine.queueSpawn({ edge: 0 });
+
+        assert.strictEqual(engine.pendingSpawns.length, 1);
+        assert.strictEqual(engine.projectilePool.active.length, 0);
+
+        engine.updatePendingSpawns(pending.delay - TICK / 2);
+        assert.strictEqual(engine.projectilePool.active.length, 0, 'not yet');
+
+        engine.updatePendingSpawns(TICK);
+        assert.strictEqual(engine.pendingSpawns.length, 0);
+        assert.strictEqual(engine.projectilePool.active.length, 1);
+    });
+
+    it('launches the projectile where the indicator pointed', () => {
+        const { plan } = engine.queueSpawn();
+        engine.updatePendingSpawns(engine.baseSpawnLeadTime);
+
+        const projectile = engine.projectilePool.active[0];
+        assert.strictEqual(projectile.x, plan.x);
+        assert.strictEqual(projectile.y, plan.y);
+        assert.strictEqual(projectile.type, plan.type);
+    });
+
+    it('keeps timed arrivals on the beat', () => {
+        const arriveIn = 4.0; // Slow enough to stay under the speed cap
+        const { plan, delay } = engine.queueSpawn({ arriveIn });
+        assert.ok(delay > 0 && delay <= arriveIn / 2);
+
+        engine.updatePendingSpawns(delay);
+        const projectile = engine.projectilePool.active[0];
+        const distance = Math.hypot(plan.x - engine.player.x, plan.y - engine.player.y) - (engine.player.radius + projectile.radius);
+
+        assert.ok(Math.abs(delay + distance / projectile.speed - arriveIn) < 1e-9);
+    });
+
+    it('queues classic spawns instead of spawning them immediately', () => {
+        engine.spawnTimer = engine.currentSpawnRate;
+        engine.updateSpawning(TICK);
+
+        assert.strictEqual(engine.pendingSpawns.length, 1);
+        assert.strictEqual(engine.projectilePool.active.length, 0);
+    });
+
+    it('clears pending spawns on restart', () => {
+        engine.queueSpawn();
+        engine.startGame(game.GameMode.CLASSIC, { seed: 2 });
+
+        assert.strictEqual(engine.pendingSpawns.length, 0);
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TICK, ticksFor, loadGame, startHeadlessGame, replayRun, snapshotProjectiles } = require('./helpers/load-game');
+
+const game = loadGame();
+const { GameState, GameMode, ProjectileType, STAGE_RULES, RING_LAYOUTS, MODE_RING, GAME_WIDTH, GAME_HEIGHT } = game;
+
+describe('Stage progression', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = startHeadlessGame(game);
+    });
+
+    it('clears the stage when the center shape cycles, with stats for that stage', () => {
+        engine.step(120);
+        engine.score = 340;
+        engine.projectilesDodgedThisGame = 12;
+        engine.stageBestCombo = 7;
+        const time = engine.simulationTime;
+
+        engine.triggerDifficultyIncrease();
+
+        assert.strictEqual(engine.currentState, GameState.LEVEL_UP);
+        assert.strictEqual(engine.stage, 2);
+        const { cleared, rule } = engine.stageTransition;
+        assert.strictEqual(cleared.stage, 1);
+        assert.strictEqual(cleared.time, time);
+        assert.strictEqual(cleared.score, 340);
+        assert.strictEqual(cleared.dodges, 12);
+        assert.strictEqual(cleared.bestCombo, 7);
+        assert.strictEqual(rule, STAGE_RULES[0]);
+    });
+
+    it('counts the next stage\'s stats from where it started', () => {
+        engine.score = 100;
+        engine.triggerDifficultyIncrease();
+        engine.step(ticksFor(engine.stageInterstitialTime + engine.stageBreatherTime));
+        engine.score = 250;
+
+        engine.triggerDifficultyIncrease();
+
+        assert.strictEqual(engine.stageTransition.cleared.stage, 2);
+        assert.strictEqual(engine.stageTransition.cleared.score, 150);
+        assert.strictEqual(engine.stageTransition.cleared.bestCombo, 0);
+    });
+
+    it('freezes the run behind the stage card, but keeps recording ticks', () => {
+        engine.spawnProjectile();
+        engine.triggerDifficultyIncrease();
+        const time = engine.simulationTime;
+        const angle = engine.player.angle;
+        const ticks = engine.replayRecorder.ticks;
+
+        engine.step(10);
+
+        assert.strictEqual(engine.projectilePool.active.length, 0, 'field cleared');
+        assert.strictEqual(engine.pendingSpawns.length, 0);
+        assert.strictEqual(engine.simulationTime, time);
+        assert.strictEqual(engine.player.angle, angle);
+        assert.strictEqual(engine.replayRecorder.ticks, ticks + 10);
+    });
+
+    it('gives a breather without spawns, then spawns again', () => {
+        engine.triggerDifficultyIncrease();
+        engine.step(ticksFor(engine.stageInterstitialTime));
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(engine.stageTransition.phase, 'breather');
+        for (let i = 0; i < Math.floor(engine.stageBreatherTime / TICK) - 1; i++) {
+            engine.step(1);
+            assert.strictEqual(engine.pendingSpawns.length + engine.projectilePool.active.length, 0, `tick ${i}`);
+        }
+
+        engine.step(ticksFor(engine.baseSpawnRate + 1));
+        assert.strictEqual(engine.stageTransition, null);
+        assert.ok(engine.pendingSpawns.length + engine.projectilePool.active.length > 0);
+    });
+
+    it('unlocks an archetype before its difficulty', () => {
+        engine.difficultyMultiplier = 1.0;
+        assert.strictEqual(engine.getProjectileTypeWeights()[ProjectileType.CURVING], 0);
+
+        engine.applyStageRule({ projectile: ProjectileType.CURVING });
+
+        assert.ok(engine.getProjectileTypeWeights()[ProjectileType.CURVING] > 0);
+    });
+
+    it('narrows the gaps by growing the dots, leaving them passable', () => {
+        const player = engine.player;
+        const dotRadius = player.dotRadius;
+        const gapSize = player.gapSize;
+
+        engine.applyStageRule(STAGE_RULES.find(rule => rule.dotScale));
+
+        assert.ok(player.dotRadius > dotRadius);
+        assert.ok(player.gapSize < gapSize);
+        assert.ok(player.gaps.every(([start, end]) => Math.abs(end - start - player.gapSize) < 1e-9));
+        assert.ok(15 * 2 < player.radius * player.gapSize * 1.05, 'a standard shot still fits');
+    });
+
+    it('speeds shots up and repeats the last rule once the list runs out', () => {
+        for (let i = 0; i < STAGE_RULES.length + 2; i++) {
+            engine.startStageTransition();
+        }
+
+        const last = STAGE_RULES[STAGE_RULES.length - 1];
+        assert.strictEqual(engine.stageTransition.rule, last);
+        assert.ok(Math.abs(engine.stageSpeedMultiplier - Math.pow(last.speed, 3)) < 1e-9);
+
+        engine.difficultyMultiplier = 1.0;
+        engine.simulationTime = 0;
+        engine.updateDifficulty(0);
+        assert.ok(engine.currentProjectileSpeed > engine.baseProjectileSpeed);
+    });
+
+    it('keeps Rhythm mode playing under a banner', () => {
+        engine.gameMode = GameMode.RHYTHM;
+        engine.spawnProjectile();
+
+        engine.triggerDifficultyIncrease();
+
+        assert.strictEqual(engine.currentState, GameState.PLAYING);
+        assert.strictEqual(engine.stageTransition.phase, 'banner');
+        assert.strictEqual(engine.projectilePool.active.length, 1);
+    });
+
+    it('starts every run back at stage 1, with every stage rule undone', () => {
+        STAGE_RULES.forEach(rule => engine.applyStageRule(rule));
+        engine.step(60);
+        engine.triggerDifficultyIncrease();
+
+        engine.startGame(GameMode.CLASSIC, { seed: 2 });
+
+        assert.strictEqual(engine.stage, 1);
+        assert.strictEqual(engine.stageTransition, null);
+        assert.strictEqual(engine.stageUnlocks.length, 0);
+        assert.strictEqual(engine.stageSpeedMultiplier, 1);
+        assert.strictEqual(engine.player.dotScale, 1);
+        assert.strictEqual(engine.player.layout, RING_LAYOUTS[MODE_RING[GameMode.CLASSIC]]);
+        assert.strictEqual(engine.drift, null);
+        assert.strictEqual(engine.player.x, GAME_WIDTH / 2);
+        assert.strictEqual(engine.player.y, GAME_HEIGHT / 2);
+        assert.strictEqual(engine.gravityWells.length, 0);
+        assert.strictEqual(engine.obstacles.length, 0);
+        assert.strictEqual(engine.shotElasticity, null);
+    });
+
+    it('replays a run through a stage transition tick for tick', () => {
+        // Grow the center shape to the threshold with a single absorption
+        engine.centerShape.growthRate = 1000;
+
+        let seed = 0;
+        let ticks = 0;
+        for (seed = 1; seed < 50; seed++) {
+            engine.startGame(GameMode.CLASSIC, { seed });
+            for (ticks = 0; ticks < 1200 && engine.stage === 1 && engine.currentState !== GameState.GAME_OVER; ticks++) {
+                engine.step(1);
+            }
+            if (engine.stage === 2) break;
+        }
+        assert.strictEqual(engine.stage, 2, 'found a run that clears stage 1');
+
+        engine.step(ticksFor(engine.stageInterstitialTime) + 30);
+        const played = { time: engine.simulationTime, phase: engine.stageTransition && engine.stageTransition.phase, angle: engine.player.angle };
+        engine.gameOver();
+
+        engine.startReplay(engine.lastReplay);
+        while (!engine.replayPlayer.finished) {
+            engine.stepReplay();
+        }
+        assert.strictEqual(engine.stage, 2);
+        assert.strictEqual(engine.simulationTime, played.time);
+        assert.strictEqual(engine.stageTransition && engine.stageTransition.phase, played.phase);
+        assert.strictEqual(engine.player.angle, played.angle);
+    });
+
+    it('replays a run under every stage rule tick for tick', () => {
+        // Later rules replace the wells and drift of earlier ones; ricochet shots are common this far in
+        const setUp = () => {
+            STAGE_RULES.forEach(rule => engine.applyStageRule(rule));
+            engine.difficultyMultiplier = 2.5;
+        };
+        engine.startGame(GameMode.CLASSIC, { seed: 7 });
+        setUp();
+        let banked = false;
+        for (let i = 0; i < 420 && engine.currentState === GameState.PLAYING; i++) {
+            engine.step(1);
+            banked = banked || engine.projectilePool.active.some(p => p.type === ProjectileType.RICOCHET && p.bouncesLeft < game.Projectile.RICOCHET_BOUNCES);
+        }
+        assert.ok(banked, 'a ricochet shot banked');
+        const played = { projectiles: snapshotProjectiles(engine), x: engine.player.x, y: engine.player.y };
+
+        replayRun(engine, setUp);
+
+        assert.strictEqual(snapshotProjectiles(engine), played.projectiles);
+        assert.strictEqual(engine.player.x, played.x);
+        assert.strictEqual(engine.player.y, played.y);
+    });
+
+    it('only gives Rhythm mode the rules that reshape the ring, then none', () => {
+        const stages = Array.from({ length: STAGE_RULES.length + 1 }, (_, i) => i + 2);
+        engine.gameMode = GameMode.RHYTHM;
+        const rules = stages.map(stage => engine.getStageRule(stage)).filter(Boolean);
+
+        assert.ok(rules.length > 0);
+        assert.ok(rules.every(rule => Object.keys(rule).every(key => ['title', 'description', 'dotScale', 'ring'].includes(key))));
+        assert.strictEqual(engine.getStageRule(stages[stages.length - 1]), null);
+
+        engine.triggerDifficultyIncrease();
+        assert.strictEqual(engine.stageTransition.rule, rules[0]);
+
+        engine.stage = stages[stages.length - 1];
+        engine.step(ticksFor(engine.stageInterstitialTime));
+        engine.triggerDifficultyIncrease();
+        assert.strictEqual(engine.stageTransition.rule, null);
+        assert.strictEqual(engine.stageTransition.phase, 'banner');
+        assert.strictEqual(engine.stageUnlocks.length, 0);
+        assert.strictEqual(engine.stageSpeedMultiplier, 1);
+    });
+});
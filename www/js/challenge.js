@@ -0,0 +1,251 @@
+/**
+ * CHALLENGE CODES
+ *
+ * ChallengeCode: packs a run definition (mode, seed and custom pattern set) into a short,
+ * copy-pasteable code and back. No server is involved: everything needed to start exactly
+ * the same run is in the code.
+ *
+ * Binary layout (before text encoding):
+ *   [version] [mode] [seed x4]
+ *   [tier count]    per tier: [minDifficulty x10]
+ *   [pattern count] per pattern: [tier index] [rest x10] [speed x10] [event count]
+ *   per event:   [angle / 3] [delay x10] [speed x10 (5 bits) | projectile (3 bits, 0 = picked by difficulty)]
+ *   [checksum x2] (FNV-1a of everything before it, folded to 16 bits)
+ *
+ * Values are quantized to what the pattern editor produces: angles to 3°, delays, rests and
+ * speeds to 0.1. Only sequence patterns (the editor's) can be shared, without weights, a
+ * pattern-wide projectile type or gravity wells. Every tier is kept, empty ones included, since the tier
+ * spacing sets how often lower-tier patterns are picked; tier names are not.
+ *
+ * The bytes are written in Crockford base32 (no I, L, O or U; case-insensitive) in dash-separated
+ * groups, so codes survive being read aloud or retyped.
+ */
+
+class ChallengeCode {
+    static VERSION = 1;
+    static ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    static GROUP_SIZE = 4;
+
+    // Append only: codes store indexes into these lists (projectiles are stored 1-based)
+    static MODES = ['CLASSIC', 'RHYTHM', 'DAILY', 'DUAL'];
+    static PROJECTILES = ['NORMAL', 'HOMING', 'CURVING', 'SPLITTING', 'DELAYED', 'RICOCHET'];
+
+    /**
+     * Encode a run definition
+     * @param {Object} challenge - { mode, seed, tiers?, patterns? }
+     *   tiers: [{ name, minDifficulty }] sorted by minDifficulty (a PatternLibrary's tiers)
+     *   patterns: serialized sequence patterns (SpawnPattern.toJSON())
+     * @returns {string} Challenge code
+     * @throws {Error} If the run can't be encoded
+     */
+    static encode(challenge) {
+        const mode = ChallengeCode.MODES.indexOf(challenge.mode);
+        if (mode === -1) {
+            throw new Error(`Unknown mode: ${challenge.mode}`);
+        }
+
+        const patterns = challenge.patterns || [];
+        const tiers = challenge.tiers || [];
+        if (patterns.length > 255 || tiers.length > 255) {
+            throw new Error('Too many patterns to share');
+        }
+
+        const seed = challenge.seed >>> 0;
+        const bytes = [ChallengeCode.VERSION, mode, seed >>> 24, (seed >>> 16) & 0xFF, (seed >>> 8) & 0xFF, seed & 0xFF];
+        bytes.push(tiers.length, ...tiers.map(tier => ChallengeCode.toByte(tier.minDifficulty * 10)));
+        bytes.push(patterns.length);
+
+        for (const pattern of patterns) {
+            if (pattern.type !== PatternType.SEQUENCE) {
+                throw new Error(`Only editor patterns can be shared (${pattern.id} is a ${pattern.type})`);
+            }
+            if ((pattern.weight !== undefined && pattern.weight !== 1) || pattern.projectile || (pattern.wells && pattern.wells.length > 0)) {
+                throw new Error(`Pattern ${pattern.id} sets a weight, projectile type or gravity wells, which codes can't hold`);
+            }
+            if (pattern.events.length > 255) {
+                throw new Error(`Pattern ${pattern.id} has too many events to share`);
+            }
+            const tier = tiers.findIndex(t => t.name === pattern.tier);
+            if (tier === -1) {
+                throw new Error(`Pattern ${pattern.id}: unknown tier ${pattern.tier}`);
+            }
+            bytes.push(
+                tier,
+                ChallengeCode.toByte(pattern.rest * 10),
+                ChallengeCode.toByte(pattern.speed * 10),
+                pattern.events.length
+            );
+
+            for (const event of pattern.events) {
+                const angle = (((Math.round(event.angle / 3) % 120) + 120) % 120);
+                const speed = Math.max(1, Math.min(31, Math.round((event.speed !== undefined ? event.speed : 1) * 10)));
+                const projectile = event.projectile ? ChallengeCode.PROJECTILES.indexOf(event.projectile) + 1 : 0;
+                if (projectile === 0 && event.projectile) {
+                    throw new Error(`Unknown projectile type: ${event.projectile}`);
+                }
+                bytes.push(angle, ChallengeCode.toByte(event.delay * 10), (speed << 3) | projectile);
+            }
+        }
+
+        const checksum = ChallengeCode.checksum(bytes);
+        bytes.push(checksum >>> 8, checksum & 0xFF);
+
+        return ChallengeCode.toBase32(bytes);
+    }
+
+    /**
+     * Decode a challenge code
+     * @param {string} code - Code as typed or pasted (case, spaces and dashes don't matter)
+     * @returns {Object} { mode, seed, tiers, patterns } tiers and patterns are pattern file JSON
+     * @throws {Error} If the code is malformed, corrupted or from an unknown version
+     */
+    static decode(code) {
+        const bytes = ChallengeCode.fromBase32(code);
+        if (bytes.length < 10) {
+            throw new Error('Challenge code is too short');
+        }
+
+        const payload = bytes.slice(0, -2);
+        const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+        if (ChallengeCode.checksum(payload) !== checksum) {
+            throw new Error('Challenge code checksum does not match (typo?)');
+        }
+        if (payload[0] !== ChallengeCode.VERSION) {
+            throw new Error(`Unsupported challenge code version: ${payload[0]}`);
+        }
+
+        const mode = ChallengeCode.MODES[payload[1]];
+        if (!mode) {
+            throw new Error(`Unknown mode in challenge code: ${payload[1]}`);
+        }
+        const seed = ((payload[2] << 24) | (payload[3] << 16) | (payload[4] << 8) | payload[5]) >>> 0;
+
+        let offset = 6;
+        const read = () => {
+            if (offset >= payload.length) {
+                throw new Error('Challenge code is truncated');
+            }
+            return payload[offset++];
+        };
+
+        const tiers = [];
+        const tierCount = read();
+        for (let t = 0; t < tierCount; t++) {
+            tiers.push({ name: `tier-${t + 1}`, minDifficulty: read() / 10 });
+        }
+
+        const patterns = [];
+        const patternCount = read();
+        for (let p = 0; p < patternCount; p++) {
+            const tier = tiers[read()];
+            if (!tier) {
+                throw new Error('Challenge code pattern has an unknown tier');
+            }
+            const rest = read() / 10;
+            const speed = read() / 10;
+            const eventCount = read();
+
+            const events = [];
+            for (let e = 0; e < eventCount; e++) {
+                const angle = read() * 3;
+                const delay = read() / 10;
+                const packed = read();
+                const event = { angle, delay, speed: (packed >>> 3) / 10 };
+                if (packed & 0x07) {
+                    event.projectile = ChallengeCode.PROJECTILES[(packed & 0x07) - 1];
+                    if (!event.projectile) {
+                        throw new Error(`Unknown projectile in challenge code: ${packed & 0x07}`);
+                    }
+                }
+                events.push(event);
+            }
+
+            patterns.push({ id: `shared-${p + 1}`, type: PatternType.SEQUENCE, tier: tier.name, rest, speed, events });
+        }
+
+        if (offset !== payload.length) {
+            throw new Error('Challenge code has trailing data');
+        }
+
+        return { mode, seed, tiers, patterns };
+    }
+
+    /**
+     * Clamp and round a value into one byte
+     */
+    static toByte(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+
+    /**
+     * FNV-1a over bytes, folded to 16 bits
+     * @param {Array<number>} bytes - Bytes to check
+     * @returns {number} 16-bit checksum
+     */
+    static checksum(bytes) {
+        let hash = 0x811C9DC5;
+        for (const byte of bytes) {
+            hash ^= byte;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return ((hash >>> 16) ^ hash) & 0xFFFF;
+    }
+
+    /**
+     * Bytes to grouped Crockford base32
+     * @param {Array<number>} bytes - Bytes to encode
+     * @returns {string} Text like "0K3F-9XQ2-..."
+     */
+    static toBase32(bytes) {
+        let text = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                text += ChallengeCode.ALPHABET[(buffer >>> (bits - 5)) & 0x1F];
+                bits -= 5;
+            }
+            buffer &= (1 << bits) - 1;
+        }
+        if (bits > 0) {
+            text += ChallengeCode.ALPHABET[(buffer << (5 - bits)) & 0x1F];
+        }
+
+        const groups = [];
+        for (let i = 0; i < text.length; i += ChallengeCode.GROUP_SIZE) {
+            groups.push(text.slice(i, i + ChallengeCode.GROUP_SIZE));
+        }
+        return groups.join('-');
+    }
+
+    /**
+     * Grouped Crockford base32 back to bytes (I and L read as 1, O as 0)
+     * @param {string} text - Code text
+     * @returns {Array<number>} Bytes
+     * @throws {Error} If the text has characters outside the alphabet
+     */
+    static fromBase32(text) {
+        const clean = String(text).toUpperCase().replace(/[\s-]/g, '')
+            .replace(/[IL]/g, '1').replace(/O/g, '0');
+
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of clean) {
+            const value = ChallengeCode.ALPHABET.indexOf(char);
+            if (value === -1) {
+                throw new Error(`Invalid character in challenge code: ${char}`);
+            }
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((buffer >>> (bits - 8)) & 0xFF);
+                bits -= 8;
+                buffer &= (1 << bits) - 1;
+            }
+        }
+        return bytes;
+    }
+}
@@ -7,6 +7,7 @@
  * - Touch input system with swipe/tap detection
  * - Game state management (menu, playing, paused, gameOver)
  * - Performance monitoring (FPS counter, memory tracking)
+ * - Headless mode (injected time, storage and input) for stepping the simulation in Node
  */
 
 // ============================================================================
@@ -22,8 +23,178 @@ const GameState = {
     PLAYING: 'PLAYING',
     PAUSED: 'PAUSED',
     GAME_OVER: 'GAME_OVER',
-    LEVEL_UP: 'LEVEL_UP', // For future use
-    SETTINGS: 'SETTINGS'
+    LEVEL_UP: 'LEVEL_UP', // Stage cleared: interstitial card before the next stage
+    SETTINGS: 'SETTINGS',
+    REPLAY: 'REPLAY', // Watching a recorded run
+    EDITOR: 'EDITOR' // Pattern editor
+};
+
+// Game Modes
+const GameMode = {
+    CLASSIC: 'CLASSIC',
+    RHYTHM: 'RHYTHM', // Spawns follow a beat map synced to the soundtrack
+    DAILY: 'DAILY', // Classic rules, seeded from the local calendar date
+    DUAL: 'DUAL' // Two concentric rings: shots must thread both to reach the center
+};
+
+// Projectile archetypes (how a projectile moves toward the ring)
+const ProjectileType = {
+    NORMAL: 'NORMAL', // Straight line at the center
+    HOMING: 'HOMING', // Steers toward the nearest dot, then locks its course
+    CURVING: 'CURVING', // Spirals in at an angle
+    SPLITTING: 'SPLITTING', // Breaks into two at mid-distance
+    DELAYED: 'DELAYED', // Stops, telegraphs its line, then dashes
+    RICOCHET: 'RICOCHET' // Banks off a screen edge into the ring
+};
+
+// Look and spawn weight of each archetype
+// Spawn weight = weight + weightPerDifficulty * (difficultyMultiplier - 1), from minDifficulty up
+const PROJECTILE_ARCHETYPES = {
+    NORMAL: { color: '#ffffff', minDifficulty: 1.0, weight: 10, weightPerDifficulty: -2.5 },
+    HOMING: { color: '#ff5c8a', minDifficulty: 1.2, weight: 1, weightPerDifficulty: 2 },
+    CURVING: { color: '#b388ff', minDifficulty: 1.1, weight: 1.5, weightPerDifficulty: 2 },
+    SPLITTING: { color: '#ffd54f', minDifficulty: 1.4, weight: 0.5, weightPerDifficulty: 1.5 },
+    DELAYED: { color: '#ff9100', minDifficulty: 1.3, weight: 1, weightPerDifficulty: 1.5 },
+    RICOCHET: { color: '#64ffda', minDifficulty: 1.6, weight: 0.5, weightPerDifficulty: 1.5 }
+};
+
+// Rule change applied when each stage starts (stage 2 gets the first; the last one repeats)
+//   projectile: unlock an archetype now, whatever the difficulty
+//   dotScale: grow the ring dots, narrowing the gaps between them by as much
+//   speed: multiply projectile speed for the rest of the run
+//   ring: switch to another RING_LAYOUTS entry (dot growth from earlier rules carries over)
+//   drift: set the ring's center moving along a DRIFT_PATHS entry
+//   wells: place a GRAVITY_WELLS entry (replacing the wells of earlier stage rules)
+//   obstacles: place an OBSTACLE_LAYOUTS entry (replacing earlier blocks)
+//   collide: ricochet shots knock into each other from now on, with this elasticity (0-1)
+// Rhythm shots fly at whatever speed reaches the ring on the beat, so Rhythm mode only takes the
+// dotScale and ring rules; once those run out, its stages bring no change
+const STAGE_RULES = [
+    { title: 'Curving shots', description: 'Shots that spiral in at an angle', projectile: 'CURVING' },
+    { title: 'Delayed shots', description: 'Shots that stop, aim, then dash', projectile: 'DELAYED' },
+    { title: 'Bigger dots', description: 'The gaps in the ring get narrower', dotScale: 1.25 },
+    { title: 'Homing shots', description: 'Shots that steer toward your dots', projectile: 'HOMING' },
+    { title: 'Splitting shots', description: 'Shots that break in two halfway', projectile: 'SPLITTING' },
+    { title: 'Eight gaps', description: 'More dots, and narrower gaps between them', ring: 'EIGHT' },
+    { title: 'Drifting ring', description: 'The ring circles around the middle of the screen', drift: 'ORBIT' },
+    { title: 'Wandering ring', description: 'The ring wanders all over the screen', drift: 'LISSAJOUS' },
+    { title: 'Gravity wells', description: 'Two wells bend shots that pass near them', wells: 'PAIR' },
+    { title: 'Orbiting well', description: 'A well circles the ring, bending shots as it goes', wells: 'ORBIT' },
+    { title: 'Ricochet shots', description: 'Shots that bank off the screen edges', projectile: 'RICOCHET' },
+    { title: 'Bumpers', description: 'Blocks that knock shots off course', obstacles: 'BUMPERS' },
+    { title: 'Pinball', description: 'Ricochet shots knock into each other', collide: 0.9 },
+    { title: 'Lopsided ring', description: 'Six gaps bunched unevenly, between two big dots', ring: 'LOPSIDED' },
+    { title: 'Faster shots', description: 'Every shot flies 10% faster', speed: 1.1 }
+];
+
+// How many hits a run survives
+//   one-hit: the first dot hit ends the run
+//   lives: each hit costs a heart; the last one ends the run
+//   shield: a shield takes a hit and recharges `recharge` seconds later; a hit without it ends the run
+// Surviving a hit gives `invulnerability` seconds in which shots pass harmlessly
+const HEALTH_MODELS = {
+    ONE_HIT: { type: 'one-hit' },
+    LIVES: { type: 'lives', lives: 3, invulnerability: 1.5 },
+    SHIELD: { type: 'shield', recharge: 8, invulnerability: 1.5 }
+};
+
+// Health model each mode plays with (every mode keeps its own leaderboard, so lives don't inflate Classic's)
+const MODE_HEALTH = {
+    CLASSIC: 'ONE_HIT',
+    RHYTHM: 'LIVES',
+    DAILY: 'ONE_HIT',
+    DUAL: 'LIVES'
+};
+
+// Ring layouts: where the dots sit and where shots can pass (angles in degrees from the ring's rotation)
+//   dotRadius: standard dot size in pixels
+//   dotCount: evenly spaced dots starting at 0°, or
+//   dots: [{ angle, scale? }] dots in order around the ring; scale multiplies dotRadius for that dot
+//   gapWidth: width of the gap midway between each pair of neighboring dots, or
+//   gaps: [{ angle, width }] gap sectors placed by hand
+// Shots are 30px wide and pass a gap when it is more than ~25° wide at the ring's radius
+const RING_LAYOUTS = {
+    SIX: { dotRadius: 8.47, dotCount: 6, gapWidth: 30 },
+    THREE: { dotRadius: 11, dotCount: 3, gapWidth: 40 },
+    EIGHT: { dotRadius: 6.5, dotCount: 8, gapWidth: 28 },
+    LOPSIDED: {
+        dotRadius: 8.47,
+        dots: [{ angle: 0 }, { angle: 50 }, { angle: 115, scale: 1.4 }, { angle: 180 }, { angle: 230 }, { angle: 295, scale: 1.4 }],
+        gapWidth: 30
+    }
+};
+
+// Ring layout each mode plays with
+const MODE_RING = {
+    CLASSIC: 'SIX',
+    RHYTHM: 'SIX',
+    DAILY: 'SIX',
+    DUAL: 'SIX'
+};
+
+// Dual mode: the joystick turns an outer ring around the standard one, which has its own gaps
+//   outerRadius: radius of the joystick ring in pixels (it plays the mode's MODE_RING layout)
+//   inner: RING_LAYOUTS entry for the inner ring
+//   innerSpin: radians per second the inner ring turns on its own, against the outer ring's last direction
+//   innerColor: dot color of the inner ring
+// A second finger dragged around the rings steers the inner one instead
+const DUAL_RINGS = {
+    outerRadius: 115,
+    inner: 'THREE',
+    innerSpin: 1.2,
+    innerColor: '#ffe082'
+};
+
+// Drift paths: scripted movement of the ring's center, as an offset from the middle of the screen
+//   x = amplitudeX * sin(2π * frequencyX * t / period + phase), y = amplitudeY * sin(2π * frequencyY * t / period)
+//   period: seconds to trace the whole figure; phase in degrees (90 with equal frequencies is an orbit)
+// A new path blends in from wherever the center is; straight shots aim where the center will be when they arrive
+const DRIFT_PATHS = {
+    ORBIT: { amplitudeX: 80, amplitudeY: 80, frequencyX: 1, frequencyY: 1, phase: 90, period: 14 },
+    LISSAJOUS: { amplitudeX: 140, amplitudeY: 220, frequencyX: 3, frequencyY: 2, phase: 90, period: 30 }
+};
+
+// Gravity wells: point masses that pull shots toward them, bending straight approaches into curves
+//   x, y: position as an offset from the middle of the screen
+//   strength: a shot `d` pixels away speeds up toward the well by strength / (d² + softening²) pixels per second²
+//   range: pixels beyond which the well has no pull
+//   orbit, period, phase: circle (x, y) at `orbit` pixels, once every `period` seconds, starting `phase` degrees round
+// Missing fields take the engine's defaults; spawn patterns can bring their own wells (see patterns.js)
+const GRAVITY_WELLS = {
+    PAIR: [
+        { x: -250, y: -380, strength: 4000000 },
+        { x: 250, y: 380, strength: 4000000 }
+    ],
+    ORBIT: [
+        { x: 0, y: 0, strength: 5000000, orbit: 300, period: 16, phase: -90 }
+    ]
+};
+
+// Obstacle blocks: static blocks that every shot bounces off on its way to the ring
+//   x, y: block center as an offset from the middle of the screen; width, height in pixels
+// Blocks are kept clear of everywhere a drifting ring can go
+const OBSTACLE_LAYOUTS = {
+    BUMPERS: [
+        { x: -260, y: -380, width: 120, height: 36 },
+        { x: 260, y: 380, width: 120, height: 36 },
+        { x: 260, y: -470, width: 36, height: 120 },
+        { x: -260, y: 470, width: 36, height: 120 }
+    ]
+};
+
+// Power-ups: fly in like shots and are collected by steering one through a gap in the ring
+// Every effect lasts `duration` seconds (the HUD timer); collecting one that's running restarts it
+//   SLOW_MO: shots move at `timeScale` of their speed
+//   WIDE_GAPS: ring dots shrink to `dotScale` of their size, widening the gaps by as much
+//   SHIELD: takes the next dot hit, then `invulnerability` seconds in which shots pass harmlessly
+//   MAGNET: shots within `range` of the center bend toward the nearest gap at `turnRate` radians per second
+//   BOMB: a shockwave from the ring clears every shot on screen as it reaches them
+const POWER_UPS = {
+    SLOW_MO: { label: 'SLOW-MO', icon: 'S', color: '#9be7ff', duration: 5, timeScale: 0.5 },
+    WIDE_GAPS: { label: 'WIDE GAPS', icon: 'W', color: '#69f0ae', duration: 6, dotScale: 0.6 },
+    SHIELD: { label: 'SHIELD', icon: '+', color: '#7fdbff', duration: 10, invulnerability: 1.5 },
+    MAGNET: { label: 'MAGNET', icon: 'M', color: '#ff80ab', duration: 6, range: 260, turnRate: 3 },
+    BOMB: { label: 'BOMB', icon: 'B', color: '#ffab40', duration: 0.8 }
 };
 
 // ============================================================================
@@ -103,7 +274,11 @@ function resizeCanvas() {
 // ============================================================================
 
 class InputManager {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to listen on
+     * @param {Object} options - { listen? } pass listen: false for headless use (no DOM listeners)
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.activeTouches = new Map(); // Map of touchId → coordinates
         this.touchStartPos = null;
@@ -122,7 +297,9 @@ class InputManager {
         this.longPressTimer = null;
         this.keys = {}; // Track keyboard keys
         
-        this.setupEventListeners();
+        if (options.listen !== false) {
+            this.setupEventListeners();
+        }
     }
     
     setupEventListeners() {
@@ -569,16 +746,23 @@ class InputManager {
 // ============================================================================
 
 class VibrationManager {
-    constructor() {
+    /**
+     * @param {Storage} storage - Where the setting is saved
+     */
+    constructor(storage) {
+        this.storage = storage;
         this.enabled = true;
         this.supported = false;
+        this.muted = false; // Temporary silence (replays), not saved
         this.checkSupport();
         this.loadSettings();
     }
     
     checkSupport() {
         // Check for Vibration API support
-        if (navigator.vibrate) {
+        if (typeof navigator === 'undefined') {
+            this.supported = false;
+        } else if (navigator.vibrate) {
             this.supported = true;
             console.log('Vibration API supported');
         } else if (navigator.cordova && navigator.notification && navigator.notification.vibrate) {
@@ -593,7 +777,7 @@ class VibrationManager {
     
     loadSettings() {
         try {
-            const saved = localStorage.getItem('spinEscapeVibration');
+            const saved = this.storage.getItem('spinEscapeVibration');
             if (saved !== null) {
                 this.enabled = saved === 'true';
             }
@@ -604,14 +788,14 @@ class VibrationManager {
     
     saveSettings() {
         try {
-            localStorage.setItem('spinEscapeVibration', this.enabled.toString());
+            this.storage.setItem('spinEscapeVibration', this.enabled.toString());
         } catch (e) {
             console.error('Failed to save vibration settings:', e);
         }
     }
     
     vibrate(pattern) {
-        if (!this.enabled || !this.supported) {
+        if (!this.enabled || !this.supported || this.muted) {
             return;
         }
         
@@ -662,25 +846,271 @@ class VibrationManager {
     }
 }
 
+// ============================================================================
+// SOUND MANAGER CLASS
+// ============================================================================
+
+class SoundManager {
+    constructor() {
+        this.enabled = true;
+        this.supported = false;
+        this.muted = false; // Temporary silence (replay seeking), not saved
+        this.context = null;
+
+        // Gain chain: cue → sfx/music bus → master → speakers
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.musicGain = null;
+        this.masterVolume = 1.0;
+        this.sfxVolume = 0.8;
+        this.musicVolume = 0.6;
+
+        // Procedural SFX: synthesizers are created with the context, presets load from JSON
+        this.synthesizer = null;
+        this.musicSynthesizer = null;
+        this.presets = {};
+
+        this.checkSupport();
+        if (this.supported) {
+            this.loadPresets('data/sfx-presets.json');
+        }
+
+        // Browsers only allow audio to start from a user gesture,
+        // so unlock the context on the first touch/click
+        if (this.supported) {
+            const unlock = () => {
+                this.unlock();
+                document.removeEventListener('touchstart', unlock);
+                document.removeEventListener('mousedown', unlock);
+            };
+            document.addEventListener('touchstart', unlock);
+            document.addEventListener('mousedown', unlock);
+        }
+    }
+
+    checkSupport() {
+        // Check for Web Audio API support (none when running headless)
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (AudioContextClass) {
+            this.supported = true;
+            console.log('Web Audio API supported');
+        } else {
+            this.supported = false;
+            console.log('Web Audio not supported on this device');
+        }
+    }
+
+    /**
+     * Create (or resume) the audio context
+     * Must be called from a user gesture the first time
+     */
+    unlock() {
+        if (!this.supported) return;
+
+        try {
+            if (!this.context) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                this.context = new AudioContextClass();
+
+                this.masterGain = this.context.createGain();
+                this.masterGain.connect(this.context.destination);
+
+                this.sfxGain = this.context.createGain();
+                this.sfxGain.connect(this.masterGain);
+
+                this.musicGain = this.context.createGain();
+                this.musicGain.connect(this.masterGain);
+
+                this.synthesizer = new Synthesizer(this.context, this.sfxGain);
+                this.musicSynthesizer = new Synthesizer(this.context, this.musicGain);
+
+                this.applyVolumes();
+                console.log('Audio context created');
+            }
+
+            if (this.context.state === 'suspended') {
+                this.context.resume();
+            }
+        } catch (e) {
+            console.error('Failed to unlock audio:', e);
+            this.supported = false;
+        }
+    }
+
+    /**
+     * Apply stored volumes to the gain nodes
+     */
+    applyVolumes() {
+        if (!this.context) return;
+
+        this.masterGain.gain.value = this.enabled ? this.masterVolume : 0;
+        this.sfxGain.gain.value = this.sfxVolume;
+        this.musicGain.gain.value = this.musicVolume;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.applyVolumes();
+    }
+
+    /**
+     * Set a channel volume
+     * @param {string} channel - 'master', 'sfx' or 'music'
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(channel, volume) {
+        const clamped = Math.max(0, Math.min(1, volume));
+        switch (channel) {
+            case 'master':
+                this.masterVolume = clamped;
+                break;
+            case 'sfx':
+                this.sfxVolume = clamped;
+                break;
+            case 'music':
+                this.musicVolume = clamped;
+                break;
+        }
+        this.applyVolumes();
+    }
+
+    getVolume(channel) {
+        switch (channel) {
+            case 'master': return this.masterVolume;
+            case 'sfx': return this.sfxVolume;
+            case 'music': return this.musicVolume;
+        }
+        return 0;
+    }
+
+    /**
+     * Check if a cue can play right now
+     */
+    canPlay() {
+        return this.enabled && this.supported && this.context !== null && this.context.state === 'running';
+    }
+
+    /**
+     * Load synthesizer presets from a JSON file
+     * @param {string} path - Path to the presets JSON
+     * @returns {Promise<boolean>} Resolves to true if presets were loaded
+     */
+    async loadPresets(path) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.presets = await response.json();
+            console.log(`Loaded ${Object.keys(this.presets).length} sound presets`);
+            return true;
+        } catch (e) {
+            console.warn(`Failed to load sound presets: ${path}`, e);
+            this.presets = {};
+            return false;
+        }
+    }
+
+    /**
+     * Play a named preset through the synthesizer
+     * @param {string} name - Preset name
+     * @param {Object} options - { pitch?, volume?, delay? }
+     */
+    playPreset(name, options = {}) {
+        if (!this.canPlay() || !this.synthesizer || this.muted) return;
+
+        const preset = this.presets[name];
+        if (!preset) return;
+
+        try {
+            this.synthesizer.play(preset, options);
+        } catch (e) {
+            console.error(`Sound playback failed (${name}):`, e);
+        }
+    }
+
+    /**
+     * Play a named preset on the music channel at an exact audio clock time
+     * @param {string} name - Preset name
+     * @param {number} startTime - Audio clock time to start at
+     * @param {number} pitch - Frequency multiplier
+     */
+    playMusicPreset(name, startTime, pitch = 1) {
+        if (!this.canPlay() || !this.musicSynthesizer) return;
+
+        const preset = this.presets[name];
+        if (!preset) return;
+
+        try {
+            this.musicSynthesizer.play(preset, { startTime, pitch });
+        } catch (e) {
+            console.error(`Music playback failed (${name}):`, e);
+        }
+    }
+
+    /**
+     * Pitch multiplier for combo-driven cues
+     * Each multiplier level adds 2 semitones, each dodge within a level adds 0.2
+     * @param {number} combo - Current combo count
+     * @param {number} comboMultiplier - Current combo multiplier (1-5)
+     * @returns {number} Frequency multiplier (1.0 at no combo)
+     */
+    getComboPitch(combo, comboMultiplier) {
+        const semitones = (comboMultiplier - 1) * 2 + (combo % 10) * 0.2;
+        return Math.pow(2, semitones / 12);
+    }
+
+    playDodge(pitch = 1) {
+        this.playPreset('dodge', { pitch });
+    }
+
+    playAbsorb(pitch = 1) {
+        this.playPreset('absorb', { pitch });
+    }
+
+    playShapeCycle() {
+        this.playPreset('shapeCycle');
+    }
+
+    playCollision() {
+        this.playPreset('collision');
+    }
+
+    playTap() {
+        this.playPreset('tap');
+    }
+
+    isEnabled() {
+        return this.enabled && this.supported;
+    }
+}
+
 // ============================================================================
 // PERFORMANCE MONITOR CLASS
 // ============================================================================
 
 class PerformanceMonitor {
-    constructor() {
+    /**
+     * @param {boolean} attachToDom - Use the #debugInfo panel and triple-tap toggle (off when headless)
+     */
+    constructor(attachToDom = true) {
         this.fps = 0;
         this.frameCount = 0;
         this.lastTime = performance.now();
         this.frameTime = 0;
         this.frameTimeHistory = [];
         this.maxHistorySize = 60;
-        this.debugElement = document.getElementById('debugInfo');
+        this.debugElement = attachToDom ? document.getElementById('debugInfo') : null;
         this.showDebug = false;
         this.warningThreshold = 16.6; // milliseconds (60fps = 16.6ms per frame)
         this.warningCount = 0;
         this.lastWarningTime = 0;
         this.warningCooldown = 1000; // Only warn once per second
         
+        if (!attachToDom) {
+            return;
+        }
+        
         // Toggle debug with triple tap
         let tapCount = 0;
         let lastTapTime = 0;
@@ -761,6 +1191,8 @@ class PerformanceMonitor {
             const gameState = (typeof gameEngine !== 'undefined' && gameEngine) ? gameEngine.currentState : 'N/A';
             const vibrationState = (typeof gameEngine !== 'undefined' && gameEngine && gameEngine.vibrationManager) ? 
                 (gameEngine.vibrationManager.isEnabled() ? 'ON' : 'OFF') : 'N/A';
+            const soundState = (typeof gameEngine !== 'undefined' && gameEngine && gameEngine.soundManager) ? 
+                (gameEngine.soundManager.canPlay() ? 'ON' : 'OFF') : 'N/A';
             
             this.debugElement.innerHTML = `
                 <div>FPS: <span style="color: ${this.fps >= 55 ? '#0f0' : '#f00'}">${this.fps}</span></div>
@@ -771,6 +1203,7 @@ class PerformanceMonitor {
                 <div>Projectiles: ${poolStats}</div>
                 <div>State: ${gameState}</div>
                 <div>Vibration: ${vibrationState}</div>
+                <div>Sound: ${soundState}</div>
             `;
         }
     }
@@ -786,15 +1219,22 @@ class PerformanceMonitor {
 // ============================================================================
 
 class Player {
-    constructor(x, y) {
+    /**
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {Object} layout - Entry of RING_LAYOUTS (six even gaps if omitted)
+     * @param {number} radius - Ring radius in pixels (the standard ring if omitted)
+     */
+    constructor(x, y, layout = RING_LAYOUTS.SIX, radius = 66.125) {
         this.x = x;
         this.y = y;
-        this.radius = 66.125; // Increased by 15% more (57.5 * 1.15 = 66.125)
+        this.radius = radius; // Standard ring: increased by 15% more (57.5 * 1.15 = 66.125)
         this.angle = 0; // Rotation angle in radians
         this.rotationSpeed = 0; // Radians per second
         this.maxRotationSpeed = 5; // Maximum rotation speed
         this.rotationAcceleration = 15; // How fast rotation changes
         this.color = '#4a9eff';
+        this.dotColor = '#f1f6f7'; // Aqua Haze
         this.hitFlash = 0; // Flash effect timer
         
         // Wobble effect: circle expands when rotating
@@ -803,56 +1243,112 @@ class Player {
         this.wobbleSpeed = 8.0; // How fast wobble transitions (higher = faster)
         this.maxWobbleScale = 1.3; // Maximum expansion (30% larger)
         
-        // Gap system: Define gap sectors (angles where projectiles can pass through)
-        // With 6 dots, we have 6 gaps between them (projectiles pass between dots)
-        // Each gap is between two dots, so gaps are evenly spaced
-        this.gapCount = 6; // Number of gaps (matches 6 dots)
-        this.gapSize = Math.PI / 6; // Each gap is 30 degrees (PI/6 radians) - wide enough for projectiles
-        this.solidSize = (Math.PI * 2 - (this.gapCount * this.gapSize)) / this.gapCount; // Size of solid sectors (dots)
+        // Ring geometry: dots and gap sectors (angles where projectiles can pass through),
+        // both built from the layout; render and collision read them from here
+        this.dotScale = 1; // Product of scaleDots() calls (stage rules, power-ups)
+        this.setLayout(layout);
+    }
+    
+    /**
+     * Switch to another ring layout (the current dot scale carries over)
+     * @param {Object} layout - Entry of RING_LAYOUTS
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        this.buildRing();
+    }
+    
+    /**
+     * Grow or shrink the dots, narrowing or widening the gaps between them by as much
+     * @param {number} scale - Dot radius multiplier
+     */
+    scaleDots(scale) {
+        this.dotScale *= scale;
+        this.buildRing();
+    }
+    
+    /**
+     * Build the dots and gap sectors from the layout and dot scale
+     * Sets dots [{ angle, radius }], gaps [[start, end]] (radians from the ring's rotation,
+     * start in [0, 2π), end may pass 2π), dotRadius (standard dot), gapCount and gapSize (narrowest gap)
+     */
+    buildRing() {
+        const layout = this.layout;
+        const toRadians = degrees => degrees * Math.PI / 180;
+        
+        this.dotRadius = layout.dotRadius * this.dotScale;
+        const dots = layout.dots ?
+            layout.dots.map(dot => ({ angle: toRadians(dot.angle), radius: this.dotRadius * (dot.scale || 1) })) :
+            Array.from({ length: layout.dotCount }, (_, i) => ({ angle: i * (Math.PI * 2 / layout.dotCount), radius: this.dotRadius }));
+        this.dots = dots;
+        
+        // Gaps sit midway between neighboring dots unless the layout places them
+        const gaps = layout.gaps ?
+            layout.gaps.map(gap => ({ center: toRadians(gap.angle), width: toRadians(gap.width) })) :
+            dots.map((dot, i) => {
+                const next = i + 1 < dots.length ? dots[i + 1].angle : dots[0].angle + Math.PI * 2;
+                return { center: (dot.angle + next) / 2, width: toRadians(layout.gapWidth) };
+            });
         
-        // Calculate gap positions (relative to angle 0)
-        // Gaps are positioned between dots, so offset by half the dot spacing
-        this.gaps = [];
-        const dotSpacing = Math.PI * 2 / 6; // 6 dots evenly spaced
-        for (let i = 0; i < this.gapCount; i++) {
-            // Gap starts between dot i and dot i+1
-            const gapStart = (i * dotSpacing) + (dotSpacing / 2) - (this.gapSize / 2);
-            const gapEnd = gapStart + this.gapSize;
-            this.gaps.push([gapStart, gapEnd]);
-        }
+        // Grown dots narrow every gap by the growth of a standard dot on each side
+        const narrowing = 2 * (this.dotRadius - layout.dotRadius) / this.radius;
+        const widths = gaps.map(gap => Math.max(0, gap.width - narrowing));
+        this.gaps = gaps.map((gap, i) => {
+            let gapStart = gap.center - widths[i] / 2;
+            while (gapStart < 0) gapStart += Math.PI * 2;
+            while (gapStart >= Math.PI * 2) gapStart -= Math.PI * 2;
+            return [gapStart, gapStart + widths[i]];
+        });
+        this.gapCount = this.gaps.length;
+        this.gapSize = Math.min(...widths);
     }
     
     /**
      * Check if an angle (in world coordinates) hits a solid part or passes through a gap
      * @param {number} worldAngle - Angle from center to projectile in world coordinates (radians)
+     * @param {number} ringAngle - Ring rotation to test against (defaults to the current one)
      * @returns {boolean} True if angle hits solid part, false if it's in a gap
      */
-    isSolidAtAngle(worldAngle) {
+    isSolidAtAngle(worldAngle, ringAngle = this.angle) {
+        return this.getGapAt(worldAngle, ringAngle) === null;
+    }
+    
+    /**
+     * Gap sector an angle (in world coordinates) falls in
+     * @param {number} worldAngle - Angle from center to projectile in world coordinates (radians)
+     * @param {number} ringAngle - Ring rotation to test against (defaults to the current one)
+     * @returns {Array|null} [start, end] of the gap (radians from the ring's rotation), or null on a solid part
+     */
+    getGapAt(worldAngle, ringAngle = this.angle) {
         // Convert world angle to angle relative to player's rotation
-        let relativeAngle = worldAngle - this.angle;
+        let relativeAngle = worldAngle - ringAngle;
         
         // Normalize to [0, 2PI]
         while (relativeAngle < 0) relativeAngle += Math.PI * 2;
         while (relativeAngle >= Math.PI * 2) relativeAngle -= Math.PI * 2;
         
         // Check if this angle is in any gap
-        for (const [gapStart, gapEnd] of this.gaps) {
+        for (const gap of this.gaps) {
+            const [gapStart, gapEnd] = gap;
             // Handle wrap-around case
             if (gapEnd > Math.PI * 2) {
                 if (relativeAngle >= gapStart || relativeAngle <= (gapEnd - Math.PI * 2)) {
-                    return false; // In gap
+                    return gap; // In gap
                 }
             } else {
                 if (relativeAngle >= gapStart && relativeAngle < gapEnd) {
-                    return false; // In gap
+                    return gap; // In gap
                 }
             }
         }
         
-        return true; // Solid part
+        return null; // Solid part
     }
     
     update(deltaTime, sliderAngle) {
+        // Remember where this tick started (render interpolates from here)
+        this.prevAngle = this.angle;
+        
         // Handle rotation input from slider
         // sliderAngle is passed directly from GameEngine (null if slider not active)
         if (sliderAngle !== null && sliderAngle !== undefined) {
@@ -863,7 +1359,7 @@ class Player {
             while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
             while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
             
-            // Smooth interpolation factor (higher = faster response, but still smooth)
+            // Smooth interpolation factor per fixed tick (higher = faster response, but still smooth)
             const smoothingFactor = 0.25; // Adjust for smoothness vs responsiveness
             
             // Smoothly interpolate towards slider angle
@@ -908,14 +1404,61 @@ class Player {
         }
     }
     
-    render(ctx) {
-        // Minimal design: Draw 6 grey dots arranged in a perfect circle
+    /**
+     * Turn at a fixed speed, without the joystick's smoothing or wobble
+     * @param {number} deltaTime - Fixed tick length in seconds
+     * @param {number} speed - Radians per second (negative turns the other way)
+     */
+    spin(deltaTime, speed) {
+        this.prevAngle = this.angle;
+        this.rotationSpeed = speed;
+        this.angle += speed * deltaTime;
+        
+        while (this.angle > Math.PI * 2) this.angle -= Math.PI * 2;
+        while (this.angle < 0) this.angle += Math.PI * 2;
+        
+        if (this.hitFlash > 0) {
+            this.hitFlash -= deltaTime;
+        }
+    }
+    
+    /**
+     * Rotation to draw, blended between the last two ticks
+     * @param {number} alpha - Progress from the previous tick to the current one (0-1)
+     * @returns {number} Angle in radians
+     */
+    getRenderAngle(alpha = 1) {
+        if (this.prevAngle === undefined) return this.angle;
+        
+        // Blend along the shortest path so wrapping past 2π doesn't spin the ring
+        let angleDiff = this.angle - this.prevAngle;
+        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+        return this.prevAngle + angleDiff * alpha;
+    }
+    
+    /**
+     * Center to draw, blended between the last two ticks (the ring only moves while drifting)
+     * @param {number} alpha - Progress from the previous tick to the current one (0-1)
+     * @returns {Object} { x, y }
+     */
+    getRenderPosition(alpha = 1) {
+        if (this.prevX === undefined) return { x: this.x, y: this.y };
+        
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+    
+    render(ctx, alpha = 1) {
+        // Minimal design: grey dots arranged in a perfect circle
         ctx.save();
-        ctx.translate(this.x, this.y);
+        const position = this.getRenderPosition(alpha);
+        ctx.translate(position.x, position.y);
+        const renderAngle = this.getRenderAngle(alpha);
         
-        const dotCount = 6;
-        const dotRadius = 8.47; // Increased by 10% more (7.7 * 1.1 = 8.47)
-        const dotColor = this.hitFlash > 0 ? '#ff4444' : '#f1f6f7'; // Aqua Haze, red on hit
+        const dotColor = this.hitFlash > 0 ? '#ff4444' : this.dotColor; // Red on hit
         
         ctx.fillStyle = dotColor;
         
@@ -923,22 +1466,29 @@ class Player {
         const scaledRadius = this.radius * this.wobbleScale;
         
         // Draw each dot arranged in a circle
-        for (let i = 0; i < dotCount; i++) {
-            // Calculate angle for each dot (evenly spaced around circle)
-            const angle = (i * Math.PI * 2 / dotCount) + this.angle;
+        for (const dot of this.dots) {
+            const angle = dot.angle + renderAngle;
             // Apply wobble scale to dot position
             const dotX = Math.cos(angle) * scaledRadius;
             const dotY = Math.sin(angle) * scaledRadius;
             
             // Draw circle for this dot
             ctx.beginPath();
-            ctx.arc(dotX, dotY, dotRadius, 0, Math.PI * 2);
+            ctx.arc(dotX, dotY, dot.radius, 0, Math.PI * 2);
             ctx.fill();
         }
         
         ctx.restore();
     }
     
+    /**
+     * Radius of a circle around the center that contains the whole ring (dots included, at the current wobble)
+     * @returns {number} Radius in pixels
+     */
+    getBoundingRadius() {
+        return this.radius * Math.max(1, this.wobbleScale) + Math.max(...this.dots.map(dot => dot.radius));
+    }
+    
     triggerHitFlash() {
         this.hitFlash = 0.2; // 200ms flash
     }
@@ -949,6 +1499,17 @@ class Player {
 // ============================================================================
 
 class Projectile {
+    static HOMING_TURN_RATE = 2.2; // Radians per second
+    static HOMING_LOCK_DISTANCE = 260; // Homing stops this close to the center
+    static CURVE_ANGLE = 0.45; // Radians off the line to the center
+    static SPLIT_SPREAD = 0.13; // Radians either side of the parent's angle around the center
+    static FRAGMENT_RADIUS = 11;
+    static DELAYED_STOP_DISTANCE = 340; // Distance from the center where it stops to telegraph
+    static DELAYED_TELEGRAPH_TIME = 0.7; // Seconds
+    static DELAYED_DASH_MULTIPLIER = 2;
+    static DELAYED_MIN_DASH_SPEED = 450;
+    static RICOCHET_BOUNCES = 2; // Wall bounces: the planned bank, and one more if knocked off course
+    
     constructor() {
         // Initialize with default values (will be reset when reused)
         this.reset(0, 0, 0, 0, 0);
@@ -960,7 +1521,7 @@ class Projectile {
         this.targetX = targetX;
         this.targetY = targetY;
         // Projectile size calculated to pass through gap between dots
-        // Gap angle: Math.PI / 6 (30 degrees)
+        // Gap angle (six-gap ring): Math.PI / 6 (30 degrees)
         // Gap width at circle radius (66.125px): 66.125 * (Math.PI / 6) ≈ 34.6px
         // Projectile diameter should be ~85% of gap width for comfortable passage: ~29px
         // Projectile radius: ~14.5px (rounded to 15px for visibility)
@@ -968,7 +1529,10 @@ class Projectile {
         this.speed = speed;
         this.active = true;
         this.dodged = false; // Track if projectile was dodged
-        this.spawnTime = performance.now(); // Track when projectile was spawned (for collision grace period)
+        this.ringsPassed = 0; // Rings threaded so far (Dual mode has two to pass before it counts as dodged)
+        this.age = 0; // Simulated seconds since spawn (for collision grace period)
+        this.prevX = x; // Position at the start of the current tick (for render interpolation)
+        this.prevY = y;
         
         // Calculate direction vector
         const dx = targetX - x;
@@ -979,11 +1543,178 @@ class Projectile {
         
         // Color will be set based on distance in render()
         this.color = '#ffffff'; // Flat white
+        
+        // Archetype (see setType)
+        this.type = ProjectileType.NORMAL;
+        this.isFragment = false; // Half of a split projectile
+        this.shouldSplit = false; // Set when a splitting projectile reaches mid-distance
+        this.spawnDistance = distance; // Distance to the target when launched
+        this.curveDirection = 1; // Curving: 1 = clockwise, -1 = counter-clockwise
+        this.phase = 'approach'; // Delayed: 'approach' -> 'telegraph' -> 'dash'
+        this.phaseTimer = 0;
+        this.powerUp = null; // POWER_UPS key when this is a power-up pickup rather than a shot
+        this.bouncesLeft = 0; // Ricochet: wall bounces left before it flies off like any other shot
+        this.inArena = false; // Ricochet: fully on screen (walls only bounce it from then on)
+    }
+    
+    /**
+     * Give the projectile an archetype (call right after acquiring it)
+     * @param {string} type - ProjectileType
+     * @param {Object} options - { curveDirection? } 1 or -1 for curving projectiles
+     */
+    setType(type, options = {}) {
+        this.type = type;
+        this.color = PROJECTILE_ARCHETYPES[type].color;
+        this.curveDirection = options.curveDirection || 1;
+        
+        if (type === ProjectileType.CURVING) {
+            this.applyCurve();
+        }
+        if (type === ProjectileType.RICOCHET) {
+            this.bouncesLeft = Projectile.RICOCHET_BOUNCES;
+        }
+    }
+    
+    /**
+     * Archetype movement, run each tick before the velocity is applied
+     * @param {number} deltaTime - Tick length in seconds
+     * @param {Player} player - Player ring (homing targets its dots)
+     */
+    updateBehavior(deltaTime, player) {
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        switch (this.type) {
+            case ProjectileType.HOMING:
+                // Steer toward the nearest dot until close enough that the course locks
+                // (the player needs time to turn a gap onto it)
+                if (player && distance > Projectile.HOMING_LOCK_DISTANCE) {
+                    this.steerToward(this.getNearestDot(player), Projectile.HOMING_TURN_RATE * deltaTime);
+                }
+                break;
+                
+            case ProjectileType.CURVING:
+                this.applyCurve();
+                break;
+                
+            case ProjectileType.SPLITTING:
+                if (!this.shouldSplit && distance <= this.spawnDistance / 2) {
+                    this.shouldSplit = true;
+                }
+                break;
+                
+            case ProjectileType.DELAYED:
+                this.phaseTimer += deltaTime;
+                if (this.phase === 'approach' && distance <= Projectile.DELAYED_STOP_DISTANCE) {
+                    this.phase = 'telegraph';
+                    this.phaseTimer = 0;
+                    this.vx = 0;
+                    this.vy = 0;
+                } else if (this.phase === 'telegraph' && this.phaseTimer >= Projectile.DELAYED_TELEGRAPH_TIME) {
+                    this.phase = 'dash';
+                    this.phaseTimer = 0;
+                    const dashSpeed = Math.max(this.speed * Projectile.DELAYED_DASH_MULTIPLIER, Projectile.DELAYED_MIN_DASH_SPEED);
+                    this.vx = (dx / distance) * dashSpeed;
+                    this.vy = (dy / distance) * dashSpeed;
+                    this.speed = dashSpeed;
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Curving: keep the velocity at a fixed angle off the line to the target (a spiral arc)
+     */
+    applyCurve() {
+        const toTarget = Math.atan2(this.targetY - this.y, this.targetX - this.x);
+        const heading = toTarget + Projectile.CURVE_ANGLE * this.curveDirection;
+        this.vx = Math.cos(heading) * this.speed;
+        this.vy = Math.sin(heading) * this.speed;
+    }
+    
+    /**
+     * Turn the velocity toward a point by at most maxTurn radians
+     * @param {Object} point - { x, y }
+     * @param {number} maxTurn - Largest allowed turn this tick (radians)
+     */
+    steerToward(point, maxTurn) {
+        const heading = Math.atan2(this.vy, this.vx);
+        let turn = Math.atan2(point.y - this.y, point.x - this.x) - heading;
+        while (turn > Math.PI) turn -= Math.PI * 2;
+        while (turn < -Math.PI) turn += Math.PI * 2;
+        turn = Math.max(-maxTurn, Math.min(maxTurn, turn));
+        
+        this.vx = Math.cos(heading + turn) * this.speed;
+        this.vy = Math.sin(heading + turn) * this.speed;
+    }
+    
+    /**
+     * Position of the player's dot closest to this projectile
+     * @param {Player} player - Player ring
+     * @returns {Object} { x, y }
+     */
+    getNearestDot(player) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        for (const { angle: dotAngle } of player.dots) {
+            const angle = dotAngle + player.angle;
+            const dot = {
+                x: player.x + Math.cos(angle) * player.radius,
+                y: player.y + Math.sin(angle) * player.radius
+            };
+            const distance = (dot.x - this.x) * (dot.x - this.x) + (dot.y - this.y) * (dot.y - this.y);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = dot;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Point in the middle of the player's gap closest to this projectile
+     * @param {Player} player - Player ring
+     * @returns {Object} { x, y }
+     */
+    getNearestGap(player) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        for (const [gapStart, gapEnd] of player.gaps) {
+            const angle = (gapStart + gapEnd) / 2 + player.angle;
+            const gap = {
+                x: player.x + Math.cos(angle) * player.radius,
+                y: player.y + Math.sin(angle) * player.radius
+            };
+            const distance = (gap.x - this.x) * (gap.x - this.x) + (gap.y - this.y) * (gap.y - this.y);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = gap;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Change speed while keeping the current direction
+     * @param {number} speed - New speed in pixels per second
+     */
+    setSpeed(speed) {
+        const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+        if (currentSpeed > 0) {
+            this.vx = (this.vx / currentSpeed) * speed;
+            this.vy = (this.vy / currentSpeed) * speed;
+        }
+        this.speed = speed;
     }
     
     update(deltaTime) {
         if (!this.active) return;
         
+        this.age += deltaTime;
+        
         // Velocity-based movement is now handled by Physics class in GameEngine
         // This method handles game-specific logic (dodged detection)
         
@@ -1023,8 +1754,17 @@ class Projectile {
         return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
     }
     
-    render(ctx, playerX = null, playerY = null) {
-        if (!this.active) return;
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} playerX - Player X (for distance-based colors)
+     * @param {number} playerY - Player Y (for distance-based colors)
+     * @param {number} alpha - Progress from the previous tick to the current one (0-1)
+     */
+    render(ctx, playerX = null, playerY = null, alpha = 1) {
+        if (!this.active) return;
+        
+        const renderX = this.prevX + (this.x - this.prevX) * alpha;
+        const renderY = this.prevY + (this.y - this.prevY) * alpha;
         
         // Use flat white color for projectiles
         let projectileColor = this.color; // #ffffff (Flat white)
@@ -1036,9 +1776,121 @@ class Projectile {
         ctx.shadowBlur = glowIntensity;
         ctx.shadowColor = projectileColor;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(renderX, renderY, this.radius, 0, Math.PI * 2);
         ctx.fill();
         ctx.restore();
+        
+        this.renderArchetype(ctx, renderX, renderY);
+    }
+    
+    /**
+     * Markings that tell the archetypes apart
+     */
+    renderArchetype(ctx, x, y) {
+        if (this.powerUp) {
+            this.renderPowerUp(ctx, x, y);
+            return;
+        }
+        if (this.type === ProjectileType.NORMAL) return;
+        
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        
+        switch (this.type) {
+            case ProjectileType.HOMING: {
+                // Arrowhead pointing along its heading
+                const heading = Math.atan2(this.vy, this.vx);
+                ctx.translate(x, y);
+                ctx.rotate(heading);
+                ctx.beginPath();
+                ctx.moveTo(this.radius * 0.6, 0);
+                ctx.lineTo(-this.radius * 0.4, -this.radius * 0.45);
+                ctx.lineTo(-this.radius * 0.4, this.radius * 0.45);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case ProjectileType.CURVING: {
+                // Swirl showing which way it curves
+                const start = Math.atan2(this.vy, this.vx) + Math.PI;
+                ctx.beginPath();
+                ctx.arc(x, y, this.radius * 0.55, start, start + Math.PI * 1.3 * this.curveDirection, this.curveDirection < 0);
+                ctx.stroke();
+                break;
+            }
+            case ProjectileType.SPLITTING: {
+                // Seam across the middle where it will break
+                const angle = Math.atan2(this.targetY - y, this.targetX - x);
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx.beginPath();
+                ctx.moveTo(-this.radius, 0);
+                ctx.lineTo(this.radius, 0);
+                ctx.stroke();
+                break;
+            }
+            case ProjectileType.DELAYED: {
+                if (this.phase === 'telegraph') {
+                    // Pulsing ring and the line it will dash along
+                    const pulse = 0.5 + 0.5 * Math.sin(this.phaseTimer * 30);
+                    ctx.globalAlpha = 0.4 + 0.6 * pulse;
+                    ctx.beginPath();
+                    ctx.arc(x, y, this.radius + 4 + pulse * 4, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.strokeStyle = this.color;
+                    ctx.setLineDash([10, 8]);
+                    ctx.globalAlpha = 0.6;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    ctx.lineTo(this.targetX, this.targetY);
+                    ctx.stroke();
+                } else {
+                    // Hollow center
+                    ctx.beginPath();
+                    ctx.arc(x, y, this.radius * 0.45, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+                break;
+            }
+            case ProjectileType.RICOCHET: {
+                // Diamond, filled while it can still bounce off a wall
+                const size = this.radius * 0.5;
+                ctx.beginPath();
+                ctx.moveTo(x, y - size);
+                ctx.lineTo(x + size, y);
+                ctx.lineTo(x, y + size);
+                ctx.lineTo(x - size, y);
+                ctx.closePath();
+                if (this.bouncesLeft > 0) {
+                    ctx.fill();
+                } else {
+                    ctx.stroke();
+                }
+                break;
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Power-up pickup: white outline and the power-up's icon
+     */
+    renderPowerUp(ctx, x, y) {
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius + 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(this.radius * 1.2)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(POWER_UPS[this.powerUp].icon, x, y + 1);
+        ctx.restore();
     }
 }
 
@@ -1048,7 +1900,11 @@ class Projectile {
 // ============================================================================
 
 class ParticleSystem {
-    constructor() {
+    /**
+     * @param {SeededRandom} random - Cosmetic random stream (particles never affect gameplay)
+     */
+    constructor(random = null) {
+        this.random = random || new SeededRandom(RandomService.generateSeed());
         this.particles = [];
         this.particlePool = []; // Pool for reuse
         this.maxParticles = 100; // Increased for better effects
@@ -1099,12 +1955,12 @@ class ParticleSystem {
      */
     spawnExplosion(x, y, count = 12, baseColor = '#ff4444') {
         for (let i = 0; i < count && this.activeParticleCount < this.maxParticles; i++) {
-            const angle = (Math.PI * 2 * i) / count + (Math.random() - 0.5) * 0.5;
-            const speed = 100 + Math.random() * 150;
+            const angle = (Math.PI * 2 * i) / count + (this.random.next() - 0.5) * 0.5;
+            const speed = 100 + this.random.next() * 150;
             let particleColor = baseColor;
             if (baseColor === '#ff4444') {
                 // Default: yellow to orange for explosions
-                particleColor = `hsl(${Math.random() * 60}, 100%, 60%)`;
+                particleColor = `hsl(${this.random.next() * 60}, 100%, 60%)`;
             }
             
             const p = this.acquireParticle();
@@ -1114,11 +1970,11 @@ class ParticleSystem {
             p.vy = Math.sin(angle) * speed;
             p.life = 0.5;
             p.maxLife = 0.5;
-            p.size = 3 + Math.random() * 4;
+            p.size = 3 + this.random.next() * 4;
             p.color = particleColor;
             p.type = 'explosion';
-            p.rotation = Math.random() * Math.PI * 2;
-            p.rotationSpeed = (Math.random() - 0.5) * 10;
+            p.rotation = this.random.next() * Math.PI * 2;
+            p.rotationSpeed = (this.random.next() - 0.5) * 10;
             
             this.particles.push(p);
             this.activeParticleCount++;
@@ -1131,13 +1987,13 @@ class ParticleSystem {
     spawnTrail(x, y, vx, vy, color = '#4a9eff', count = 3) {
         for (let i = 0; i < count && this.activeParticleCount < this.maxParticles; i++) {
             const p = this.acquireParticle();
-            p.x = x + (Math.random() - 0.5) * 10;
-            p.y = y + (Math.random() - 0.5) * 10;
-            p.vx = vx * 0.3 + (Math.random() - 0.5) * 30;
-            p.vy = vy * 0.3 + (Math.random() - 0.5) * 30;
+            p.x = x + (this.random.next() - 0.5) * 10;
+            p.y = y + (this.random.next() - 0.5) * 10;
+            p.vx = vx * 0.3 + (this.random.next() - 0.5) * 30;
+            p.vy = vy * 0.3 + (this.random.next() - 0.5) * 30;
             p.life = 0.3;
             p.maxLife = 0.3;
-            p.size = 2 + Math.random() * 2;
+            p.size = 2 + this.random.next() * 2;
             p.color = color;
             p.type = 'trail';
             p.rotation = 0;
@@ -1154,7 +2010,7 @@ class ParticleSystem {
     spawnSparkle(x, y, count = 8, color = '#ffd700') {
         for (let i = 0; i < count && this.activeParticleCount < this.maxParticles; i++) {
             const angle = (Math.PI * 2 * i) / count;
-            const speed = 50 + Math.random() * 50;
+            const speed = 50 + this.random.next() * 50;
             
             const p = this.acquireParticle();
             p.x = x;
@@ -1163,11 +2019,11 @@ class ParticleSystem {
             p.vy = Math.sin(angle) * speed;
             p.life = 0.8;
             p.maxLife = 0.8;
-            p.size = 2 + Math.random() * 3;
+            p.size = 2 + this.random.next() * 3;
             p.color = color;
             p.type = 'sparkle';
-            p.rotation = Math.random() * Math.PI * 2;
-            p.rotationSpeed = (Math.random() - 0.5) * 15;
+            p.rotation = this.random.next() * Math.PI * 2;
+            p.rotationSpeed = (this.random.next() - 0.5) * 15;
             
             this.particles.push(p);
             this.activeParticleCount++;
@@ -1189,8 +2045,8 @@ class ParticleSystem {
      */
     spawnDiffusion(x, y, count = 15, color = '#ffffff') {
         for (let i = 0; i < count && this.activeParticleCount < this.maxParticles; i++) {
-            const angle = (Math.PI * 2 * i) / count + (Math.random() - 0.5) * 0.3;
-            const speed = 80 + Math.random() * 40;
+            const angle = (Math.PI * 2 * i) / count + (this.random.next() - 0.5) * 0.3;
+            const speed = 80 + this.random.next() * 40;
             
             const p = this.acquireParticle();
             p.x = x;
@@ -1199,11 +2055,11 @@ class ParticleSystem {
             p.vy = Math.sin(angle) * speed;
             p.life = 0.6;
             p.maxLife = 0.6;
-            p.size = 3 + Math.random() * 3;
+            p.size = 3 + this.random.next() * 3;
             p.color = color;
             p.type = 'sparkle'; // Use sparkle type for star shape
-            p.rotation = Math.random() * Math.PI * 2;
-            p.rotationSpeed = (Math.random() - 0.5) * 20;
+            p.rotation = this.random.next() * Math.PI * 2;
+            p.rotationSpeed = (this.random.next() - 0.5) * 20;
             
             this.particles.push(p);
             this.activeParticleCount++;
@@ -1216,7 +2072,7 @@ class ParticleSystem {
     spawnSpawnEffect(x, y, color = '#4a9eff') {
         for (let i = 0; i < 16 && this.activeParticleCount < this.maxParticles; i++) {
             const angle = (Math.PI * 2 * i) / 16;
-            const speed = 30 + Math.random() * 20;
+            const speed = 30 + this.random.next() * 20;
             
             const p = this.acquireParticle();
             p.x = x;
@@ -1225,7 +2081,7 @@ class ParticleSystem {
             p.vy = Math.sin(angle) * speed;
             p.life = 0.4;
             p.maxLife = 0.4;
-            p.size = 2 + Math.random() * 2;
+            p.size = 2 + this.random.next() * 2;
             p.color = color;
             p.type = 'spawn';
             p.rotation = 0;
@@ -1371,10 +2227,10 @@ class ProjectilePool {
         }
     }
     
-    render(ctx, playerX = null, playerY = null) {
+    render(ctx, playerX = null, playerY = null, alpha = 1) {
         // Render all active projectiles
         for (const projectile of this.active) {
-            projectile.render(ctx, playerX, playerY);
+            projectile.render(ctx, playerX, playerY, alpha);
         }
     }
     
@@ -1394,22 +2250,66 @@ class ProjectilePool {
     }
 }
 
+// ============================================================================
+// MEMORY STORAGE CLASS
+// In-memory Storage replacement for headless engines (Node tests)
+// ============================================================================
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+    
+    clear() {
+        this.items.clear();
+    }
+}
+
 // ============================================================================
 // DATA MANAGER CLASS
 // ============================================================================
 
 class DataManager {
-    constructor() {
+    /**
+     * @param {Storage} storage - localStorage, or a MemoryStorage when headless
+     */
+    constructor(storage) {
+        this.storage = storage;
         this.storagePrefix = 'spinEscape';
     }
     
     /**
-     * Save a score to the leaderboard
-     * Maintains top 10 scores
+     * Storage key of a mode's leaderboard
+     * Each mode has its own (modes with lives aren't comparable with one-hit Classic);
+     * Classic keeps the original key, so scores saved before stay on its list
+     * @param {string} mode - GameMode
+     * @returns {string} Storage key
+     */
+    getScoresKey(mode) {
+        return mode === GameMode.CLASSIC ? `${this.storagePrefix}HighScores` : `${this.storagePrefix}HighScores_${mode}`;
+    }
+    
+    /**
+     * Save a score to a mode's leaderboard
+     * Maintains top 10 scores; only the best entry keeps its replay (for the ghost ring)
      * @param {number} score - Score to save
+     * @param {Object} replay - Serialized replay of the run (optional)
+     * @param {string} mode - Mode the run was played in
      * @returns {boolean} Success status
      */
-    saveScore(score) {
+    saveScore(score, replay = null, mode = GameMode.CLASSIC) {
         try {
             // Validate score
             if (!this.validateScore(score)) {
@@ -1418,13 +2318,17 @@ class DataManager {
             }
             
             // Load existing scores
-            const scores = this.loadHighScores();
+            const scores = this.loadHighScores(mode);
             
             // Add new score with timestamp
-            scores.push({
+            const entry = {
                 score: score,
                 timestamp: Math.floor(Date.now() / 1000)
-            });
+            };
+            if (replay) {
+                entry.replay = replay;
+            }
+            scores.push(entry);
             
             // Sort by score (descending)
             scores.sort((a, b) => b.score - a.score);
@@ -1432,8 +2336,13 @@ class DataManager {
             // Keep only top 10
             const topScores = scores.slice(0, 10);
             
+            // Replays are large: drop them from everything but the best entry
+            for (let i = 1; i < topScores.length; i++) {
+                delete topScores[i].replay;
+            }
+            
             // Save back
-            localStorage.setItem(`${this.storagePrefix}HighScores`, JSON.stringify(topScores));
+            this.storage.setItem(this.getScoresKey(mode), JSON.stringify(topScores));
             
             return true;
         } catch (e) {
@@ -1443,12 +2352,13 @@ class DataManager {
     }
     
     /**
-     * Load top 10 high scores
+     * Load a mode's top 10 high scores
+     * @param {string} mode - GameMode
      * @returns {Array} Array of score objects with score and timestamp
      */
-    loadHighScores() {
+    loadHighScores(mode = GameMode.CLASSIC) {
         try {
-            const saved = localStorage.getItem(`${this.storagePrefix}HighScores`);
+            const saved = this.storage.getItem(this.getScoresKey(mode));
             if (saved) {
                 const scores = JSON.parse(saved);
                 // Validate structure
@@ -1463,6 +2373,221 @@ class DataManager {
         }
     }
     
+    /**
+     * Load the replay stored with a mode's best score
+     * @param {string} mode - GameMode
+     * @returns {Replay|null} Best run's replay, or null if there is none (or it can't be played)
+     */
+    loadBestReplay(mode = GameMode.CLASSIC) {
+        const best = this.loadHighScores(mode)[0];
+        return best ? this.parseReplay(best.replay) : null;
+    }
+    
+    /**
+     * Build a Replay from stored data
+     * @param {Object} data - Serialized replay
+     * @returns {Replay|null} Replay, or null if missing or unplayable
+     */
+    parseReplay(data) {
+        if (!data) {
+            return null;
+        }
+        
+        try {
+            return Replay.fromJSON(data);
+        } catch (e) {
+            console.warn('Ignoring stored replay:', e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Local calendar date as YYYY-MM-DD (daily challenges follow the device's date, so they work offline)
+     * @param {Date} date - Date to format (defaults to now)
+     * @returns {string} Date key
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Date key of the day before a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string} Previous day's date key
+     */
+    static getPreviousDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return DataManager.getDateKey(new Date(year, month - 1, day - 1));
+    }
+    
+    /**
+     * Load the daily challenge leaderboard (one entry per day, most recent first)
+     * @returns {Array} Array of { date, score, timestamp, replay? }
+     */
+    loadDailyScores() {
+        try {
+            const saved = this.storage.getItem(`${this.storagePrefix}DailyScores`);
+            if (saved) {
+                const entries = JSON.parse(saved);
+                if (Array.isArray(entries)) {
+                    return entries.filter(e => e && typeof e.date === 'string' && typeof e.score === 'number');
+                }
+            }
+            return [];
+        } catch (e) {
+            console.error('Failed to load daily scores:', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Save the daily challenge leaderboard
+     * Keeps the last 30 days; only the most recent day keeps its replay
+     * @param {Array} entries - Daily entries
+     * @returns {boolean} Success status
+     */
+    saveDailyScores(entries) {
+        try {
+            entries.sort((a, b) => b.date.localeCompare(a.date));
+            const recent = entries.slice(0, 30);
+            for (let i = 1; i < recent.length; i++) {
+                delete recent[i].replay;
+            }
+            this.storage.setItem(`${this.storagePrefix}DailyScores`, JSON.stringify(recent));
+            return true;
+        } catch (e) {
+            console.error('Failed to save daily scores:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Get the daily entry for a date (exists once that day's scored attempt has started)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {Object|null} Daily entry
+     */
+    getDailyEntry(dateKey) {
+        return this.loadDailyScores().find(e => e.date === dateKey) || null;
+    }
+    
+    /**
+     * Use up the day's scored attempt
+     * Recorded when the run starts, so quitting doesn't grant another scored try
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {boolean} Success status
+     */
+    startDailyAttempt(dateKey) {
+        const entries = this.loadDailyScores().filter(e => e.date !== dateKey);
+        entries.push({ date: dateKey, score: 0, timestamp: Math.floor(Date.now() / 1000) });
+        return this.saveDailyScores(entries);
+    }
+    
+    /**
+     * Record the result of the day's scored attempt
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} score - Score to save
+     * @param {Object} replay - Serialized replay of the run (optional)
+     * @returns {boolean} Success status
+     */
+    saveDailyScore(dateKey, score, replay = null) {
+        if (!this.validateScore(score)) {
+            console.warn(`Invalid daily score: ${score}`);
+            return false;
+        }
+        
+        const entries = this.loadDailyScores().filter(e => e.date !== dateKey);
+        const entry = { date: dateKey, score: score, timestamp: Math.floor(Date.now() / 1000) };
+        if (replay) {
+            entry.replay = replay;
+        }
+        entries.push(entry);
+        return this.saveDailyScores(entries);
+    }
+    
+    /**
+     * Replay of a day's scored attempt (used as the ghost for practice runs)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {Replay|null} Replay
+     */
+    loadDailyReplay(dateKey) {
+        const entry = this.getDailyEntry(dateKey);
+        return entry ? this.parseReplay(entry.replay) : null;
+    }
+    
+    /**
+     * Extend (or restart) the daily challenge streak after a scored attempt
+     * @param {string} dateKey - Date of the completed challenge
+     */
+    updateDailyStreak(dateKey) {
+        const stats = this.getPlayerStats();
+        if (stats.lastDailyDate === dateKey) {
+            return;
+        }
+        
+        const continued = stats.lastDailyDate === DataManager.getPreviousDateKey(dateKey);
+        stats.dailyStreak = continued ? (stats.dailyStreak || 0) + 1 : 1;
+        stats.bestDailyStreak = Math.max(stats.bestDailyStreak || 0, stats.dailyStreak);
+        stats.lastDailyDate = dateKey;
+        
+        this.savePlayerStats(stats);
+    }
+    
+    /**
+     * Current daily streak (a missed day breaks it)
+     * @param {string} dateKey - Today's date key
+     * @returns {number} Streak in days
+     */
+    getDailyStreak(dateKey) {
+        const stats = this.getPlayerStats();
+        if (stats.lastDailyDate === dateKey || stats.lastDailyDate === DataManager.getPreviousDateKey(dateKey)) {
+            return stats.dailyStreak || 0;
+        }
+        return 0;
+    }
+    
+    /**
+     * Load the patterns saved from the pattern editor
+     * Entries that no longer validate are skipped
+     * @returns {Array} Serialized patterns, oldest first
+     */
+    loadCustomPatterns() {
+        try {
+            const saved = this.storage.getItem(`${this.storagePrefix}CustomPatterns`);
+            const patterns = saved ? JSON.parse(saved) : [];
+            return patterns.filter(data => {
+                try {
+                    SpawnPattern.fromJSON(data);
+                    return true;
+                } catch (e) {
+                    console.warn('Ignoring saved pattern:', e.message);
+                    return false;
+                }
+            });
+        } catch (e) {
+            console.error('Failed to load custom patterns:', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Save a pattern from the pattern editor (replaces a saved pattern with the same id)
+     * @param {Object} pattern - Serialized pattern
+     * @returns {boolean} Success status
+     */
+    saveCustomPattern(pattern) {
+        try {
+            const patterns = this.loadCustomPatterns().filter(existing => existing.id !== pattern.id);
+            patterns.push(pattern);
+            this.storage.setItem(`${this.storagePrefix}CustomPatterns`, JSON.stringify(patterns));
+            return true;
+        } catch (e) {
+            console.error('Failed to save custom pattern:', e);
+            return false;
+        }
+    }
+    
     /**
      * Save settings
      * @param {Object} settings - Settings object
@@ -1476,7 +2601,7 @@ class DataManager {
                 lastPlayed: Math.floor(Date.now() / 1000)
             };
             
-            localStorage.setItem(`${this.storagePrefix}Settings`, JSON.stringify(settingsWithTimestamp));
+            this.storage.setItem(`${this.storagePrefix}Settings`, JSON.stringify(settingsWithTimestamp));
             return true;
         } catch (e) {
             console.error('Failed to save settings:', e);
@@ -1490,13 +2615,18 @@ class DataManager {
      */
     loadSettings() {
         try {
-            const saved = localStorage.getItem(`${this.storagePrefix}Settings`);
+            const saved = this.storage.getItem(`${this.storagePrefix}Settings`);
             if (saved) {
                 return JSON.parse(saved);
             }
             return {
                 soundEnabled: true,
                 vibrationEnabled: true,
+                ghostEnabled: true,
+                cameraTracking: false,
+                masterVolume: 1.0,
+                sfxVolume: 0.8,
+                musicVolume: 0.6,
                 lastPlayed: 0
             };
         } catch (e) {
@@ -1504,6 +2634,11 @@ class DataManager {
             return {
                 soundEnabled: true,
                 vibrationEnabled: true,
+                ghostEnabled: true,
+                cameraTracking: false,
+                masterVolume: 1.0,
+                sfxVolume: 0.8,
+                musicVolume: 0.6,
                 lastPlayed: 0
             };
         }
@@ -1515,12 +2650,16 @@ class DataManager {
      */
     resetData() {
         try {
-            localStorage.removeItem(`${this.storagePrefix}HighScores`);
-            localStorage.removeItem(`${this.storagePrefix}Settings`);
-            localStorage.removeItem(`${this.storagePrefix}Vibration`);
-            localStorage.removeItem(`${this.storagePrefix}Achievements`);
-            localStorage.removeItem(`${this.storagePrefix}Stats`);
-            localStorage.removeItem(`${this.storagePrefix}HighScore`); // Old format
+            for (const mode of Object.values(GameMode)) {
+                this.storage.removeItem(this.getScoresKey(mode));
+            }
+            this.storage.removeItem(`${this.storagePrefix}Settings`);
+            this.storage.removeItem(`${this.storagePrefix}Vibration`);
+            this.storage.removeItem(`${this.storagePrefix}Achievements`);
+            this.storage.removeItem(`${this.storagePrefix}Stats`);
+            this.storage.removeItem(`${this.storagePrefix}DailyScores`);
+            this.storage.removeItem(`${this.storagePrefix}CustomPatterns`);
+            this.storage.removeItem(`${this.storagePrefix}HighScore`); // Old format
             return true;
         } catch (e) {
             console.error('Failed to reset data:', e);
@@ -1534,7 +2673,7 @@ class DataManager {
      */
     getPlayerStats() {
         try {
-            const saved = localStorage.getItem(`${this.storagePrefix}Stats`);
+            const saved = this.storage.getItem(`${this.storagePrefix}Stats`);
             if (saved) {
                 return JSON.parse(saved);
             }
@@ -1545,7 +2684,10 @@ class DataManager {
                 totalScore: 0,
                 averageScore: 0,
                 totalPlaytime: 0, // in seconds
-                bestScore: 0
+                bestScore: 0,
+                dailyStreak: 0, // Consecutive days with a completed daily challenge
+                bestDailyStreak: 0,
+                lastDailyDate: null
             };
         } catch (e) {
             console.error('Failed to load player stats:', e);
@@ -1556,7 +2698,10 @@ class DataManager {
                 totalScore: 0,
                 averageScore: 0,
                 totalPlaytime: 0,
-                bestScore: 0
+                bestScore: 0,
+                dailyStreak: 0,
+                bestDailyStreak: 0,
+                lastDailyDate: null
             };
         }
     }
@@ -1568,7 +2713,7 @@ class DataManager {
      */
     savePlayerStats(stats) {
         try {
-            localStorage.setItem(`${this.storagePrefix}Stats`, JSON.stringify(stats));
+            this.storage.setItem(`${this.storagePrefix}Stats`, JSON.stringify(stats));
             return true;
         } catch (e) {
             console.error('Failed to save player stats:', e);
@@ -1635,26 +2780,45 @@ class Physics {
     constructor() {
         // Gravity constant (pixels per second squared)
         this.gravity = 0; // Default: no gravity (can be set per object)
+        this.bounceDamping = 0.8; // Share of the speed into a boundary kept by a keepInBounds() bounce
         
-        // Collision grid for spatial optimization
+        // Collision grid for spatial optimization (broad phase)
+        // Cells are kept between rebuilds and emptied, so a rebuild doesn't allocate
         this.gridSize = 200; // Grid cell size in pixels
-        this.grid = new Map();
+        this.grid = new Map(); // "cellX,cellY" -> { cellX, cellY, objects }
         
         // Collision callbacks
         this.collisionCallbacks = [];
     }
     
     /**
-     * Apply gravity to an object
-     * @param {Object} object - Object with { x, y, vy, gravity } properties
+     * Apply gravity to an object: its own downward pull, and the pull of any gravity wells
+     * @param {Object} object - Object with { x, y, vx, vy, gravity } properties
      * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Array} wells - Point masses [{ x, y, strength, range, softening }] (see GRAVITY_WELLS)
      */
-    applyGravity(object, deltaTime) {
-        if (!object.gravity) return;
+    applyGravity(object, deltaTime, wells = []) {
+        if (!object.gravity && wells.length === 0) return;
         
         // Apply gravity to vertical velocity
         if (object.vy === undefined) object.vy = 0;
-        object.vy += object.gravity * deltaTime;
+        if (object.gravity) {
+            object.vy += object.gravity * deltaTime;
+        }
+        
+        // Wells pull toward their center, softened so a close pass doesn't fling the object
+        if (object.vx === undefined) object.vx = 0;
+        for (const well of wells) {
+            const dx = well.x - object.x;
+            const dy = well.y - object.y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq === 0 || distanceSq > well.range * well.range) continue;
+            
+            const distance = Math.sqrt(distanceSq);
+            const pull = well.strength / (distanceSq + well.softening * well.softening);
+            object.vx += (dx / distance) * pull * deltaTime;
+            object.vy += (dy / distance) * pull * deltaTime;
+        }
     }
     
     /**
@@ -1831,6 +2995,167 @@ class Physics {
         return distance < circle.radius;
     }
     
+    /**
+     * Check circle-to-polygon collision
+     * @param {Object} circle - { x, y, radius }
+     * @param {Array} vertices - Polygon vertices [{ x, y }, ...] in order
+     * @returns {boolean} True if colliding
+     */
+    checkCirclePolygon(circle, vertices) {
+        if (this.isPointInPolygon(circle.x, circle.y, vertices)) {
+            return true;
+        }
+        
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            if (this.getDistanceToSegment(circle.x, circle.y, v1, v2) <= circle.radius) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Point-in-polygon test (ray casting)
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {Array} vertices - Polygon vertices [{ x, y }, ...] in order
+     * @returns {boolean} True if the point is inside
+     */
+    isPointInPolygon(x, y, vertices) {
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const vi = vertices[i];
+            const vj = vertices[j];
+            if (((vi.y > y) !== (vj.y > y)) &&
+                (x < (vj.x - vi.x) * (y - vi.y) / (vj.y - vi.y) + vi.x)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Distance from a point to a line segment
+     * @param {number} px - Point X
+     * @param {number} py - Point Y
+     * @param {Object} v1 - Segment start { x, y }
+     * @param {Object} v2 - Segment end { x, y }
+     * @returns {number} Distance in pixels
+     */
+    getDistanceToSegment(px, py, v1, v2) {
+        const dx = v2.x - v1.x;
+        const dy = v2.y - v1.y;
+        const length2 = dx * dx + dy * dy;
+        const t = length2 > 0 ? Math.max(0, Math.min(1, ((px - v1.x) * dx + (py - v1.y) * dy) / length2)) : 0;
+        const closestX = v1.x + t * dx;
+        const closestY = v1.y + t * dy;
+        return Math.sqrt((px - closestX) * (px - closestX) + (py - closestY) * (py - closestY));
+    }
+    
+    /**
+     * Swept circle-to-circle test: when do two circles moving in straight lines first touch?
+     * Positions are linearly interpolated over the step, t = 0 (start) to 1 (end),
+     * so a fast circle can't pass through another between ticks.
+     * @param {Object} startA - First circle at the start of the step { x, y }
+     * @param {Object} endA - First circle at the end of the step { x, y }
+     * @param {number} radiusA - First circle's radius
+     * @param {Object} startB - Second circle at the start of the step { x, y }
+     * @param {Object} endB - Second circle at the end of the step { x, y }
+     * @param {number} radiusB - Second circle's radius
+     * @returns {number|null} Time of first contact (0-1, 0 if already touching), or null if they never touch
+     */
+    sweepCircleCircle(startA, endA, radiusA, startB, endB, radiusB) {
+        // Work in B's frame: A moves by the relative displacement
+        const px = startA.x - startB.x;
+        const py = startA.y - startB.y;
+        const vx = (endA.x - startA.x) - (endB.x - startB.x);
+        const vy = (endA.y - startA.y) - (endB.y - startB.y);
+        const radius = radiusA + radiusB;
+        
+        const c = px * px + py * py - radius * radius;
+        if (c <= 0) return 0;
+        
+        const a = vx * vx + vy * vy;
+        if (a === 0) return null;
+        
+        const b = 2 * (px * vx + py * vy);
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= 1 ? t : null;
+    }
+    
+    /**
+     * Swept circle-to-polygon test against a static polygon
+     * @param {Object} start - Circle center at the start of the step { x, y }
+     * @param {Object} end - Circle center at the end of the step { x, y }
+     * @param {number} radius - Circle radius
+     * @param {Array} vertices - Polygon vertices [{ x, y }, ...] in order
+     * @returns {number|null} Time of first contact (0-1, 0 if already touching), or null if they never touch
+     */
+    sweepCirclePolygon(start, end, radius, vertices) {
+        if (this.checkCirclePolygon({ x: start.x, y: start.y, radius }, vertices)) {
+            return 0;
+        }
+        
+        // First contact is with the polygon grown by the radius:
+        // each edge pushed out on both sides, and a circle around each vertex
+        let earliest = null;
+        const consider = (t) => {
+            if (t !== null && (earliest === null || t < earliest)) earliest = t;
+        };
+        
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            const edgeX = v2.x - v1.x;
+            const edgeY = v2.y - v1.y;
+            const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+            
+            if (length > 0) {
+                const nx = -edgeY / length * radius;
+                const ny = edgeX / length * radius;
+                for (const side of [1, -1]) {
+                    consider(this.getSegmentIntersectionTime(
+                        start, end,
+                        { x: v1.x + nx * side, y: v1.y + ny * side },
+                        { x: v2.x + nx * side, y: v2.y + ny * side }
+                    ));
+                }
+            }
+            
+            consider(this.sweepCircleCircle(start, end, radius, v1, v1, 0));
+        }
+        
+        return earliest;
+    }
+    
+    /**
+     * Where along a moving point's path does it cross a segment?
+     * @param {Object} start - Path start { x, y }
+     * @param {Object} end - Path end { x, y }
+     * @param {Object} v1 - Segment start { x, y }
+     * @param {Object} v2 - Segment end { x, y }
+     * @returns {number|null} Path time of the crossing (0-1), or null
+     */
+    getSegmentIntersectionTime(start, end, v1, v2) {
+        const rx = end.x - start.x;
+        const ry = end.y - start.y;
+        const sx = v2.x - v1.x;
+        const sy = v2.y - v1.y;
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return null; // Parallel
+        
+        const qx = v1.x - start.x;
+        const qy = v1.y - start.y;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+    }
+    
     /**
      * Resolve collision between two objects
      * Handles overlap resolution and bounce physics
@@ -2038,8 +3363,9 @@ class Physics {
             const normalX = dx / distance;
             const normalY = dy / distance;
             
-            // Reflect velocity
+            // Reflect velocity (only when moving into the rectangle)
             const dot = circle.vx * normalX + circle.vy * normalY;
+            if (dot >= 0) return;
             circle.vx -= 2 * dot * normalX * elasticity;
             circle.vy -= 2 * dot * normalY * elasticity;
         }
@@ -2070,7 +3396,7 @@ class Physics {
             } else {
                 object.x = minX + width / 2;
                 if (bounce && object.vx !== undefined) {
-                    object.vx = -object.vx * 0.8; // Bounce with damping
+                    object.vx = -object.vx * this.bounceDamping; // Bounce with damping
                 }
             }
         }
@@ -2081,7 +3407,7 @@ class Physics {
             } else {
                 object.x = maxX - width / 2;
                 if (bounce && object.vx !== undefined) {
-                    object.vx = -object.vx * 0.8;
+                    object.vx = -object.vx * this.bounceDamping;
                 }
             }
         }
@@ -2092,7 +3418,7 @@ class Physics {
             } else {
                 object.y = minY + height / 2;
                 if (bounce && object.vy !== undefined) {
-                    object.vy = -object.vy * 0.8;
+                    object.vy = -object.vy * this.bounceDamping;
                 }
             }
         }
@@ -2103,7 +3429,7 @@ class Physics {
             } else {
                 object.y = maxY - height / 2;
                 if (bounce && object.vy !== undefined) {
-                    object.vy = -object.vy * 0.8;
+                    object.vy = -object.vy * this.bounceDamping;
                 }
             }
         }
@@ -2141,59 +3467,99 @@ class Physics {
     }
     
     /**
-     * Spatial optimization: Build collision grid
-     * @param {Array} objects - Array of objects to add to grid
+     * Rebuild the collision grid (call once per tick before querying)
+     * @param {Array} objects - Objects with a bounding box; inactive ones are skipped
      * @param {number} gridSize - Size of grid cells
      */
     buildCollisionGrid(objects, gridSize = this.gridSize) {
-        this.grid.clear();
-        this.gridSize = gridSize;
+        if (gridSize !== this.gridSize) {
+            this.grid.clear();
+            this.gridSize = gridSize;
+        }
+        for (const cell of this.grid.values()) {
+            cell.objects.length = 0;
+        }
         
         for (const obj of objects) {
             if (!obj.active) continue;
             
-            const bounds = this.getBoundingBox(obj);
-            const minCellX = Math.floor(bounds.left / gridSize);
-            const maxCellX = Math.floor(bounds.right / gridSize);
-            const minCellY = Math.floor(bounds.top / gridSize);
-            const maxCellY = Math.floor(bounds.bottom / gridSize);
+            const range = this.getCellRange(this.getSweptBoundingBox(obj));
             
             // Add object to all cells it overlaps
-            for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
-                for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+            for (let cellX = range.minCellX; cellX <= range.maxCellX; cellX++) {
+                for (let cellY = range.minCellY; cellY <= range.maxCellY; cellY++) {
                     const key = `${cellX},${cellY}`;
-                    if (!this.grid.has(key)) {
-                        this.grid.set(key, []);
+                    let cell = this.grid.get(key);
+                    if (!cell) {
+                        cell = { cellX, cellY, objects: [] };
+                        this.grid.set(key, cell);
                     }
-                    this.grid.get(key).push(obj);
+                    cell.objects.push(obj);
                 }
             }
         }
     }
     
     /**
-     * Get objects in same grid cell (for spatial optimization)
-     * @param {Object} object - Object to check
-     * @returns {Array} Array of nearby objects
+     * Bounding box covering an object's movement this tick
+     * (objects with prevX/prevY are boxed from their previous to their current position)
+     * @param {Object} obj - Object (circle or rectangle)
+     * @returns {Object} { left, right, top, bottom }
      */
-    getNearbyObjects(object) {
-        const bounds = this.getBoundingBox(object);
-        const minCellX = Math.floor(bounds.left / this.gridSize);
-        const maxCellX = Math.floor(bounds.right / this.gridSize);
-        const minCellY = Math.floor(bounds.top / this.gridSize);
-        const maxCellY = Math.floor(bounds.bottom / this.gridSize);
-        
-        const nearby = [];
-        const seen = new Set();
+    getSweptBoundingBox(obj) {
+        const box = this.getBoundingBox(obj);
+        if (obj.prevX === undefined || obj.prevY === undefined) {
+            return box;
+        }
         
-        // Check all cells object overlaps
-        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
-            for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
-                const key = `${cellX},${cellY}`;
-                const cellObjects = this.grid.get(key) || [];
-                
-                for (const obj of cellObjects) {
-                    if (obj !== object && !seen.has(obj)) {
+        const dx = obj.prevX - obj.x;
+        const dy = obj.prevY - obj.y;
+        return {
+            left: Math.min(box.left, box.left + dx),
+            right: Math.max(box.right, box.right + dx),
+            top: Math.min(box.top, box.top + dy),
+            bottom: Math.max(box.bottom, box.bottom + dy)
+        };
+    }
+    
+    /**
+     * Grid cells covered by a bounding box
+     * @param {Object} bounds - { left, right, top, bottom }
+     * @returns {Object} { minCellX, maxCellX, minCellY, maxCellY } (inclusive)
+     */
+    getCellRange(bounds) {
+        return {
+            minCellX: Math.floor(bounds.left / this.gridSize),
+            maxCellX: Math.floor(bounds.right / this.gridSize),
+            minCellY: Math.floor(bounds.top / this.gridSize),
+            maxCellY: Math.floor(bounds.bottom / this.gridSize)
+        };
+    }
+    
+    /**
+     * Get active objects in the grid cells an object overlaps (for spatial optimization)
+     * @param {Object} object - Object to check
+     * @param {number} radius - Bounding radius to query with (defaults to the object's own bounds),
+     *                          e.g. the player ring's full extent
+     * @returns {Array} Array of nearby objects
+     */
+    getNearbyObjects(object, radius) {
+        const bounds = radius !== undefined ?
+            this.getBoundingBox({ x: object.x, y: object.y, radius }) :
+            this.getBoundingBox(object);
+        const range = this.getCellRange(bounds);
+        
+        const nearby = [];
+        const seen = new Set();
+        
+        // Check all cells object overlaps
+        for (let cellX = range.minCellX; cellX <= range.maxCellX; cellX++) {
+            for (let cellY = range.minCellY; cellY <= range.maxCellY; cellY++) {
+                const cell = this.grid.get(`${cellX},${cellY}`);
+                if (!cell) continue;
+                
+                for (const obj of cell.objects) {
+                    if (obj !== object && obj.active && !seen.has(obj)) {
                         seen.add(obj);
                         nearby.push(obj);
                     }
@@ -2215,28 +3581,56 @@ class Physics {
 // ============================================================================
 
 class GameEngine {
-    constructor(canvasElement, context) {
-        if (!canvasElement || !context) {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Game canvas (optional when headless)
+     * @param {CanvasRenderingContext2D} context - 2D context of the canvas (optional when headless)
+     * @param {Object} options - Injected dependencies, all optional:
+     *   random: RandomService (a new one is created if omitted)
+     *   headless: true to run without DOM, audio, asset loading or the automatic loop
+     *             (drive it with step() / frame() instead)
+     *   now: time source in milliseconds (defaults to performance.now)
+     *   storage: Storage for saved data (defaults to localStorage, or MemoryStorage when headless)
+     *   input: InputManager-compatible input source
+     */
+    constructor(canvasElement, context, options = {}) {
+        this.headless = options.headless === true;
+        if (!this.headless && (!canvasElement || !context)) {
             throw new Error('GameEngine requires canvas and context');
         }
-        this.canvas = canvasElement;
-        this.ctx = context;
+        this.canvas = canvasElement || null;
+        this.ctx = context || null;
+        this.now = options.now || (() => performance.now());
+        this.storage = options.storage || (this.headless ? new MemoryStorage() : localStorage);
         this.currentState = GameState.MENU;
-        this.lastTime = performance.now();
+        this.gameMode = GameMode.CLASSIC;
+        this.lastTime = this.now();
         this.deltaTime = 0;
         this.frameCount = 0;
         
+        // Fixed-step simulation: gameplay always advances in fixedTimeStep ticks,
+        // so it plays the same at 30, 60 or 120Hz. Rendering interpolates between ticks.
+        this.fixedTimeStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Longer frames (tab in background) are dropped, not simulated
+        this.accumulator = 0;
+        this.renderAlpha = 1; // Progress between the last two ticks (0-1)
+        this.simulationTime = 0; // Simulated seconds of the current run (excludes pauses)
+        
+        // Seeded randomness: gameplay and cosmetic streams are kept separate
+        this.random = options.random || new RandomService();
+        this.runSeed = this.random.seed;
+        
         // Initialize systems
-        this.inputManager = new InputManager(this.canvas);
-        this.performanceMonitor = new PerformanceMonitor();
-        this.particleSystem = new ParticleSystem();
-        this.vibrationManager = new VibrationManager();
+        this.inputManager = options.input || new InputManager(this.canvas, { listen: !this.headless });
+        this.performanceMonitor = new PerformanceMonitor(!this.headless);
+        this.particleSystem = new ParticleSystem(this.random.cosmetic);
+        this.vibrationManager = new VibrationManager(this.storage);
+        this.soundManager = new SoundManager();
         this.projectilePool = new ProjectilePool(50); // Pre-create 50 projectiles
-        this.dataManager = new DataManager(); // Data persistence manager
+        this.dataManager = new DataManager(this.storage); // Data persistence manager
         this.physics = new Physics(); // Physics and collision system
         
         // Theme and visual systems
-        this.themeManager = new ThemeManager();
+        this.themeManager = new ThemeManager(this.storage);
         this.assetLoader = new AssetLoader();
         this.animationManager = new AnimationManager();
         
@@ -2260,19 +3654,23 @@ class GameEngine {
         this.comboMultiplier = 1;
         this.bestComboThisGame = 0;
         this.projectilesDodgedThisGame = 0;
-        this.gameStartTime = 0;
         this.gamePlaytime = 0;
         
         // Load data using DataManager
         const allData = this.dataManager.getAllData();
         this.highScoreData = this.loadHighScore(); // Keep for backward compatibility
-        this.highScore = Math.max(
+        this.highScore = Math.max( // Best one-hit score (runs with lives only count on their mode's leaderboard)
             this.highScoreData.highScore || 0,
-            allData.playerStats.bestScore || 0
+            allData.scores.length > 0 ? allData.scores[0].score : 0
         );
         this.gameCount = allData.playerStats.totalGamesPlayed || 0;
         this.sessionBest = 0;
         this.topScores = allData.scores || [];
+        this.dailyScores = this.dataManager.loadDailyScores();
+        
+        // Daily challenge: one scored attempt per local calendar day, then practice
+        this.dailyDateKey = null; // Date of the daily run in progress
+        this.dailyPractice = false; // True once the day's scored attempt is used up
         
         // Player stats (with safety check)
         this.playerStats = allData.playerStats || {
@@ -2282,7 +3680,10 @@ class GameEngine {
             totalScore: 0,
             averageScore: 0,
             totalPlaytime: 0,
-            bestScore: 0
+            bestScore: 0,
+            dailyStreak: 0,
+            bestDailyStreak: 0,
+            lastDailyDate: null
         };
         
         // Floating score pop-ups
@@ -2298,6 +3699,112 @@ class GameEngine {
         this.baseProjectileSpeed = 200; // Pixels per second
         this.currentProjectileSpeed = this.baseProjectileSpeed;
         
+        // Spawns are planned ahead and shown as edge indicators until they enter
+        this.pendingSpawns = []; // [{ plan, delay, timer }]
+        this.baseSpawnLeadTime = 1.0; // Warning time at difficulty 1.0 (seconds)
+        this.minSpawnLeadTime = 0.35; // Shortest warning at high difficulty
+        
+        // Stages: each center shape cycle clears a stage, shows a stats card, then a breather
+        this.stage = 1;
+        this.stageTransition = null; // { phase: 'interstitial' | 'breather' | 'banner', timer, cleared, rule }
+        this.stageInterstitialTime = 2.0; // Seconds the stage card is shown (the run is frozen)
+        this.stageBreatherTime = 2.5; // Seconds without spawns after the card
+        this.stageUnlocks = []; // Archetypes unlocked by stage rules
+        this.stageSpeedMultiplier = 1; // Product of the stage speed rules so far
+        this.stageStart = null; // Run totals when the current stage began { time, score, dodges }
+        this.stageBestCombo = 0;
+        
+        // Drift: the ring's center moving along a DRIFT_PATHS entry (set by a stage rule)
+        this.drift = null; // { path, time, from } time: seconds on the path, from: offset it blends in from
+        this.driftBlendTime = 3; // Seconds a new path takes to blend in from where the center is
+        
+        // Gravity wells: point masses that bend shots (GRAVITY_WELLS, placed by stage rules and patterns)
+        this.gravityWells = []; // [{ x, y, strength, range, softening, source, ... }] see placeGravityWells()
+        this.wellPattern = null; // Pattern whose wells are placed (a new pattern replaces them)
+        this.wellStrength = 4000000; // Defaults for fields a well leaves out
+        this.wellRange = 320;
+        this.wellSoftening = 70; // Pixels; caps the pull at strength / softening²
+        this.wellFadeTime = 1; // Seconds a well takes to reach full strength, or to fade away
+        
+        // Ricochet: obstacle blocks every shot bounces off, and ricochet shots knocking into each other
+        this.obstacles = []; // [{ x, y, width, height, anchorX, anchorY }] (OBSTACLE_LAYOUTS, placed by a stage rule)
+        this.shotElasticity = null; // Elasticity of ricochet shots knocking together (null = they pass through each other)
+        this.obstacleElasticity = 1; // Blocks reflect shots at full speed
+        
+        // Health: one-hit death, hearts or a regenerating shield (HEALTH_MODELS, picked per mode)
+        this.healthModel = HEALTH_MODELS.ONE_HIT;
+        this.lives = 0; // Hearts left (lives model)
+        this.shieldCharged = false; // Shield up (shield model)
+        this.shieldTimer = 0; // Seconds until the shield is back
+        this.invulnerableTimer = 0; // Seconds of invulnerability left after a survived hit
+        
+        // Ring layout the run started with (RING_LAYOUTS, picked per mode; stage rules may switch the player's)
+        this.ringLayout = RING_LAYOUTS.SIX;
+        this.runHealth = null; // HEALTH_MODELS key this run was started with (null = the mode's own)
+        
+        // Dual mode: an inner ring inside the joystick ring (DUAL_RINGS)
+        this.innerRing = null; // Player, or null outside Dual mode
+        this.innerRingInput = Replay.NO_INPUT; // Quantized angle of a second touch steering the inner ring
+        this.innerSpinDirection = -1; // Spin of the inner ring without a second touch (1 or -1)
+        
+        // Power-ups: a pickup flies in every so often; collected ones run on a timer (POWER_UPS)
+        this.powerUpsEnabled = true; // Off for editor previews
+        this.activePowerUps = {}; // POWER_UPS key -> seconds left
+        this.powerUpTimer = 0; // Seconds until the next pickup is queued
+        this.powerUpFirstDelay = 15; // Seconds into a run before the first pickup
+        this.powerUpMinInterval = 12; // Seconds between pickups after that
+        this.powerUpMaxInterval = 20;
+        this.powerUpSpeedScale = 0.75; // Pickups fly slower than shots, so they can be lined up
+        
+        // Rhythm mode: beat maps load from JSON, conductor keeps the music clock
+        this.beatMaps = [];
+        this.currentBeatMap = null;
+        this.rhythmConductor = new RhythmConductor(this.soundManager);
+        this.perfectTimingWindow = 0.06; // Seconds from the beat for a PERFECT dodge
+        this.goodTimingWindow = 0.12; // Seconds from the beat for a GOOD dodge
+        if (!this.headless) {
+            this.loadBeatMaps();
+        }
+        
+        // Spawn patterns: designer waves from JSON, picked by difficulty tier
+        // (without a library, spawning falls back to the single random-edge timer)
+        this.patternLibrary = null;
+        this.patternScheduler = null; // Set per run when the library has patterns
+        if (!this.headless) {
+            this.loadPatterns();
+        }
+        
+        // Challenge codes: a run definition (mode, seed, custom patterns) shared as text
+        this.runPatternLibrary = null; // Custom library this run was started with (null = the loaded one)
+        this.activeChallenge = null; // Decoded challenge this run was started from (Retry plays it again)
+        
+        // Pattern editor: hand-placed spawn events, previewed live, saved locally or exported as JSON
+        this.editorDraft = null; // { id, tier, events: [{ angle, delay, speed, projectile }] }
+        this.editorSelected = -1; // Index of the selected event
+        this.editorPreview = false; // True while a preview run is playing
+        this.editorMessage = ''; // Status line (saved, exported, ...)
+        this.editorMessageTimer = 0;
+        this.editorCenterX = GAME_WIDTH / 2;
+        this.editorCenterY = 470;
+        this.editorInnerRadius = 110; // Placement band: delay 0 at the inner edge...
+        this.editorOuterRadius = 320; // ...editorMaxDelay at the outer edge
+        this.editorMaxDelay = 5; // Seconds
+        this.editorAngleSnap = 15; // Degrees
+        this.editorDelaySnap = 0.1; // Seconds
+        this.editorSpeeds = [0.6, 0.8, 1, 1.2, 1.5, 2];
+        
+        // Replays: every run is recorded; the last one can be watched from Game Over
+        this.replayRecorder = null; // Replay being recorded for the current run
+        this.lastReplay = null; // Replay of the last finished run
+        this.replayPlayer = null; // Set while a replay is playing back
+        this.replaySnapshot = null; // Game Over stats to restore after watching
+        this.replayScrubbing = false; // Dragging the replay progress bar
+        this.replayScrubProgress = 0;
+        
+        // Ghost ring: the best run's rotation, replayed alongside the player
+        this.ghostPlayer = null;
+        this.ghostReplayPlayer = null;
+        
         // Visual effects
         this.screenShake = 0;
         this.screenShakeIntensity = 0;
@@ -2305,6 +3812,8 @@ class GameEngine {
         
         // Settings
         this.soundEnabled = true;
+        this.ghostEnabled = true; // Show the best run's ghost ring while playing
+        this.cameraTracking = false; // Keep a drifting ring in the middle of the screen
         this.loadGameSettings();
         
         // Time-based difficulty system
@@ -2313,7 +3822,7 @@ class GameEngine {
         this.maxDifficultyMultiplier = 3.0; // Maximum difficulty multiplier
         this.minSpawnRate = 0.3; // Minimum spawn interval (seconds)
         this.maxProjectileSpeed = 500; // Maximum projectile speed
-        this.difficultyInterpolationRate = 0.01; // How fast difficulty interpolates (1% per frame for very smooth transitions)
+        this.difficultyInterpolationRate = 0.01; // How fast difficulty interpolates (1% per tick for very smooth transitions)
         
         // Center shape absorption system for difficulty progression
         const playerRadius = 66.125; // Player circle radius
@@ -2347,61 +3856,114 @@ class GameEngine {
         this.sliderHandleY = this.sliderCenterY; // Handle Y position (relative to center)
         this.targetHandleX = this.sliderCenterX; // Target handle X position
         this.targetHandleY = this.sliderCenterY; // Target handle Y position
-        this.sliderSmoothingFactor = 0.25; // Smoothing factor for handle movement (0-1, higher = faster response)
-        this.joystickReturnSpeed = 0.15; // Speed at which handle returns to center when released
+        this.sliderSmoothingFactor = 0.25; // Smoothing factor per tick for handle movement (0-1, higher = faster response)
+        this.joystickReturnSpeed = 0.15; // Per-tick speed at which handle returns to center when released
         
-        // Start game loop
-        this.start();
+        // Start game loop (headless engines are stepped by the caller)
+        if (!this.headless) {
+            this.start();
+        }
+    }
+    
+    /**
+     * Load the beat maps listed in the beat map index
+     */
+    async loadBeatMaps() {
+        this.beatMaps = await BeatMap.loadIndex('data/beatmaps/index.json');
+        console.log(`Loaded ${this.beatMaps.length} beat map(s)`);
+    }
+    
+    /**
+     * Load the spawn pattern library
+     */
+    async loadPatterns() {
+        this.patternLibrary = await PatternLibrary.load('data/patterns.json');
+        if (this.patternLibrary) {
+            console.log(`Loaded ${this.patternLibrary.patterns.length} spawn pattern(s)`);
+        }
     }
     
     start() {
         console.log('Game Engine Started');
-        this.gameLoop(performance.now());
+        this.gameLoop(this.now());
     }
     
     gameLoop(currentTime) {
-        // Calculate deltaTime (frame-rate independent)
+        this.frame(currentTime);
+        
+        // Continue loop
+        requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    /**
+     * Run one frame: advance the simulation by the real time since the last frame, then render
+     * @param {number} currentTime - Frame time in milliseconds
+     */
+    frame(currentTime) {
+        // Real time since last frame
         this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
         
-        // Cap deltaTime to prevent large jumps (e.g., when tab loses focus)
-        this.deltaTime = Math.min(this.deltaTime, 0.033); // Max 33ms = 30fps minimum
+        // Cap frame time to prevent a burst of catch-up ticks (e.g., when tab loses focus)
+        this.deltaTime = Math.min(this.deltaTime, this.maxFrameTime);
         
         // Update performance monitor
         this.performanceMonitor.update(currentTime);
         
-        // Update game based on current state
-        this.update(this.deltaTime);
-        
-        // Render game
-        this.render();
-        
-        // Reset input state
-        this.inputManager.reset();
+        // Advance the simulation in fixed ticks
+        this.accumulator += this.deltaTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            
+            // Reset input state once a tick has seen it (taps between ticks carry over)
+            this.inputManager.reset();
+        }
+        this.renderAlpha = this.accumulator / this.fixedTimeStep;
         
-        // Continue loop
-        requestAnimationFrame((time) => this.gameLoop(time));
+        // Render game (headless engines may have no context)
+        if (this.ctx) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Advance the simulation by whole ticks without rendering (headless use, e.g. tests)
+     * @param {number} ticks - Number of fixed ticks to run
+     */
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.update(this.fixedTimeStep);
+            this.inputManager.reset();
+        }
     }
     
     initMenuVisuals() {
         // Load background image for current theme
         const themeId = this.themeManager.currentTheme;
-        this.assetLoader.loadThemeBackground(themeId, 'main-menu').then(img => {
-            this.menuBackgroundImage = img;
-        }).catch(() => {
-            this.menuBackgroundImage = null;
-        });
-        
-        // Animate title fade-in
-        this.menuTitleAlpha = 0;
-        this.animationManager.fadeIn(0.8, (progress, value) => {
-            this.menuTitleAlpha = value;
-        });
         
-        // Start title pulse animation
-        this.animationManager.pulse(0.95, 1.05, 2.0, (progress, value) => {
-            this.menuTitlePulse = value;
-        });
+        // Headless engines skip image loading and the requestAnimationFrame-driven title animations
+        if (this.headless) {
+            this.menuTitleAlpha = 1;
+            this.menuTitlePulse = 1;
+        } else {
+            this.assetLoader.loadThemeBackground(themeId, 'main-menu').then(img => {
+                this.menuBackgroundImage = img;
+            }).catch(() => {
+                this.menuBackgroundImage = null;
+            });
+            
+            // Animate title fade-in
+            this.menuTitleAlpha = 0;
+            this.animationManager.fadeIn(0.8, (progress, value) => {
+                this.menuTitleAlpha = value;
+            });
+            
+            // Start title pulse animation
+            this.animationManager.pulse(0.95, 1.05, 2.0, (progress, value) => {
+                this.menuTitlePulse = value;
+            });
+        }
         
         // Initialize menu particles
         this.menuParticles = [];
@@ -2418,14 +3980,14 @@ class GameEngine {
             this.menuParticleTimer = 0;
             
             // Spawn 1-2 particles
-            const count = Math.random() < 0.5 ? 1 : 2;
+            const count = this.random.cosmetic.next() < 0.5 ? 1 : 2;
             for (let i = 0; i < count; i++) {
                 this.menuParticles.push({
-                    x: Math.random() * GAME_WIDTH,
+                    x: this.random.cosmetic.next() * GAME_WIDTH,
                     y: GAME_HEIGHT + 10,
-                    vx: (Math.random() - 0.5) * 50,
-                    vy: -50 - Math.random() * 100,
-                    size: 2 + Math.random() * 3,
+                    vx: (this.random.cosmetic.next() - 0.5) * 50,
+                    vy: -50 - this.random.cosmetic.next() * 100,
+                    size: 2 + this.random.cosmetic.next() * 3,
                     life: 1.0,
                     maxLife: 1.0,
                     color: particleColor
@@ -2468,6 +4030,12 @@ class GameEngine {
             case GameState.SETTINGS:
                 this.updateSettings(deltaTime);
                 break;
+            case GameState.REPLAY:
+                this.updateReplay(deltaTime);
+                break;
+            case GameState.EDITOR:
+                this.updateEditor(deltaTime);
+                break;
         }
         
         this.frameCount++;
@@ -2487,6 +4055,7 @@ class GameEngine {
             const settingsButton = this.getSettingsButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, settingsButton)) {
                 this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
                 this.currentState = GameState.SETTINGS;
                 return;
             }
@@ -2495,14 +4064,63 @@ class GameEngine {
             const playButton = this.getPlayButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, playButton)) {
                 this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
                 this.startGame();
                 return;
             }
+            
+            // Check if Rhythm button was clicked (ignored until a beat map has loaded)
+            const rhythmButton = this.getRhythmButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, rhythmButton)) {
+                if (this.beatMaps.length > 0) {
+                    this.vibrationManager.vibrateTap();
+                    this.soundManager.playTap();
+                    this.startGame(GameMode.RHYTHM);
+                }
+                return;
+            }
+            
+            // Check if Daily Challenge button was clicked
+            const dailyButton = this.getDailyButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, dailyButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.startDailyChallenge();
+                return;
+            }
+            
+            // Check if Dual Rings button was clicked
+            const dualButton = this.getDualButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, dualButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.startGame(GameMode.DUAL);
+                return;
+            }
+            
+            // Check if Pattern Editor button was clicked
+            const editorButton = this.getEditorButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, editorButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.openEditor();
+                return;
+            }
+            
+            // Check if Enter Code button was clicked
+            const enterCodeButton = this.getEnterCodeButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, enterCodeButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.promptChallengeCode();
+                return;
+            }
         }
         
         // Fallback: tap anywhere else or space key to start
         if (this.inputManager.wasJustPressed || this.inputManager.isKeyPressed('Space')) {
             this.vibrationManager.vibrateTap();
+            this.soundManager.playTap();
             this.startGame();
         }
     }
@@ -2586,17 +4204,77 @@ class GameEngine {
             if (this.sliderAngle < 0) this.sliderAngle += Math.PI * 2;
         }
         
+        // Quantize the joystick angle so the recorded replay reproduces this tick exactly
+        const isJoystickActive = handleDistanceFromCenter > 5;
+        const rotationInput = Replay.quantizeAngle(isJoystickActive ? this.sliderAngle : null);
+        this.replayRecorder.recordInput(rotationInput);
+        
+        // Dual mode: a second finger steers the inner ring (recorded when it changes)
+        if (this.innerRing) {
+            const innerInput = this.getInnerRingInput();
+            if (innerInput !== this.innerRingInput) {
+                this.innerRingInput = innerInput;
+                this.replayRecorder.recordEvent('inner', innerInput);
+            }
+        }
+        
+        this.simulateTick(deltaTime, rotationInput);
+    }
+    
+    /**
+     * Advance the game simulation by one fixed tick
+     * Shared by live play and replays, so it must only depend on the seed and rotationInput
+     * @param {number} deltaTime - Fixed tick length in seconds
+     * @param {number} rotationInput - Quantized joystick angle (Replay.NO_INPUT when idle)
+     */
+    simulateTick(deltaTime, rotationInput) {
+        // Ghost ring follows the best run's recorded input (it vanishes where that run ended)
+        if (this.ghostPlayer && !this.ghostReplayPlayer.finished) {
+            const ghostInput = this.ghostReplayPlayer.nextInput();
+            if (ghostInput !== null) {
+                this.ghostPlayer.update(deltaTime, Replay.dequantizeAngle(ghostInput));
+            }
+        }
+        
+        // Replays take the inner ring's second-touch input from the recording
+        // (read before the stage card, which would skip this tick's event)
+        if (this.innerRing && this.replayPlayer) {
+            const inner = this.replayPlayer.takeEvent('inner');
+            if (inner) {
+                this.innerRingInput = inner[0];
+            }
+        }
+        
+        // Stage card: the run is frozen behind it (run time doesn't count)
+        if (this.stageTransition && this.stageTransition.phase === 'interstitial') {
+            this.updateStageTransition(deltaTime);
+            return;
+        }
+        
+        this.simulationTime += deltaTime;
+        
+        // Move the rings' center along its drift path
+        this.updateDrift(deltaTime);
+        
+        // Move gravity wells and fade them in or out
+        this.updateGravityWells(deltaTime);
+        
         // Update player (pass slider angle if joystick is active and moved)
         if (this.player) {
-            const isJoystickActive = handleDistanceFromCenter > 5;
-            this.player.update(deltaTime, isJoystickActive ? this.sliderAngle : null);
+            this.player.update(deltaTime, Replay.dequantizeAngle(rotationInput));
+        }
+        if (this.innerRing) {
+            this.updateInnerRing(deltaTime);
         }
         
-        // Update projectiles (using object pool)
-        this.updateProjectiles(deltaTime);
+        // Update projectiles (using object pool; slow-motion scales their time)
+        this.updateProjectiles(deltaTime * this.getProjectileTimeScale());
         
-        // Spawn new projectiles
-        this.updateSpawning(deltaTime);
+        // Spawn new projectiles and pickups (not during a stage breather)
+        if (!this.stageTransition || this.stageTransition.phase !== 'breather') {
+            this.updatePowerUpSpawning(deltaTime);
+            this.updateSpawning(deltaTime);
+        }
         
         // Check collisions
         this.checkCollisions();
@@ -2618,27 +4296,64 @@ class GameEngine {
         
         // Update difficulty based on time (gradual increase)
         this.updateDifficulty(deltaTime);
+        
+        // Invulnerability and shield recharge
+        this.updateHealth(deltaTime);
+        
+        // Power-up effects and their timers
+        this.updatePowerUps(deltaTime);
+        
+        // Count down the stage breather or banner
+        if (this.stageTransition) {
+            this.updateStageTransition(deltaTime);
+        }
     }
     
     updateProjectiles(deltaTime) {
         // Update all projectiles using pool
         const activeProjectiles = this.projectilePool.active;
         
+        const splitting = [];
+        
         // Update velocity-based movement using Physics class
         for (const projectile of activeProjectiles) {
             if (!projectile.active) continue;
             
+            // Remember where this tick started (render interpolates from here)
+            projectile.prevX = projectile.x;
+            projectile.prevY = projectile.y;
+            
+            // While the center drifts, shots that steer by their target keep it on the center
+            // (straight shots led it when they launched)
+            if (this.drift && projectile.type !== ProjectileType.NORMAL) {
+                projectile.targetX = this.player.x;
+                projectile.targetY = this.player.y;
+            }
+            
+            // Archetype steering (homing, curving, delayed) and split trigger
+            projectile.updateBehavior(deltaTime, this.player);
+            if (projectile.shouldSplit) {
+                splitting.push(projectile);
+                continue;
+            }
+            
             // Update velocity-based movement using Physics class
             this.physics.updateVelocity(projectile, deltaTime);
             
-            // Apply gravity if needed (currently not used, but available)
-            // this.physics.applyGravity(projectile, deltaTime);
+            // Gravity wells bend the path (not a shot already threaded through the ring,
+            // nor one holding still to telegraph its dash)
+            if (!projectile.dodged && projectile.phase !== 'telegraph') {
+                this.physics.applyGravity(projectile, deltaTime, this.gravityWells);
+            }
             
             // Update projectile (handles dodged logic)
             projectile.update(deltaTime);
             
-            // Keep projectiles in bounds (optional - currently deactivate off-screen)
-            // this.physics.keepInBounds(projectile, 0, 0, GAME_WIDTH, GAME_HEIGHT);
+            // Ricochet shots bounce off the screen edges, and every shot off obstacle blocks
+            // (the rest deactivate off-screen)
+            if (!projectile.dodged) {
+                this.bounceProjectile(projectile);
+            }
             
             // Deactivate if off screen
             if (projectile.x < -50 || projectile.x > GAME_WIDTH + 50 ||
@@ -2647,70 +4362,307 @@ class GameEngine {
             }
         }
         
+        // Split after the loop so new fragments don't join this pass over the pool
+        for (const projectile of splitting) {
+            this.splitProjectile(projectile);
+        }
+        
+        // Ricochet shots knock into each other once a stage rule turns it on
+        if (this.shotElasticity !== null) {
+            this.collideRicochetShots();
+        }
+        
         // Dodged projectiles are now handled in checkCollisions() via handleDodge()
         // This section is kept for any cleanup if needed
     }
     
+    /**
+     * Replace a splitting projectile with two smaller ones, either side of it around the center
+     * @param {Projectile} projectile - Projectile that reached mid-distance
+     */
+    splitProjectile(projectile) {
+        const centerX = projectile.targetX;
+        const centerY = projectile.targetY;
+        const dx = projectile.x - centerX;
+        const dy = projectile.y - centerY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const angle = Math.atan2(dy, dx);
+        
+        for (const side of [-1, 1]) {
+            const fragmentAngle = angle + Projectile.SPLIT_SPREAD * side;
+            const x = centerX + Math.cos(fragmentAngle) * distance;
+            const y = centerY + Math.sin(fragmentAngle) * distance;
+            const fragment = this.projectilePool.acquire(x, y, centerX, centerY, projectile.speed);
+            fragment.color = projectile.color;
+            fragment.radius = Projectile.FRAGMENT_RADIUS;
+            fragment.isFragment = true;
+            fragment.age = projectile.age; // No new spawn grace period
+            fragment.prevX = projectile.prevX; // Both halves come from the parent's position
+            fragment.prevY = projectile.prevY;
+        }
+        
+        this.particleSystem.spawnExplosion(projectile.x, projectile.y, 10, projectile.color);
+        this.projectilePool.release(projectile);
+    }
+    
     updateSpawning(deltaTime) {
-        this.spawnTimer += deltaTime;
+        // Rhythm mode: the beat map decides when projectiles spawn
+        if (this.gameMode === GameMode.RHYTHM) {
+            this.updateRhythmSpawning(deltaTime);
+            return;
+        }
+        
+        if (this.patternScheduler) {
+            this.updatePatternSpawning(deltaTime);
+        } else {
+            this.spawnTimer += deltaTime;
+            
+            if (this.spawnTimer >= this.currentSpawnRate) {
+                this.queueSpawn();
+                this.spawnTimer = 0;
+            }
+        }
+        
+        this.updatePendingSpawns(deltaTime);
+    }
+    
+    /**
+     * Queue the spawns of the pattern scheduler's due steps
+     * Rests between patterns shrink with the spawn rate, so difficulty still tightens the pace
+     */
+    updatePatternSpawning(deltaTime) {
+        const pace = this.currentSpawnRate / this.baseSpawnRate;
+        const steps = this.patternScheduler.update(deltaTime, this.difficultyMultiplier, pace, this.random.gameplay);
+        for (const step of steps) {
+            if (step.pattern !== this.wellPattern) {
+                this.wellPattern = step.pattern;
+                this.placeGravityWells('pattern', step.pattern.wells);
+            }
+            this.queuePatternStep(step);
+        }
+    }
+    
+    /**
+     * Queue one pattern step; shots marked together are timed to reach the ring at the same moment
+     * @param {Object} step - { pattern, together, spawns: [{ angle?, edge?, speed?, projectile? }] }
+     */
+    queuePatternStep(step) {
+        const pattern = step.pattern;
+        const speed = Math.min(this.maxProjectileSpeed, this.currentProjectileSpeed * pattern.speed);
+        const type = pattern.projectile || undefined;
+        
+        if (!step.together) {
+            for (const spawn of step.spawns) {
+                this.queueSpawn({
+                    edge: spawn.edge,
+                    angle: spawn.angle,
+                    speed: Math.min(this.maxProjectileSpeed, speed * (spawn.speed || 1)),
+                    type: spawn.projectile || type
+                });
+            }
+            return;
+        }
+        
+        // The farthest shot flies at the pattern speed; nearer ones slow down to match it
+        const reach = this.player.radius + 15;
+        let longestTravel = 0;
+        for (const spawn of step.spawns) {
+            const point = this.getEdgePoint(spawn.angle);
+            const travel = Math.hypot(point.x - GAME_WIDTH / 2, point.y - GAME_HEIGHT / 2) - reach;
+            longestTravel = Math.max(longestTravel, travel);
+        }
+        const arriveIn = this.getSpawnLeadTime() + longestTravel / speed;
+        for (const spawn of step.spawns) {
+            this.queueSpawn({ angle: spawn.angle, arriveIn, type: type || ProjectileType.NORMAL });
+        }
+    }
+    
+    /**
+     * Spawn point just off screen in a direction from the center
+     * @param {number} angle - Direction from the center (radians)
+     * @returns {Object} { x, y, edge } edge: 0=top, 1=right, 2=bottom, 3=left
+     */
+    getEdgePoint(angle) {
+        const halfWidth = GAME_WIDTH / 2 + 20;
+        const halfHeight = GAME_HEIGHT / 2 + 20;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        // Distance along the ray to the vertical and horizontal sides of the spawn border
+        const toSide = Math.abs(cos) > 1e-9 ? halfWidth / Math.abs(cos) : Infinity;
+        const toTopBottom = Math.abs(sin) > 1e-9 ? halfHeight / Math.abs(sin) : Infinity;
+        const distance = Math.min(toSide, toTopBottom);
+        
+        let edge;
+        if (toSide < toTopBottom) {
+            edge = cos > 0 ? 1 : 3;
+        } else {
+            edge = sin > 0 ? 2 : 0;
+        }
+        
+        return {
+            x: GAME_WIDTH / 2 + cos * distance,
+            y: GAME_HEIGHT / 2 + sin * distance,
+            edge
+        };
+    }
+    
+    /**
+     * Warning time between an edge indicator appearing and its projectile entering
+     * @returns {number} Seconds (shrinks as difficulty rises)
+     */
+    getSpawnLeadTime() {
+        return Math.max(this.minSpawnLeadTime, this.baseSpawnLeadTime / this.difficultyMultiplier);
+    }
+    
+    /**
+     * Plan a spawn now and launch it after the lead time, showing an edge indicator meanwhile
+     * @param {Object} options - Same as spawnProjectile()
+     * @returns {Object} Pending spawn { plan, delay, timer }
+     */
+    queueSpawn(options = {}) {
+        let delay = this.getSpawnLeadTime();
+        
+        // Timed arrivals keep their beat: the warning comes out of the travel time
+        if (options.arriveIn !== undefined) {
+            delay = Math.min(delay, options.arriveIn * 0.5);
+            options = { ...options, arriveIn: options.arriveIn - delay };
+        }
+        
+        const pending = { plan: this.planSpawn(options), delay, timer: delay };
+        this.pendingSpawns.push(pending);
+        return pending;
+    }
+    
+    /**
+     * Count down planned spawns and launch the ones that are due
+     */
+    updatePendingSpawns(deltaTime) {
+        for (let i = this.pendingSpawns.length - 1; i >= 0; i--) {
+            const pending = this.pendingSpawns[i];
+            pending.timer -= deltaTime;
+            if (pending.timer <= 0) {
+                this.pendingSpawns.splice(i, 1);
+                this.launchSpawn(pending.plan);
+            }
+        }
+    }
+    
+    /**
+     * Spawn beat map events as the music clock reaches them
+     * Each projectile's speed is set so it reaches the ring exactly on its beat
+     */
+    updateRhythmSpawning(deltaTime) {
+        // Replays reuse the recorded spawns (the live run was timed by the audio clock)
+        if (this.replayPlayer) {
+            let spawn;
+            while ((spawn = this.replayPlayer.takeEvent('spawn'))) {
+                const [edge, arriveIn] = spawn;
+                this.queueSpawn({ edge: edge !== null ? edge : undefined, arriveIn });
+            }
+            this.updatePendingSpawns(deltaTime);
+            return;
+        }
+        
+        const conductor = this.rhythmConductor;
+        conductor.update(deltaTime);
         
-        if (this.spawnTimer >= this.currentSpawnRate) {
-            this.spawnProjectile();
-            this.spawnTimer = 0;
+        const edgeNames = ['top', 'right', 'bottom', 'left'];
+        for (const { event, arrivalBeat } of conductor.pollSpawns()) {
+            const count = event.count || 1;
+            const edgeIndex = edgeNames.indexOf(event.edge);
+            
+            for (let i = 0; i < count; i++) {
+                const edge = edgeIndex !== -1 ? edgeIndex : undefined;
+                const arriveIn = conductor.getTimeUntilBeat(arrivalBeat);
+                this.replayRecorder.recordEvent('spawn', edge !== undefined ? edge : null, arriveIn);
+                this.queueSpawn({ edge, arriveIn });
+            }
         }
+        
+        this.updatePendingSpawns(deltaTime);
+    }
+    
+    /**
+     * Spawn a projectile at a screen edge aimed at the player, right away
+     * @param {Object} options - { edge?, angle?, speed?, arriveIn?, type?, powerUp? }
+     *   edge: 0=top, 1=right, 2=bottom, 3=left (random if omitted)
+     *   angle: direction from the center to spawn in (overrides edge)
+     *   arriveIn: seconds until the projectile should reach the ring (overrides speed)
+     *   type: ProjectileType (picked by difficulty if omitted; always NORMAL for timed arrivals)
+     *   powerUp: POWER_UPS key to spawn a pickup instead of a shot
+     * @returns {Projectile} Spawned projectile
+     */
+    spawnProjectile(options = {}) {
+        return this.launchSpawn(this.planSpawn(options));
     }
     
-    spawnProjectile() {
+    /**
+     * Decide where, how fast and as what a projectile will spawn (all random choices happen here)
+     * @param {Object} options - Same as spawnProjectile()
+     * @returns {Object} Spawn plan { x, y, edge, type, speed, arriveIn, curveDirection, powerUp }
+     */
+    planSpawn(options = {}) {
         const centerX = GAME_WIDTH / 2;
         const centerY = GAME_HEIGHT / 2;
         
         // Minimum safe distance from player center (player radius + projectile radius + buffer)
         const minSafeDistance = 30 + 12 + 50; // 92 pixels minimum
         
-        // Randomly choose edge to spawn from
-        const edge = Math.floor(Math.random() * 4); // 0=top, 1=right, 2=bottom, 3=left
+        let edge; // 0=top, 1=right, 2=bottom, 3=left
         let spawnX, spawnY;
         
-        // Try to spawn at a safe distance from center
-        let attempts = 0;
-        let distanceFromCenter = 0;
-        
-        do {
-            switch (edge) {
-                case 0: // Top
-                    spawnX = Math.random() * GAME_WIDTH;
-                    spawnY = -20;
-                    break;
-                case 1: // Right
-                    spawnX = GAME_WIDTH + 20;
-                    spawnY = Math.random() * GAME_HEIGHT;
-                    break;
-                case 2: // Bottom
-                    spawnX = Math.random() * GAME_WIDTH;
-                    spawnY = GAME_HEIGHT + 20;
-                    break;
-                case 3: // Left
-                    spawnX = -20;
-                    spawnY = Math.random() * GAME_HEIGHT;
-                    break;
-            }
+        if (options.angle !== undefined) {
+            // Pattern shots come from an exact direction
+            const point = this.getEdgePoint(options.angle);
+            spawnX = point.x;
+            spawnY = point.y;
+            edge = point.edge;
+        } else {
+            // Randomly choose edge to spawn from
+            edge = options.edge !== undefined ? options.edge : this.random.gameplay.int(4);
             
-            // Calculate distance from center
-            const dx = spawnX - centerX;
-            const dy = spawnY - centerY;
-            distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
-            attempts++;
+            // Try to spawn at a safe distance from center
+            let attempts = 0;
+            let distanceFromCenter = 0;
             
-            // If too close and we've tried a few times, move spawn point further out
-            if (distanceFromCenter < minSafeDistance && attempts < 5) {
-                // Move spawn point further from center
-                const angle = Math.atan2(dy, dx);
-                const newDistance = minSafeDistance + 50;
-                spawnX = centerX + Math.cos(angle) * newDistance;
-                spawnY = centerY + Math.sin(angle) * newDistance;
-                distanceFromCenter = newDistance;
-            }
-        } while (distanceFromCenter < minSafeDistance && attempts < 10);
+            do {
+                switch (edge) {
+                    case 0: // Top
+                        spawnX = this.random.gameplay.next() * GAME_WIDTH;
+                        spawnY = -20;
+                        break;
+                    case 1: // Right
+                        spawnX = GAME_WIDTH + 20;
+                        spawnY = this.random.gameplay.next() * GAME_HEIGHT;
+                        break;
+                    case 2: // Bottom
+                        spawnX = this.random.gameplay.next() * GAME_WIDTH;
+                        spawnY = GAME_HEIGHT + 20;
+                        break;
+                    case 3: // Left
+                        spawnX = -20;
+                        spawnY = this.random.gameplay.next() * GAME_HEIGHT;
+                        break;
+                }
+                
+                // Calculate distance from center
+                const dx = spawnX - centerX;
+                const dy = spawnY - centerY;
+                distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
+                attempts++;
+                
+                // If too close and we've tried a few times, move spawn point further out
+                if (distanceFromCenter < minSafeDistance && attempts < 5) {
+                    // Move spawn point further from center
+                    const angle = Math.atan2(dy, dx);
+                    const newDistance = minSafeDistance + 50;
+                    spawnX = centerX + Math.cos(angle) * newDistance;
+                    spawnY = centerY + Math.sin(angle) * newDistance;
+                    distanceFromCenter = newDistance;
+                }
+            } while (distanceFromCenter < minSafeDistance && attempts < 10);
+        }
         
         // Ensure spawn is outside screen bounds
         if (spawnX < -20) spawnX = -20;
@@ -2718,169 +4670,310 @@ class GameEngine {
         if (spawnY < -20) spawnY = -20;
         if (spawnY > GAME_HEIGHT + 20) spawnY = GAME_HEIGHT + 20;
         
+        // Archetype: only straight shots can keep a timed arrival (pickups always fly straight)
+        const straight = options.arriveIn !== undefined || options.powerUp;
+        const type = options.type || (straight ? ProjectileType.NORMAL : this.pickProjectileType());
+        const curveDirection = type === ProjectileType.CURVING && this.random.gameplay.chance(0.5) ? -1 : 1;
+        
+        return {
+            x: spawnX,
+            y: spawnY,
+            edge,
+            type,
+            speed: options.speed || this.currentProjectileSpeed,
+            arriveIn: options.arriveIn,
+            curveDirection,
+            powerUp: options.powerUp || null
+        };
+    }
+    
+    /**
+     * Create the projectile for a spawn plan
+     * @param {Object} plan - From planSpawn()
+     * @returns {Projectile} Spawned projectile
+     */
+    launchSpawn(plan) {
+        let target = this.getShotTarget(plan.x, plan.y, this.getPlannedSpeed(plan));
+        if (plan.type === ProjectileType.RICOCHET) {
+            target = this.getBankShotAim(plan, target);
+        }
+        
         // Acquire projectile from pool (reuses existing objects)
-        const projectile = this.projectilePool.acquire(
-            spawnX,
-            spawnY,
-            centerX,
-            centerY,
-            this.currentProjectileSpeed
-        );
+        const projectile = this.projectilePool.acquire(plan.x, plan.y, target.x, target.y, plan.speed);
+        
+        // Timed arrival: pick the speed that reaches the ring edge after arriveIn seconds
+        if (plan.arriveIn !== undefined && this.player) {
+            projectile.setSpeed(this.getPlannedSpeed(plan, projectile.radius));
+        }
+        
+        if (plan.type !== ProjectileType.NORMAL) {
+            projectile.setType(plan.type, { curveDirection: plan.curveDirection });
+        }
+        
+        if (plan.powerUp) {
+            projectile.powerUp = plan.powerUp;
+            projectile.color = POWER_UPS[plan.powerUp].color;
+        }
         
         // Spawn animation effect (use default color since projectile velocity not set yet)
         const spawnColor = '#4a9eff'; // Default blue
-        this.particleSystem.spawnSpawnEffect(spawnX, spawnY, spawnColor);
+        this.particleSystem.spawnSpawnEffect(plan.x, plan.y, spawnColor);
         
-        // Projectile spawned successfully
+        return projectile;
     }
     
     /**
-     * Get trail color based on projectile speed
+     * Speed of a planned spawn once launched (timed arrivals derive it from the travel time)
+     * @param {Object} plan - From planSpawn()
+     * @param {number} radius - Projectile radius (default size if omitted)
+     * @returns {number} Pixels per second
      */
-    checkCollisions() {
-        if (!this.player) return;
-        
-        // Build collision grid for spatial optimization (if many objects)
-        const activeProjectiles = this.projectilePool.active.filter(p => p.active);
-        const projectilesToCheck = activeProjectiles.length > 10 
-            ? this.physics.getNearbyObjects(this.player).filter(p => p !== this.player && p.active)
-            : activeProjectiles;
+    getPlannedSpeed(plan, radius = 15) {
+        if (plan.arriveIn === undefined || !this.player) {
+            return plan.speed;
+        }
+        const dx = plan.x - this.player.x;
+        const dy = plan.y - this.player.y;
+        const travelDistance = Math.sqrt(dx * dx + dy * dy) - (this.player.radius + radius);
+        return Math.max(80, Math.min(this.maxProjectileSpeed, travelDistance / Math.max(plan.arriveIn, 0.1)));
+    }
+    
+    /**
+     * Spawn weights of the projectile archetypes at the current difficulty
+     * (archetypes unlocked by a stage rule spawn before their minDifficulty)
+     * @returns {Object} ProjectileType -> weight (0 = can't spawn yet)
+     */
+    getProjectileTypeWeights() {
+        const weights = {};
+        for (const [type, archetype] of Object.entries(PROJECTILE_ARCHETYPES)) {
+            const unlocked = this.difficultyMultiplier >= archetype.minDifficulty || this.stageUnlocks.includes(type);
+            weights[type] = unlocked ?
+                Math.max(0, archetype.weight + archetype.weightPerDifficulty * (this.difficultyMultiplier - 1)) :
+                0;
+        }
+        return weights;
+    }
+    
+    /**
+     * Pick an archetype for the next spawn, weighted by difficulty
+     * @returns {string} ProjectileType
+     */
+    pickProjectileType() {
+        const weights = this.getProjectileTypeWeights();
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        let roll = this.random.gameplay.next() * total;
+        
+        for (const [type, weight] of Object.entries(weights)) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+        return ProjectileType.NORMAL;
+    }
+    
+    /**
+     * Get trail color based on projectile speed
+     */
+    checkCollisions() {
+        if (!this.player) return;
+        
+        // Broad phase: rebuild the grid from this tick's projectiles, then only check
+        // the ones sharing a cell with the ring (center shape sits inside the ring)
+        this.physics.buildCollisionGrid(this.projectilePool.active); // Boxes span each projectile's path this tick
+        const projectilesToCheck = this.physics.getNearbyObjects(this.player, this.player.getBoundingRadius());
         
         for (const projectile of projectilesToCheck) {
             if (!projectile.active) continue;
             
             // Grace period: Don't check collision for projectiles that just spawned (200ms)
-            const timeSinceSpawn = performance.now() - (projectile.spawnTime || 0);
-            if (timeSinceSpawn < 200) continue;
+            if (projectile.age < 0.2) continue;
+            
+            // Narrow phase is swept over the tick (prevX/prevY -> x/y) so fast projectiles
+            // can't skip past a dot, a gap or the center shape between ticks
+            const shapeTime = this.getCenterShapeHitTime(projectile);
+            const ringContact = this.getNextRingContact(projectile);
+            
+            // Pickups are collected through a gap and break harmlessly on a dot
+            if (projectile.powerUp) {
+                if (ringContact) {
+                    this.handlePowerUpContact(projectile, ringContact);
+                }
+                continue;
+            }
             
-            // Check center shape collision first (before player circle)
-            if (this.checkCenterShapeCollision(projectile)) {
+            // Center shape first if it's reached no later than the ring
+            if (shapeTime !== null && (!ringContact || shapeTime <= ringContact.time)) {
                 this.handleShapeAbsorption(projectile);
                 continue; // Skip player circle collision check
             }
             
-            // Calculate distance from player center
-            const dx = projectile.x - this.player.x;
-            const dy = projectile.y - this.player.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (!ringContact) continue;
             
-            // Enhanced collision detection for projectiles passing through gaps
-            const circleRadius = this.player.radius;
-            const projectileRadius = projectile.radius;
-            const dotRadius = 8.47; // Current dot radius (from render method)
-            const gapAngle = Math.PI / 6; // Gap angle (30 degrees)
+            if (ringContact.type === 'dot') {
+                // Hit solid part (dot) - collision!
+                this.handleCollision(projectile, ringContact.ring);
+                break; // Only handle one collision per frame
+            }
             
-            // Calculate gap width at circle radius (arc length)
-            const gapWidthAtCircle = circleRadius * gapAngle; // ~34.6px
+            // Threaded an outer ring: on to the next one in
+            projectile.ringsPassed++;
+            if (projectile.ringsPassed < this.getRings().length) {
+                this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 8, ringContact.ring.dotColor);
+                continue;
+            }
             
-            // Projectile can interact when it reaches the circle boundary
-            // Check if projectile is at or past the circle radius
-            const collisionThreshold = circleRadius + projectileRadius;
+            // Passed through gap - mark as passed but keep active to merge with center shape
+            projectile.dodged = true;
+            // Don't deactivate - let it continue to center shape for visual merge
+            // Don't award points here - points will be awarded when it merges with center shape
+            // Increment combo for passing through gap
+            this.combo++;
+            this.updateComboMultiplier();
+            this.projectilesDodgedThisGame++;
+            this.soundManager.playDodge(this.soundManager.getComboPitch(this.combo, this.comboMultiplier));
+            // Visual effects for passing through (no floating score yet)
+            this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 20, '#ffffff');
+            // Sparkle effect for combos
+            if (this.combo % 10 === 0 && this.combo > 0) {
+                this.particleSystem.spawnSparkle(projectile.x, projectile.y, 12, '#ffd700');
+            }
+            // Rhythm mode: bonus for passing the ring on the beat
+            if (this.gameMode === GameMode.RHYTHM) {
+                this.awardTimingBonus(projectile);
+            }
+            // Projectile continues moving - will merge with center shape when it reaches it
+            // (later this same tick, if it's fast enough)
+            if (shapeTime !== null) {
+                this.handleShapeAbsorption(projectile);
+            }
+            // Don't break here - allow multiple passes in same frame
+        }
+    }
+    
+    /**
+     * Find the first ring event for a projectile during this tick (swept)
+     * @param {Projectile} projectile - Projectile moving from (prevX, prevY) to (x, y)
+     * @param {Player} player - Ring to test (the joystick ring if omitted)
+     * @param {boolean} canPass - Whether a gap pass counts (not for a ring it already passed)
+     * @returns {Object|null} { type: 'dot' | 'gap', time } with time in 0-1 through the tick, or null
+     */
+    getRingContact(projectile, player = this.player, canPass = !projectile.dodged) {
+        const center = { x: player.x, y: player.y };
+        const start = { x: projectile.prevX, y: projectile.prevY };
+        const end = { x: projectile.x, y: projectile.y };
+        const radius = projectile.radius;
+        
+        // When does the projectile come within reach of the ring?
+        const enterTime = this.physics.sweepCircleCircle(start, end, radius, center, center, player.radius);
+        if (enterTime === null) return null;
+        
+        // Check the rest of the tick from there (the ring rotates too)
+        const entry = this.lerpPoint(start, end, enterTime);
+        const remaining = 1 - enterTime;
+        const ringAngleAtEntry = player.getRenderAngle(enterTime);
+        let dotTime = null;
+        
+        for (let i = 0; i < player.dots.length; i++) {
+            const dot = player.dots[i];
+            const dotStartAngle = dot.angle + ringAngleAtEntry;
+            const dotEndAngle = dot.angle + player.angle;
+            const t = this.physics.sweepCircleCircle(
+                entry, end, radius,
+                { x: center.x + Math.cos(dotStartAngle) * player.radius, y: center.y + Math.sin(dotStartAngle) * player.radius },
+                { x: center.x + Math.cos(dotEndAngle) * player.radius, y: center.y + Math.sin(dotEndAngle) * player.radius },
+                dot.radius
+            );
+            if (t === null) continue;
             
-            if (distance <= collisionThreshold) {
-                // Calculate angle from center to projectile (world coordinates)
-                const projectileAngle = Math.atan2(dy, dx);
-                
-                // Check if projectile angle aligns with a gap or hits a solid part (dot)
-                const isSolid = this.player.isSolidAtAngle(projectileAngle);
-                
-                if (isSolid) {
-                    // Check if projectile actually intersects with a dot
-                    // Calculate distance from projectile center to each dot center
-                    const dotCount = 6;
-                    const dotSpacing = Math.PI * 2 / dotCount;
-                    let minDotDistance = Infinity;
-                    
-                    for (let i = 0; i < dotCount; i++) {
-                        const dotAngle = (i * dotSpacing) + this.player.angle;
-                        const dotX = this.player.x + Math.cos(dotAngle) * circleRadius;
-                        const dotY = this.player.y + Math.sin(dotAngle) * circleRadius;
-                        
-                        const dotDistance = Math.sqrt(
-                            Math.pow(projectile.x - dotX, 2) + 
-                            Math.pow(projectile.y - dotY, 2)
-                        );
-                        
-                        minDotDistance = Math.min(minDotDistance, dotDistance);
-                    }
-                    
-                    // Collision occurs if projectile overlaps with dot
-                    // Use circle-to-circle collision: distance <= sum of radii
-                    const dotCollisionRadius = dotRadius + projectileRadius;
-                    if (minDotDistance <= dotCollisionRadius) {
-                        // Hit solid part (dot) - collision!
-                        this.handleCollision(projectile);
-                        break; // Only handle one collision per frame
-                    }
-                    // If projectile is in solid angle but doesn't hit dot, it might be passing through
-                    // This can happen if projectile is large enough to pass between dots
-                } else {
-                    // Projectile angle is in a gap - check if it can pass through
-                    // Calculate if projectile fits through gap at its current distance
-                    const gapWidthAtDistance = distance * gapAngle;
-                    const projectileDiameter = projectileRadius * 2;
-                    
-                    // Projectile passes through if its diameter fits within gap width
-                    // Add small tolerance (5%) for easier passage
-                    if (projectileDiameter <= gapWidthAtDistance * 1.05) {
-                        // Passed through gap - mark as passed but keep active to merge with center shape
-                        if (!projectile.dodged) {
-                            projectile.dodged = true; // Mark as passed through gap
-                            // Don't deactivate - let it continue to center shape for visual merge
-                            // Don't award points here - points will be awarded when it merges with center shape
-                            // Increment combo for passing through gap
-                            this.combo++;
-                            this.updateComboMultiplier();
-                            this.projectilesDodgedThisGame++;
-                            // Visual effects for passing through (no floating score yet)
-                            this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 20, '#ffffff');
-                            // Sparkle effect for combos
-                            if (this.combo % 10 === 0 && this.combo > 0) {
-                                this.particleSystem.spawnSparkle(projectile.x, projectile.y, 12, '#ffd700');
-                            }
-                        }
-                        // Projectile continues moving - will merge with center shape when it reaches it
-                        // Don't break here - allow multiple passes in same frame
-                    } else {
-                        // Projectile too large for gap - might hit adjacent dots
-                        // Check if it hits either adjacent dot
-                        const dotCount = 6;
-                        const dotSpacing = Math.PI * 2 / dotCount;
-                        const relativeAngle = projectileAngle - this.player.angle;
-                        
-                        // Normalize relative angle
-                        let normalizedAngle = relativeAngle;
-                        while (normalizedAngle < 0) normalizedAngle += Math.PI * 2;
-                        while (normalizedAngle >= Math.PI * 2) normalizedAngle -= Math.PI * 2;
-                        
-                        // Find which gap this angle is in
-                        const gapIndex = Math.floor(normalizedAngle / gapAngle);
-                        const gapCenterAngle = (gapIndex * dotSpacing) + (dotSpacing / 2);
-                        
-                        // Check collision with dots adjacent to this gap
-                        const leftDotIndex = gapIndex;
-                        const rightDotIndex = (gapIndex + 1) % dotCount;
-                        
-                        for (const dotIndex of [leftDotIndex, rightDotIndex]) {
-                            const dotAngle = (dotIndex * dotSpacing) + this.player.angle;
-                            const dotX = this.player.x + Math.cos(dotAngle) * circleRadius;
-                            const dotY = this.player.y + Math.sin(dotAngle) * circleRadius;
-                            
-                            const dotDistance = Math.sqrt(
-                                Math.pow(projectile.x - dotX, 2) + 
-                                Math.pow(projectile.y - dotY, 2)
-                            );
-                            
-                            if (dotDistance <= dotRadius + projectileRadius) {
-                                // Hit adjacent dot while trying to pass through gap
-                                this.handleCollision(projectile);
-                                break; // Only handle one collision per frame
-                            }
-                        }
-                    }
-                }
+            // A touched dot only counts if the projectile isn't threading a gap at that moment;
+            // otherwise look again at the end of the tick
+            const contactTime = enterTime + remaining * t;
+            let hitTime = null;
+            if (this.isRingBlocking(projectile, contactTime, player)) {
+                hitTime = contactTime;
+            } else if (this.isRingBlocking(projectile, 1, player) && this.isTouchingDot(projectile, 1, i, player)) {
+                hitTime = 1;
+            }
+            if (hitTime !== null && (dotTime === null || hitTime < dotTime)) {
+                dotTime = hitTime;
             }
         }
+        
+        // Gap pass: judged where the projectile reaches the ring, or at the end of the tick
+        // if it was already there (the ring may have turned a gap toward it since)
+        let gapTime = null;
+        if (canPass) {
+            const passTimes = enterTime > 0 ? [enterTime, 1] : [1];
+            gapTime = passTimes.find(time => !this.isRingBlocking(projectile, time, player));
+            if (gapTime === undefined) gapTime = null;
+        }
+        
+        if (dotTime !== null && (gapTime === null || dotTime <= gapTime)) {
+            return { type: 'dot', time: dotTime };
+        }
+        if (gapTime !== null) {
+            return { type: 'gap', time: gapTime };
+        }
+        return null;
+    }
+    
+    /**
+     * Whether the ring blocks a projectile at a moment in this tick: it is within reach of the ring
+     * and either at a solid angle or too wide for the gap it's in
+     * @param {Projectile} projectile - Projectile
+     * @param {number} time - 0 (start of tick) to 1 (end of tick)
+     * @param {Player} player - Ring to test (the joystick ring if omitted)
+     * @returns {boolean} True if blocked
+     */
+    isRingBlocking(projectile, time, player = this.player) {
+        const position = this.lerpPoint({ x: projectile.prevX, y: projectile.prevY }, projectile, time);
+        const dx = position.x - player.x;
+        const dy = position.y - player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Projectile can interact when it reaches the circle boundary
+        // (with a hair of tolerance, as swept contact times land exactly on it)
+        if (distance > player.radius + projectile.radius + 1e-6) return false;
+        
+        // Check if projectile angle aligns with a gap or hits a solid part (dot)
+        const gap = player.getGapAt(Math.atan2(dy, dx), player.getRenderAngle(time));
+        if (!gap) return true;
+        
+        // Projectile passes through if its diameter fits within gap width
+        // Add small tolerance (5%) for easier passage
+        return projectile.radius * 2 > distance * (gap[1] - gap[0]) * 1.05;
+    }
+    
+    /**
+     * Whether a projectile overlaps a ring dot at a moment in this tick
+     * @param {Projectile} projectile - Projectile
+     * @param {number} time - 0 (start of tick) to 1 (end of tick)
+     * @param {number} dotIndex - Dot to test
+     * @param {Player} player - Ring the dot is on (the joystick ring if omitted)
+     * @returns {boolean} True if overlapping
+     */
+    isTouchingDot(projectile, time, dotIndex, player = this.player) {
+        const position = this.lerpPoint({ x: projectile.prevX, y: projectile.prevY }, projectile, time);
+        const dotAngle = player.dots[dotIndex].angle + player.getRenderAngle(time);
+        const dot = {
+            x: player.x + Math.cos(dotAngle) * player.radius,
+            y: player.y + Math.sin(dotAngle) * player.radius,
+            radius: player.dots[dotIndex].radius
+        };
+        return this.physics.checkCircleCircle({ ...position, radius: projectile.radius }, dot);
+    }
+    
+    /**
+     * Point part way between two points
+     * @param {Object} from - { x, y }
+     * @param {Object} to - { x, y }
+     * @param {number} t - 0 (from) to 1 (to)
+     * @returns {Object} { x, y }
+     */
+    lerpPoint(from, to, t) {
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
     }
     
     handleDodge(projectile) {
@@ -2897,6 +4990,7 @@ class GameEngine {
         this.combo++;
         this.updateComboMultiplier();
         this.projectilesDodgedThisGame++;
+        this.soundManager.playDodge(this.soundManager.getComboPitch(this.combo, this.comboMultiplier));
         
         // Track successful dodge in performance history
         // Award points (addScore will apply combo multiplier)
@@ -2919,19 +5013,61 @@ class GameEngine {
         this.projectilePool.release(projectile);
     }
     
-    handleCollision(projectile) {
+    /**
+     * Rhythm mode: award a timing bonus for a gap pass close to the beat
+     * @param {Projectile} projectile - Projectile that just passed through a gap
+     */
+    awardTimingBonus(projectile) {
+        let offset;
+        if (this.replayPlayer) {
+            const timing = this.replayPlayer.takeEvent('timing');
+            offset = timing ? timing[0] : Infinity;
+        } else {
+            offset = Math.abs(this.rhythmConductor.getBeatOffset());
+            this.replayRecorder.recordEvent('timing', offset);
+        }
+        
+        let bonus = 0;
+        let label = null;
+        if (offset <= this.perfectTimingWindow) {
+            bonus = 20;
+            label = 'PERFECT';
+        } else if (offset <= this.goodTimingWindow) {
+            bonus = 10;
+            label = 'GOOD';
+        }
+        
+        if (bonus > 0) {
+            this.addScore(bonus);
+            const finalPoints = Math.floor(bonus * this.comboMultiplier);
+            this.spawnFloatingScore(finalPoints, projectile.x, projectile.y, false, label);
+            if (label === 'PERFECT') {
+                this.particleSystem.spawnSparkle(projectile.x, projectile.y, 8, '#00ffff');
+            }
+        }
+    }
+    
+    handleCollision(projectile, ring = this.player) {
+        // Invulnerable after a survived hit: the shot breaks up harmlessly
+        if (this.invulnerableTimer > 0) {
+            this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 10, '#ffffff');
+            this.projectilePool.release(projectile);
+            return;
+        }
+        
         // Enhanced explosion effect with more particles and fire colors
         this.particleSystem.spawnExplosion(projectile.x, projectile.y, 25, '#ff3300');
         // Secondary burst with orange/yellow particles
         this.particleSystem.spawnExplosion(projectile.x, projectile.y, 15, '#ff8800');
         this.particleSystem.spawnDestroyEffect(projectile.x, projectile.y, '#ff4444');
-        this.player.triggerHitFlash();
+        ring.triggerHitFlash();
         this.screenShake = 0.3; // 300ms shake
         this.screenShakeIntensity = 10;
         this.flashEffect = 0.1; // 100ms flash
         
         // Vibrate on collision (pattern: 100ms on, 50ms off, 100ms on)
         this.vibrationManager.vibrateCollision();
+        this.soundManager.playCollision();
         
         // Reset combo
         this.combo = 0;
@@ -2940,8 +5076,60 @@ class GameEngine {
         // Release projectile back to pool
         this.projectilePool.release(projectile);
         
-        // Game over
-        this.gameOver();
+        // Game over, unless a heart or the shield takes the hit
+        if (!this.absorbHit()) {
+            this.gameOver();
+        }
+    }
+    
+    /**
+     * Spend a shield power-up, a heart or the shield on a hit
+     * @returns {boolean} True if the run survives (invulnerability starts)
+     */
+    absorbHit() {
+        const model = this.healthModel;
+        
+        // A shield power-up goes first, whatever the health model
+        if (this.activePowerUps.SHIELD !== undefined) {
+            this.endPowerUp('SHIELD');
+            this.invulnerableTimer = POWER_UPS.SHIELD.invulnerability;
+            return true;
+        }
+        
+        if (model.type === 'lives') {
+            this.lives--;
+            if (this.lives <= 0) return false;
+        } else if (model.type === 'shield') {
+            if (!this.shieldCharged) return false;
+            this.shieldCharged = false;
+            this.shieldTimer = model.recharge;
+        } else {
+            return false;
+        }
+        
+        this.invulnerableTimer = model.invulnerability;
+        return true;
+    }
+    
+    /**
+     * Count down invulnerability and the shield recharge
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updateHealth(deltaTime) {
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+        }
+        
+        if (this.healthModel.type === 'shield' && !this.shieldCharged) {
+            this.shieldTimer -= deltaTime;
+            if (this.shieldTimer <= 0) {
+                this.shieldTimer = 0;
+                this.shieldCharged = true;
+                if (this.player) {
+                    this.particleSystem.spawnSparkle(this.player.x, this.player.y, 12, '#7fdbff');
+                }
+            }
+        }
     }
     
     updateScoreAnimation(deltaTime) {
@@ -3006,8 +5194,8 @@ class GameEngine {
     
     updateDifficulty(deltaTime) {
         // Time-based difficulty: gradually increase over time
-        // Difficulty increases smoothly based on game playtime
-        const timeElapsed = (performance.now() - this.gameStartTime) / 1000; // Time in seconds
+        // Difficulty increases smoothly based on simulated playtime (pauses don't count)
+        const timeElapsed = this.simulationTime; // Time in seconds
         
         // Calculate target difficulty based on time (gradual increase)
         // Difficulty increases linearly: 1.0 at start, up to maxDifficultyMultiplier over time
@@ -3018,9 +5206,9 @@ class GameEngine {
         );
         
         // Very smoothly interpolate current difficulty towards target (prevents sudden jumps)
-        // Using a very slow interpolation rate (1% per frame) ensures gradual changes
+        // Using a very slow interpolation rate (1% per fixed tick) ensures gradual changes
         const diff = targetDifficulty - this.difficultyMultiplier;
-        this.difficultyMultiplier += diff * this.difficultyInterpolationRate; // Very smooth transition (1% per frame)
+        this.difficultyMultiplier += diff * this.difficultyInterpolationRate; // Very smooth transition (1% per tick)
         this.difficultyMultiplier = Math.min(this.maxDifficultyMultiplier, this.difficultyMultiplier);
         
         // Apply difficulty to spawn rate and projectile speed
@@ -3031,7 +5219,7 @@ class GameEngine {
         
         // Apply speed multiplier smoothly - this ensures projectiles don't suddenly speed up
         const speedMultiplier = this.difficultyMultiplier; // Higher difficulty = faster projectiles
-        this.currentProjectileSpeed = this.baseProjectileSpeed * speedMultiplier;
+        this.currentProjectileSpeed = this.baseProjectileSpeed * speedMultiplier * this.stageSpeedMultiplier;
         this.currentProjectileSpeed = Math.min(this.currentProjectileSpeed, this.maxProjectileSpeed); // Cap at maximum
     }
     
@@ -3044,14 +5232,15 @@ class GameEngine {
         const shape = this.centerShape;
         const ctx = this.ctx;
         
-        // Update shape position to match player center
-        shape.x = this.player.x;
-        shape.y = this.player.y;
+        // Blend between ticks while it drifts with the rings (updateCenterShape() keeps it on their center)
+        const alpha = this.getRenderAlpha();
+        const x = shape.prevX === undefined ? shape.x : shape.prevX + (shape.x - shape.prevX) * alpha;
+        const y = shape.prevY === undefined ? shape.y : shape.prevY + (shape.y - shape.prevY) * alpha;
         
         ctx.save();
         
         // Translate to shape center and rotate
-        ctx.translate(shape.x, shape.y);
+        ctx.translate(x, y);
         ctx.rotate(shape.rotation);
         
         // Add subtle glow effect
@@ -3135,13 +5324,8 @@ class GameEngine {
                 
             case 2: // Triangle
                 // Point-in-triangle test using barycentric coordinates
-                const triangleSize = shape.size;
-                const triangleHeight = triangleSize * Math.sqrt(3) / 2;
-                
                 // Triangle vertices (in local rotated space)
-                const v1 = { x: 0, y: -triangleHeight * 0.67 };
-                const v2 = { x: -triangleSize / 2, y: triangleHeight * 0.33 };
-                const v3 = { x: triangleSize / 2, y: triangleHeight * 0.33 };
+                const [v1, v2, v3] = this.getCenterShapeVertices(shape);
                 
                 // Rotate point to triangle's local space
                 const triAngle = -shape.rotation;
@@ -3171,7 +5355,6 @@ class GameEngine {
                 
             case 3: // Pentagon
                 // Point-in-pentagon test using ray-casting
-                const pentagonSize = shape.size;
                 const pentAngle = -shape.rotation;
                 const pentCos = Math.cos(pentAngle);
                 const pentSin = Math.sin(pentAngle);
@@ -3179,14 +5362,7 @@ class GameEngine {
                 const pentLocalY = dx * pentSin + dy * pentCos;
                 
                 // Get pentagon vertices
-                const pentVertices = [];
-                for (let i = 0; i < 5; i++) {
-                    const vAngle = (i * Math.PI * 2 / 5) - (Math.PI / 2);
-                    pentVertices.push({
-                        x: Math.cos(vAngle) * pentagonSize,
-                        y: Math.sin(vAngle) * pentagonSize
-                    });
-                }
+                const pentVertices = this.getCenterShapeVertices(shape);
                 
                 // Ray-casting algorithm
                 let inside = false;
@@ -3215,6 +5391,77 @@ class GameEngine {
         return false;
     }
     
+    /**
+     * Center shape outline in its local (unrotated) space, relative to its center
+     * @param {Object} shape - Center shape
+     * @returns {Array} Vertices [{ x, y }, ...], empty for the circle
+     */
+    getCenterShapeVertices(shape) {
+        switch (shape.type) {
+            case 1: { // Square
+                const half = shape.size / 2;
+                return [
+                    { x: -half, y: -half },
+                    { x: half, y: -half },
+                    { x: half, y: half },
+                    { x: -half, y: half }
+                ];
+            }
+            case 2: { // Triangle
+                const height = shape.size * Math.sqrt(3) / 2;
+                return [
+                    { x: 0, y: -height * 0.67 },
+                    { x: -shape.size / 2, y: height * 0.33 },
+                    { x: shape.size / 2, y: height * 0.33 }
+                ];
+            }
+            case 3: { // Pentagon
+                const vertices = [];
+                for (let i = 0; i < 5; i++) {
+                    const vAngle = (i * Math.PI * 2 / 5) - (Math.PI / 2);
+                    vertices.push({
+                        x: Math.cos(vAngle) * shape.size,
+                        y: Math.sin(vAngle) * shape.size
+                    });
+                }
+                return vertices;
+            }
+        }
+        return [];
+    }
+    
+    /**
+     * When during this tick does a projectile first touch the center shape? (swept)
+     * @param {Projectile} projectile - Projectile moving from (prevX, prevY) to (x, y)
+     * @returns {number|null} Time of contact (0-1 through the tick), or null if it doesn't touch
+     */
+    getCenterShapeHitTime(projectile) {
+        const shape = this.centerShape;
+        let time = null;
+        
+        if (projectile.prevX !== undefined) {
+            // Move the path into the shape's local space (rotation is treated as fixed over one tick)
+            const cos = Math.cos(-shape.rotation);
+            const sin = Math.sin(-shape.rotation);
+            const toLocal = (x, y) => ({
+                x: (x - shape.x) * cos - (y - shape.y) * sin,
+                y: (x - shape.x) * sin + (y - shape.y) * cos
+            });
+            const start = toLocal(projectile.prevX, projectile.prevY);
+            const end = toLocal(projectile.x, projectile.y);
+            
+            time = shape.type === 0 ?
+                this.physics.sweepCircleCircle(start, end, projectile.radius, { x: 0, y: 0 }, { x: 0, y: 0 }, shape.size) :
+                this.physics.sweepCirclePolygon(start, end, projectile.radius, this.getCenterShapeVertices(shape));
+        }
+        
+        // The per-shape test is a little more generous (square corners, triangle margin)
+        if (time === null && this.checkCenterShapeCollision(projectile)) {
+            time = 1;
+        }
+        return time;
+    }
+    
     /**
      * Calculate distance from point to line segment
      * @param {number} px - Point X
@@ -3267,7 +5514,7 @@ class GameEngine {
                 const dirY = dy / distance;
                 
                 // Add slight random spread for more natural look
-                const spread = (Math.random() - 0.5) * 0.2;
+                const spread = (this.random.cosmetic.next() - 0.5) * 0.2;
                 const perpX = -dirY * spread;
                 const perpY = dirX * spread;
                 
@@ -3279,7 +5526,7 @@ class GameEngine {
                 p.vy = (dirY + perpY * 0.3) * 350;
                 p.life = 0.35; // Lifetime to reach center
                 p.maxLife = 0.35;
-                p.size = 4 + Math.random() * 3; // Larger particles for visibility
+                p.size = 4 + this.random.cosmetic.next() * 3; // Larger particles for visibility
                 p.color = shape.color;
                 p.type = 'absorption';
                 p.rotation = 0;
@@ -3311,9 +5558,11 @@ class GameEngine {
         
         // Additional visual effect: subtle glow pulse at center shape
         this.particleSystem.spawnDiffusion(shape.x, shape.y, 6, shape.color);
+        this.soundManager.playAbsorb(this.soundManager.getComboPitch(this.combo, this.comboMultiplier));
         
-        // Check if shape reached threshold (80% of player circle radius)
-        const threshold = this.player.radius * 0.8;
+        // Check if shape reached threshold (80% of the innermost ring's radius)
+        const rings = this.getRings();
+        const threshold = rings[rings.length - 1].radius * 0.8;
         if (shape.size >= threshold) {
             this.triggerDifficultyIncrease();
         }
@@ -3343,6 +5592,138 @@ class GameEngine {
         
         // Optional: screen flash effect
         this.flashEffect = 0.15; // 150ms flash
+        
+        // Audio cue for the new shape
+        this.soundManager.playShapeCycle();
+        
+        // A full shape cycle clears the stage
+        this.startStageTransition();
+    }
+    
+    /**
+     * Clear the current stage and start the next one with its rule change
+     * Classic and Daily freeze behind the stage card (live play switches to LEVEL_UP), then
+     * give a breather without spawns; Rhythm keeps playing under a banner, as the soundtrack sets the pace
+     */
+    startStageTransition() {
+        const cleared = {
+            stage: this.stage,
+            time: this.simulationTime - this.stageStart.time,
+            score: this.score - this.stageStart.score,
+            dodges: this.projectilesDodgedThisGame - this.stageStart.dodges,
+            bestCombo: this.stageBestCombo
+        };
+        
+        this.stage++;
+        const rule = this.getStageRule(this.stage);
+        if (rule) {
+            this.applyStageRule(rule);
+        }
+        this.stageStart = { time: this.simulationTime, score: this.score, dodges: this.projectilesDodgedThisGame };
+        this.stageBestCombo = 0;
+        
+        if (this.gameMode === GameMode.RHYTHM) {
+            this.stageTransition = { phase: 'banner', timer: this.stageInterstitialTime, cleared, rule };
+            return;
+        }
+        
+        this.stageTransition = { phase: 'interstitial', timer: this.stageInterstitialTime, cleared, rule };
+        if (this.currentState === GameState.PLAYING) {
+            this.currentState = GameState.LEVEL_UP;
+        }
+    }
+    
+    /**
+     * Rule change a stage starts with in this run's mode
+     * Rhythm shots are straight and paced to reach the ring on the beat, so only the rules that
+     * reshape the ring change anything there; the others would do nothing or break the timing
+     * @param {number} stage - Stage number (2 gets the first rule; the last one repeats outside Rhythm)
+     * @returns {Object|null} Entry of STAGE_RULES (null once Rhythm's rules run out)
+     */
+    getStageRule(stage) {
+        if (this.gameMode === GameMode.RHYTHM) {
+            const rules = STAGE_RULES.filter(rule => rule.dotScale || rule.ring);
+            return rules[stage - 2] || null;
+        }
+        return STAGE_RULES[Math.min(stage - 2, STAGE_RULES.length - 1)];
+    }
+    
+    /**
+     * Apply a stage rule change for the rest of the run
+     * @param {Object} rule - Entry of STAGE_RULES
+     */
+    applyStageRule(rule) {
+        if (rule.projectile && !this.stageUnlocks.includes(rule.projectile)) {
+            this.stageUnlocks.push(rule.projectile);
+        }
+        if (rule.dotScale && this.player) {
+            this.getRings().forEach(ring => ring.scaleDots(rule.dotScale));
+        }
+        if (rule.ring && this.player) {
+            this.getRings().forEach(ring => ring.setLayout(RING_LAYOUTS[rule.ring]));
+        }
+        if (rule.drift && this.player) {
+            this.startDrift(rule.drift);
+        }
+        if (rule.wells) {
+            this.placeGravityWells('stage', GRAVITY_WELLS[rule.wells]);
+        }
+        if (rule.obstacles) {
+            this.placeObstacles(OBSTACLE_LAYOUTS[rule.obstacles]);
+        }
+        if (rule.collide !== undefined) {
+            this.shotElasticity = rule.collide;
+        }
+        if (rule.speed) {
+            this.stageSpeedMultiplier *= rule.speed;
+        }
+    }
+    
+    /**
+     * Advance the stage card, breather or banner by one tick
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updateStageTransition(deltaTime) {
+        const transition = this.stageTransition;
+        transition.timer -= deltaTime;
+        
+        if (transition.phase === 'interstitial') {
+            // Nothing carries over into the next stage (shots absorbed this tick are already scored)
+            for (const projectile of this.projectilePool.active) {
+                this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 8, projectile.color);
+            }
+            this.projectilePool.clear();
+            this.pendingSpawns = [];
+            if (this.player) {
+                this.player.prevAngle = this.player.angle;
+            }
+            
+            // Effects keep animating behind the card
+            this.particleSystem.update(deltaTime);
+            this.updateFloatingScores(deltaTime);
+            this.updateScoreAnimation(deltaTime);
+            this.updateVisualEffects(deltaTime);
+            
+            if (transition.timer <= 0) {
+                transition.phase = 'breather';
+                transition.timer = this.stageBreatherTime;
+                if (this.currentState === GameState.LEVEL_UP) {
+                    this.currentState = GameState.PLAYING;
+                }
+            }
+            return;
+        }
+        
+        if (transition.timer <= 0) {
+            // Spawning starts over after a breather (no half-played pattern)
+            if (transition.phase === 'breather') {
+                this.spawnTimer = 0;
+                if (this.patternScheduler) {
+                    this.patternScheduler.reset();
+                }
+            }
+            this.stageTransition = null;
+        }
     }
     
     /**
@@ -3456,12 +5837,13 @@ class GameEngine {
         if (this.combo > this.bestComboThisGame) {
             this.bestComboThisGame = this.combo;
         }
+        this.stageBestCombo = Math.max(this.stageBestCombo, this.combo);
         
         // Check achievements
         this.checkAchievements();
     }
     
-    spawnFloatingScore(points, x, y, isMergeScore = false) {
+    spawnFloatingScore(points, x, y, isMergeScore = false, label = null) {
         // Determine color based on combo multiplier
         let color = '#ffd700'; // Gold default
         let fontSize = 36;
@@ -3479,14 +5861,14 @@ class GameEngine {
         
         // For merge scores at top right: stay more stationary, flash more
         const velocityY = isMergeScore ? -40 : -120; // Less upward movement for merge scores
-        const velocityX = isMergeScore ? (Math.random() - 0.5) * 10 : (Math.random() - 0.5) * 30; // Less drift for merge scores
+        const velocityX = isMergeScore ? (this.random.cosmetic.next() - 0.5) * 10 : (this.random.cosmetic.next() - 0.5) * 30; // Less drift for merge scores
         const maxScale = isMergeScore ? 1.5 : 1.2; // Bigger flash for merge scores
         const life = isMergeScore ? 1.0 : 1.2; // Slightly shorter for merge scores
         
         this.floatingScores.push({
             x: x,
             y: y,
-            text: `+${points}`,
+            text: label ? `${label} +${points}` : `+${points}`,
             life: life,
             maxLife: life,
             velocityY: velocityY,
@@ -3572,6 +5954,7 @@ class GameEngine {
             const resumeButton = this.getResumeButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, resumeButton)) {
                 this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
                 this.currentState = GameState.PLAYING;
                 return;
             }
@@ -3580,15 +5963,26 @@ class GameEngine {
             const settingsButton = this.getPauseSettingsButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, settingsButton)) {
                 this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
                 this.currentState = GameState.SETTINGS;
                 return;
             }
             
-            // Check QUIT button
+            // Check QUIT button (previews go back to the editor)
             const quitButton = this.getQuitButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, quitButton)) {
                 this.vibrationManager.vibrateTap();
-                this.currentState = GameState.MENU;
+                this.soundManager.playTap();
+                this.rhythmConductor.stop();
+                if (this.editorPreview) {
+                    this.exitEditorPreview();
+                } else {
+                    // Quitting the scored daily run still uses up the day: keep the score so far
+                    if (this.gameMode === GameMode.DAILY && !this.dailyPractice && this.validateScore(this.score)) {
+                        this.finishDailyAttempt();
+                    }
+                    this.currentState = GameState.MENU;
+                }
                 return;
             }
         }
@@ -3612,7 +6006,14 @@ class GameEngine {
             const retryButton = this.getRetryButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, retryButton)) {
                 this.vibrationManager.vibrateTap();
-                this.startGame();
+                this.soundManager.playTap();
+                if (this.activeChallenge) {
+                    this.startChallenge(this.activeChallenge);
+                } else if (this.gameMode === GameMode.DAILY) {
+                    this.startDailyChallenge();
+                } else {
+                    this.startGame(this.gameMode);
+                }
                 return;
             }
             
@@ -3620,17 +6021,30 @@ class GameEngine {
             const menuButton = this.getMainMenuButtonBounds();
             if (this.isPointInButton(touch.x, touch.y, menuButton)) {
                 this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
                 // Reset visual effects when leaving game over screen
                 this.resetVisualEffects();
                 this.currentState = GameState.MENU;
                 return;
             }
             
+            // Check WATCH REPLAY button
+            if (this.lastReplay) {
+                const replayButton = this.getWatchReplayButtonBounds();
+                if (this.isPointInButton(touch.x, touch.y, replayButton)) {
+                    this.vibrationManager.vibrateTap();
+                    this.soundManager.playTap();
+                    this.startReplay(this.lastReplay);
+                    return;
+                }
+            }
+            
             // Check SHARE button (if available)
-            if (navigator.share) {
+            if (this.canShare()) {
                 const shareButton = this.getShareButtonBounds();
                 if (this.isPointInButton(touch.x, touch.y, shareButton)) {
                     this.vibrationManager.vibrateTap();
+                    this.soundManager.playTap();
                     this.shareScore();
                     return;
                 }
@@ -3638,9 +6052,20 @@ class GameEngine {
         }
     }
     
+    /**
+     * Whether the Web Share API is available (never when headless)
+     */
+    canShare() {
+        return !this.headless && typeof navigator !== 'undefined' && !!navigator.share;
+    }
+    
     shareScore() {
-        if (navigator.share) {
-            const shareText = `I scored ${this.score.toLocaleString()} points in Spin Escape! Can you beat it?`;
+        if (this.canShare()) {
+            const code = this.getChallengeCode();
+            let shareText = `I scored ${this.score.toLocaleString()} points in Spin Escape! Can you beat it?`;
+            if (code) {
+                shareText += `\nChallenge code: ${code}`;
+            }
             navigator.share({
                 title: 'Spin Escape Score',
                 text: shareText,
@@ -3652,6 +6077,15 @@ class GameEngine {
     }
     
     getShareButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: GAME_HEIGHT / 2 + 400,
+            width: 300,
+            height: 70
+        };
+    }
+    
+    getWatchReplayButtonBounds() {
         return {
             x: GAME_WIDTH / 2 - 150,
             y: GAME_HEIGHT / 2 + 300,
@@ -3660,50 +6094,284 @@ class GameEngine {
         };
     }
     
-    updateLevelUp(deltaTime) {
-        // Handle level up screen (for future use)
-        if (this.inputManager.wasJustPressed || this.inputManager.isKeyPressed('Space')) {
-            this.currentState = GameState.PLAYING;
+    // ========================================================================
+    // REPLAY PLAYBACK
+    // ========================================================================
+    
+    /**
+     * Watch a recorded run from the Game Over screen
+     * @param {Replay} replay - Replay to watch
+     */
+    startReplay(replay) {
+        // The re-simulation overwrites run stats; keep them for the Game Over screen
+        this.replaySnapshot = {
+            gameMode: this.gameMode,
+            runSeed: this.runSeed,
+            score: this.score,
+            bestComboThisGame: this.bestComboThisGame,
+            projectilesDodgedThisGame: this.projectilesDodgedThisGame,
+            gamePlaytime: this.gamePlaytime
+        };
+        
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.replayScrubbing = false;
+        this.vibrationManager.muted = true;
+        this.restartReplay();
+        
+        console.log(`Replay started (${replay.mode}, seed ${replay.seed}, ${replay.ticks} ticks)`);
+    }
+    
+    /**
+     * Reset the simulation to the replay's first tick (keeps pause and speed)
+     */
+    restartReplay() {
+        const replay = this.replayPlayer.replay;
+        this.startGame(replay.mode, { seed: replay.seed, replay: true, patterns: this.runPatternLibrary, health: this.runHealth });
+        this.replayPlayer.rewind();
+        this.currentState = GameState.REPLAY;
+    }
+    
+    /**
+     * Simulate the next recorded tick
+     */
+    stepReplay() {
+        const rotationInput = this.replayPlayer.nextInput();
+        if (rotationInput === null) return;
+        
+        // Show the recorded joystick position
+        const angle = Replay.dequantizeAngle(rotationInput);
+        if (angle === null) {
+            this.sliderHandleX = this.sliderCenterX;
+            this.sliderHandleY = this.sliderCenterY;
+        } else {
+            this.sliderHandleX = this.sliderCenterX + Math.cos(angle) * this.sliderRadius;
+            this.sliderHandleY = this.sliderCenterY + Math.sin(angle) * this.sliderRadius;
+        }
+        
+        this.simulateTick(this.fixedTimeStep, rotationInput);
+    }
+    
+    /**
+     * Jump to a tick by re-simulating (from the start when seeking backwards)
+     * @param {number} tick - Target tick index
+     */
+    seekReplay(tick) {
+        if (tick <= this.replayPlayer.tick) {
+            this.restartReplay();
+        }
+        
+        // Fast-forward silently
+        this.soundManager.muted = true;
+        while (this.replayPlayer.tick < tick && !this.replayPlayer.finished) {
+            this.stepReplay();
         }
+        this.soundManager.muted = false;
     }
     
-    updateSettings(deltaTime) {
+    /**
+     * Leave the replay and return to the Game Over screen of the recorded run
+     */
+    exitReplay() {
+        Object.assign(this, this.replaySnapshot);
+        this.displayScore = this.score;
+        this.replaySnapshot = null;
+        this.replayPlayer = null;
+        this.replayScrubbing = false;
+        this.vibrationManager.muted = false;
+        this.resetVisualEffects();
+        this.currentState = GameState.GAME_OVER;
+    }
+    
+    updateReplay(deltaTime) {
+        const player = this.replayPlayer;
         const touch = this.inputManager.getPrimaryTouch();
         
         if (this.inputManager.wasJustPressed && touch) {
-            // Check Back button
-            const backButton = this.getBackButtonBounds();
-            if (this.isPointInButton(touch.x, touch.y, backButton)) {
-                this.vibrationManager.vibrateTap();
-                this.currentState = GameState.MENU;
+            // Check PAUSE/PLAY button (restarts a finished replay)
+            const pauseButton = this.getReplayPauseButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, pauseButton)) {
+                this.soundManager.playTap();
+                if (player.finished) {
+                    player.paused = false;
+                    this.restartReplay();
+                } else {
+                    player.paused = !player.paused;
+                }
                 return;
             }
             
-            // Check Sound toggle
-            const soundButton = this.getSoundButtonBounds();
-            if (this.isPointInButton(touch.x, touch.y, soundButton)) {
-                this.vibrationManager.vibrateTap();
-                this.soundEnabled = !this.soundEnabled;
-                this.saveGameSettings();
+            // Check SPEED button (cycles 1x -> 2x -> 0.5x)
+            const speedButton = this.getReplaySpeedButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, speedButton)) {
+                this.soundManager.playTap();
+                const speeds = [1, 2, 0.5];
+                player.speed = speeds[(speeds.indexOf(player.speed) + 1) % speeds.length];
                 return;
             }
             
-            // Check Vibration toggle
-            const vibrationButton = this.getVibrationButtonBounds();
-            if (this.isPointInButton(touch.x, touch.y, vibrationButton)) {
-                this.vibrationManager.vibrateTap();
-                this.vibrationManager.toggle();
+            // Check EXIT button
+            const exitButton = this.getReplayExitButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, exitButton)) {
+                this.soundManager.playTap();
+                this.exitReplay();
                 return;
             }
             
-            // Check Reset All Data button
-            const resetButton = this.getResetDataButtonBounds();
-            if (this.isPointInButton(touch.x, touch.y, resetButton)) {
-                if (confirm('Are you sure you want to reset all data? This cannot be undone.')) {
-                    this.vibrationManager.vibrateTap();
-                    this.resetAllData();
-                    // Reload settings after reset
-                    this.loadGameSettings();
+            // Grab the progress bar to scrub
+            const bar = this.getReplayProgressBarBounds();
+            const grabArea = { x: bar.x - 20, y: bar.y - 25, width: bar.width + 40, height: bar.height + 50 };
+            if (this.isPointInButton(touch.x, touch.y, grabArea)) {
+                this.replayScrubbing = true;
+            }
+        }
+        
+        // Scrubbing: follow the finger, seek on release
+        if (this.replayScrubbing) {
+            if (touch) {
+                const bar = this.getReplayProgressBarBounds();
+                this.replayScrubProgress = Math.max(0, Math.min(1, (touch.x - bar.x) / bar.width));
+                return;
+            }
+            this.replayScrubbing = false;
+            this.seekReplay(Math.round(this.replayScrubProgress * player.replay.ticks) - 1);
+            return;
+        }
+        
+        // Handle back button (Android)
+        if (this.inputManager.isKeyPressed('Escape') || this.inputManager.isKeyPressed('Backspace')) {
+            this.exitReplay();
+            return;
+        }
+        
+        // Advance playback at the selected speed
+        const ticks = player.consumeTicks();
+        for (let i = 0; i < ticks && !player.finished; i++) {
+            this.stepReplay();
+        }
+    }
+    
+    getReplayPauseButtonBounds() {
+        return {
+            x: 60,
+            y: GAME_HEIGHT - 320,
+            width: 200,
+            height: 60
+        };
+    }
+    
+    getReplaySpeedButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 100,
+            y: GAME_HEIGHT - 320,
+            width: 200,
+            height: 60
+        };
+    }
+    
+    getReplayExitButtonBounds() {
+        return {
+            x: GAME_WIDTH - 260,
+            y: GAME_HEIGHT - 320,
+            width: 200,
+            height: 60
+        };
+    }
+    
+    getReplayProgressBarBounds() {
+        return {
+            x: 60,
+            y: GAME_HEIGHT - 225,
+            width: GAME_WIDTH - 120,
+            height: 12
+        };
+    }
+    
+    /**
+     * Stage card: the run keeps ticking (frozen, no input) so replays stay in step
+     */
+    updateLevelUp(deltaTime) {
+        const rotationInput = Replay.NO_INPUT;
+        this.replayRecorder.recordInput(rotationInput);
+        this.simulateTick(deltaTime, rotationInput);
+    }
+    
+    updateSettings(deltaTime) {
+        const touch = this.inputManager.getPrimaryTouch();
+        
+        if (this.inputManager.wasJustPressed && touch) {
+            // Check Back button
+            const backButton = this.getBackButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, backButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.currentState = GameState.MENU;
+                return;
+            }
+            
+            // Check Sound toggle
+            const soundButton = this.getSoundButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, soundButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.soundEnabled = !this.soundEnabled;
+                this.soundManager.setEnabled(this.soundEnabled);
+                this.saveGameSettings();
+                return;
+            }
+            
+            // Check volume buttons (tap cycles through volume steps)
+            const volumeButtons = [
+                { bounds: this.getMasterVolumeButtonBounds(), channel: 'master' },
+                { bounds: this.getSfxVolumeButtonBounds(), channel: 'sfx' },
+                { bounds: this.getMusicVolumeButtonBounds(), channel: 'music' }
+            ];
+            for (const { bounds, channel } of volumeButtons) {
+                if (this.isPointInButton(touch.x, touch.y, bounds)) {
+                    this.cycleVolume(channel);
+                    this.vibrationManager.vibrateTap();
+                    this.soundManager.playTap();
+                    return;
+                }
+            }
+            
+            // Check Vibration toggle
+            const vibrationButton = this.getVibrationButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, vibrationButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.vibrationManager.toggle();
+                return;
+            }
+            
+            // Check Ghost Ring toggle
+            const ghostButton = this.getGhostButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, ghostButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.ghostEnabled = !this.ghostEnabled;
+                this.saveGameSettings();
+                return;
+            }
+            
+            // Check Camera Follow toggle
+            const cameraButton = this.getCameraButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, cameraButton)) {
+                this.vibrationManager.vibrateTap();
+                this.soundManager.playTap();
+                this.cameraTracking = !this.cameraTracking;
+                this.saveGameSettings();
+                return;
+            }
+            
+            // Check Reset All Data button
+            const resetButton = this.getResetDataButtonBounds();
+            if (this.isPointInButton(touch.x, touch.y, resetButton)) {
+                if (confirm('Are you sure you want to reset all data? This cannot be undone.')) {
+                    this.vibrationManager.vibrateTap();
+                    this.soundManager.playTap();
+                    this.resetAllData();
+                    // Reload settings after reset
+                    this.loadGameSettings();
                     this.vibrationManager.loadSettings();
                 }
                 return;
@@ -3716,6 +6384,350 @@ class GameEngine {
         }
     }
     
+    /**
+     * Open the pattern editor on the last saved pattern (or a new one)
+     */
+    openEditor() {
+        const saved = this.dataManager.loadCustomPatterns();
+        const last = saved[saved.length - 1];
+        this.editorDraft = last ?
+            { id: last.id, tier: last.tier, events: last.events.map(event => ({ ...event, projectile: event.projectile || ProjectileType.NORMAL })) } :
+            this.createEditorDraft();
+        this.editorSelected = this.editorDraft.events.length - 1;
+        this.editorMessage = '';
+        this.editorMessageTimer = 0;
+        this.currentState = GameState.EDITOR;
+    }
+    
+    /**
+     * Empty draft with an id not used by any saved pattern
+     * @returns {Object} Draft { id, tier, events }
+     */
+    createEditorDraft() {
+        let number = 1;
+        for (const pattern of this.dataManager.loadCustomPatterns()) {
+            const match = /^custom-(\d+)$/.exec(pattern.id);
+            if (match) {
+                number = Math.max(number, parseInt(match[1], 10) + 1);
+            }
+        }
+        return { id: `custom-${number}`, tier: this.getEditorTiers()[0], events: [] };
+    }
+    
+    /**
+     * Tier names a pattern can be exported to
+     */
+    getEditorTiers() {
+        return this.getEditorTierData().map(tier => tier.name);
+    }
+    
+    /**
+     * Tiers with their difficulty thresholds (the loaded library's, or the pattern file defaults)
+     * @returns {Array} [{ name, minDifficulty }]
+     */
+    getEditorTierData() {
+        return this.patternLibrary ? this.patternLibrary.tiers : [
+            { name: 'easy', minDifficulty: 1.0 },
+            { name: 'medium', minDifficulty: 1.4 },
+            { name: 'hard', minDifficulty: 1.9 },
+            { name: 'expert', minDifficulty: 2.5 }
+        ];
+    }
+    
+    /**
+     * The draft as pattern JSON (the format of data/patterns.json)
+     * @returns {Object} Serialized sequence pattern
+     */
+    getEditorPatternData() {
+        const draft = this.editorDraft;
+        return SpawnPattern.fromJSON({
+            id: draft.id,
+            type: PatternType.SEQUENCE,
+            tier: draft.tier,
+            events: draft.events.map(event => ({ ...event }))
+        }).toJSON();
+    }
+    
+    /**
+     * Screen position of an event in the editor (direction = angle, distance from the ring = delay)
+     */
+    getEditorEventPosition(event) {
+        const radius = this.editorInnerRadius +
+            (event.delay / this.editorMaxDelay) * (this.editorOuterRadius - this.editorInnerRadius);
+        const angle = event.angle * Math.PI / 180;
+        return {
+            x: this.editorCenterX + Math.cos(angle) * radius,
+            y: this.editorCenterY + Math.sin(angle) * radius
+        };
+    }
+    
+    /**
+     * Event under a point
+     * @returns {number} Event index, or -1
+     */
+    getEditorEventAt(x, y) {
+        const events = this.editorDraft.events;
+        for (let i = events.length - 1; i >= 0; i--) {
+            const position = this.getEditorEventPosition(events[i]);
+            if (Math.hypot(x - position.x, y - position.y) <= 22) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Add a spawn event and select it
+     * @param {number} angle - Degrees (direction the shot comes from)
+     * @param {number} delay - Seconds from the pattern start
+     */
+    addEditorEvent(angle, delay) {
+        this.editorDraft.events.push({ angle, delay, speed: 1, projectile: ProjectileType.NORMAL });
+        this.editorSelected = this.editorDraft.events.length - 1;
+    }
+    
+    /**
+     * Change the selected event
+     * @param {string} field - 'delay', 'speed' or 'projectile'
+     * @param {number} direction - +1 or -1 (delay step or cycle direction)
+     */
+    adjustEditorEvent(field, direction) {
+        const event = this.editorDraft.events[this.editorSelected];
+        if (!event) return;
+        
+        switch (field) {
+            case 'delay': {
+                const delay = Math.round((event.delay + direction * this.editorDelaySnap) * 10) / 10;
+                event.delay = Math.max(0, Math.min(this.editorMaxDelay, delay));
+                break;
+            }
+            case 'speed': {
+                const index = this.editorSpeeds.indexOf(event.speed);
+                const next = (index + direction + this.editorSpeeds.length) % this.editorSpeeds.length;
+                event.speed = this.editorSpeeds[index === -1 ? this.editorSpeeds.indexOf(1) : next];
+                break;
+            }
+            case 'projectile': {
+                const types = Object.keys(ProjectileType);
+                const index = types.indexOf(event.projectile);
+                event.projectile = types[(index + direction + types.length) % types.length];
+                break;
+            }
+        }
+    }
+    
+    deleteEditorEvent() {
+        if (this.editorSelected === -1) return;
+        this.editorDraft.events.splice(this.editorSelected, 1);
+        this.editorSelected = Math.min(this.editorSelected, this.editorDraft.events.length - 1);
+    }
+    
+    showEditorMessage(message) {
+        this.editorMessage = message;
+        this.editorMessageTimer = 2.5;
+    }
+    
+    /**
+     * Save the draft to localStorage
+     * @returns {boolean} Success status
+     */
+    saveEditorPattern() {
+        if (this.editorDraft.events.length === 0) {
+            this.showEditorMessage('Place at least one event first');
+            return false;
+        }
+        const saved = this.dataManager.saveCustomPattern(this.getEditorPatternData());
+        this.showEditorMessage(saved ? `Saved ${this.editorDraft.id}` : 'Could not save');
+        return saved;
+    }
+    
+    /**
+     * Export the draft as JSON for data/patterns.json (copied to the clipboard where possible)
+     * @returns {string|null} Pattern JSON, or null if there is nothing to export
+     */
+    exportEditorPattern() {
+        if (this.editorDraft.events.length === 0) {
+            this.showEditorMessage('Place at least one event first');
+            return null;
+        }
+        
+        const json = JSON.stringify(this.getEditorPatternData(), null, 4);
+        this.copyEditorText(json, 'Pattern JSON');
+        return json;
+    }
+    
+    /**
+     * Challenge code for a Classic run on a fresh seed with every saved pattern (copied where possible)
+     * @returns {string|null} Code, or null if there are no saved patterns
+     */
+    shareEditorPatterns() {
+        const patterns = this.dataManager.loadCustomPatterns();
+        if (patterns.length === 0) {
+            this.showEditorMessage('Save a pattern first');
+            return null;
+        }
+        
+        try {
+            const code = ChallengeCode.encode({
+                mode: GameMode.CLASSIC,
+                seed: RandomService.generateSeed(),
+                tiers: this.getEditorTierData(),
+                patterns
+            });
+            this.copyEditorText(code, 'Challenge code');
+            return code;
+        } catch (e) {
+            console.warn('Saved patterns cannot be shared as a code:', e.message);
+            this.showEditorMessage('Could not create a code');
+            return null;
+        }
+    }
+    
+    /**
+     * Copy text to the clipboard where possible, otherwise show it to copy by hand
+     * @param {string} text - Text to copy
+     * @param {string} label - What the text is, for the status line
+     */
+    copyEditorText(text, label) {
+        if (!this.headless && typeof navigator !== 'undefined' && navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(() => {
+                this.showEditorMessage(`${label} copied to clipboard`);
+            }).catch(err => {
+                console.warn('Clipboard unavailable:', err);
+                this.showEditorText(text, label);
+            });
+        } else {
+            this.showEditorText(text, label);
+        }
+    }
+    
+    /**
+     * Show text the clipboard didn't take (the Android WebView often has no clipboard access)
+     * in a prompt with the text selected, ready to copy; it is also written to the console
+     * @param {string} text - Text to show
+     * @param {string} label - What the text is, for the status line
+     */
+    showEditorText(text, label) {
+        console.log(text);
+        
+        if (!this.headless && typeof prompt === 'function') {
+            prompt(`${label} (copy it from here)`, text);
+            this.showEditorMessage(`${label} shown to copy`);
+        } else {
+            this.showEditorMessage(`${label} written to the console`);
+        }
+    }
+    
+    /**
+     * Play the draft on a loop in a live run; the run ends back in the editor
+     */
+    startEditorPreview() {
+        if (this.editorDraft.events.length === 0) {
+            this.showEditorMessage('Place at least one event first');
+            return;
+        }
+        
+        const data = this.getEditorPatternData();
+        const library = new PatternLibrary([{ name: data.tier, minDifficulty: 0 }], [SpawnPattern.fromJSON(data)]);
+        // A shield keeps the preview going through the odd hit
+        this.startGame(GameMode.CLASSIC, { patterns: library, preview: true, health: 'SHIELD' });
+    }
+    
+    exitEditorPreview() {
+        this.editorPreview = false;
+        this.projectilePool.clear();
+        this.pendingSpawns = [];
+        this.resetVisualEffects();
+        this.currentState = GameState.EDITOR;
+    }
+    
+    /**
+     * Handle a tap in the editor: buttons first, then the timeline, then the placement ring
+     */
+    handleEditorTap(x, y) {
+        const buttons = this.getEditorButtons();
+        const hit = Object.keys(buttons).find(name => this.isPointInButton(x, y, buttons[name]));
+        
+        if (hit) {
+            this.vibrationManager.vibrateTap();
+            this.soundManager.playTap();
+            switch (hit) {
+                case 'delayDown': this.adjustEditorEvent('delay', -1); break;
+                case 'delayUp': this.adjustEditorEvent('delay', 1); break;
+                case 'speed': this.adjustEditorEvent('speed', 1); break;
+                case 'type': this.adjustEditorEvent('projectile', 1); break;
+                case 'delete': this.deleteEditorEvent(); break;
+                case 'tier': {
+                    const tiers = this.getEditorTiers();
+                    this.editorDraft.tier = tiers[(tiers.indexOf(this.editorDraft.tier) + 1) % tiers.length];
+                    break;
+                }
+                case 'preview': this.startEditorPreview(); break;
+                case 'save': this.saveEditorPattern(); break;
+                case 'export': this.exportEditorPattern(); break;
+                case 'code': this.shareEditorPatterns(); break;
+                case 'new':
+                    this.editorDraft = this.createEditorDraft();
+                    this.editorSelected = -1;
+                    break;
+                case 'back': this.currentState = GameState.MENU; break;
+            }
+            return;
+        }
+        
+        // Timeline: select the event nearest the tapped time
+        const timeline = this.getEditorTimelineBounds();
+        if (this.isPointInButton(x, y, { x: timeline.x - 15, y: timeline.y - 20, width: timeline.width + 30, height: timeline.height + 40 })) {
+            const time = (x - timeline.x) / timeline.width * this.editorMaxDelay;
+            let nearest = -1;
+            this.editorDraft.events.forEach((event, i) => {
+                if (Math.abs(event.delay - time) <= 0.25 &&
+                    (nearest === -1 || Math.abs(event.delay - time) < Math.abs(this.editorDraft.events[nearest].delay - time))) {
+                    nearest = i;
+                }
+            });
+            if (nearest !== -1) {
+                this.editorSelected = nearest;
+            }
+            return;
+        }
+        
+        // Existing event: select it
+        const index = this.getEditorEventAt(x, y);
+        if (index !== -1) {
+            this.editorSelected = index;
+            return;
+        }
+        
+        // Placement band: direction snaps to editorAngleSnap, distance to editorDelaySnap
+        const dx = x - this.editorCenterX;
+        const dy = y - this.editorCenterY;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= this.editorInnerRadius - 15 && distance <= this.editorOuterRadius + 15) {
+            const angle = Math.round(Math.atan2(dy, dx) * 180 / Math.PI / this.editorAngleSnap) * this.editorAngleSnap;
+            const progress = (distance - this.editorInnerRadius) / (this.editorOuterRadius - this.editorInnerRadius);
+            const delay = Math.round(Math.max(0, Math.min(1, progress)) * this.editorMaxDelay / this.editorDelaySnap) * this.editorDelaySnap;
+            this.addEditorEvent((angle + 360) % 360, Math.round(delay * 10) / 10);
+        }
+    }
+    
+    updateEditor(deltaTime) {
+        if (this.editorMessageTimer > 0) {
+            this.editorMessageTimer -= deltaTime;
+        }
+        
+        const touch = this.inputManager.getPrimaryTouch();
+        if (this.inputManager.wasJustPressed && touch) {
+            this.handleEditorTap(touch.x, touch.y);
+            return;
+        }
+        
+        // Handle back button (Android)
+        if (this.inputManager.isKeyPressed('Escape') || this.inputManager.isKeyPressed('Backspace')) {
+            this.currentState = GameState.MENU;
+        }
+    }
+    
     render() {
         // Safety check: ensure canvas context exists
         if (!this.ctx) {
@@ -3729,8 +6741,8 @@ class GameEngine {
             let offsetY = 0;
             if (this.screenShake > 0 && 
                 (this.currentState === GameState.PLAYING || this.currentState === GameState.GAME_OVER)) {
-                offsetX = (Math.random() - 0.5) * this.screenShakeIntensity;
-                offsetY = (Math.random() - 0.5) * this.screenShakeIntensity;
+                offsetX = (this.random.cosmetic.next() - 0.5) * this.screenShakeIntensity;
+                offsetY = (this.random.cosmetic.next() - 0.5) * this.screenShakeIntensity;
             }
             
             // Clear canvas with solid background color
@@ -3764,11 +6776,22 @@ class GameEngine {
                         this.renderGameOver();
                         break;
                     case GameState.LEVEL_UP:
+                        this.renderPlaying();
                         this.renderLevelUp();
                         break;
                     case GameState.SETTINGS:
                         this.renderSettings();
                         break;
+                    case GameState.REPLAY:
+                        this.renderPlaying();
+                        if (this.stageTransition && this.stageTransition.phase === 'interstitial') {
+                            this.renderLevelUp();
+                        }
+                        this.renderReplayControls();
+                        break;
+                    case GameState.EDITOR:
+                        this.renderEditor();
+                        break;
                     default:
                         // Fallback for unknown state
                         this.ctx.fillStyle = '#fff';
@@ -3870,6 +6893,42 @@ class GameEngine {
         const playHovered = this.isButtonHovered(playButton);
         this.drawButton(playButton, 'PLAY', theme.colors.primary, playHovered, true);
         
+        // Rhythm mode button (dimmed until beat maps have loaded)
+        const rhythmButton = this.getRhythmButtonBounds();
+        const rhythmHovered = this.isButtonHovered(rhythmButton);
+        const rhythmReady = this.beatMaps.length > 0;
+        this.drawButton(rhythmButton, 'RHYTHM', rhythmReady ? theme.colors.primary : theme.colors.secondary, rhythmHovered && rhythmReady);
+        
+        // Daily Challenge button (switches to practice once today's attempt is used)
+        const dailyButton = this.getDailyButtonBounds();
+        const dailyHovered = this.isButtonHovered(dailyButton);
+        const todayKey = DataManager.getDateKey();
+        const dailyPlayed = this.dailyScores.some(e => e.date === todayKey);
+        this.drawButton(dailyButton, dailyPlayed ? 'DAILY PRACTICE' : 'DAILY CHALLENGE', dailyPlayed ? theme.colors.secondary : theme.colors.primary, dailyHovered);
+        
+        // Daily streak
+        const dailyStreak = this.dataManager.getDailyStreak(todayKey);
+        if (dailyStreak > 0) {
+            this.ctx.save();
+            this.ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+            this.ctx.font = '20px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`Daily Streak: ${dailyStreak} day${dailyStreak === 1 ? '' : 's'}`, GAME_WIDTH / 2, dailyButton.y + dailyButton.height + 30);
+            this.ctx.restore();
+        }
+        
+        // Dual Rings button
+        const dualButton = this.getDualButtonBounds();
+        this.drawButton(dualButton, 'DUAL RINGS', theme.colors.primary, this.isButtonHovered(dualButton));
+        
+        // Pattern editor button
+        const editorButton = this.getEditorButtonBounds();
+        this.drawButton(editorButton, 'PATTERN EDITOR', theme.colors.secondary, this.isButtonHovered(editorButton));
+        
+        // Enter Code button (starts a shared challenge)
+        const enterCodeButton = this.getEnterCodeButtonBounds();
+        this.drawButton(enterCodeButton, 'ENTER CODE', theme.colors.secondary, this.isButtonHovered(enterCodeButton));
+        
         // Settings button (small, at bottom)
         const settingsButton = this.getSettingsButtonBounds();
         const settingsHovered = this.isButtonHovered(settingsButton);
@@ -3914,14 +6973,54 @@ class GameEngine {
         // Render circular slider at bottom
         this.renderSlider();
         
-        // Render projectiles (using object pool) - pass player position for distance-based colors
-        const playerX = this.player ? this.player.x : null;
-        const playerY = this.player ? this.player.y : null;
-        this.projectilePool.render(this.ctx, playerX, playerY);
+        // The world is drawn from the camera's point of view (it follows a drifting ring if tracking is on)
+        const camera = this.getCameraOffset();
+        this.ctx.save();
+        this.ctx.translate(camera.x, camera.y);
         
-        // Render player
+        // Rhythm mode: ring pulse on every beat (the conductor is off during replays)
+        if (this.gameMode === GameMode.RHYTHM && this.player && this.rhythmConductor.running) {
+            this.renderBeatPulse();
+        }
+        
+        // Interpolate between ticks only while the simulation is running (paused frames hold still)
+        const alpha = this.getRenderAlpha();
+        
+        // Gravity well distortion (behind the shots it bends) and obstacle blocks
+        this.renderGravityWells();
+        this.renderObstacles();
+        
+        // Render projectiles (using object pool) - pass player position for distance-based colors
+        const playerX = this.player ? this.player.x : null;
+        const playerY = this.player ? this.player.y : null;
+        this.projectilePool.render(this.ctx, playerX, playerY, alpha);
+        
+        // Slow-motion tint, magnet range and bomb shockwave
+        this.renderPowerUpEffects();
+        
+        // Render ghost ring of the best run (behind the player)
+        if (this.ghostPlayer && !this.ghostReplayPlayer.finished) {
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.3;
+            this.ghostPlayer.render(this.ctx, alpha);
+            this.ctx.restore();
+        }
+        
+        // Render player and the inner ring in Dual mode, in its own color
+        // (blinking while invulnerable, haloed while the shield is up)
         if (this.player) {
-            this.player.render(this.ctx);
+            this.ctx.save();
+            if (this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer * 10) % 2 === 0) {
+                this.ctx.globalAlpha = 0.3;
+            }
+            for (const ring of this.getRings()) {
+                ring.render(this.ctx, alpha);
+            }
+            this.ctx.restore();
+            
+            if (this.shieldCharged || this.activePowerUps.SHIELD !== undefined) {
+                this.renderShieldHalo();
+            }
         }
         
         // Render center shape (after player circle, before projectiles)
@@ -3932,6 +7031,185 @@ class GameEngine {
         
         // Render floating scores
         this.renderFloatingScores();
+        
+        this.ctx.restore();
+        
+        // Edge arrows for projectiles about to enter
+        this.renderSpawnIndicators();
+        
+        // Stage number and rule change
+        this.renderStageBanner();
+        
+        // Hearts or shield
+        this.renderHealth();
+        
+        // Running power-ups and their timers
+        this.renderPowerUps();
+        
+        // Debug overlay (toggled with the debug panel, triple tap)
+        if (this.performanceMonitor.showDebug) {
+            this.ctx.save();
+            this.ctx.translate(camera.x, camera.y);
+            this.renderCollisionGrid();
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Edge indicators: an arrow on the screen border where each planned projectile will enter,
+     * pointing at the ring. Fill is the projectile type's color; outline and chevrons show its speed.
+     */
+    renderSpawnIndicators() {
+        const margin = 30;
+        const camera = this.getCameraOffset();
+        const centerX = (this.player ? this.player.x : GAME_WIDTH / 2) + camera.x;
+        const centerY = (this.player ? this.player.y : GAME_HEIGHT / 2) + camera.y;
+        
+        for (const pending of this.pendingSpawns) {
+            const plan = pending.plan;
+            const progress = pending.delay > 0 ? 1 - Math.max(0, pending.timer) / pending.delay : 1; // 0 -> 1 as it nears
+            const x = Math.max(margin, Math.min(GAME_WIDTH - margin, plan.x + camera.x));
+            const y = Math.max(margin, Math.min(GAME_HEIGHT - margin, plan.y + camera.y));
+            
+            // Points the way it will fly (ricochet shots at the wall they bank off)
+            let angle = Math.atan2(centerY - y, centerX - x);
+            if (plan.type === ProjectileType.RICOCHET) {
+                const aim = this.getBankShotAim(plan, { x: centerX - camera.x, y: centerY - camera.y });
+                angle = Math.atan2(aim.y + camera.y - y, aim.x + camera.x - x);
+            }
+            
+            // Speed: 0 at base speed, 1 at max speed (green -> red)
+            const speed = this.getPlannedSpeed(plan);
+            const speedFactor = Math.max(0, Math.min(1, (speed - this.baseProjectileSpeed) / (this.maxProjectileSpeed - this.baseProjectileSpeed)));
+            const speedColor = `hsl(${Math.round(120 * (1 - speedFactor))}, 100%, 50%)`;
+            const chevrons = 1 + Math.round(speedFactor * 2);
+            
+            const pulse = 0.5 + 0.5 * Math.sin(progress * Math.PI * 6);
+            const size = 14 + progress * 8;
+            
+            this.ctx.save();
+            this.ctx.translate(x, y);
+            this.ctx.rotate(angle);
+            this.ctx.globalAlpha = 0.45 + 0.55 * Math.max(progress, pulse * progress);
+            
+            this.ctx.fillStyle = plan.powerUp ? POWER_UPS[plan.powerUp].color : PROJECTILE_ARCHETYPES[plan.type].color;
+            this.ctx.strokeStyle = speedColor;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.moveTo(size, 0);
+            this.ctx.lineTo(-size * 0.7, -size * 0.8);
+            this.ctx.lineTo(-size * 0.35, 0);
+            this.ctx.lineTo(-size * 0.7, size * 0.8);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Chevrons behind the arrow, one per speed step
+            this.ctx.lineWidth = 3;
+            for (let i = 0; i < chevrons; i++) {
+                const offset = -size * 0.9 - i * 9;
+                this.ctx.beginPath();
+                this.ctx.moveTo(offset, -size * 0.5);
+                this.ctx.lineTo(offset - 7, 0);
+                this.ctx.lineTo(offset, size * 0.5);
+                this.ctx.stroke();
+            }
+            
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Debug overlay: collision grid lines, occupied cells, and the cells the ring queries
+     */
+    renderCollisionGrid() {
+        const physics = this.physics;
+        const size = physics.gridSize;
+        
+        this.ctx.save();
+        
+        // Occupied cells, shaded by how many projectiles they hold
+        this.ctx.font = '16px "Courier New", monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        for (const cell of physics.grid.values()) {
+            if (cell.objects.length === 0) continue;
+            const x = cell.cellX * size;
+            const y = cell.cellY * size;
+            this.ctx.fillStyle = `rgba(255, 255, 0, ${Math.min(0.4, 0.08 * cell.objects.length)})`;
+            this.ctx.fillRect(x, y, size, size);
+            this.ctx.fillStyle = '#ffff00';
+            this.ctx.fillText(String(cell.objects.length), x + 6, y + 6);
+        }
+        
+        // Cells searched for the player ring, and its bounding circle
+        if (this.player) {
+            const radius = this.player.getBoundingRadius();
+            const range = physics.getCellRange(physics.getBoundingBox({ x: this.player.x, y: this.player.y, radius }));
+            this.ctx.strokeStyle = '#00ff66';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(
+                range.minCellX * size,
+                range.minCellY * size,
+                (range.maxCellX - range.minCellX + 1) * size,
+                (range.maxCellY - range.minCellY + 1) * size
+            );
+            this.ctx.beginPath();
+            this.ctx.arc(this.player.x, this.player.y, radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        
+        // Grid lines
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let x = 0; x <= GAME_WIDTH; x += size) {
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, GAME_HEIGHT);
+        }
+        for (let y = 0; y <= GAME_HEIGHT; y += size) {
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(GAME_WIDTH, y);
+        }
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Progress from the previous simulation tick to the next one, for render interpolation
+     * @returns {number} 0 to 1 (1 = draw the latest tick as-is)
+     */
+    getRenderAlpha() {
+        if (this.currentState === GameState.PLAYING) {
+            return this.renderAlpha;
+        }
+        
+        // Replays run ticks at their own speed
+        const player = this.replayPlayer;
+        if (this.currentState === GameState.REPLAY && !player.paused && !player.finished && !this.replayScrubbing) {
+            return Math.min(1, player.tickBudget + this.renderAlpha * player.speed);
+        }
+        
+        return 1;
+    }
+    
+    /**
+     * Rhythm mode: draw an expanding ring around the player that restarts on each beat
+     */
+    renderBeatPulse() {
+        const phase = this.rhythmConductor.getBeatPhase();
+        const radius = this.player.radius * (1.1 + phase * 0.6);
+        const center = this.player.getRenderPosition(this.getRenderAlpha());
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.globalAlpha = 0.35 * (1 - phase);
+        this.ctx.lineWidth = 4;
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
     }
     
     renderPaused() {
@@ -3969,6 +7247,53 @@ class GameEngine {
         this.drawButton(quitButton, 'QUIT', theme.colors.secondary, quitHovered);
     }
     
+    renderReplayControls() {
+        const theme = this.themeManager.getTheme();
+        const player = this.replayPlayer;
+        const replay = player.replay;
+        
+        // REPLAY badge
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(player.finished ? 'REPLAY - END' : 'REPLAY', 30, 50);
+        this.ctx.restore();
+        
+        // Progress bar (shows the drag position while scrubbing)
+        const bar = this.getReplayProgressBarBounds();
+        const progress = this.replayScrubbing ? this.replayScrubProgress : player.getProgress();
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        this.ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+        this.ctx.beginPath();
+        this.ctx.arc(bar.x + bar.width * progress, bar.y + bar.height / 2, 16, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // Elapsed / total time
+        const elapsed = Math.floor(progress * replay.getDuration());
+        const total = Math.floor(replay.getDuration());
+        const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        this.ctx.font = '20px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${formatTime(elapsed)} / ${formatTime(total)}`, bar.x + bar.width, bar.y + bar.height + 30);
+        this.ctx.restore();
+        
+        // Buttons: PAUSE/PLAY, SPEED, EXIT
+        const pauseButton = this.getReplayPauseButtonBounds();
+        const pauseLabel = player.finished ? 'RESTART' : (player.paused ? 'PLAY' : 'PAUSE');
+        this.drawButton(pauseButton, pauseLabel, theme.colors.primary, this.isButtonHovered(pauseButton), true);
+        
+        const speedButton = this.getReplaySpeedButtonBounds();
+        this.drawButton(speedButton, `${player.speed}x`, theme.colors.secondary, this.isButtonHovered(speedButton));
+        
+        const exitButton = this.getReplayExitButtonBounds();
+        this.drawButton(exitButton, 'EXIT', theme.colors.secondary, this.isButtonHovered(exitButton));
+    }
+    
     renderGameOver() {
         const theme = this.themeManager.getTheme();
         
@@ -4004,7 +7329,7 @@ class GameEngine {
         this.ctx.save();
         this.ctx.fillStyle = theme.colors.text || '#fff';
         this.ctx.font = '32px Arial';
-        const formattedHighScore = this.highScore.toLocaleString();
+        const formattedHighScore = this.getBestScore().toLocaleString();
         this.ctx.fillText(`BEST: ${formattedHighScore}`, GAME_WIDTH / 2, 330);
         this.ctx.restore();
         
@@ -4027,25 +7352,42 @@ class GameEngine {
             this.ctx.restore();
         }
         
-        // Top 3 Scores with enhanced styling
-        if (this.topScores && this.topScores.length > 0) {
+        // Daily Challenge: which day, and whether it counted
+        const isDaily = this.gameMode === GameMode.DAILY;
+        if (isDaily) {
+            this.ctx.save();
+            this.ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+            this.ctx.font = '22px Arial';
+            this.ctx.textAlign = 'center';
+            const dailyLabel = this.dailyPractice ? 'PRACTICE - not scored' : `Streak: ${this.dataManager.getDailyStreak(this.dailyDateKey)}`;
+            this.ctx.fillText(`Daily Challenge ${this.dailyDateKey} · ${dailyLabel}`, GAME_WIDTH / 2, 420);
+            this.ctx.restore();
+        }
+        
+        // Top 3 Scores with enhanced styling (daily runs show the best days instead)
+        const leaderboard = isDaily ?
+            this.dailyScores.slice().sort((a, b) => b.score - a.score) :
+            this.topScores;
+        if (leaderboard && leaderboard.length > 0) {
             this.ctx.save();
             this.ctx.fillStyle = theme.colors.text || '#fff';
             this.ctx.font = '24px Arial';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText('Top Scores:', GAME_WIDTH / 2, 450);
+            this.ctx.fillText(isDaily ? 'Best Daily Scores:' : 'Top Scores:', GAME_WIDTH / 2, 450);
             this.ctx.restore();
             
             let y = 485;
-            const maxDisplay = Math.min(this.topScores.length, 3);
+            const maxDisplay = Math.min(leaderboard.length, 3);
             for (let i = 0; i < maxDisplay; i++) {
-                const scoreData = this.topScores[i];
+                const scoreData = leaderboard[i];
                 // Safety check: ensure scoreData exists and has score property
                 if (!scoreData || typeof scoreData.score !== 'number') {
                     continue;
                 }
                 const rank = i + 1;
-                const scoreText = `${rank}. ${scoreData.score.toLocaleString()}`;
+                const scoreText = isDaily ?
+                    `${rank}. ${scoreData.score.toLocaleString()} (${scoreData.date})` :
+                    `${rank}. ${scoreData.score.toLocaleString()}`;
                 this.ctx.save();
                 this.ctx.fillStyle = rank === 1 ? (theme.colors.warning || '#ffd700') : (theme.colors.textSecondary || '#aaa');
                 if (rank === 1) {
@@ -4069,48 +7411,363 @@ class GameEngine {
         const menuHovered = this.isButtonHovered(menuButton);
         this.drawButton(menuButton, 'MAIN MENU', theme.colors.secondary, menuHovered);
         
+        // WATCH REPLAY button (last run)
+        if (this.lastReplay) {
+            const replayButton = this.getWatchReplayButtonBounds();
+            const replayHovered = this.isButtonHovered(replayButton);
+            this.drawButton(replayButton, 'WATCH REPLAY', theme.colors.primary, replayHovered);
+        }
+        
         // Share button (optional, for web version)
-        if (navigator.share) {
+        if (this.canShare()) {
             const shareButton = this.getShareButtonBounds();
             const shareHovered = this.isButtonHovered(shareButton);
             this.drawButton(shareButton, 'SHARE', theme.colors.primary, shareHovered);
         }
+        
+        // Run seed (the same seed replays the same projectile sequence)
+        this.ctx.save();
+        this.ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+        this.ctx.font = '18px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Seed: ${this.runSeed}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 510);
+        
+        // Challenge code (squeezed to fit when the run has custom patterns)
+        const code = this.getChallengeCode();
+        if (code) {
+            this.ctx.fillText(`Challenge code: ${code}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 540, GAME_WIDTH - 60);
+        }
+        this.ctx.restore();
     }
     
+    /**
+     * Stage card: stats for the stage just cleared and the rule change coming up
+     */
     renderLevelUp() {
+        const transition = this.stageTransition;
+        if (!transition) return;
+        
         const theme = this.themeManager.getTheme();
+        const { cleared, rule } = transition;
+        const ctx = this.ctx;
         
-        // Background with theme
+        // Background with theme (the frozen run shows through)
         const overlayGradient = this.themeManager.createGradient(
-            this.ctx, 0, 0, 0, GAME_HEIGHT,
-            ['rgba(0, 0, 0, 0.9)', 'rgba(0, 0, 0, 0.95)']
+            ctx, 0, 0, 0, GAME_HEIGHT,
+            ['rgba(0, 0, 0, 0.75)', 'rgba(0, 0, 0, 0.85)']
         );
-        this.ctx.fillStyle = overlayGradient;
-        this.ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        ctx.fillStyle = overlayGradient;
+        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
         
-        // Level Up text with dramatic glow
-        this.ctx.save();
-        this.ctx.shadowColor = theme.colors.success || '#0f0';
-        this.ctx.shadowBlur = 30;
-        this.ctx.fillStyle = theme.colors.success || '#0f0';
-        this.ctx.font = 'bold 64px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('LEVEL UP!', GAME_WIDTH / 2, GAME_HEIGHT / 2);
-        this.ctx.restore();
+        // Stage cleared with dramatic glow
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.shadowColor = theme.colors.success || '#0f0';
+        ctx.shadowBlur = 30;
+        ctx.fillStyle = theme.colors.success || '#0f0';
+        ctx.font = 'bold 64px Arial';
+        ctx.fillText(`STAGE ${cleared.stage} CLEAR`, GAME_WIDTH / 2, GAME_HEIGHT / 2 - 220);
+        ctx.restore();
         
-        // Continue text with theme
-        this.ctx.save();
-        this.ctx.fillStyle = theme.colors.text || '#fff';
-        this.ctx.font = '24px Arial';
-        this.ctx.fillText('Tap or Press Space to Continue', GAME_WIDTH / 2, GAME_HEIGHT / 2 + 100);
-        this.ctx.restore();
+        // Stats for the stage just cleared
+        const seconds = Math.floor(cleared.time);
+        const stats = [
+            ['Time', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`],
+            ['Points', cleared.score.toLocaleString()],
+            ['Dodges', cleared.dodges.toLocaleString()],
+            ['Best Combo', cleared.bestCombo.toLocaleString()]
+        ];
+        ctx.save();
+        ctx.font = '30px Arial';
+        stats.forEach(([label, value], i) => {
+            const y = GAME_HEIGHT / 2 - 130 + i * 45;
+            ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+            ctx.textAlign = 'right';
+            ctx.fillText(label, GAME_WIDTH / 2 - 20, y);
+            ctx.fillStyle = theme.colors.text || '#fff';
+            ctx.textAlign = 'left';
+            ctx.fillText(value, GAME_WIDTH / 2 + 20, y);
+        });
+        ctx.restore();
+        
+        // The next stage and its rule change
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.fillStyle = theme.colors.text || '#fff';
+        ctx.font = 'bold 40px Arial';
+        ctx.fillText(`STAGE ${cleared.stage + 1}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 110);
+        ctx.fillStyle = theme.colors.warning || '#ffd700';
+        ctx.font = 'bold 32px Arial';
+        ctx.fillText(rule.title, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 160);
+        ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+        ctx.font = '24px Arial';
+        ctx.fillText(rule.description, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 200);
+        ctx.restore();
+        
+        // Time left on the card
+        const progress = Math.max(0, transition.timer / this.stageInterstitialTime);
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(GAME_WIDTH / 2 - 150, GAME_HEIGHT / 2 + 250, 300, 6);
+        ctx.fillStyle = theme.colors.success || '#0f0';
+        ctx.fillRect(GAME_WIDTH / 2 - 150, GAME_HEIGHT / 2 + 250, 300 * progress, 6);
+        ctx.restore();
     }
     
-    startGame() {
+    /**
+     * Health HUD (top left): hearts for the lives model, shield charge for the shield model
+     */
+    renderHealth() {
+        const model = this.healthModel;
+        if (model.type === 'one-hit') return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        
+        if (model.type === 'lives') {
+            for (let i = 0; i < model.lives; i++) {
+                this.drawHeart(50 + i * 50, 60, 18, i < this.lives);
+            }
+        } else {
+            // Shield icon with its recharge arc
+            const x = 60;
+            const y = 60;
+            const progress = this.shieldCharged ? 1 : 1 - this.shieldTimer / model.recharge;
+            ctx.lineWidth = 5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.beginPath();
+            ctx.arc(x, y, 22, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.strokeStyle = this.shieldCharged ? '#7fdbff' : '#ffffff';
+            ctx.beginPath();
+            ctx.arc(x, y, 22, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+            ctx.stroke();
+            
+            ctx.fillStyle = this.shieldCharged ? '#7fdbff' : 'rgba(255, 255, 255, 0.6)';
+            ctx.font = 'bold 20px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.shieldCharged ? 'SHIELD' : `${Math.ceil(this.shieldTimer)}s`, x + 35, y);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Power-up HUD (top right): one row per running power-up, with the time it has left
+     */
+    renderPowerUps() {
+        const ctx = this.ctx;
+        const x = GAME_WIDTH - 60;
+        let y = 60;
+        
+        for (const [type, timer] of Object.entries(this.activePowerUps)) {
+            const powerUp = POWER_UPS[type];
+            ctx.save();
+            
+            // Icon inside an arc that empties as the effect runs out
+            ctx.lineWidth = 5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.beginPath();
+            ctx.arc(x, y, 22, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.strokeStyle = powerUp.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 22, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (timer / powerUp.duration));
+            ctx.stroke();
+            
+            ctx.fillStyle = powerUp.color;
+            ctx.font = 'bold 22px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(powerUp.icon, x, y + 1);
+            
+            ctx.font = 'bold 20px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${powerUp.label} ${timer.toFixed(1)}s`, x - 35, y);
+            
+            ctx.restore();
+            y += 56;
+        }
+    }
+    
+    /**
+     * Power-up effects around the ring: slow-motion tint, magnet range and bomb shockwave
+     */
+    renderPowerUpEffects() {
+        const ctx = this.ctx;
+        const player = this.player;
+        if (!player) return;
+        const center = player.getRenderPosition(this.getRenderAlpha());
+        
+        ctx.save();
+        if (this.activePowerUps.SLOW_MO !== undefined) {
+            // Covers the screen, wherever the camera is
+            const camera = this.getCameraOffset();
+            ctx.fillStyle = 'rgba(155, 231, 255, 0.12)';
+            ctx.fillRect(-camera.x, -camera.y, GAME_WIDTH, GAME_HEIGHT);
+        }
+        if (this.activePowerUps.MAGNET !== undefined) {
+            ctx.strokeStyle = POWER_UPS.MAGNET.color;
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 10]);
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, POWER_UPS.MAGNET.range, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        if (this.activePowerUps.BOMB !== undefined) {
+            ctx.strokeStyle = POWER_UPS.BOMB.color;
+            ctx.globalAlpha = 0.3 + 0.7 * (this.activePowerUps.BOMB / POWER_UPS.BOMB.duration);
+            ctx.lineWidth = 10;
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, this.getBombRadius(), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Gravity wells: faint ripples closing in on each well over a dark core, so curved approaches can be read
+     */
+    renderGravityWells() {
+        if (this.gravityWells.length === 0) return;
+        
+        const ctx = this.ctx;
+        const rippleTime = 1.6; // Seconds for a ripple to close in
+        const ripples = 3;
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#1d3b53';
+        for (const well of this.gravityWells) {
+            const outer = well.range * 0.6;
+            for (let i = 0; i < ripples; i++) {
+                const t = (this.simulationTime / rippleTime + i / ripples) % 1;
+                ctx.globalAlpha = 0.25 * t * well.fade;
+                ctx.beginPath();
+                ctx.arc(well.x, well.y, well.softening * 0.4 + (outer - well.softening * 0.4) * (1 - t), 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            
+            ctx.globalAlpha = 0.18 * well.fade;
+            ctx.beginPath();
+            ctx.arc(well.x, well.y, well.softening * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Obstacle blocks: solid translucent slabs shots bounce off
+     */
+    renderObstacles() {
+        if (this.obstacles.length === 0) return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 3;
+        for (const block of this.obstacles) {
+            const box = this.physics.getBoundingBox(block);
+            ctx.fillRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+            ctx.strokeRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Heart shape for the lives HUD
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} size - Half width
+     * @param {boolean} filled - Heart still available
+     */
+    drawHeart(x, y, size, filled) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.beginPath();
+        ctx.moveTo(0, size * 0.9);
+        ctx.bezierCurveTo(-size * 1.2, 0, -size * 0.8, -size, 0, -size * 0.4);
+        ctx.bezierCurveTo(size * 0.8, -size, size * 1.2, 0, 0, size * 0.9);
+        ctx.closePath();
+        if (filled) {
+            ctx.fillStyle = '#ff4d6d';
+            ctx.fill();
+        }
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Faint ring just outside the dots while the shield (or a shield power-up) is up
+     */
+    renderShieldHalo() {
+        const ctx = this.ctx;
+        const player = this.player;
+        const center = player.getRenderPosition(this.getRenderAlpha());
+        ctx.save();
+        ctx.strokeStyle = 'rgba(127, 219, 255, 0.5)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, player.getBoundingRadius() + 6, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Stage label under the score, and the next stage's rule while the breather or banner is up
+     */
+    renderStageBanner() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+        ctx.font = 'bold 22px Arial';
+        ctx.fillText(`STAGE ${this.stage}`, GAME_WIDTH / 2, 140);
+        
+        const transition = this.stageTransition;
+        if (transition && transition.phase !== 'interstitial') {
+            const total = transition.phase === 'breather' ? this.stageBreatherTime : this.stageInterstitialTime;
+            ctx.globalAlpha = Math.min(1, transition.timer / total * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 36px Arial';
+            ctx.fillText(transition.phase === 'breather' ? 'GET READY' : `STAGE ${this.stage}`, GAME_WIDTH / 2, 240);
+            if (transition.rule) {
+                ctx.font = '26px Arial';
+                ctx.fillText(transition.rule.title, GAME_WIDTH / 2, 280);
+            }
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Start a new run
+     * @param {string} mode - GameMode to play (defaults to classic)
+     * @param {Object} options - { seed?, replay?, patterns?, preview?, challenge?, health? } the same seed always produces the same projectile sequence;
+     *                            replay starts a re-simulation for ReplayPlayer (no recording, no soundtrack);
+     *                            patterns is a PatternLibrary to use instead of the loaded one;
+     *                            preview marks a pattern editor preview (nothing is saved, ends back in the editor);
+     *                            challenge is the decoded challenge code the run was started from;
+     *                            health is a HEALTH_MODELS key to play with instead of the mode's own
+     */
+    startGame(mode = GameMode.CLASSIC, options = {}) {
         // Reset menu initialization flag
         this.menuInitialized = false;
         
         this.currentState = GameState.PLAYING;
+        this.gameMode = mode;
+        
+        // Seed this run's randomness
+        this.runSeed = options.seed !== undefined ? options.seed >>> 0 : RandomService.generateSeed();
+        this.random.reseed(this.runSeed);
+        
         this.score = 0;
         this.displayScore = 0; // Animated score for roll-up effect
         this.scoreAnimationSpeed = 0.2; // How fast score animates (0-1, higher = faster)
@@ -4119,18 +7776,48 @@ class GameEngine {
         this.bestComboThisGame = 0;
         this.projectilesDodgedThisGame = 0;
         this.spawnTimer = 0;
+        this.pendingSpawns = [];
+        
+        // Back to stage 1 with no rule changes
+        this.stage = 1;
+        this.stageTransition = null;
+        this.stageUnlocks = [];
+        this.stageSpeedMultiplier = 1;
+        this.stageStart = { time: 0, score: 0, dodges: 0 };
+        this.stageBestCombo = 0;
+        this.drift = null;
+        this.gravityWells = [];
+        this.wellPattern = null;
+        this.obstacles = [];
+        this.shotElasticity = null;
+        
+        // Patterns drive non-rhythm spawning when a library is loaded
+        // (editor previews bring their own library)
+        this.editorPreview = options.preview === true;
+        this.runPatternLibrary = options.patterns || null;
+        if (!options.replay) {
+            this.activeChallenge = options.challenge || null;
+        }
+        const patternLibrary = options.patterns || this.patternLibrary;
+        this.patternScheduler = patternLibrary && !patternLibrary.isEmpty() ?
+            new PatternScheduler(patternLibrary) : null;
         this.currentSpawnRate = this.baseSpawnRate;
         this.currentProjectileSpeed = this.baseProjectileSpeed;
-        this.gameStartTime = performance.now();
+        this.simulationTime = 0;
+        this.accumulator = 0;
         this.gamePlaytime = 0;
         
         // Reset time-based difficulty
         this.difficultyMultiplier = 1.0;
         
-        // Reset center shape
+        // Reset center shape (back in the middle, with no drift to blend from)
         this.centerShape.type = 0; // Start with circle
         this.centerShape.size = this.centerShape.startingSize;
         this.centerShape.rotation = 0;
+        this.centerShape.x = GAME_WIDTH / 2;
+        this.centerShape.y = GAME_HEIGHT / 2;
+        delete this.centerShape.prevX;
+        delete this.centerShape.prevY;
         
         // Reset joystick state
         this.sliderAngle = 0;
@@ -4141,22 +7828,677 @@ class GameEngine {
         this.sliderActive = false;
         this.joystickGrabbed = false;
         
-        // Clear floating scores
-        this.floatingScores = [];
+        // Clear floating scores
+        this.floatingScores = [];
+        
+        // Clear projectile pool (return all to pool)
+        this.projectilePool.clear();
+        
+        // Clear particles
+        this.particleSystem.particles = [];
+        
+        // Reset visual effects
+        this.resetVisualEffects();
+        
+        // Rhythm mode needs a beat map (replays don't: their spawns are recorded)
+        if (this.gameMode === GameMode.RHYTHM && this.beatMaps.length === 0 && !options.replay) {
+            this.gameMode = GameMode.CLASSIC;
+        }
+        
+        // Initialize player at center, on the ring layout for this mode
+        // Dual mode moves the joystick ring out around an inner ring that turns on its own
+        this.ringLayout = RING_LAYOUTS[MODE_RING[this.gameMode]];
+        const dual = this.gameMode === GameMode.DUAL;
+        this.player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, this.ringLayout, dual ? DUAL_RINGS.outerRadius : undefined);
+        this.innerRing = dual ? new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, RING_LAYOUTS[DUAL_RINGS.inner]) : null;
+        if (this.innerRing) {
+            this.innerRing.dotColor = DUAL_RINGS.innerColor;
+        }
+        this.innerRingInput = Replay.NO_INPUT; // Quantized angle of the second touch
+        this.innerSpinDirection = -1; // Against the outer ring's last direction
+        
+        // Health model for this mode (or the one asked for)
+        this.runHealth = options.health || null;
+        this.healthModel = HEALTH_MODELS[this.runHealth || MODE_HEALTH[this.gameMode]];
+        this.lives = this.healthModel.lives || 0;
+        this.shieldCharged = this.healthModel.type === 'shield';
+        this.shieldTimer = 0;
+        this.invulnerableTimer = 0;
+        
+        // No power-ups running; editor previews play the pattern without pickups
+        this.powerUpsEnabled = !this.editorPreview;
+        this.activePowerUps = {};
+        this.powerUpTimer = this.powerUpFirstDelay;
+        
+        // Rhythm mode: start the soundtrack and beat map from the top
+        // (replays take their spawns from the recording, so the soundtrack stays off)
+        if (this.gameMode === GameMode.RHYTHM && !options.replay) {
+            this.currentBeatMap = this.beatMaps[0];
+            this.rhythmConductor.start(this.currentBeatMap);
+        } else {
+            this.rhythmConductor.stop();
+        }
+        
+        // Record the run (replays are already recorded)
+        if (!options.replay) {
+            this.replayRecorder = new Replay({ seed: this.runSeed, mode: this.gameMode, tickRate: Math.round(1 / this.fixedTimeStep) });
+        }
+        
+        // Ghost of the best run in this mode (not shown while watching replays)
+        // Daily practice runs race today's scored attempt instead
+        this.ghostPlayer = null;
+        this.ghostReplayPlayer = null;
+        if (this.ghostEnabled && !options.replay && !this.editorPreview) {
+            const bestReplay = this.gameMode === GameMode.DAILY ?
+                this.dataManager.loadDailyReplay(this.dailyDateKey) :
+                this.dataManager.loadBestReplay(this.gameMode);
+            if (bestReplay && bestReplay.mode === this.gameMode) {
+                this.ghostReplayPlayer = new ReplayPlayer(bestReplay);
+                this.ghostPlayer = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2, this.ringLayout, this.player.radius);
+            }
+        }
+        
+        console.log(`Game Started (${this.gameMode}, seed ${this.runSeed})`);
+    }
+    
+    /**
+     * Start today's Daily Challenge
+     * The first run of the local calendar day is scored; later runs that day are practice
+     */
+    startDailyChallenge() {
+        this.dailyDateKey = DataManager.getDateKey();
+        this.dailyPractice = this.dataManager.getDailyEntry(this.dailyDateKey) !== null;
+        if (!this.dailyPractice) {
+            this.dataManager.startDailyAttempt(this.dailyDateKey);
+            this.dailyScores = this.dataManager.loadDailyScores();
+        }
+        
+        this.startGame(GameMode.DAILY, { seed: RandomService.seedFromString(`daily-${this.dailyDateKey}`) });
+    }
+    
+    /**
+     * Record the result of today's scored attempt and extend the streak
+     * Runs at game over, and when the run is quit (the attempt was used up at launch)
+     */
+    finishDailyAttempt() {
+        this.replayRecorder.score = this.score;
+        this.dataManager.saveDailyScore(this.dailyDateKey, this.score, this.replayRecorder.toJSON());
+        this.dataManager.updateDailyStreak(this.dailyDateKey);
+        this.dailyScores = this.dataManager.loadDailyScores();
+    }
+    
+    // ========================================================================
+    // DUAL RINGS
+    // ========================================================================
+    
+    /**
+     * Rings a shot has to thread on its way to the center shape, outermost first
+     * (the joystick ring, then the inner ring in Dual mode)
+     * @returns {Player[]} Rings
+     */
+    getRings() {
+        return this.innerRing ? [this.player, this.innerRing] : [this.player];
+    }
+    
+    /**
+     * Quantized angle of a second touch around the rings' center
+     * Touches are in screen space, so the camera shift is taken off first
+     * @returns {number} Quantized angle (Replay.NO_INPUT without a second touch)
+     */
+    getInnerRingInput() {
+        const touches = this.inputManager.getAllTouches();
+        if (touches.length < 2) return Replay.NO_INPUT;
+        
+        const camera = this.getCameraOffset();
+        const x = touches[1].x - camera.x;
+        const y = touches[1].y - camera.y;
+        let angle = Math.atan2(y - this.innerRing.y, x - this.innerRing.x);
+        if (angle < 0) angle += Math.PI * 2;
+        return Replay.quantizeAngle(angle);
+    }
+    
+    /**
+     * Turn the inner ring: toward a second touch if there is one, otherwise
+     * on its own against the way the outer ring last turned
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updateInnerRing(deltaTime) {
+        const touchAngle = Replay.dequantizeAngle(this.innerRingInput);
+        if (touchAngle !== null) {
+            this.innerRing.update(deltaTime, touchAngle);
+            return;
+        }
+        
+        if (this.player.rotationSpeed !== 0) {
+            this.innerSpinDirection = -Math.sign(this.player.rotationSpeed);
+        }
+        this.innerRing.spin(deltaTime, this.innerSpinDirection * DUAL_RINGS.innerSpin);
+    }
+    
+    /**
+     * First ring event for a projectile this tick, across every ring it can reach
+     * Only the next ring in can be passed; rings already threaded can still be hit
+     * @param {Projectile} projectile - Projectile moving from (prevX, prevY) to (x, y)
+     * @returns {Object|null} { type: 'dot' | 'gap', time, ring }, or null
+     */
+    getNextRingContact(projectile) {
+        const rings = this.getRings();
+        const last = Math.min(projectile.ringsPassed, rings.length - 1);
+        let first = null;
+        
+        for (let i = 0; i <= last; i++) {
+            const canPass = i === projectile.ringsPassed && !projectile.dodged;
+            const contact = this.getRingContact(projectile, rings[i], canPass);
+            if (contact && (!first || contact.time < first.time)) {
+                first = { ...contact, ring: rings[i] };
+            }
+        }
+        return first;
+    }
+    
+    // ========================================================================
+    // DRIFT
+    // ========================================================================
+    
+    /**
+     * Set the rings' center moving along a drift path, blending in from where it is now
+     * @param {string} name - DRIFT_PATHS key
+     */
+    startDrift(name) {
+        this.drift = {
+            path: DRIFT_PATHS[name],
+            time: 0,
+            from: { x: this.player.x - GAME_WIDTH / 2, y: this.player.y - GAME_HEIGHT / 2 }
+        };
+    }
+    
+    /**
+     * Where the drifting center is at a time on its path
+     * @param {number} time - Seconds since the path started
+     * @returns {Object} { x, y }
+     */
+    getDriftCenter(time) {
+        const { path, from } = this.drift;
+        const cycle = Math.PI * 2 * time / path.period;
+        const offsetX = path.amplitudeX * Math.sin(cycle * path.frequencyX + path.phase * Math.PI / 180);
+        const offsetY = path.amplitudeY * Math.sin(cycle * path.frequencyY);
+        
+        // Smoothstep from the starting offset onto the path
+        const t = Math.min(1, time / this.driftBlendTime);
+        const blend = t * t * (3 - 2 * t);
+        return {
+            x: GAME_WIDTH / 2 + from.x + (offsetX - from.x) * blend,
+            y: GAME_HEIGHT / 2 + from.y + (offsetY - from.y) * blend
+        };
+    }
+    
+    /**
+     * Move the rings (and the ghost ring) along the drift path by one tick
+     * The center shape follows in updateCenterShape(); everything that moves keeps
+     * where it started the tick in prevX/prevY, so render can blend between ticks
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updateDrift(deltaTime) {
+        if (!this.drift || !this.player) return;
+        
+        this.drift.time += deltaTime;
+        const center = this.getDriftCenter(this.drift.time);
+        for (const ring of [...this.getRings(), this.ghostPlayer]) {
+            if (!ring) continue;
+            ring.prevX = ring.x;
+            ring.prevY = ring.y;
+            ring.x = center.x;
+            ring.y = center.y;
+        }
+        this.centerShape.prevX = this.centerShape.x;
+        this.centerShape.prevY = this.centerShape.y;
+    }
+    
+    /**
+     * Where a straight shot should aim: the rings' center, or while it drifts,
+     * where the center will be by the time the shot reaches the ring
+     * @param {number} x - Launch x
+     * @param {number} y - Launch y
+     * @param {number} speed - Shot speed in pixels per second
+     * @returns {Object} { x, y }
+     */
+    getShotTarget(x, y, speed) {
+        if (!this.drift) {
+            return { x: GAME_WIDTH / 2, y: GAME_HEIGHT / 2 };
+        }
+        
+        // The center moves slower than shots, so refining the flight time converges on it
+        let target = { x: this.player.x, y: this.player.y };
+        for (let i = 0; i < 12; i++) {
+            const flightTime = Math.max(0, Math.hypot(target.x - x, target.y - y) - this.player.radius) / speed;
+            const next = this.getDriftCenter(this.drift.time + flightTime);
+            const moved = Math.hypot(next.x - target.x, next.y - target.y);
+            target = next;
+            if (moved < 0.5) break;
+        }
+        return target;
+    }
+    
+    /**
+     * Camera shift that keeps a drifting ring in the middle of the screen (none unless tracking is on)
+     * Follows the ring where it is drawn, between ticks
+     * @returns {Object} { x, y } translation from world to screen
+     */
+    getCameraOffset() {
+        if (!this.cameraTracking || !this.player) {
+            return { x: 0, y: 0 };
+        }
+        const position = this.player.getRenderPosition(this.getRenderAlpha());
+        return { x: GAME_WIDTH / 2 - position.x, y: GAME_HEIGHT / 2 - position.y };
+    }
+    
+    // ========================================================================
+    // GRAVITY WELLS
+    // ========================================================================
+    
+    /**
+     * Replace the wells placed by a stage rule or a pattern; the old ones fade out as the new ones fade in
+     * @param {string} source - 'stage' or 'pattern' (each replaces only its own wells)
+     * @param {Array} definitions - Wells as in GRAVITY_WELLS (none to just clear them)
+     */
+    placeGravityWells(source, definitions = []) {
+        for (const well of this.gravityWells) {
+            if (well.source === source) {
+                well.fading = true;
+            }
+        }
+        
+        for (const definition of definitions) {
+            const x = GAME_WIDTH / 2 + definition.x;
+            const y = GAME_HEIGHT / 2 + definition.y;
+            const well = {
+                source,
+                anchorX: x,
+                anchorY: y,
+                x,
+                y,
+                baseStrength: definition.strength !== undefined ? definition.strength : this.wellStrength,
+                strength: 0, // Scaled by fade
+                range: definition.range !== undefined ? definition.range : this.wellRange,
+                softening: this.wellSoftening,
+                orbit: definition.orbit || 0,
+                period: definition.period || 1,
+                phase: (definition.phase || 0) * Math.PI / 180,
+                time: 0,
+                fade: 0, // 0-1, strength and visibility
+                fading: false
+            };
+            this.moveGravityWell(well);
+            this.gravityWells.push(well);
+        }
+    }
+    
+    /**
+     * Put an orbiting well where it is at its current time (fixed wells stay on their anchor)
+     * @param {Object} well - Gravity well
+     */
+    moveGravityWell(well) {
+        if (!well.orbit) return;
+        
+        const angle = Math.PI * 2 * well.time / well.period + well.phase;
+        well.x = well.anchorX + Math.cos(angle) * well.orbit;
+        well.y = well.anchorY + Math.sin(angle) * well.orbit;
+    }
+    
+    /**
+     * Move the wells by one tick, fade them in or out, and drop the ones that have faded away
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updateGravityWells(deltaTime) {
+        if (this.gravityWells.length === 0) return;
+        
+        const fadeStep = deltaTime / this.wellFadeTime;
+        let faded = false;
+        for (const well of this.gravityWells) {
+            well.time += deltaTime;
+            well.fade = well.fading ? Math.max(0, well.fade - fadeStep) : Math.min(1, well.fade + fadeStep);
+            well.strength = well.baseStrength * well.fade;
+            faded = faded || (well.fading && well.fade === 0);
+            this.moveGravityWell(well);
+        }
+        
+        if (faded) {
+            this.gravityWells = this.gravityWells.filter(well => !well.fading || well.fade > 0);
+        }
+    }
+    
+    // ========================================================================
+    // RICOCHET
+    // ========================================================================
+    
+    /**
+     * Where a ricochet shot aims so it banks off a wall into a target: the target mirrored across the
+     * far wall at right angles to the spawn edge, pushed out to allow for the speed the bounce loses
+     * @param {Object} plan - Spawn plan { x, y, edge }
+     * @param {Object} target - Point the shot should reach after the bounce { x, y }
+     * @param {number} radius - Projectile radius (walls bounce its edge, not its center)
+     * @returns {Object} { x, y }
+     */
+    getBankShotAim(plan, target, radius = 15) {
+        const damping = this.physics.bounceDamping;
+        
+        if (plan.edge === 0 || plan.edge === 2) {
+            // From the top or bottom: off the left or right wall, whichever is farther
+            const wall = plan.x < GAME_WIDTH / 2 ? GAME_WIDTH - radius : radius;
+            return { x: wall + (wall - target.x) / damping, y: target.y };
+        }
+        
+        // From the side: off the top or bottom wall
+        const wall = plan.y < GAME_HEIGHT / 2 ? GAME_HEIGHT - radius : radius;
+        return { x: target.x, y: wall + (wall - target.y) / damping };
+    }
+    
+    /**
+     * Bounce a projectile off the screen edges (ricochet shots with bounces left) and off obstacle blocks
+     * @param {Projectile} projectile - Projectile that has just moved
+     */
+    bounceProjectile(projectile) {
+        const physics = this.physics;
+        
+        if (projectile.bouncesLeft > 0) {
+            // Shots spawn off screen: walls only count once the shot is fully on it
+            if (!projectile.inArena) {
+                const box = physics.getBoundingBox(projectile);
+                projectile.inArena = box.left >= 0 && box.top >= 0 && box.right <= GAME_WIDTH && box.bottom <= GAME_HEIGHT;
+            } else {
+                const { vx, vy } = projectile;
+                physics.keepInBounds(projectile, 0, 0, GAME_WIDTH, GAME_HEIGHT, { bounce: true });
+                if (projectile.vx !== vx || projectile.vy !== vy) {
+                    projectile.bouncesLeft--;
+                    this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 4, projectile.color);
+                }
+            }
+        }
+        
+        for (const block of this.obstacles) {
+            if (physics.checkCircleRectangle(projectile, block)) {
+                physics.resolveCollision(projectile, block, { elasticity: this.obstacleElasticity });
+                this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 4, projectile.color);
+            }
+        }
+    }
+    
+    /**
+     * Knock touching ricochet shots apart (equal masses, shotElasticity of the speed along the hit kept)
+     */
+    collideRicochetShots() {
+        const shots = this.projectilePool.active.filter(projectile =>
+            projectile.active && projectile.type === ProjectileType.RICOCHET && !projectile.dodged);
+        
+        for (let i = 0; i < shots.length; i++) {
+            for (let j = i + 1; j < shots.length; j++) {
+                if (this.physics.checkCircleCircle(shots[i], shots[j])) {
+                    this.physics.resolveCollision(shots[i], shots[j], { elasticity: this.shotElasticity });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Replace the obstacle blocks
+     * @param {Array} layout - Blocks as in OBSTACLE_LAYOUTS (none to clear them)
+     */
+    placeObstacles(layout = []) {
+        this.obstacles = layout.map(block => ({
+            x: GAME_WIDTH / 2 + block.x,
+            y: GAME_HEIGHT / 2 + block.y,
+            width: block.width,
+            height: block.height,
+            anchorX: 0.5, // x, y is the block's center
+            anchorY: 0.5
+        }));
+    }
+    
+    // ========================================================================
+    // POWER-UPS
+    // ========================================================================
+    
+    /**
+     * Queue a pickup each time the power-up timer runs out
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updatePowerUpSpawning(deltaTime) {
+        if (!this.powerUpsEnabled) return;
+        
+        this.powerUpTimer -= deltaTime;
+        if (this.powerUpTimer <= 0) {
+            this.queueSpawn({ powerUp: this.pickPowerUp(), speed: this.currentProjectileSpeed * this.powerUpSpeedScale });
+            this.powerUpTimer = this.random.gameplay.range(this.powerUpMinInterval, this.powerUpMaxInterval);
+        }
+    }
+    
+    /**
+     * Pick the next pickup (Rhythm mode leaves out slow-motion, which would knock shots off the beat)
+     * @returns {string} POWER_UPS key
+     */
+    pickPowerUp() {
+        const types = Object.keys(POWER_UPS).filter(type => type !== 'SLOW_MO' || this.gameMode !== GameMode.RHYTHM);
+        return this.random.gameplay.pick(types);
+    }
+    
+    /**
+     * A pickup reached the ring: collected through a gap, lost on a dot
+     * @param {Projectile} projectile - Pickup
+     * @param {Object} ringContact - From getRingContact()
+     */
+    handlePowerUpContact(projectile, ringContact) {
+        if (ringContact.type === 'gap') {
+            this.activatePowerUp(projectile.powerUp);
+        } else {
+            this.particleSystem.spawnDiffusion(projectile.x, projectile.y, 10, projectile.color);
+        }
+        this.projectilePool.release(projectile);
+    }
+    
+    /**
+     * Start a power-up's effect, or restart its timer if it's already running
+     * @param {string} type - POWER_UPS key
+     */
+    activatePowerUp(type) {
+        const powerUp = POWER_UPS[type];
+        const player = this.player;
+        
+        if (type === 'WIDE_GAPS' && this.activePowerUps.WIDE_GAPS === undefined) {
+            this.getRings().forEach(ring => ring.scaleDots(powerUp.dotScale));
+        }
+        this.activePowerUps[type] = powerUp.duration;
         
-        // Clear projectile pool (return all to pool)
-        this.projectilePool.clear();
+        // Each power-up has its own burst
+        switch (type) {
+            case 'SLOW_MO':
+                this.particleSystem.spawnDiffusion(player.x, player.y, 30, powerUp.color);
+                break;
+            case 'WIDE_GAPS':
+                for (const ring of this.getRings()) {
+                    for (const [gapStart, gapEnd] of ring.gaps) {
+                        const angle = (gapStart + gapEnd) / 2 + ring.angle;
+                        this.particleSystem.spawnSparkle(ring.x + Math.cos(angle) * ring.radius, ring.y + Math.sin(angle) * ring.radius, 4, powerUp.color);
+                    }
+                }
+                break;
+            case 'SHIELD':
+                this.particleSystem.spawnSparkle(player.x, player.y, 16, powerUp.color);
+                break;
+            case 'MAGNET':
+                // Streaks pulled in from the edge of its range
+                for (let i = 0; i < 8; i++) {
+                    const angle = i * Math.PI / 4;
+                    const x = player.x + Math.cos(angle) * powerUp.range * 0.6;
+                    const y = player.y + Math.sin(angle) * powerUp.range * 0.6;
+                    this.particleSystem.spawnTrail(x, y, -Math.cos(angle) * 300, -Math.sin(angle) * 300, powerUp.color, 4);
+                }
+                break;
+            case 'BOMB':
+                this.particleSystem.spawnExplosion(player.x, player.y, 30, powerUp.color);
+                this.screenShake = 0.3;
+                this.screenShakeIntensity = 8;
+                break;
+        }
         
-        // Initialize player at center
-        this.player = new Player(GAME_WIDTH / 2, GAME_HEIGHT / 2);
+        this.soundManager.playShapeCycle();
+        this.vibrationManager.vibrateTap();
+    }
+    
+    /**
+     * End a power-up's effect
+     * @param {string} type - POWER_UPS key
+     */
+    endPowerUp(type) {
+        if (type === 'WIDE_GAPS' && this.player) {
+            this.getRings().forEach(ring => ring.scaleDots(1 / POWER_UPS.WIDE_GAPS.dotScale));
+        }
+        if (type === 'BOMB' && this.player) {
+            this.clearShotsWithin(Infinity); // Anything the shockwave didn't reach yet
+        }
+        delete this.activePowerUps[type];
+    }
+    
+    /**
+     * Run the power-up effects for a tick and count down their timers
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    updatePowerUps(deltaTime) {
+        for (const type of Object.keys(this.activePowerUps)) {
+            if (type === 'MAGNET') {
+                this.applyMagnet(deltaTime);
+            } else if (type === 'BOMB') {
+                this.clearShotsWithin(this.getBombRadius());
+            }
+            
+            this.activePowerUps[type] -= deltaTime;
+            if (this.activePowerUps[type] <= 0) {
+                this.endPowerUp(type);
+            }
+        }
+    }
+    
+    /**
+     * How fast shots move relative to real time (slowed while slow-motion runs)
+     * @returns {number} Time multiplier for projectiles
+     */
+    getProjectileTimeScale() {
+        return this.activePowerUps.SLOW_MO !== undefined ? POWER_UPS.SLOW_MO.timeScale : 1;
+    }
+    
+    /**
+     * Magnet: bend shots in range toward the nearest gap in the next ring they have to pass
+     * (curving shots hold their spiral, and delayed shots aren't moved while they aim)
+     * @param {number} deltaTime - Fixed tick length in seconds
+     */
+    applyMagnet(deltaTime) {
+        const { range, turnRate } = POWER_UPS.MAGNET;
+        const player = this.player;
+        const rings = this.getRings();
         
-        // Clear particles
-        this.particleSystem.particles = [];
+        for (const projectile of this.projectilePool.active) {
+            if (!projectile.active || projectile.powerUp || projectile.dodged || projectile.phase === 'telegraph') continue;
+            
+            const dx = projectile.x - player.x;
+            const dy = projectile.y - player.y;
+            if (dx * dx + dy * dy > range * range) continue;
+            
+            projectile.steerToward(projectile.getNearestGap(rings[projectile.ringsPassed]), turnRate * deltaTime);
+        }
+    }
+    
+    /**
+     * Bomb shockwave radius: from the ring out past the screen corners over the bomb's duration
+     * @returns {number} Radius in pixels (0 when no bomb is going off)
+     */
+    getBombRadius() {
+        const timer = this.activePowerUps.BOMB;
+        if (timer === undefined || !this.player) return 0;
         
-        // Reset visual effects
-        this.resetVisualEffects();
+        const progress = 1 - timer / POWER_UPS.BOMB.duration;
+        const maxRadius = Math.sqrt(Math.pow(GAME_WIDTH / 2 + 50, 2) + Math.pow(GAME_HEIGHT / 2 + 50, 2));
+        return this.player.radius + (maxRadius - this.player.radius) * progress;
+    }
+    
+    /**
+     * Break up every incoming shot within a distance of the ring's center
+     * (pickups and shots already through a gap are left alone)
+     * @param {number} radius - Distance in pixels
+     */
+    clearShotsWithin(radius) {
+        const player = this.player;
+        for (const projectile of [...this.projectilePool.active]) {
+            if (!projectile.active || projectile.powerUp || projectile.dodged) continue;
+            
+            const dx = projectile.x - player.x;
+            const dy = projectile.y - player.y;
+            if (dx * dx + dy * dy > radius * radius) continue;
+            
+            this.particleSystem.spawnExplosion(projectile.x, projectile.y, 8, POWER_UPS.BOMB.color);
+            this.projectilePool.release(projectile);
+        }
+    }
+    
+    // ========================================================================
+    // CHALLENGE CODES
+    // ========================================================================
+    
+    /**
+     * Challenge code for the current (or last) run
+     * @returns {string|null} Code, or null if the run's patterns can't be put in a code
+     */
+    getChallengeCode() {
+        const library = this.runPatternLibrary;
+        try {
+            return ChallengeCode.encode({
+                mode: this.gameMode,
+                seed: this.runSeed,
+                tiers: library ? library.tiers : [],
+                patterns: library ? library.patterns.map(pattern => pattern.toJSON()) : []
+            });
+        } catch (e) {
+            console.warn('Run cannot be shared as a code:', e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Start the run a decoded challenge code describes
+     * Daily runs play as Classic with the day's seed: the scored attempt and streak belong to that day
+     * @param {Object} challenge - Result of ChallengeCode.decode()
+     */
+    startChallenge(challenge) {
+        const patterns = challenge.patterns.length > 0 ?
+            PatternLibrary.fromJSON({ tiers: challenge.tiers, patterns: challenge.patterns }) :
+            null;
+        const mode = challenge.mode === GameMode.DAILY ? GameMode.CLASSIC : challenge.mode;
+        this.startGame(mode, { seed: challenge.seed, patterns, challenge });
+    }
+    
+    /**
+     * Decode a challenge code and start its run
+     * @param {string} code - Code as entered by the player
+     * @returns {boolean} Whether the code was valid
+     */
+    enterChallengeCode(code) {
+        try {
+            this.startChallenge(ChallengeCode.decode(code));
+            return true;
+        } catch (e) {
+            console.warn('Invalid challenge code:', e.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Ask for a challenge code (Enter Code menu entry)
+     */
+    promptChallengeCode() {
+        if (typeof prompt !== 'function') return;
         
-        console.log('Game Started');
+        const code = prompt('Enter a challenge code');
+        if (code && !this.enterChallengeCode(code)) {
+            alert('That challenge code is not valid. Check it for typos.');
+        }
     }
     
     resetVisualEffects() {
@@ -4166,12 +8508,27 @@ class GameEngine {
     }
     
     gameOver() {
+        // Replays re-simulate a finished run: stay on the replay and save nothing
+        if (this.replayPlayer) {
+            this.replayPlayer.finished = true;
+            return;
+        }
+        
+        // Editor previews save nothing either: straight back to the editor
+        if (this.editorPreview) {
+            this.exitEditorPreview();
+            return;
+        }
+        
         this.currentState = GameState.GAME_OVER;
+        this.rhythmConductor.stop();
+        
+        // Keep the replay of this run
+        this.replayRecorder.score = this.score;
+        this.lastReplay = this.replayRecorder;
         
         // Calculate playtime for this game
-        if (this.gameStartTime > 0) {
-            this.gamePlaytime = Math.floor((performance.now() - this.gameStartTime) / 1000);
-        }
+        this.gamePlaytime = Math.floor(this.simulationTime);
         
         // Increment game count
         this.gameCount++;
@@ -4180,12 +8537,21 @@ class GameEngine {
         this.vibrationManager.vibrateGameOver();
         
         // Validate and save score using DataManager
-        if (this.validateScore(this.score)) {
-            // Save to top 10 leaderboard
-            this.dataManager.saveScore(this.score);
+        if (this.gameMode === GameMode.DAILY && this.dailyPractice) {
+            console.log('Daily practice run: score not saved');
+        } else if (this.runPatternLibrary) {
+            console.log('Custom pattern run: score not saved');
+        } else if (this.validateScore(this.score)) {
+            if (this.gameMode === GameMode.DAILY) {
+                // Daily runs have their own leaderboard bucket and keep the streak going
+                this.finishDailyAttempt();
+            } else {
+                // Save to the mode's top 10 leaderboard (the replay is kept if this is the new best)
+                this.dataManager.saveScore(this.score, this.lastReplay.toJSON(), this.gameMode);
+            }
             
-            // Update high score if beaten
-            if (this.score > this.highScore) {
+            // Update high score if beaten (modes with lives aren't comparable with one-hit runs)
+            if (MODE_HEALTH[this.gameMode] === 'ONE_HIT' && this.score > this.highScore) {
                 this.highScore = this.score;
                 this.saveHighScore({
                     highScore: this.score,
@@ -4204,11 +8570,13 @@ class GameEngine {
             
             // Reload stats
             this.playerStats = this.dataManager.getPlayerStats();
-            this.topScores = this.dataManager.loadHighScores();
         } else {
             console.warn(`Suspicious score detected: ${this.score}. Score not saved.`);
         }
         
+        // The Game Over screen lists this mode's scores
+        this.topScores = this.dataManager.loadHighScores(this.gameMode);
+        
         // Update high score data
         this.highScoreData = {
             highScore: this.highScore,
@@ -4223,6 +8591,18 @@ class GameEngine {
         }
     }
     
+    /**
+     * Best score the Game Over screen compares the run with
+     * One-hit modes share the overall best; modes with lives use the top of their own leaderboard
+     * @returns {number} Best score
+     */
+    getBestScore() {
+        if (MODE_HEALTH[this.gameMode] === 'ONE_HIT') {
+            return this.highScore;
+        }
+        return this.topScores.length > 0 ? this.topScores[0].score : 0;
+    }
+    
     validateScore(score) {
         // Reasonable maximum: 1,000,000 points
         // (assuming very skilled player, 100 points per second for ~2.7 hours)
@@ -4249,6 +8629,9 @@ class GameEngine {
     }
     
     checkAchievements() {
+        // Replays re-simulate a finished run: nothing is unlocked twice
+        if (this.replayPlayer) return;
+        
         // Check "Score 1000" achievement
         if (this.score >= 1000 && !this.hasAchievement('score1000')) {
             this.unlockAchievement('score1000');
@@ -4277,7 +8660,7 @@ class GameEngine {
     
     loadAchievements() {
         try {
-            const saved = localStorage.getItem('spinEscapeAchievements');
+            const saved = this.storage.getItem('spinEscapeAchievements');
             return saved ? JSON.parse(saved) : [];
         } catch (e) {
             console.error('Failed to load achievements:', e);
@@ -4287,7 +8670,7 @@ class GameEngine {
     
     saveAchievements() {
         try {
-            localStorage.setItem('spinEscapeAchievements', JSON.stringify(this.achievements));
+            this.storage.setItem('spinEscapeAchievements', JSON.stringify(this.achievements));
         } catch (e) {
             console.error('Failed to save achievements:', e);
         }
@@ -4296,7 +8679,7 @@ class GameEngine {
     // Data persistence
     loadHighScore() {
         try {
-            const saved = localStorage.getItem('spinEscapeHighScore');
+            const saved = this.storage.getItem('spinEscapeHighScore');
             if (saved) {
                 // Try to parse as new format (object)
                 try {
@@ -4327,7 +8710,7 @@ class GameEngine {
         try {
             // Validate data structure
             if (data && typeof data === 'object' && 'highScore' in data) {
-                localStorage.setItem('spinEscapeHighScore', JSON.stringify(data));
+                this.storage.setItem('spinEscapeHighScore', JSON.stringify(data));
             } else {
                 console.error('Invalid high score data format');
             }
@@ -4347,9 +8730,16 @@ class GameEngine {
             this.gameCount = 0;
             this.sessionBest = 0;
             this.topScores = [];
+            this.dailyScores = [];
             this.achievements = [];
             this.soundEnabled = true;
+            this.soundManager.setEnabled(true);
+            this.soundManager.setVolume('master', 1.0);
+            this.soundManager.setVolume('sfx', 0.8);
+            this.soundManager.setVolume('music', 0.6);
             this.vibrationManager.enabled = true;
+            this.ghostEnabled = true;
+            this.cameraTracking = false;
             this.playerStats = {
                 totalGamesPlayed: 0,
                 totalProjectilesDodged: 0,
@@ -4357,7 +8747,10 @@ class GameEngine {
                 totalScore: 0,
                 averageScore: 0,
                 totalPlaytime: 0,
-                bestScore: 0
+                bestScore: 0,
+                dailyStreak: 0,
+                bestDailyStreak: 0,
+                lastDailyDate: null
             };
             
             console.log('All game data reset');
@@ -4368,19 +8761,43 @@ class GameEngine {
     
     loadGameSettings() {
         try {
-            const saved = localStorage.getItem('spinEscapeSettings');
+            const saved = this.storage.getItem('spinEscapeSettings');
             if (saved) {
                 const settings = JSON.parse(saved);
                 this.soundEnabled = settings.soundEnabled !== undefined ? settings.soundEnabled : true;
                 if (settings.vibrationEnabled !== undefined) {
                     this.vibrationManager.enabled = settings.vibrationEnabled;
                 }
+                this.ghostEnabled = settings.ghostEnabled !== undefined ? settings.ghostEnabled : true;
+                this.cameraTracking = settings.cameraTracking === true;
+                if (typeof settings.masterVolume === 'number') {
+                    this.soundManager.setVolume('master', settings.masterVolume);
+                }
+                if (typeof settings.sfxVolume === 'number') {
+                    this.soundManager.setVolume('sfx', settings.sfxVolume);
+                }
+                if (typeof settings.musicVolume === 'number') {
+                    this.soundManager.setVolume('music', settings.musicVolume);
+                }
             }
         } catch (e) {
             console.error('Failed to load game settings:', e);
             // Use defaults on error
             this.soundEnabled = true;
         }
+        
+        this.soundManager.setEnabled(this.soundEnabled);
+    }
+    
+    /**
+     * Step a volume channel to the next level (0% → 100% in 25% steps, then wraps)
+     * @param {string} channel - 'master', 'sfx' or 'music'
+     */
+    cycleVolume(channel) {
+        const current = this.soundManager.getVolume(channel);
+        const next = current >= 0.99 ? 0 : Math.min(1, Math.round((current + 0.25) * 4) / 4);
+        this.soundManager.setVolume(channel, next);
+        this.saveGameSettings();
     }
     
     saveGameSettings() {
@@ -4388,6 +8805,11 @@ class GameEngine {
             const settings = {
                 soundEnabled: this.soundEnabled,
                 vibrationEnabled: this.vibrationManager.isEnabled(),
+                ghostEnabled: this.ghostEnabled,
+                cameraTracking: this.cameraTracking,
+                masterVolume: this.soundManager.getVolume('master'),
+                sfxVolume: this.soundManager.getVolume('sfx'),
+                musicVolume: this.soundManager.getVolume('music'),
                 lastPlayed: Math.floor(Date.now() / 1000)
             };
             
@@ -4395,7 +8817,7 @@ class GameEngine {
             this.dataManager.saveSettings(settings);
             
             // Also save to old location for backward compatibility
-            localStorage.setItem('spinEscapeSettings', JSON.stringify(settings));
+            this.storage.setItem('spinEscapeSettings', JSON.stringify(settings));
         } catch (e) {
             console.error('Failed to save game settings:', e);
         }
@@ -4434,6 +8856,28 @@ class GameEngine {
         const vibrationHovered = this.isButtonHovered(vibrationButton);
         this.drawButton(vibrationButton, vibrationText, this.vibrationManager.isEnabled() ? theme.colors.primary : theme.colors.secondary, vibrationHovered);
         
+        // Volume controls (dimmed while sound is off)
+        const volumeRows = [
+            { bounds: this.getMasterVolumeButtonBounds(), label: 'Master', channel: 'master' },
+            { bounds: this.getSfxVolumeButtonBounds(), label: 'SFX', channel: 'sfx' },
+            { bounds: this.getMusicVolumeButtonBounds(), label: 'Music', channel: 'music' }
+        ];
+        for (const row of volumeRows) {
+            const percent = Math.round(this.soundManager.getVolume(row.channel) * 100);
+            const color = this.soundEnabled && percent > 0 ? theme.colors.primary : theme.colors.secondary;
+            this.drawButton(row.bounds, `${row.label} Volume: ${percent}%`, color, this.isButtonHovered(row.bounds));
+        }
+        
+        // Ghost ring toggle
+        const ghostButton = this.getGhostButtonBounds();
+        const ghostText = `Ghost Ring: ${this.ghostEnabled ? 'ON' : 'OFF'}`;
+        this.drawButton(ghostButton, ghostText, this.ghostEnabled ? theme.colors.primary : theme.colors.secondary, this.isButtonHovered(ghostButton));
+        
+        // Camera follow toggle (for drifting stages)
+        const cameraButton = this.getCameraButtonBounds();
+        const cameraText = `Camera Follow: ${this.cameraTracking ? 'ON' : 'OFF'}`;
+        this.drawButton(cameraButton, cameraText, this.cameraTracking ? theme.colors.primary : theme.colors.secondary, this.isButtonHovered(cameraButton));
+        
         // Back button with theme
         const backButton = this.getBackButtonBounds();
         const backHovered = this.isButtonHovered(backButton);
@@ -4474,6 +8918,152 @@ class GameEngine {
         }
     }
     
+    renderEditor() {
+        const theme = this.themeManager.getTheme();
+        const ctx = this.ctx;
+        const draft = this.editorDraft;
+        const selected = draft.events[this.editorSelected] || null;
+        const ringRadius = 66.125; // Player ring radius
+        
+        // Background with theme
+        const overlayGradient = this.themeManager.createGradient(
+            ctx, 0, 0, 0, GAME_HEIGHT,
+            theme.gradients.overlay || ['rgba(0, 0, 0, 0.95)', 'rgba(0, 0, 0, 0.95)']
+        );
+        ctx.fillStyle = overlayGradient;
+        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        
+        // Title with glow
+        ctx.save();
+        ctx.shadowColor = theme.effects.glowColor || theme.colors.primary;
+        ctx.shadowBlur = 15;
+        ctx.fillStyle = theme.colors.text || '#fff';
+        ctx.font = 'bold 44px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('PATTERN EDITOR', GAME_WIDTH / 2, 70);
+        ctx.font = '20px Arial';
+        ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+        ctx.shadowBlur = 0;
+        ctx.fillText(`${draft.id} · ${draft.events.length} event${draft.events.length === 1 ? '' : 's'} · tap the ring area to place`, GAME_WIDTH / 2, 105);
+        ctx.restore();
+        
+        // Placement band: one guide circle per second of delay
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+        for (let second = 0; second <= this.editorMaxDelay; second++) {
+            const radius = this.getEditorEventPosition({ angle: 0, delay: second }).x - this.editorCenterX;
+            ctx.beginPath();
+            ctx.arc(this.editorCenterX, this.editorCenterY, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillText(`${second}s`, this.editorCenterX + 4, this.editorCenterY - radius - 4);
+        }
+        
+        // The ring itself
+        ctx.strokeStyle = theme.colors.primary;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.editorCenterX, this.editorCenterY, ringRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+        
+        // Events: colored by type, sized by speed, with a line showing their path to the ring
+        draft.events.forEach((event, i) => {
+            const position = this.getEditorEventPosition(event);
+            const isSelected = i === this.editorSelected;
+            const color = PROJECTILE_ARCHETYPES[event.projectile].color;
+            
+            ctx.save();
+            ctx.strokeStyle = isSelected ? 'rgba(255, 255, 255, 0.6)' : 'rgba(255, 255, 255, 0.15)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(position.x, position.y);
+            const angle = event.angle * Math.PI / 180;
+            ctx.lineTo(this.editorCenterX + Math.cos(angle) * ringRadius, this.editorCenterY + Math.sin(angle) * ringRadius);
+            ctx.stroke();
+            
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, 8 + event.speed * 5, 0, Math.PI * 2);
+            ctx.fill();
+            if (isSelected) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+            ctx.restore();
+        });
+        
+        // Timeline: every event at its delay
+        const timeline = this.getEditorTimelineBounds();
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(timeline.x, timeline.y, timeline.width, timeline.height);
+        draft.events.forEach((event, i) => {
+            const x = timeline.x + (event.delay / this.editorMaxDelay) * timeline.width;
+            ctx.fillStyle = PROJECTILE_ARCHETYPES[event.projectile].color;
+            ctx.fillRect(x - 3, timeline.y - 10, 6, timeline.height + 20);
+            if (i === this.editorSelected) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x - 5, timeline.y - 12, 10, timeline.height + 24);
+            }
+        });
+        ctx.fillStyle = theme.colors.textSecondary || '#aaa';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText('0s', timeline.x, timeline.y + timeline.height + 28);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${this.editorMaxDelay}s`, timeline.x + timeline.width, timeline.y + timeline.height + 28);
+        
+        // Selected event summary (status messages take its place for a moment)
+        ctx.textAlign = 'center';
+        ctx.font = '22px Arial';
+        ctx.fillStyle = theme.colors.text || '#fff';
+        let summary = selected ?
+            `Angle ${selected.angle}° · Delay ${selected.delay.toFixed(1)}s` :
+            'No event selected';
+        if (this.editorMessageTimer > 0) {
+            ctx.font = 'bold 22px Arial';
+            ctx.fillStyle = theme.colors.warning || '#ffd700';
+            summary = this.editorMessage;
+        }
+        ctx.fillText(summary, GAME_WIDTH / 2, timeline.y + timeline.height + 65);
+        ctx.restore();
+        
+        // Buttons
+        const buttons = this.getEditorButtons();
+        const eventColor = selected ? theme.colors.primary : theme.colors.secondary;
+        const labels = {
+            delayDown: 'DELAY -',
+            delayUp: 'DELAY +',
+            speed: selected ? `SPEED ${selected.speed}x` : 'SPEED',
+            type: selected ? selected.projectile : 'TYPE',
+            delete: 'DELETE',
+            tier: `TIER: ${draft.tier.toUpperCase()}`,
+            preview: 'PREVIEW',
+            save: 'SAVE',
+            export: 'EXPORT',
+            new: 'NEW',
+            code: 'CODE',
+            back: 'BACK'
+        };
+        for (const [name, bounds] of Object.entries(buttons)) {
+            let color = theme.colors.secondary;
+            if (['delayDown', 'delayUp', 'speed', 'type'].includes(name)) {
+                color = eventColor;
+            } else if (name === 'delete') {
+                color = selected ? (theme.colors.danger || '#f00') : theme.colors.secondary;
+            } else if (name === 'preview') {
+                color = theme.colors.primary;
+            }
+            this.drawButton(bounds, labels[name], color, this.isButtonHovered(bounds), name === 'preview');
+        }
+    }
+    
     // renderThemePreview() and drawImageOrFallback() methods removed - theme system not used
     
     // Button helper methods
@@ -4487,6 +9077,91 @@ class GameEngine {
         };
     }
     
+    getRhythmButtonBounds() {
+        // Below the Play button
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: 590,
+            width: 300,
+            height: 70
+        };
+    }
+    
+    getDailyButtonBounds() {
+        // Below the Rhythm button
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: 680,
+            width: 300,
+            height: 70
+        };
+    }
+    
+    getDualButtonBounds() {
+        // Below the Daily Challenge button and its streak line
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: 820,
+            width: 300,
+            height: 60
+        };
+    }
+    
+    getEditorButtonBounds() {
+        // Below the Dual Rings button
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: 900,
+            width: 300,
+            height: 60
+        };
+    }
+    
+    getEnterCodeButtonBounds() {
+        // Below the Pattern Editor button
+        return {
+            x: GAME_WIDTH / 2 - 150,
+            y: 980,
+            width: 300,
+            height: 60
+        };
+    }
+    
+    getEditorTimelineBounds() {
+        return {
+            x: 60,
+            y: 830,
+            width: GAME_WIDTH - 120,
+            height: 14
+        };
+    }
+    
+    /**
+     * Pattern editor buttons by name
+     * @returns {Object} { name: bounds }
+     */
+    getEditorButtons() {
+        const row = (y, count, index, height) => {
+            const gap = 16;
+            const width = (GAME_WIDTH - 80 - gap * (count - 1)) / count;
+            return { x: 40 + index * (width + gap), y, width, height };
+        };
+        return {
+            delayDown: row(940, 3, 0, 60),
+            delayUp: row(940, 3, 1, 60),
+            speed: row(940, 3, 2, 60),
+            type: row(1015, 3, 0, 60),
+            tier: row(1015, 3, 1, 60),
+            delete: row(1015, 3, 2, 60),
+            preview: row(1090, 3, 0, 70),
+            save: row(1090, 3, 1, 70),
+            export: row(1090, 3, 2, 70),
+            new: row(1180, 3, 0, 56),
+            code: row(1180, 3, 1, 56),
+            back: row(1180, 3, 2, 56)
+        };
+    }
+    
     getSettingsButtonBounds() {
         // Small button at bottom of menu
         return {
@@ -4578,6 +9253,51 @@ class GameEngine {
         };
     }
     
+    getMasterVolumeButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 200,
+            y: 400,
+            width: 400,
+            height: 70
+        };
+    }
+    
+    getSfxVolumeButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 200,
+            y: 500,
+            width: 400,
+            height: 70
+        };
+    }
+    
+    getMusicVolumeButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 200,
+            y: 600,
+            width: 400,
+            height: 70
+        };
+    }
+    
+    getGhostButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 200,
+            y: 700,
+            width: 400,
+            height: 70
+        };
+    }
+    
+    getCameraButtonBounds() {
+        return {
+            x: GAME_WIDTH / 2 - 200,
+            y: 800,
+            width: 400,
+            height: 70
+        };
+    }
+    
     drawButton(bounds, text, color, isHovered = false, isPrimary = false) {
         // Use enhanced button if theme system is available
         if (this.themeManager) {
@@ -4849,59 +9569,62 @@ function initGame() {
     console.log('Game initialized successfully');
 }
 
-// Start game when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initGame);
-} else {
-    initGame();
-}
+// Browser only - headless engines (e.g. Node tests) create their own GameEngine
+if (typeof document !== 'undefined') {
+    // Start game when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initGame);
+    } else {
+        initGame();
+    }
 
-// Handle orientation and resize events
-window.addEventListener('orientationchange', () => {
-    setTimeout(() => {
+    // Handle orientation and resize events
+    window.addEventListener('orientationchange', () => {
+        setTimeout(() => {
+            resizeCanvas();
+            if (gameEngine && gameEngine.ctx) {
+                // Update game engine context if needed
+                gameEngine.ctx = ctx;
+            }
+        }, 100);
+    });
+    window.addEventListener('resize', () => {
         resizeCanvas();
         if (gameEngine && gameEngine.ctx) {
             // Update game engine context if needed
             gameEngine.ctx = ctx;
         }
-    }, 100);
-});
-window.addEventListener('resize', () => {
-    resizeCanvas();
-    if (gameEngine && gameEngine.ctx) {
-        // Update game engine context if needed
-        gameEngine.ctx = ctx;
-    }
-});
+    });
 
-// Handle Cordova deviceready event
-document.addEventListener('deviceready', () => {
-    console.log('Cordova device ready');
-    // Game already initialized, but can add device-specific setup here
-}, false);
+    // Handle Cordova deviceready event
+    document.addEventListener('deviceready', () => {
+        console.log('Cordova device ready');
+        // Game already initialized, but can add device-specific setup here
+    }, false);
 
-// Handle app lifecycle (Android)
-document.addEventListener('pause', () => {
-    console.log('App paused');
-    if (gameEngine && gameEngine.currentState === GameState.PLAYING) {
-        gameEngine.currentState = GameState.PAUSED;
-    }
-}, false);
+    // Handle app lifecycle (Android)
+    document.addEventListener('pause', () => {
+        console.log('App paused');
+        if (gameEngine && gameEngine.currentState === GameState.PLAYING) {
+            gameEngine.currentState = GameState.PAUSED;
+        }
+    }, false);
 
-document.addEventListener('resume', () => {
-    console.log('App resumed');
-    // Resume logic if needed
-}, false);
+    document.addEventListener('resume', () => {
+        console.log('App resumed');
+        // Resume logic if needed
+    }, false);
 
-// Handle Android back button
-document.addEventListener('backbutton', () => {
-    if (gameEngine) {
-        if (gameEngine.currentState === GameState.PLAYING) {
-            gameEngine.currentState = GameState.PAUSED;
-        } else if (gameEngine.currentState === GameState.PAUSED) {
-            gameEngine.currentState = GameState.PLAYING;
-        } else {
-            navigator.app.exitApp();
+    // Handle Android back button
+    document.addEventListener('backbutton', () => {
+        if (gameEngine) {
+            if (gameEngine.currentState === GameState.PLAYING) {
+                gameEngine.currentState = GameState.PAUSED;
+            } else if (gameEngine.currentState === GameState.PAUSED) {
+                gameEngine.currentState = GameState.PLAYING;
+            } else {
+                navigator.app.exitApp();
+            }
         }
-    }
-}, false);
+    }, false);
+}
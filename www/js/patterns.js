@@ -0,0 +1,481 @@
+/**
+ * SPAWN PATTERN CLASSES
+ *
+ * SpawnPattern: one designer-authored wave (burst, ring, spiral, alternating volley or wall)
+ * PatternLibrary: loads and validates patterns from JSON and groups them by difficulty tier
+ * PatternScheduler: picks patterns for the current difficulty and releases their spawns over time
+ *
+ * Pattern file format:
+ * {
+ *   "tiers": [{ "name": "easy", "minDifficulty": 1.0 }, { "name": "hard", "minDifficulty": 2.0 }],
+ *   "patterns": [
+ *     { "id": "triple", "type": "burst", "tier": "easy", "count": 3, "interval": 0.3 },
+ *     { "id": "hexagon", "type": "ring", "tier": "hard", "count": 6, "weight": 2, "rest": 1.5 }
+ *   ]
+ * }
+ *
+ * Fields every pattern may set:
+ *   weight      relative pick chance within its tier (default 1)
+ *   rest        seconds of quiet after the pattern at difficulty 1.0 (default 1; shrinks with spawn rate)
+ *   speed       multiplier on the current projectile speed (default 1)
+ *   projectile  ProjectileType name (picked by difficulty if omitted)
+ *   wells       gravity wells placed while the pattern plays, until the next pattern replaces them:
+ *               [{ "x", "y", "strength"?, "range"?, "orbit"?, "period"?, "phase"? }] (see GRAVITY_WELLS in game.js)
+ *
+ * Pattern types:
+ *   burst        count shots from one edge, interval seconds apart ("edge": top/right/bottom/left, random if omitted)
+ *   ring         count shots evenly around the ring, arriving together ("offset" in degrees, random if omitted)
+ *   spiral       count shots interval seconds apart, each "step" degrees further round ("direction": 1 or -1)
+ *   alternating  volleys of count shots, interval seconds apart, switching between opposite edges
+ *   wall         count shots spread over "arc" degrees on one side, arriving together, with "gap" neighbours left out
+ *   sequence     hand-placed "events" (from the pattern editor): [{ "angle", "delay", "speed"?, "projectile"? }]
+ *                angle in degrees, delay in seconds from the pattern start, speed multiplies the pattern speed
+ *
+ * Angles point from the center toward where a shot comes from (0 = right, clockwise on screen).
+ */
+
+const PatternType = {
+    BURST: 'burst',
+    RING: 'ring',
+    SPIRAL: 'spiral',
+    ALTERNATING: 'alternating',
+    WALL: 'wall',
+    SEQUENCE: 'sequence'
+};
+
+const PATTERN_EDGES = ['top', 'right', 'bottom', 'left'];
+
+class SpawnPattern {
+    constructor(data) {
+        this.id = data.id;
+        this.type = data.type;
+        this.tier = data.tier;
+        this.weight = data.weight !== undefined ? data.weight : 1;
+        this.rest = data.rest !== undefined ? data.rest : 1;
+        this.speed = data.speed !== undefined ? data.speed : 1;
+        this.projectile = data.projectile || null;
+
+        this.count = data.count !== undefined ? data.count : 1;
+        this.interval = data.interval !== undefined ? data.interval : 0.3;
+        this.edge = data.edge !== undefined ? PATTERN_EDGES.indexOf(data.edge) : -1; // -1 = random
+        this.offset = data.offset !== undefined ? data.offset * Math.PI / 180 : null; // null = random
+        this.step = (data.step !== undefined ? data.step : 30) * Math.PI / 180;
+        this.direction = data.direction !== undefined ? data.direction : 0; // 0 = random
+        this.volleys = data.volleys !== undefined ? data.volleys : 4;
+        this.arc = (data.arc !== undefined ? data.arc : 150) * Math.PI / 180;
+        this.gap = data.gap !== undefined ? data.gap : 1;
+        this.events = (data.events || []).map(event => ({
+            angle: event.angle,
+            delay: event.delay,
+            speed: event.speed !== undefined ? event.speed : 1,
+            projectile: event.projectile || null
+        }));
+        this.wells = (data.wells || []).map(well => ({ ...well }));
+    }
+
+    /**
+     * Validate raw pattern data and build a SpawnPattern
+     * @param {Object} data - Parsed JSON for one pattern
+     * @returns {SpawnPattern} Pattern
+     * @throws {Error} If the data is not a valid pattern
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Pattern must be an object');
+        }
+        if (typeof data.id !== 'string' || data.id.length === 0) {
+            throw new Error('Pattern needs an id');
+        }
+        if (!Object.values(PatternType).includes(data.type)) {
+            throw new Error(`Pattern ${data.id}: unknown type ${data.type}`);
+        }
+        if (data.count !== undefined && (!Number.isInteger(data.count) || data.count < 1)) {
+            throw new Error(`Pattern ${data.id}: count must be a positive integer`);
+        }
+        for (const key of ['weight', 'rest', 'speed', 'interval', 'volleys', 'arc', 'gap']) {
+            if (data[key] !== undefined && (typeof data[key] !== 'number' || data[key] < 0)) {
+                throw new Error(`Pattern ${data.id}: ${key} must be a non-negative number`);
+            }
+        }
+        if (data.edge !== undefined && !PATTERN_EDGES.includes(data.edge)) {
+            throw new Error(`Pattern ${data.id}: unknown edge ${data.edge}`);
+        }
+        if (data.projectile !== undefined && !Object.values(ProjectileType).includes(data.projectile)) {
+            throw new Error(`Pattern ${data.id}: unknown projectile type ${data.projectile}`);
+        }
+        if (data.type === PatternType.WALL && data.gap !== undefined && data.gap >= (data.count || 1)) {
+            throw new Error(`Pattern ${data.id}: a wall needs more shots than its gap`);
+        }
+        if (data.wells !== undefined) {
+            if (!Array.isArray(data.wells)) {
+                throw new Error(`Pattern ${data.id}: wells must be a list`);
+            }
+            for (const well of data.wells) {
+                if (!well || typeof well.x !== 'number' || typeof well.y !== 'number') {
+                    throw new Error(`Pattern ${data.id}: wells need an x and a y`);
+                }
+                for (const key of ['strength', 'range', 'orbit']) {
+                    if (well[key] !== undefined && (typeof well[key] !== 'number' || well[key] < 0)) {
+                        throw new Error(`Pattern ${data.id}: well ${key} must be a non-negative number`);
+                    }
+                }
+                if (well.orbit && (typeof well.period !== 'number' || well.period <= 0)) {
+                    throw new Error(`Pattern ${data.id}: an orbiting well needs a positive period`);
+                }
+                if (well.phase !== undefined && typeof well.phase !== 'number') {
+                    throw new Error(`Pattern ${data.id}: well phase must be a number`);
+                }
+            }
+        }
+        if (data.type === PatternType.SEQUENCE) {
+            if (!Array.isArray(data.events) || data.events.length === 0) {
+                throw new Error(`Pattern ${data.id}: a sequence needs at least one event`);
+            }
+            for (const event of data.events) {
+                if (typeof event.angle !== 'number' || typeof event.delay !== 'number' || event.delay < 0) {
+                    throw new Error(`Pattern ${data.id}: events need an angle and a non-negative delay`);
+                }
+                if (event.speed !== undefined && (typeof event.speed !== 'number' || event.speed <= 0)) {
+                    throw new Error(`Pattern ${data.id}: event speed must be positive`);
+                }
+                if (event.projectile !== undefined && !Object.values(ProjectileType).includes(event.projectile)) {
+                    throw new Error(`Pattern ${data.id}: unknown projectile type ${event.projectile}`);
+                }
+            }
+        }
+
+        return new SpawnPattern(data);
+    }
+
+    /**
+     * Lay the pattern out as timed steps (all random choices happen here)
+     * @param {SeededRandom} random - Gameplay random stream
+     * @returns {Array} Steps [{ time, together, spawns: [{ angle?, edge?, speed?, projectile? }] }] sorted by time
+     */
+    expand(random) {
+        const steps = [];
+        const fullTurn = Math.PI * 2;
+
+        switch (this.type) {
+            case PatternType.BURST: {
+                const edge = this.edge !== -1 ? this.edge : random.int(4);
+                for (let i = 0; i < this.count; i++) {
+                    steps.push({ time: i * this.interval, together: false, spawns: [{ edge }] });
+                }
+                break;
+            }
+            case PatternType.RING: {
+                const offset = this.offset !== null ? this.offset : random.next() * fullTurn;
+                const spawns = [];
+                for (let i = 0; i < this.count; i++) {
+                    spawns.push({ angle: offset + i * fullTurn / this.count });
+                }
+                steps.push({ time: 0, together: true, spawns });
+                break;
+            }
+            case PatternType.SPIRAL: {
+                const start = this.offset !== null ? this.offset : random.next() * fullTurn;
+                const direction = this.direction !== 0 ? Math.sign(this.direction) : (random.chance(0.5) ? 1 : -1);
+                for (let i = 0; i < this.count; i++) {
+                    steps.push({ time: i * this.interval, together: false, spawns: [{ angle: start + direction * i * this.step }] });
+                }
+                break;
+            }
+            case PatternType.ALTERNATING: {
+                // Opposite edges: top/bottom or left/right
+                const first = this.edge !== -1 ? this.edge : random.int(4);
+                for (let v = 0; v < this.volleys; v++) {
+                    const edge = v % 2 === 0 ? first : (first + 2) % 4;
+                    const spawns = [];
+                    for (let i = 0; i < this.count; i++) {
+                        spawns.push({ edge });
+                    }
+                    steps.push({ time: v * this.interval, together: false, spawns });
+                }
+                break;
+            }
+            case PatternType.WALL: {
+                // Side the wall comes from: an edge's direction from the center
+                const edge = this.edge !== -1 ? this.edge : random.int(4);
+                const facing = [-Math.PI / 2, 0, Math.PI / 2, Math.PI][edge];
+                const slotAngle = this.count > 1 ? this.arc / (this.count - 1) : 0;
+                const gapStart = random.int(this.count - this.gap + 1);
+                const spawns = [];
+                for (let i = 0; i < this.count; i++) {
+                    if (i >= gapStart && i < gapStart + this.gap) continue;
+                    spawns.push({ angle: facing - this.arc / 2 + i * slotAngle });
+                }
+                steps.push({ time: 0, together: true, spawns });
+                break;
+            }
+            case PatternType.SEQUENCE: {
+                for (const event of this.events) {
+                    steps.push({
+                        time: event.delay,
+                        together: false,
+                        spawns: [{ angle: event.angle * Math.PI / 180, speed: event.speed, projectile: event.projectile }]
+                    });
+                }
+                steps.sort((a, b) => a.time - b.time);
+                break;
+            }
+        }
+
+        return steps;
+    }
+
+    /**
+     * Seconds from the first step to the last
+     */
+    getDuration() {
+        switch (this.type) {
+            case PatternType.BURST:
+            case PatternType.SPIRAL:
+                return (this.count - 1) * this.interval;
+            case PatternType.ALTERNATING:
+                return (this.volleys - 1) * this.interval;
+            case PatternType.SEQUENCE:
+                return Math.max(0, ...this.events.map(event => event.delay));
+            default:
+                return 0;
+        }
+    }
+
+    toJSON() {
+        const data = {
+            id: this.id,
+            type: this.type,
+            tier: this.tier,
+            weight: this.weight,
+            rest: this.rest,
+            speed: this.speed,
+            count: this.count
+        };
+        if (this.projectile) data.projectile = this.projectile;
+        if (this.wells.length > 0) data.wells = this.wells.map(well => ({ ...well }));
+        switch (this.type) {
+            case PatternType.BURST:
+                data.interval = this.interval;
+                if (this.edge !== -1) data.edge = PATTERN_EDGES[this.edge];
+                break;
+            case PatternType.RING:
+                if (this.offset !== null) data.offset = this.offset * 180 / Math.PI;
+                break;
+            case PatternType.SPIRAL:
+                data.interval = this.interval;
+                data.step = this.step * 180 / Math.PI;
+                if (this.offset !== null) data.offset = this.offset * 180 / Math.PI;
+                if (this.direction !== 0) data.direction = this.direction;
+                break;
+            case PatternType.ALTERNATING:
+                data.interval = this.interval;
+                data.volleys = this.volleys;
+                if (this.edge !== -1) data.edge = PATTERN_EDGES[this.edge];
+                break;
+            case PatternType.WALL:
+                data.arc = this.arc * 180 / Math.PI;
+                data.gap = this.gap;
+                if (this.edge !== -1) data.edge = PATTERN_EDGES[this.edge];
+                break;
+            case PatternType.SEQUENCE:
+                delete data.count;
+                data.events = this.events.map(event => {
+                    const entry = { angle: event.angle, delay: event.delay, speed: event.speed };
+                    if (event.projectile) entry.projectile = event.projectile;
+                    return entry;
+                });
+                break;
+        }
+        return data;
+    }
+}
+
+class PatternLibrary {
+    /**
+     * @param {Array} tiers - [{ name, minDifficulty }] sorted by minDifficulty
+     * @param {Array<SpawnPattern>} patterns - Validated patterns
+     */
+    constructor(tiers = [], patterns = []) {
+        this.tiers = tiers;
+        this.patterns = patterns;
+    }
+
+    /**
+     * Validate raw pattern file data and build a library
+     * Invalid patterns are skipped with a warning so one typo doesn't drop the whole file
+     * @param {Object} data - Parsed JSON
+     * @returns {PatternLibrary} Library
+     * @throws {Error} If the tiers are missing or malformed
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Pattern file must be an object');
+        }
+        if (!Array.isArray(data.tiers) || data.tiers.length === 0) {
+            throw new Error('Pattern file needs at least one tier');
+        }
+        for (const tier of data.tiers) {
+            if (typeof tier.name !== 'string' || typeof tier.minDifficulty !== 'number') {
+                throw new Error(`Invalid tier: ${JSON.stringify(tier)}`);
+            }
+        }
+        const tiers = data.tiers.slice().sort((a, b) => a.minDifficulty - b.minDifficulty);
+
+        const library = new PatternLibrary(tiers, []);
+        for (const raw of data.patterns || []) {
+            try {
+                library.add(SpawnPattern.fromJSON(raw));
+            } catch (e) {
+                console.warn(e.message);
+            }
+        }
+        return library;
+    }
+
+    /**
+     * Load a pattern file
+     * @param {string} path - Path to the pattern JSON
+     * @returns {Promise<PatternLibrary|null>} Library, or null if it failed to load
+     */
+    static async load(path) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return PatternLibrary.fromJSON(await response.json());
+        } catch (e) {
+            console.warn(`Failed to load spawn patterns: ${path}`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Add a pattern (replaces one with the same id)
+     * @param {SpawnPattern} pattern - Pattern to add
+     * @throws {Error} If the pattern's tier is not in this library
+     */
+    add(pattern) {
+        if (this.getTierIndex(pattern.tier) === -1) {
+            throw new Error(`Pattern ${pattern.id}: unknown tier ${pattern.tier}`);
+        }
+        this.patterns = this.patterns.filter(existing => existing.id !== pattern.id);
+        this.patterns.push(pattern);
+    }
+
+    getTierIndex(name) {
+        return this.tiers.findIndex(tier => tier.name === name);
+    }
+
+    /**
+     * Highest tier unlocked at a difficulty
+     * @param {number} difficulty - Difficulty multiplier
+     * @returns {number} Tier index
+     */
+    getTierForDifficulty(difficulty) {
+        let index = 0;
+        for (let i = 0; i < this.tiers.length; i++) {
+            if (difficulty >= this.tiers[i].minDifficulty) {
+                index = i;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Patterns that can be picked at a difficulty, with their pick weights
+     * The current tier keeps full weight; each tier below it counts half as much
+     * @param {number} difficulty - Difficulty multiplier
+     * @returns {Array} [{ pattern, weight }]
+     */
+    getCandidates(difficulty) {
+        const current = this.getTierForDifficulty(difficulty);
+        const candidates = [];
+        for (const pattern of this.patterns) {
+            const tier = this.getTierIndex(pattern.tier);
+            if (tier <= current && pattern.weight > 0) {
+                candidates.push({ pattern, weight: pattern.weight * Math.pow(0.5, current - tier) });
+            }
+        }
+        return candidates;
+    }
+
+    isEmpty() {
+        return this.patterns.length === 0;
+    }
+}
+
+class PatternScheduler {
+    /**
+     * @param {PatternLibrary} library - Patterns to pick from
+     */
+    constructor(library) {
+        this.library = library;
+        this.reset();
+    }
+
+    /**
+     * Forget the current pattern (new run)
+     */
+    reset() {
+        this.current = null; // Pattern being played
+        this.steps = []; // Steps of the current pattern not released yet
+        this.time = 0; // Seconds since the current pattern started
+        this.restTimer = 0; // Quiet time left before the next pattern
+    }
+
+    /**
+     * Pick a pattern for a difficulty by weight
+     * @param {number} difficulty - Difficulty multiplier
+     * @param {SeededRandom} random - Gameplay random stream
+     * @returns {SpawnPattern|null} Pattern, or null if none is available
+     */
+    pick(difficulty, random) {
+        const candidates = this.library.getCandidates(difficulty);
+        const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        if (total <= 0) return null;
+
+        let roll = random.next() * total;
+        for (const { pattern, weight } of candidates) {
+            roll -= weight;
+            if (roll < 0) return pattern;
+        }
+        return candidates[candidates.length - 1].pattern;
+    }
+
+    /**
+     * Advance the schedule
+     * @param {number} deltaTime - Seconds
+     * @param {number} difficulty - Difficulty multiplier (chooses the tier)
+     * @param {number} pace - Rest multiplier (1 at the start, smaller as spawns speed up)
+     * @param {SeededRandom} random - Gameplay random stream
+     * @returns {Array} Steps due this tick [{ pattern, together, spawns }]
+     */
+    update(deltaTime, difficulty, pace, random) {
+        const due = [];
+
+        if (!this.current) {
+            this.restTimer -= deltaTime;
+            if (this.restTimer > 0) return due;
+
+            this.current = this.pick(difficulty, random);
+            if (!this.current) return due;
+            this.steps = this.current.expand(random);
+            this.time = 0;
+        } else {
+            this.time += deltaTime;
+        }
+
+        while (this.steps.length > 0 && this.steps[0].time <= this.time + 1e-9) {
+            const step = this.steps.shift();
+            due.push({ pattern: this.current, together: step.together, spawns: step.spawns });
+        }
+
+        if (this.steps.length === 0) {
+            this.restTimer = this.current.rest * pace;
+            this.current = null;
+        }
+
+        return due;
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * SEEDED RANDOM CLASSES
+ *
+ * SeededRandom: small, fast PRNG (mulberry32) with helpers
+ * RandomService: one seed → separate gameplay and cosmetic streams,
+ * so visual effects never change which projectiles a seed produces
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit integer seed
+     */
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to a seed
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Random number
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - 0 to 1
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+class RandomService {
+    /**
+     * @param {number} seed - Run seed (random if omitted)
+     */
+    constructor(seed = RandomService.generateSeed()) {
+        this.gameplay = new SeededRandom();
+        this.cosmetic = new SeededRandom();
+        this.reseed(seed);
+    }
+
+    /**
+     * Reseed both streams from a single run seed
+     * @param {number} seed - 32-bit integer seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay.setSeed(this.seed);
+        // Derive a different, but still deterministic, cosmetic seed
+        this.cosmetic.setSeed(Math.imul(this.seed ^ 0x9E3779B9, 0x85EBCA6B));
+    }
+
+    /**
+     * Derive a seed from a string (FNV-1a hash), e.g. a calendar date
+     * @param {string} text - Text to hash
+     * @returns {number} 32-bit unsigned seed
+     */
+    static seedFromString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a fresh seed for runs that don't specify one
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF)) >>> 0;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * REPLAY CLASSES
+ *
+ * Replay: compact record of a run (seed, per-tick joystick input, events)
+ * ReplayPlayer: steps through a replay tick by tick with pause, speed and seeking
+ *
+ * The simulation is deterministic for a given seed, so a replay only needs the
+ * player's input. Joystick angles are quantized and run-length encoded.
+ * Anything driven by the audio clock (rhythm spawns, beat timing) is stored as events.
+ *
+ * Replay format:
+ * {
+ *   "version": 1,
+ *   "tickRate": 60,
+ *   "mode": "CLASSIC",
+ *   "seed": 123456789,
+ *   "ticks": 3600,
+ *   "score": 1520,
+ *   "inputs": [-1, 120, 1024, 8, ...],   // [value, repeat count] pairs, -1 = no input
+ *   "events": [[tick, "spawn", 0, 1.95], ...]
+ * }
+ */
+
+class Replay {
+    static VERSION = 1;
+    static ANGLE_STEPS = 4096; // Quantization steps per full turn
+    static NO_INPUT = -1;
+
+    /**
+     * @param {Object} data - { seed, mode, tickRate? }
+     */
+    constructor(data = {}) {
+        this.version = Replay.VERSION;
+        this.tickRate = data.tickRate || 60;
+        this.mode = data.mode;
+        this.seed = data.seed >>> 0;
+        this.ticks = 0;
+        this.score = 0;
+        this.inputs = [];
+        this.events = [];
+    }
+
+    /**
+     * Quantize a joystick angle for recording
+     * @param {number|null} angle - Angle in radians, or null when the joystick is idle
+     * @returns {number} Integer step, or Replay.NO_INPUT
+     */
+    static quantizeAngle(angle) {
+        if (angle === null || angle === undefined) return Replay.NO_INPUT;
+        const turn = angle / (Math.PI * 2);
+        return ((Math.round(turn * Replay.ANGLE_STEPS) % Replay.ANGLE_STEPS) + Replay.ANGLE_STEPS) % Replay.ANGLE_STEPS;
+    }
+
+    /**
+     * @param {number} value - Quantized input
+     * @returns {number|null} Angle in radians, or null for no input
+     */
+    static dequantizeAngle(value) {
+        if (value === Replay.NO_INPUT) return null;
+        return (value / Replay.ANGLE_STEPS) * Math.PI * 2;
+    }
+
+    /**
+     * Append one tick of input (starts a new tick)
+     * @param {number} value - Quantized input
+     */
+    recordInput(value) {
+        const last = this.inputs.length - 2;
+        if (last >= 0 && this.inputs[last] === value) {
+            this.inputs[last + 1]++;
+        } else {
+            this.inputs.push(value, 1);
+        }
+        this.ticks++;
+    }
+
+    /**
+     * Record an event on the current tick
+     * @param {string} type - Event type
+     * @param {...*} args - Event data (JSON-safe values)
+     */
+    recordEvent(type, ...args) {
+        this.events.push([this.ticks - 1, type, ...args]);
+    }
+
+    /**
+     * Duration in seconds
+     */
+    getDuration() {
+        return this.ticks / this.tickRate;
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            tickRate: this.tickRate,
+            mode: this.mode,
+            seed: this.seed,
+            ticks: this.ticks,
+            score: this.score,
+            inputs: this.inputs,
+            events: this.events
+        };
+    }
+
+    /**
+     * Validate serialized replay data and build a Replay
+     * @param {Object} data - Parsed JSON
+     * @returns {Replay} Replay
+     * @throws {Error} If the data is not a playable replay
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (data.version !== Replay.VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (!Array.isArray(data.inputs) || data.inputs.length % 2 !== 0) {
+            throw new Error('Replay inputs are malformed');
+        }
+
+        const replay = new Replay(data);
+        replay.inputs = data.inputs;
+        replay.events = Array.isArray(data.events) ? data.events : [];
+        replay.score = data.score || 0;
+        replay.ticks = 0;
+        for (let i = 1; i < replay.inputs.length; i += 2) {
+            replay.ticks += replay.inputs[i];
+        }
+        return replay;
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * @param {Replay} replay - Replay to play back
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.paused = false;
+        this.speed = 1;
+        this.tickBudget = 0; // Fractional ticks owed at the current speed
+        this.rewind();
+    }
+
+    /**
+     * Go back to the first tick
+     */
+    rewind() {
+        this.tick = -1;
+        this.inputIndex = 0; // Index of the current [value, count] pair
+        this.inputRepeat = 0; // Ticks already taken from the current pair
+        this.eventCursors = {};
+        this.finished = false;
+        this.tickBudget = 0;
+    }
+
+    /**
+     * Advance to the next tick
+     * @returns {number|null} Quantized input for the tick, or null when the replay is over
+     */
+    nextInput() {
+        const inputs = this.replay.inputs;
+        if (this.inputIndex >= inputs.length) {
+            this.finished = true;
+            return null;
+        }
+
+        const value = inputs[this.inputIndex];
+        this.inputRepeat++;
+        if (this.inputRepeat >= inputs[this.inputIndex + 1]) {
+            this.inputIndex += 2;
+            this.inputRepeat = 0;
+        }
+        this.tick++;
+        return value;
+    }
+
+    /**
+     * Take the next unread event of a type on the current tick
+     * @param {string} type - Event type
+     * @returns {Array|null} Event data, or null if there are no more this tick
+     */
+    takeEvent(type) {
+        const events = this.replay.events;
+        let i = this.eventCursors[type] || 0;
+
+        while (i < events.length && events[i][0] <= this.tick) {
+            if (events[i][0] === this.tick && events[i][1] === type) {
+                this.eventCursors[type] = i + 1;
+                return events[i].slice(2);
+            }
+            i++;
+        }
+
+        this.eventCursors[type] = i;
+        return null;
+    }
+
+    /**
+     * Number of ticks to simulate this game tick at the current speed
+     * @returns {number} Whole ticks to run
+     */
+    consumeTicks() {
+        if (this.paused || this.finished) return 0;
+
+        this.tickBudget += this.speed;
+        const ticks = Math.floor(this.tickBudget);
+        this.tickBudget -= ticks;
+        return ticks;
+    }
+
+    /**
+     * Playback progress
+     * @returns {number} 0 to 1
+     */
+    getProgress() {
+        return this.replay.ticks > 0 ? Math.max(0, this.tick + 1) / this.replay.ticks : 0;
+    }
+}
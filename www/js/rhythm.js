@@ -0,0 +1,263 @@
+/**
+ * RHYTHM MODE CLASSES
+ *
+ * BeatMap: loads and validates beat maps authored as JSON
+ * RhythmConductor: keeps song time (the audio clock is the authority),
+ * schedules the synthesized soundtrack and releases spawn events on the beat
+ *
+ * Beat map format:
+ * {
+ *   "title": "Pulse",
+ *   "bpm": 120,
+ *   "leadBeats": 4,          // projectiles spawn this many beats before they reach the ring
+ *   "length": 64,            // loop length in beats
+ *   "music": [{ "preset": "kick", "beats": [0, 1, 2, 3], "every": 4, "pitch": [1, 1, 1, 1] }],
+ *   "events": [{ "beat": 8, "edge": "top", "count": 1 }]  // beat the projectile reaches the ring
+ * }
+ */
+
+class BeatMap {
+    constructor(data) {
+        this.title = data.title || 'Untitled';
+        this.bpm = data.bpm;
+        this.leadBeats = data.leadBeats !== undefined ? data.leadBeats : 4;
+        this.length = data.length;
+        this.music = data.music || [];
+        this.events = data.events.slice().sort((a, b) => a.beat - b.beat);
+    }
+
+    /**
+     * Validate raw beat map data and build a BeatMap
+     * @param {Object} data - Parsed JSON
+     * @returns {BeatMap} Beat map
+     * @throws {Error} If the data is not a valid beat map
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Beat map must be an object');
+        }
+        if (typeof data.bpm !== 'number' || data.bpm <= 0) {
+            throw new Error('Beat map needs a positive bpm');
+        }
+        if (!Array.isArray(data.events) || data.events.length === 0) {
+            throw new Error('Beat map needs at least one event');
+        }
+        for (const event of data.events) {
+            if (typeof event.beat !== 'number' || event.beat < 0) {
+                throw new Error(`Invalid event beat: ${event.beat}`);
+            }
+        }
+
+        const lastBeat = Math.max(...data.events.map(e => e.beat));
+        if (typeof data.length !== 'number' || data.length <= lastBeat) {
+            data = { ...data, length: Math.ceil(lastBeat + 1) };
+        }
+
+        return new BeatMap(data);
+    }
+
+    /**
+     * Load a beat map from a JSON file
+     * @param {string} path - Path to the beat map
+     * @returns {Promise<BeatMap>} Promise that resolves to the beat map
+     */
+    static async load(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load beat map: ${path} (HTTP ${response.status})`);
+        }
+        return BeatMap.fromJSON(await response.json());
+    }
+
+    /**
+     * Load every beat map listed in an index file
+     * Maps that fail to load are skipped with a warning
+     * @param {string} indexPath - Path to index JSON ({ "maps": ["file.json"] })
+     * @returns {Promise<Array<BeatMap>>} Loaded beat maps
+     */
+    static async loadIndex(indexPath) {
+        try {
+            const response = await fetch(indexPath);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const index = await response.json();
+            const baseDir = indexPath.substring(0, indexPath.lastIndexOf('/') + 1);
+
+            const maps = await Promise.all((index.maps || []).map(file =>
+                BeatMap.load(baseDir + file).catch(e => {
+                    console.warn(e.message);
+                    return null;
+                })
+            ));
+            return maps.filter(map => map !== null);
+        } catch (e) {
+            console.warn(`Failed to load beat map index: ${indexPath}`, e);
+            return [];
+        }
+    }
+}
+
+class RhythmConductor {
+    /**
+     * @param {SoundManager} soundManager - Provides the audio clock and music output
+     */
+    constructor(soundManager) {
+        this.soundManager = soundManager;
+        this.beatMap = null;
+        this.running = false;
+
+        this.secondsPerBeat = 0.5;
+        this.songTime = 0; // Seconds since beat 0
+        this.useAudioClock = false;
+        this.startTime = 0; // Audio clock time of beat 0
+        this.lastAudioTime = 0;
+
+        this.scheduleAhead = 0.15; // Seconds of music scheduled ahead of the clock
+        this.resyncThreshold = 0.25; // Clock jumps longer than this are treated as a pause
+        this.scheduledUntilBeat = 0;
+
+        this.nextEventIndex = 0;
+        this.loopOffset = 0; // Beats added to events on each loop of the map
+    }
+
+    /**
+     * Start playing a beat map from beat 0
+     * @param {BeatMap} beatMap - Beat map to play
+     */
+    start(beatMap) {
+        this.beatMap = beatMap;
+        this.secondsPerBeat = 60 / beatMap.bpm;
+        this.nextEventIndex = 0;
+        this.loopOffset = 0;
+        this.scheduledUntilBeat = 0;
+        this.running = true;
+
+        // Prefer the audio clock; fall back to game time if audio is unavailable
+        this.useAudioClock = this.soundManager.canPlay();
+        const startDelay = 0.1; // Give the scheduler time to queue the first notes
+        if (this.useAudioClock) {
+            this.startTime = this.soundManager.context.currentTime + startDelay;
+            this.lastAudioTime = this.soundManager.context.currentTime;
+        }
+        this.songTime = -startDelay;
+
+        console.log(`Rhythm started: ${beatMap.title} (${beatMap.bpm} BPM, ${this.useAudioClock ? 'audio' : 'game'} clock)`);
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Advance the song clock and schedule upcoming music
+     * @param {number} deltaTime - Game time since last update (used without audio)
+     */
+    update(deltaTime) {
+        if (!this.running) return;
+
+        if (this.useAudioClock && this.soundManager.canPlay()) {
+            const now = this.soundManager.context.currentTime;
+            const audioDelta = now - this.lastAudioTime;
+
+            // The game stopped updating us (pause, app in background):
+            // shift beat 0 so the song resumes where it left off
+            if (audioDelta > deltaTime + this.resyncThreshold) {
+                this.startTime += audioDelta - deltaTime;
+            }
+            this.lastAudioTime = now;
+            this.songTime = now - this.startTime;
+
+            this.scheduleMusic(now);
+        } else {
+            this.songTime += deltaTime;
+        }
+    }
+
+    /**
+     * Queue music notes that fall inside the look-ahead window
+     * @param {number} now - Current audio clock time
+     */
+    scheduleMusic(now) {
+        const targetBeat = (now + this.scheduleAhead - this.startTime) / this.secondsPerBeat;
+        if (targetBeat <= this.scheduledUntilBeat) return;
+
+        for (const track of this.beatMap.music) {
+            const every = track.every || 4;
+            const firstBar = Math.floor(this.scheduledUntilBeat / every);
+            const lastBar = Math.floor(targetBeat / every);
+
+            for (let bar = firstBar; bar <= lastBar; bar++) {
+                track.beats.forEach((offset, i) => {
+                    const beat = bar * every + offset;
+                    if (beat >= this.scheduledUntilBeat && beat < targetBeat && beat >= 0) {
+                        const pitch = Array.isArray(track.pitch) ? (track.pitch[i] || 1) : (track.pitch || 1);
+                        this.soundManager.playMusicPreset(track.preset, this.startTime + beat * this.secondsPerBeat, pitch);
+                    }
+                });
+            }
+        }
+
+        this.scheduledUntilBeat = targetBeat;
+    }
+
+    /**
+     * Current position in beats
+     */
+    getCurrentBeat() {
+        return this.songTime / this.secondsPerBeat;
+    }
+
+    /**
+     * Seconds from now until a beat is reached
+     * @param {number} beat - Absolute beat number
+     */
+    getTimeUntilBeat(beat) {
+        return beat * this.secondsPerBeat - this.songTime;
+    }
+
+    /**
+     * Signed distance to the nearest beat in seconds (negative = early)
+     */
+    getBeatOffset() {
+        const beat = this.getCurrentBeat();
+        return (beat - Math.round(beat)) * this.secondsPerBeat;
+    }
+
+    /**
+     * Fractional progress through the current beat (0 on the beat, approaching 1 before the next)
+     */
+    getBeatPhase() {
+        const beat = this.getCurrentBeat();
+        return beat - Math.floor(beat);
+    }
+
+    /**
+     * Collect events whose spawn time has been reached
+     * The map loops, so events are re-armed every `length` beats
+     * @returns {Array} Array of { event, arrivalBeat }
+     */
+    pollSpawns() {
+        if (!this.running) return [];
+
+        const spawns = [];
+        const currentBeat = this.getCurrentBeat();
+        const events = this.beatMap.events;
+
+        while (true) {
+            const event = events[this.nextEventIndex];
+            const arrivalBeat = event.beat + this.loopOffset;
+            if (arrivalBeat - this.beatMap.leadBeats > currentBeat) break;
+
+            spawns.push({ event, arrivalBeat });
+
+            this.nextEventIndex++;
+            if (this.nextEventIndex >= events.length) {
+                this.nextEventIndex = 0;
+                this.loopOffset += this.beatMap.length;
+            }
+        }
+
+        return spawns;
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * SYNTHESIZER CLASS
+ *
+ * Generates sound effects at runtime from JSON presets (no audio files)
+ * Supports oscillators, white noise, ADSR envelopes, pitch sweeps and filters
+ *
+ * Preset format:
+ * {
+ *   "layers": [{
+ *     "source": "oscillator" | "noise",
+ *     "waveform": "sine" | "square" | "sawtooth" | "triangle",
+ *     "frequency": 440,
+ *     "sweep": { "to": 880, "curve": "exponential" | "linear" },
+ *     "filter": { "type": "lowpass", "frequency": 1200, "to": 200, "q": 1 },
+ *     "envelope": { "attack": 0.01, "decay": 0.05, "sustain": 0.5, "release": 0.1 },
+ *     "duration": 0.2,
+ *     "volume": 0.5,
+ *     "delay": 0
+ *   }]
+ * }
+ */
+
+class Synthesizer {
+    /**
+     * @param {AudioContext} context - Audio context to synthesize with
+     * @param {AudioNode} destination - Node the generated sound is routed to
+     */
+    constructor(context, destination) {
+        this.context = context;
+        this.destination = destination;
+        this.noiseBuffer = null;
+    }
+
+    /**
+     * Default ADSR envelope for layers that don't specify one
+     */
+    static defaultEnvelope = {
+        attack: 0.005,
+        decay: 0.05,
+        sustain: 0.6,
+        release: 0.05
+    };
+
+    /**
+     * Play a preset
+     * @param {Object} preset - Preset with a layers array
+     * @param {Object} options - { pitch?, volume?, delay?, startTime? } pitch is a frequency multiplier,
+     *                            startTime is an absolute audio clock time (overrides delay)
+     */
+    play(preset, options = {}) {
+        if (!preset || !Array.isArray(preset.layers)) {
+            return;
+        }
+
+        const startTime = options.startTime !== undefined ?
+            Math.max(options.startTime, this.context.currentTime) :
+            this.context.currentTime + (options.delay || 0);
+        for (const layer of preset.layers) {
+            this.playLayer(layer, startTime, options);
+        }
+    }
+
+    /**
+     * Play a single preset layer
+     * @param {Object} layer - Layer definition
+     * @param {number} startTime - Audio clock time the preset starts at
+     * @param {Object} options - { pitch?, volume? }
+     */
+    playLayer(layer, startTime, options = {}) {
+        const pitch = options.pitch || 1;
+        const envelope = { ...Synthesizer.defaultEnvelope, ...(layer.envelope || {}) };
+        const layerStart = startTime + (layer.delay || 0);
+        const duration = layer.duration || 0.2;
+        const stopTime = layerStart + duration + envelope.release;
+        const peak = (layer.volume !== undefined ? layer.volume : 0.5) * (options.volume !== undefined ? options.volume : 1);
+
+        // Sound source
+        const source = layer.source === 'noise' ?
+            this.createNoiseSource(pitch) :
+            this.createOscillator(layer, layerStart, duration, pitch);
+
+        // Optional filter (with its own sweep)
+        let output = source;
+        if (layer.filter) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = layer.filter.type || 'lowpass';
+            filter.Q.value = layer.filter.q !== undefined ? layer.filter.q : 1;
+            filter.frequency.setValueAtTime(layer.filter.frequency * pitch, layerStart);
+            if (layer.filter.to) {
+                filter.frequency.exponentialRampToValueAtTime(layer.filter.to * pitch, layerStart + duration);
+            }
+            output.connect(filter);
+            output = filter;
+        }
+
+        // Amplitude envelope
+        const gain = this.context.createGain();
+        this.applyEnvelope(gain.gain, envelope, layerStart, duration, peak);
+        output.connect(gain);
+        gain.connect(this.destination);
+
+        source.start(layerStart);
+        source.stop(stopTime + 0.02);
+    }
+
+    /**
+     * Create an oscillator with an optional pitch sweep
+     */
+    createOscillator(layer, startTime, duration, pitch) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = layer.waveform || 'sine';
+
+        const frequency = (layer.frequency || 440) * pitch;
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+
+        if (layer.sweep && layer.sweep.to) {
+            const target = layer.sweep.to * pitch;
+            const endTime = startTime + duration;
+            if (layer.sweep.curve === 'linear') {
+                oscillator.frequency.linearRampToValueAtTime(target, endTime);
+            } else {
+                oscillator.frequency.exponentialRampToValueAtTime(target, endTime);
+            }
+        }
+
+        return oscillator;
+    }
+
+    /**
+     * Create a white noise source (buffer is generated once and reused)
+     */
+    createNoiseSource(pitch) {
+        if (!this.noiseBuffer) {
+            const length = Math.floor(this.context.sampleRate * 1.0); // 1 second of noise
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        source.playbackRate.value = pitch;
+        return source;
+    }
+
+    /**
+     * Apply an ADSR envelope to a gain parameter
+     * @param {AudioParam} param - Gain parameter
+     * @param {Object} envelope - { attack, decay, sustain, release } (seconds, sustain is 0-1)
+     * @param {number} startTime - Note start time
+     * @param {number} duration - Time until release starts
+     * @param {number} peak - Peak gain
+     */
+    applyEnvelope(param, envelope, startTime, duration, peak) {
+        const floor = 0.0001; // Exponential ramps can't reach 0
+        const attackEnd = startTime + Math.min(envelope.attack, duration);
+        const decayEnd = Math.min(attackEnd + envelope.decay, startTime + duration);
+        const sustainLevel = Math.max(floor, peak * envelope.sustain);
+        const releaseStart = startTime + duration;
+
+        param.setValueAtTime(floor, startTime);
+        param.exponentialRampToValueAtTime(Math.max(floor, peak), attackEnd);
+        param.exponentialRampToValueAtTime(sustainLevel, decayEnd);
+        param.setValueAtTime(sustainLevel, releaseStart);
+        param.exponentialRampToValueAtTime(floor, releaseStart + envelope.release);
+    }
+}
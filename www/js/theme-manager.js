@@ -6,7 +6,11 @@
  */
 
 class ThemeManager {
-    constructor() {
+    /**
+     * @param {Storage} storage - Where the theme preference is saved (defaults to localStorage)
+     */
+    constructor(storage) {
+        this.storage = storage || localStorage;
         this.currentTheme = 'modern';
         this.themes = this.initializeThemes();
         this.loadThemePreference();
@@ -184,7 +188,7 @@ class ThemeManager {
     
     loadThemePreference() {
         try {
-            const saved = localStorage.getItem('spinEscapeTheme');
+            const saved = this.storage.getItem('spinEscapeTheme');
             if (saved && this.themes[saved]) {
                 this.currentTheme = saved;
             }
@@ -195,7 +199,7 @@ class ThemeManager {
     
     saveThemePreference() {
         try {
-            localStorage.setItem('spinEscapeTheme', this.currentTheme);
+            this.storage.setItem('spinEscapeTheme', this.currentTheme);
         } catch (e) {
             console.error('Failed to save theme preference:', e);
         }